@@ -0,0 +1,82 @@
+// config/load-platform-config.js
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { validatePlatforms } = require('./platform-config-schema');
+
+const PLACEHOLDER = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Replace ${ENV_VAR} and ${ENV_VAR:-default} placeholders in every string value.
+ * A value that is only a placeholder for an unset variable becomes undefined,
+ * the same as reading an unset process.env entry.
+ */
+function interpolate(value, env) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}$/);
+    if (whole) {
+      const resolved = env[whole[1]];
+      return resolved !== undefined && resolved !== '' ? resolved : whole[2];
+    }
+    return value.replace(PLACEHOLDER, (match, name, fallback) => {
+      const resolved = env[name];
+      return resolved !== undefined && resolved !== '' ? resolved : (fallback || '');
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, env));
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, interpolate(item, env)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Parse a platform config file (.json, .yaml or .yml)
+ */
+function parseConfigFile(filePath) {
+  const contents = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.json') {
+    return JSON.parse(contents);
+  }
+  if (extension === '.yaml' || extension === '.yml') {
+    return YAML.parse(contents);
+  }
+
+  throw new Error(`Unsupported platform config file type '${extension}' (expected .json, .yaml or .yml)`);
+}
+
+/**
+ * Load, interpolate and validate the platform config file
+ * @param {string} filePath - Path to the config file
+ * @param {object} env - Variables used for ${ENV_VAR} interpolation
+ * @returns {object} Platforms keyed by platform id
+ * @throws {Error} Listing every misconfigured platform/environment
+ */
+function loadPlatformConfigFile(filePath, env = process.env) {
+  let parsed;
+  try {
+    parsed = parseConfigFile(filePath);
+  } catch (error) {
+    throw new Error(`Failed to read platform config ${filePath}: ${error.message}`);
+  }
+
+  const platforms = interpolate(parsed && parsed.platforms, env);
+  const errors = validatePlatforms(platforms);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid platform config ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return platforms;
+}
+
+module.exports = { loadPlatformConfigFile, interpolate };
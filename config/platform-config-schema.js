@@ -0,0 +1,159 @@
+// config/platform-config-schema.js
+const { SCOPES } = require('../utils/keyScopes');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+const isDateString = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Validate one API key entry
+ * @returns {Array<string>} Problems found
+ */
+function validateApiKey(key, index) {
+  const errors = [];
+  const label = `apiKeys[${index}]`;
+
+  if (!isPlainObject(key)) {
+    return [`${label} must be an object`];
+  }
+
+  if (typeof key.id !== 'string' || !key.id) {
+    errors.push(`${label}.id is required`);
+  }
+  if (!isOptionalString(key.hash) || (key.hash && !/^[a-f0-9]{64}$/i.test(key.hash))) {
+    errors.push(`${label}.hash must be a hex encoded SHA-256 hash`);
+  }
+  if (!isOptionalString(key.secret)) {
+    errors.push(`${label}.secret must be a string`);
+  }
+  if (key.createdAt !== undefined && !isDateString(key.createdAt)) {
+    errors.push(`${label}.createdAt must be a date`);
+  }
+  if (key.expiresAt !== undefined && key.expiresAt !== null && !isDateString(key.expiresAt)) {
+    errors.push(`${label}.expiresAt must be a date or null`);
+  }
+  if (key.revoked !== undefined && typeof key.revoked !== 'boolean') {
+    errors.push(`${label}.revoked must be a boolean`);
+  }
+  if (key.scopes !== undefined) {
+    const unknown = isStringArray(key.scopes) ? key.scopes.filter(scope => !SCOPES.includes(scope)) : null;
+    if (!unknown) {
+      errors.push(`${label}.scopes must be a list of scopes`);
+    } else if (unknown.length > 0) {
+      errors.push(`${label}.scopes has unknown scopes: ${unknown.join(', ')}`);
+    }
+  }
+  ['allowedBuckets', 'allowedPrefixes'].forEach(field => {
+    if (key[field] !== undefined && !isStringArray(key[field])) {
+      errors.push(`${label}.${field} must be a list of strings`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate the bearer token settings of an environment
+ * @returns {Array<string>} Problems found
+ */
+function validateJwt(jwt) {
+  if (!isPlainObject(jwt)) {
+    return ['jwt must be an object'];
+  }
+
+  const errors = [];
+
+  ['issuer', 'audience', 'jwksPath'].forEach(field => {
+    if (!isOptionalString(jwt[field])) {
+      errors.push(`jwt.${field} must be a string`);
+    }
+  });
+  ['defaultScopes', 'allowedScopes', 'allowedBuckets', 'allowedPrefixes'].forEach(field => {
+    if (jwt[field] !== undefined && !isStringArray(jwt[field])) {
+      errors.push(`jwt.${field} must be a list of strings`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate one platform environment block
+ * @returns {Array<string>} Problems found
+ */
+function validateEnvironment(envConfig) {
+  if (!isPlainObject(envConfig)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+
+  if (typeof envConfig.provider !== 'string' || !envConfig.provider) {
+    errors.push('provider is required');
+  }
+
+  if (envConfig.apiKeys !== undefined) {
+    if (!Array.isArray(envConfig.apiKeys)) {
+      errors.push('apiKeys must be a list');
+    } else {
+      envConfig.apiKeys.forEach((key, index) => errors.push(...validateApiKey(key, index)));
+
+      const ids = envConfig.apiKeys.map(key => key && key.id).filter(Boolean);
+      const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+      if (duplicates.length > 0) {
+        errors.push(`apiKeys has duplicate ids: ${[...new Set(duplicates)].join(', ')}`);
+      }
+    }
+  }
+
+  if (envConfig.required !== undefined && typeof envConfig.required !== 'boolean') {
+    errors.push('required must be a boolean');
+  }
+
+  if (envConfig.jwt !== undefined) {
+    errors.push(...validateJwt(envConfig.jwt));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the structure of the platforms section of the platform config file
+ * @param {object} platforms - Platforms keyed by platform id
+ * @returns {Array<string>} Problems found, each prefixed with "<platform>/<environment>"
+ */
+function validatePlatforms(platforms) {
+  if (!isPlainObject(platforms)) {
+    return ['platforms must be an object keyed by platform id'];
+  }
+
+  const errors = [];
+
+  Object.entries(platforms).forEach(([platformId, platform]) => {
+    if (platformId !== platformId.toLowerCase()) {
+      errors.push(`${platformId}: platform id must be lower case`);
+    }
+    if (!isPlainObject(platform)) {
+      errors.push(`${platformId}: must be an object`);
+      return;
+    }
+    if (typeof platform.name !== 'string' || !platform.name) {
+      errors.push(`${platformId}: name is required`);
+    }
+    if (!isPlainObject(platform.environments) || Object.keys(platform.environments).length === 0) {
+      errors.push(`${platformId}: environments must define at least one environment`);
+      return;
+    }
+
+    Object.entries(platform.environments).forEach(([environment, envConfig]) => {
+      validateEnvironment(envConfig).forEach(error => {
+        errors.push(`${platformId}/${environment}: ${error}`);
+      });
+    });
+  });
+
+  return errors;
+}
+
+module.exports = { validatePlatforms };
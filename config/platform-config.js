@@ -1,87 +1,70 @@
 // config/platforms.config.js
+const path = require('path');
+const { loadPlatformConfigFile } = require('./load-platform-config');
+
+// Platform definitions live in an external file so tenants can be added without code changes
+const configPath = process.env.PLATFORM_CONFIG_PATH
+  ? path.resolve(process.env.PLATFORM_CONFIG_PATH)
+  : path.join(__dirname, 'platforms.yaml');
+
+/**
+ * List the platform environments that were added, removed or changed between two configs
+ */
+function diffPlatforms(previous = {}, next = {}) {
+  const changed = [];
+  const platformIds = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  platformIds.forEach(platformId => {
+    const before = previous[platformId] || { environments: {} };
+    const after = next[platformId] || { environments: {} };
+    const environments = new Set([...Object.keys(before.environments), ...Object.keys(after.environments)]);
+
+    environments.forEach(environment => {
+      const beforeEnv = JSON.stringify({ name: before.name, config: before.environments[environment] });
+      const afterEnv = JSON.stringify({ name: after.name, config: after.environments[environment] });
+
+      if (beforeEnv !== afterEnv) {
+        changed.push({ platformId, environment });
+      }
+    });
+  });
+
+  return changed;
+}
+
 module.exports = {
-    platforms: {
-      'onedigital': {
-        name: 'OneDigital',
-        environments: {
-          uat: {
-            apiKey: process.env.ONEDIGITAL_UAT_API_KEY,
-            provider: 'azure',
-            connectionString: process.env.ONEDIGITAL_UAT_CONNECTION_STRING,
-            accountName: process.env.ONEDIGITAL_UAT_ACCOUNT_NAME,
-            accountKey: process.env.ONEDIGITAL_UAT_ACCOUNT_KEY
-          },
-          preprod: {
-            apiKey: process.env.ONEDIGITAL_PREPROD_API_KEY,
-            provider: 'azure',
-            connectionString: process.env.ONEDIGITAL_PREPROD_CONNECTION_STRING,
-            accountName: process.env.ONEDIGITAL_PREPROD_ACCOUNT_NAME,
-            accountKey: process.env.ONEDIGITAL_PREPROD_ACCOUNT_KEY
-          },
-          prod: {
-            apiKey: process.env.ONEDIGITAL_PROD_API_KEY,
-            provider: 's3',
-            accessKeyId: process.env.ONEDIGITAL_PROD_AWS_ACCESS_KEY,
-            secretAccessKey: process.env.ONEDIGITAL_PROD_AWS_SECRET_KEY,
-            region: 'ap-south-1',
-            bucketName: process.env.ONEDIGITAL_PROD_BUCKET_NAME
-          }
-        }
-      },
-      'invictus': {
-        name: 'Invictus',
-        environments: {
-          uat: {
-            apiKey: process.env.INVICTUS_UAT_API_KEY,
-            provider: 's3',
-            accessKeyId: process.env.INVICTUS_UAT_AWS_ACCESS_KEY,
-            secretAccessKey: process.env.INVICTUS_UAT_AWS_SECRET_KEY,
-            region: process.env.INVICTUS_UAT_AWS_REGION || 'ap-south-1'
-          },
-          preprod: {
-            apiKey: process.env.INVICTUS_PREPROD_API_KEY,
-            provider: 's3',
-            accessKeyId: process.env.INVICTUS_PREPROD_AWS_ACCESS_KEY,
-            secretAccessKey: process.env.INVICTUS_PREPROD_AWS_SECRET_KEY,
-            region: process.env.INVICTUS_PREPROD_AWS_REGION || 'ap-south-1'
-          },
-          prod: {
-            apiKey: process.env.INVICTUS_PROD_API_KEY,
-            provider: 's3',
-            accessKeyId: process.env.INVICTUS_PROD_AWS_ACCESS_KEY,
-            secretAccessKey: process.env.INVICTUS_PROD_AWS_SECRET_KEY,
-            region: process.env.INVICTUS_PROD_AWS_REGION || 'ap-south-1'
-          }
-        }
-      },
-      'brokerage': {
-        name: 'Brokerage',
-        environments: {
-          uat: {
-            apiKey: process.env.BROKERAGE_UAT_API_KEY,
-            provider: 'azure',
-            connectionString: process.env.BROKERAGE_UAT_CONNECTION_STRING,
-            accountName: process.env.BROKERAGE_UAT_ACCOUNT_NAME,
-            accountKey: process.env.BROKERAGE_UAT_ACCOUNT_KEY
-          },
-          preprod: {
-            apiKey: process.env.BROKERAGE_PREPROD_API_KEY,
-            provider: 'azure',
-            connectionString: process.env.BROKERAGE_PREPROD_CONNECTION_STRING,
-            accountName: process.env.BROKERAGE_PREPROD_ACCOUNT_NAME,
-            accountKey: process.env.BROKERAGE_PREPROD_ACCOUNT_KEY
-          },
-          prod: {
-            apiKey: process.env.BROKERAGE_PROD_API_KEY,
-            provider: 'azure',
-            connectionString: process.env.BROKERAGE_PROD_CONNECTION_STRING,
-            accountName: process.env.BROKERAGE_PROD_ACCOUNT_NAME,
-            accountKey: process.env.BROKERAGE_PROD_ACCOUNT_KEY
-          }
-        }
+    configPath,
+
+    // Loaded and validated at startup; throws listing every misconfigured platform/environment
+    platforms: loadPlatformConfigFile(configPath),
+  
+    /**
+     * Re-read the platform config file. When the new file is invalid the error is thrown
+     * and the current configuration stays in place.
+     * @returns {Array<object>} Platform environments whose configuration changed ({ platformId, environment })
+     */
+    reload() {
+      const platforms = loadPlatformConfigFile(this.configPath);
+      const changed = diffPlatforms(this.platforms, platforms);
+
+      this.platforms = platforms;
+
+      return changed;
+    },
+
+    /**
+     * Get the environment names configured for a platform
+     */
+    getPlatformEnvironments(platformId) {
+      const platform = this.platforms[platformId];
+
+      if (!platform) {
+        throw new Error(`Platform '${platformId}' not found`);
       }
+
+      return Object.keys(platform.environments);
     },
-  
+
     /**
      * Get platform config
      */
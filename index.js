@@ -4,6 +4,11 @@ const cors = require('cors');
 require('dotenv').config();
 
 const fileRoutes = require('./routes/file-routes.js');
+const healthRoutes = require('./routes/health-routes.js');
+const streamRoutes = require('./routes/stream-routes.js');
+const { captureRawBody } = require('./utils/requestSignature.js');
+const { watchPlatformConfig } = require('./service/platform-config-reloader.js');
+const { validatePlatformEnvironments, formatValidationReport } = require('./service/config-validator.js');
 
 const app = express();
 
@@ -11,32 +16,73 @@ const app = express();
 // CORS configuration
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-  methods: ['GET', 'POST', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'X-Platform-ID', 'X-API-Key']
+  methods: ['GET', 'HEAD', 'POST', 'PATCH', 'DELETE'],
+  allowedHeaders: [
+    'Content-Type',
+    'X-Platform-ID',
+    'X-API-Key',
+    'Authorization',
+    'X-Key-Id',
+    'X-Timestamp',
+    'X-Nonce',
+    'X-Signature',
+    'X-Content-SHA256',
+    'X-Fields-SHA256',
+    'X-Environment',
+    'Tus-Resumable',
+    'Upload-Length',
+    'Upload-Metadata',
+    'Upload-Offset',
+    'Upload-Defer-Length'
+  ],
+  // Resumable upload clients read these to continue an upload
+  exposedHeaders: [
+    'Location',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Expires',
+    'X-File-Url'
+  ]
 }));
 
-// Body parsing middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Body parsing middleware (raw body is kept for request signature verification)
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    service: 'multi-tenant-file-service'
-  });
-});
+// Liveness (/health) and readiness (/ready) checks
+app.use(healthRoutes);
 
 // API routes
 app.use('/api/files', fileRoutes);
 
+// Signed/public file downloads for providers without their own endpoint (not authenticated)
+app.use('/api/stream', streamRoutes);
+
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
-  console.log(`File service running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+// --strict refuses to start when a platform environment is misconfigured or unreachable
+const strict = process.argv.includes('--strict');
+const checkConnectivity = process.argv.includes('--check-connectivity')
+  || process.env.STARTUP_CONNECTIVITY_CHECK === 'true';
+
+validatePlatformEnvironments({ connectivity: checkConnectivity }).then(report => {
+  console.log(`Platform configuration check:\n${formatValidationReport(report)}`);
+
+  if (!report.valid && strict) {
+    console.error('Refusing to start with an invalid platform configuration (--strict)');
+    process.exit(1);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`File service running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  });
+
+  // Pick up platform config changes on SIGHUP and when the file changes
+  watchPlatformConfig({ watchFile: process.env.PLATFORM_CONFIG_WATCH !== 'false' });
 });
 
 module.exports = app;
\ No newline at end of file
@@ -1,8 +1,224 @@
 // middleware/platform-auth.middleware.js
 const platformConfig = require('../config/platform-config');
+const { verifyApiKey } = require('../utils/hashApiKey');
+const { getRouteScope, hasScope } = require('../utils/keyScopes');
+const { hashBody, buildCanonicalRequest, verifySignature, NonceCache } = require('../utils/requestSignature');
+const { loadJwks, verifyJwt } = require('../utils/verifyJwt');
+
+// Signed requests are accepted for this many seconds either side of the server clock
+const SIGNATURE_TOLERANCE_SECONDS = Number(process.env.SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+// Nonces are kept for the whole window a timestamp can be accepted in
+const nonceCache = new NonceCache(SIGNATURE_TOLERANCE_SECONDS * 2 * 1000);
+
+/**
+ * Find the configured key entry matching the presented API key.
+ * Every entry is compared so the time taken does not reveal which key matched.
+ * @param {string} apiKey - API key sent by the caller
+ * @param {Array<object>} apiKeys - Key entries ({ id, hash, createdAt, expiresAt, revoked })
+ * @returns {object|null} Matching key entry
+ */
+function findApiKey(apiKey, apiKeys = []) {
+  let match = null;
+
+  for (const key of apiKeys) {
+    if (verifyApiKey(apiKey, key.hash) && !match) {
+      match = key;
+    }
+  }
+
+  return match;
+}
+
+/**
+ * Check whether a key entry has passed its expiry date
+ */
+function isApiKeyExpired(key, now = new Date()) {
+  return Boolean(key.expiresAt) && new Date(key.expiresAt) <= now;
+}
 
 /**
- * Middleware to authenticate and determine environment from API key
+ * Authenticate a request carrying X-API-Key
+ * @returns {object} { key } on success, { status, error } on failure
+ */
+function authenticateApiKey(req, config) {
+  const key = findApiKey(req.headers['x-api-key'], config.apiKeys);
+
+  if (!key) {
+    return { status: 403, error: 'Invalid API key for platform and environment' };
+  }
+
+  return { key };
+}
+
+/**
+ * Authenticate an HMAC-SHA256 signed request.
+ * The signature covers method, path, timestamp, nonce and the SHA-256 of the body.
+ * Multipart bodies and tus upload chunks are consumed after authentication, so for those
+ * the caller signs X-Content-SHA256 (hash of the file or chunk) and the route verifies it.
+ * Multipart requests also sign X-Fields-SHA256 (hashFields of the form's text fields), so
+ * bucketName, prefix, access and metadata cannot be changed; the upload route verifies it.
+ * tus uploads carry those fields in Upload-Metadata, whose hash is signed the same way.
+ * @returns {object} { key, contentSha256, fieldsSha256 } on success, { status, error } on failure
+ */
+function authenticateSignature(req, config) {
+  const keyId = req.headers['x-key-id'];
+  const timestamp = req.headers['x-timestamp'];
+  const nonce = req.headers['x-nonce'];
+  const signature = req.headers['x-signature'];
+
+  if (!keyId || !timestamp || !nonce) {
+    return { status: 401, error: 'Signed requests require X-Key-Id, X-Timestamp, X-Nonce and X-Signature headers' };
+  }
+
+  const timestampSeconds = Number(timestamp);
+  const nowSeconds = Math.floor(Date.now() / 1000);
+
+  if (!Number.isInteger(timestampSeconds) || Math.abs(nowSeconds - timestampSeconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { status: 401, error: 'Request timestamp is outside the allowed window' };
+  }
+
+  const contentType = req.headers['content-type'] || '';
+  const isMultipart = contentType.startsWith('multipart/form-data');
+  const isUploadChunk = contentType.startsWith('application/offset+octet-stream');
+  const contentSha256 = isMultipart || isUploadChunk ? req.headers['x-content-sha256'] : undefined;
+
+  const fieldsSha256 = isMultipart ? req.headers['x-fields-sha256'] : undefined;
+
+  if (isMultipart && !contentSha256) {
+    return { status: 401, error: 'Signed multipart requests require an X-Content-SHA256 header' };
+  }
+
+  if (isMultipart && !fieldsSha256) {
+    return { status: 401, error: 'Signed multipart requests require an X-Fields-SHA256 header' };
+  }
+
+  if (isUploadChunk && !contentSha256) {
+    return { status: 401, error: 'Signed upload chunks require an X-Content-SHA256 header' };
+  }
+
+  const canonicalRequest = buildCanonicalRequest({
+    method: req.method,
+    path: req.originalUrl,
+    timestamp,
+    nonce,
+    bodyHash: contentSha256 || hashBody(req.rawBody),
+    fieldsHash: req.headers['upload-metadata'] !== undefined
+      ? hashBody(Buffer.from(req.headers['upload-metadata']))
+      : fieldsSha256
+  });
+
+  const key = (config.apiKeys || []).find(apiKey => apiKey.id === keyId && apiKey.secret);
+
+  if (!key || !verifySignature(key.secret, canonicalRequest, signature)) {
+    return { status: 403, error: 'Invalid request signature' };
+  }
+
+  // Only remember nonces of valid signatures so unauthenticated callers cannot fill the cache
+  if (!nonceCache.add(`${key.id}:${nonce}`)) {
+    return { status: 401, error: 'Request nonce has already been used' };
+  }
+
+  return { key, contentSha256, fieldsSha256 };
+}
+
+/**
+ * Authenticate `Authorization: Bearer <jwt>` against the platform's issuer, audience and JWKS.
+ * Scopes come from the `scopes` (array) or `scope` (space separated) claim, limited to the
+ * configured allowedScopes (defaultScopes when unset), falling back to defaultScopes when the
+ * token has neither claim; bucket/prefix allowlists come from the jwt config.
+ * @returns {object} { key } on success, { status, error } on failure
+ */
+function authenticateJwt(req, config, platformId) {
+  const jwtConfig = config.jwt;
+
+  if (!jwtConfig || !jwtConfig.jwksPath) {
+    return { status: 401, error: 'Bearer tokens are not enabled for platform and environment', notConfigured: true };
+  }
+
+  let payload;
+  try {
+    const token = req.headers.authorization.replace(/^Bearer\s+/i, '');
+    payload = verifyJwt(token, {
+      jwks: loadJwks(jwtConfig.jwksPath),
+      issuer: jwtConfig.issuer,
+      audience: jwtConfig.audience,
+      clockToleranceSeconds: jwtConfig.clockToleranceSeconds
+    });
+  } catch (error) {
+    return { status: 401, error: `Invalid bearer token: ${error.message}` };
+  }
+
+  if (String(payload.platform || '').toLowerCase() !== platformId) {
+    return { status: 403, error: 'Bearer token was not issued for this platform' };
+  }
+
+  const defaultScopes = jwtConfig.defaultScopes || [];
+  // Token claims can only narrow what the platform allows, never grant more (e.g. 'admin')
+  const allowedScopes = jwtConfig.allowedScopes || defaultScopes;
+  let scopes = defaultScopes;
+  if (Array.isArray(payload.scopes)) {
+    scopes = payload.scopes.filter(scope => allowedScopes.includes(scope));
+  } else if (typeof payload.scope === 'string') {
+    scopes = payload.scope.split(' ').filter(scope => scope && allowedScopes.includes(scope));
+  }
+
+  return {
+    key: {
+      id: null,
+      subject: payload.sub,
+      scopes,
+      allowedBuckets: jwtConfig.allowedBuckets,
+      allowedPrefixes: jwtConfig.allowedPrefixes
+    }
+  };
+}
+
+/**
+ * Verify a credential against the keys or token settings of one platform environment
+ * @returns {object} { key } on success, { status, error } on failure
+ */
+function authenticate(authMethod, req, config, platformId) {
+  if (authMethod === 'signature') {
+    return authenticateSignature(req, config);
+  }
+  if (authMethod === 'jwt') {
+    return authenticateJwt(req, config, platformId);
+  }
+  return authenticateApiKey(req, config);
+}
+
+/**
+ * Order environments so the deployment's NODE_ENV (if any) is tried first
+ */
+function orderEnvironments(environments, preferredEnvironment) {
+  if (!preferredEnvironment || !environments.includes(preferredEnvironment)) {
+    return environments;
+  }
+  return [preferredEnvironment, ...environments.filter(environment => environment !== preferredEnvironment)];
+}
+
+/**
+ * Work out which credential the request carries
+ * @returns {string|null} 'signature', 'jwt', 'api-key' or null
+ */
+function getAuthMethod(req) {
+  if (req.headers['x-signature']) {
+    return 'signature';
+  }
+  if (/^Bearer\s+/i.test(req.headers.authorization || '')) {
+    return 'jwt';
+  }
+  if (req.headers['x-api-key']) {
+    return 'api-key';
+  }
+  return null;
+}
+
+/**
+ * Middleware to authenticate the request and determine its environment from the credential
+ * (API key, request signature or bearer token). Each key belongs to exactly one
+ * platform environment; X-Environment can pin the environment explicitly.
  */
 function platformAuthMiddleware(req, res, next) {
   try {
@@ -15,20 +231,25 @@ function platformAuthMiddleware(req, res, next) {
       });
     }
 
-    // Get environment from environment variables
-    const environment = process.env.NODE_ENV;
-    
-    if (!environment) {
-      return res.status(500).json({
+    const authMethod = getAuthMethod(req);
+
+    if (!authMethod) {
+      return res.status(401).json({
         success: false,
-        error: 'Environment not configured'
+        error: 'Missing X-API-Key header, bearer token or request signature'
       });
     }
 
-    // Get platform config for the specified platform and environment
-    let config;
+    const normalizedPlatformId = platformId.trim().toLowerCase();
+    const requestedEnvironment = req.headers['x-environment'];
+
+    // Environments the credential may belong to: the one requested explicitly,
+    // otherwise every environment of the platform with NODE_ENV tried first
+    let environments;
     try {
-      config = platformConfig.getPlatformConfig(platformId.trim().toLowerCase(), environment);
+      environments = requestedEnvironment
+        ? [requestedEnvironment.trim().toLowerCase()]
+        : orderEnvironments(platformConfig.getPlatformEnvironments(normalizedPlatformId), process.env.NODE_ENV);
     } catch (error) {
       return res.status(404).json({
         success: false,
@@ -36,18 +257,84 @@ function platformAuthMiddleware(req, res, next) {
       });
     }
 
-    // // Verify API key matches the platform and environment
-    // if (config.apiKey !== apiKey) {
-    //   return res.status(403).json({
-    //     success: false,
-    //     error: 'Invalid API key for platform and environment'
-    //   });
-    // }
+    // The environment is the one whose keys or token settings accept the credential
+    let environment, config, auth;
+    const failures = [];
+
+    for (const candidate of environments) {
+      let candidateConfig;
+      try {
+        candidateConfig = platformConfig.getPlatformConfig(normalizedPlatformId, candidate);
+      } catch (error) {
+        if (requestedEnvironment) {
+          return res.status(404).json({
+            success: false,
+            error: error.message
+          });
+        }
+        throw error;
+      }
+
+      const result = authenticate(authMethod, req, candidateConfig, normalizedPlatformId);
+
+      if (result.key) {
+        environment = candidate;
+        config = candidateConfig;
+        auth = result;
+        break;
+      }
+
+      failures.push(result);
+    }
+
+    if (!auth) {
+      // Report a real verification failure rather than "not enabled" from another environment
+      const failure = failures.find(result => !result.notConfigured) || failures[0];
+      return res.status(failure.status).json({
+        success: false,
+        error: failure.error
+      });
+    }
+
+    const { key } = auth;
+
+    if (key.revoked) {
+      return res.status(403).json({
+        success: false,
+        error: 'API key has been revoked'
+      });
+    }
+
+    if (isApiKeyExpired(key)) {
+      return res.status(403).json({
+        success: false,
+        error: 'API key has expired'
+      });
+    }
+
+    // Enforce the scope required by the route being called
+    const requiredScope = getRouteScope(req.method, req.path);
+
+    if (requiredScope && !hasScope(key.scopes, requiredScope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key is missing required scope '${requiredScope}'`,
+        missingScope: requiredScope
+      });
+    }
 
-    // Attach context with environment from env
+    // Attach context with the environment of the credential that authenticated the request
     req.platformContext = {
       platformId: platformId,
       environment: environment,
+      keyId: key.id,
+      authMethod: authMethod,
+      ...(key.subject ? { subject: key.subject } : {}),
+      ...(auth.contentSha256 ? { contentSha256: auth.contentSha256 } : {}),
+      ...(auth.fieldsSha256 ? { fieldsSha256: auth.fieldsSha256 } : {}),
+      scopes: key.scopes,
+      allowedBuckets: key.allowedBuckets,
+      allowedPrefixes: key.allowedPrefixes,
       config: config
     };
 
@@ -25,6 +25,114 @@ class AbstractStorageProvider {
     async uploadFile(bucketName, fileData, prefix, fileName, metadata, access) {
       throw new Error('uploadFile method must be implemented');
     }
+
+    /**
+     * Upload file from a stream, without holding the whole file in memory.
+     * Providers that can't stream fall back to reading the stream into a buffer for uploadFile.
+     * @param {string} bucketName - Bucket/container name (from request)
+     * @param {stream.Readable} stream - File contents
+     * @param {string} prefix - Folder prefix (from request)
+     * @param {string} fileName - File name
+     * @param {object} metadata - File metadata
+     * @param {string} access - 'public' or 'private'
+     * @returns {Promise<string>} Permanent storage URL
+     */
+    async uploadStream(bucketName, stream, prefix, fileName, metadata, access) {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+      }
+      return this.uploadFile(bucketName, Buffer.concat(chunks), prefix, fileName, metadata, access);
+    }
+
+    /**
+     * Whether files can be stored in parts (createMultipartUpload, uploadPart,
+     * completeMultipartUpload, abortMultipartUpload). Optional; resumable uploads to
+     * providers without it are staged on local disk and stored with uploadStream.
+     * @returns {boolean}
+     */
+    supportsMultipartUpload() {
+      return false;
+    }
+
+    /**
+     * Start storing a file in parts at bucketName + prefix/fileName
+     * @param {string} bucketName - Bucket/container name (from request)
+     * @param {string} prefix - Folder prefix (from request)
+     * @param {string} fileName - File name
+     * @param {object} metadata - File metadata
+     * @param {string} access - 'public' or 'private'
+     * @returns {Promise<string>} Upload id
+     */
+    async createMultipartUpload(bucketName, prefix, fileName, metadata, access) {
+      throw new Error(`${this.getProviderName()} does not support multipart uploads`);
+    }
+
+    /**
+     * Store one part. Every part but the last must be at least 5 MB (S3's minimum).
+     * @param {number} partNumber - 1-based position of the part
+     * @param {Buffer} data - Part contents
+     * @returns {Promise<object>} Part descriptor ({ partNumber, ... }) to pass to completeMultipartUpload
+     */
+    async uploadPart(bucketName, prefix, fileName, uploadId, partNumber, data) {
+      throw new Error(`${this.getProviderName()} does not support multipart uploads`);
+    }
+
+    /**
+     * Join the stored parts into the file
+     * @param {Array<object>} parts - Descriptors returned by uploadPart
+     * @returns {Promise<string>} Permanent storage URL, as uploadFile returns
+     */
+    async completeMultipartUpload(bucketName, prefix, fileName, uploadId, parts, metadata, access) {
+      throw new Error(`${this.getProviderName()} does not support multipart uploads`);
+    }
+
+    /**
+     * Drop an unfinished multipart upload
+     * @returns {Promise<void>}
+     */
+    async abortMultipartUpload(bucketName, prefix, fileName, uploadId) {
+      throw new Error(`${this.getProviderName()} does not support multipart uploads`);
+    }
+
+    /**
+     * Whether clients can upload straight to storage (generateUploadUrl, completeDirectUpload).
+     * Optional; providers without it only accept uploads through the service.
+     * @returns {boolean}
+     */
+    supportsDirectUpload() {
+      return false;
+    }
+
+    /**
+     * Temporary URL a client can upload one file to, at bucketName + prefix/fileName
+     * @param {string} bucketName - Bucket/container name (from request)
+     * @param {string} prefix - Folder prefix (from request)
+     * @param {string} fileName - File name
+     * @param {object} options - { contentType, contentLength, metadata, access, expiresIn (seconds) }
+     * @returns {Promise<object>} { uploadUrl, method, fields?, headers? } - form fields for a POST or headers for a PUT
+     */
+    async generateUploadUrl(bucketName, prefix, fileName, options) {
+      throw new Error(`${this.getProviderName()} does not support direct uploads`);
+    }
+
+    /**
+     * Apply metadata and access to a file a client uploaded with generateUploadUrl
+     * @returns {Promise<string>} Permanent storage URL, as uploadFile returns
+     */
+    async completeDirectUpload(bucketName, prefix, fileName, metadata, access) {
+      throw new Error(`${this.getProviderName()} does not support direct uploads`);
+    }
+
+    /**
+     * Permanent URL of a stored file (the URL uploadFile returns for bucketName + key)
+     * @param {string} bucketName - Bucket/container name (from request)
+     * @param {string} key - "prefix/fileName" or "fileName"
+     * @returns {string} Permanent storage URL
+     */
+    getFileUrl(bucketName, key) {
+      throw new Error('getFileUrl method must be implemented');
+    }
   
     /**
      * Generate temporary download URL
@@ -39,7 +147,7 @@ class AbstractStorageProvider {
     /**
      * Delete file from storage
      * @param {string} fileUrl - File URL to delete
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean>} Success status, rejects with "File not found" for missing files
      */
     async deleteFile(fileUrl) {
       throw new Error('deleteFile method must be implemented');
@@ -49,7 +157,7 @@ class AbstractStorageProvider {
      * Delete file by bucket name and key
      * @param {string} bucketName - Bucket/container name
      * @param {string} key - File key (can include prefix like "prefix/filename" or just "filename")
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean>} Success status, rejects with "File not found" for missing files
      */
     async deleteFileByBucketKey(bucketName, key) {
       throw new Error('deleteFileByBucketKey method must be implemented');
@@ -67,12 +175,32 @@ class AbstractStorageProvider {
     /**
      * Check if file exists
      * @param {string} fileUrl - File URL
-     * @returns {Promise<boolean>} Exists status
+     * @returns {Promise<boolean>} Exists status; errors other than "not found" reject
      */
     async fileExists(fileUrl) {
       throw new Error('fileExists method must be implemented');
     }
   
+    /**
+     * List the files stored in a bucket, optionally only those under a folder prefix
+     * @param {string} bucketName - Bucket/container name (from request)
+     * @param {string} prefix - Folder prefix (from request); empty for the whole bucket
+     * @returns {Promise<Array<string>>} Keys ("prefix/fileName") relative to the bucket
+     */
+    async listFiles(bucketName, prefix) {
+      throw new Error('listFiles method must be implemented');
+    }
+  
+    /**
+     * Read a stored file's contents
+     * @param {string} bucketName - Bucket/container name (from request)
+     * @param {string} key - "prefix/fileName" or "fileName"
+     * @returns {Promise<Buffer>} File contents, rejects with "File not found" for missing files
+     */
+    async getFileContent(bucketName, key) {
+      throw new Error('getFileContent method must be implemented');
+    }
+  
     /**
      * Check if bucket/container is public
      * @param {string} bucketName - Bucket/container name
@@ -91,6 +219,33 @@ class AbstractStorageProvider {
       throw new Error('parseUrl method must be implemented');
     }
   
+    /**
+     * Resolve a storage URL to the bucket name and key used in requests
+     * (the inverse of uploadFile's bucketName + prefix/fileName layout)
+     * @param {string} url - Storage URL
+     * @returns {object} { bucketName, key }
+     */
+    parseBucketKey(url) {
+      throw new Error('parseBucketKey method must be implemented');
+    }
+  
+    /**
+     * Lightweight connectivity check against the configured account/bucket
+     * @returns {Promise<boolean>} Resolves true when reachable, rejects otherwise
+     */
+    async healthCheck() {
+      throw new Error('healthCheck method must be implemented');
+    }
+  
+    /**
+     * Check provider settings without connecting
+     * @param {object} config - Platform environment config
+     * @returns {Array<string>} Problems found
+     */
+    static validateConfig(config) {
+      return [];
+    }
+  
     /**
      * Get provider name
      * @returns {string} Provider name
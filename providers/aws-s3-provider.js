@@ -7,14 +7,40 @@ const {
   GetObjectAclCommand,
   CreateBucketCommand,
   HeadBucketCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
   PutBucketOwnershipControlsCommand,  // ← Add this
   PutPublicAccessBlockCommand,          // ← Add this
   GetBucketAclCommand
 } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { createPresignedPost } = require('@aws-sdk/s3-presigned-post');
+const { Upload } = require('@aws-sdk/lib-storage');
 const { GetObjectCommand } = require('@aws-sdk/client-s3');
 const AbstractStorageProvider = require('./abstract-storage-provider');
-const config = require('../config/platform-config');
+
+/**
+ * True for S3 "object/bucket does not exist" errors
+ */
+const isNotFound = (error) => {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' || error.code === 'NotFound' ||
+    error.$metadata?.httpStatusCode === 404;
+};
+
+/**
+ * Accept YAML booleans and "true"/"false" from ${ENV_VAR} interpolation
+ */
+const isEnabled = (value) => value === true || value === 'true';
+
+// Streamed uploads hold at most UPLOAD_QUEUE_SIZE parts of UPLOAD_PART_SIZE in memory (S3 minimum part size is 5 MB)
+const UPLOAD_PART_SIZE = 5 * 1024 * 1024;
+const UPLOAD_QUEUE_SIZE = 4;
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+const decodeKey = (path) => path.split('/').filter(part => part.length > 0).map(decodeURIComponent).join('/');
 
 class AWSS3StorageProvider extends AbstractStorageProvider {
   constructor(config) {
@@ -24,15 +50,71 @@ class AWSS3StorageProvider extends AbstractStorageProvider {
       throw new Error('AWS credentials and region are required');
     }
 
+    this.region = config.region;
+    this.forcePathStyle = isEnabled(config.forcePathStyle);
+    // S3-compatible services (MinIO, Ceph, Wasabi) are reached through a custom endpoint
+    this.endpoint = config.endpoint
+      ? new URL(config.endpoint)
+      : new URL(`https://s3.${config.region}.amazonaws.com`);
+
     this.s3Client = new S3Client({
       region: config.region,
       credentials: {
         accessKeyId: config.accessKeyId,
         secretAccessKey: config.secretAccessKey
-      }
+      },
+      ...(config.endpoint ? { endpoint: config.endpoint } : {}),
+      ...(this.forcePathStyle ? { forcePathStyle: true } : {})
     });
+  }
 
-    this.region = config.region;
+  /**
+   * URL of an object in a physical bucket, path-style ("<endpoint>/<bucket>/<key>")
+   * or virtual-hosted ("<scheme>://<bucket>.<endpoint host>/<key>")
+   */
+  buildObjectUrl(physicalBucket, key) {
+    const { protocol, host } = this.endpoint;
+    const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+
+    if (this.forcePathStyle) {
+      return `${protocol}//${host}${basePath}/${physicalBucket}/${encodeKey(key)}`;
+    }
+
+    // AWS virtual-hosted URLs keep the regional "<bucket>.s3.<region>" form
+    return `${protocol}//${physicalBucket}.${host}${basePath}/${encodeKey(key)}`;
+  }
+
+  /**
+   * Object key of "<prefix>/<fileName>" in a logical bucket.
+   * Logical buckets are folders inside the platform's configured (globally unique) bucket.
+   */
+  buildObjectKey(bucketName, prefix, fileName) {
+    return [bucketName, prefix, fileName].filter(Boolean).join('/');
+  }
+
+  /**
+   * PutObject parameters for "<bucketName>/<prefix>/<fileName>" in the configured bucket
+   */
+  buildUploadParams(bucketName, body, prefix, fileName, metadata = {}, access = 'private') {
+    // Convert metadata to AWS format (string values only)
+    const awsMetadata = {};
+    Object.keys(metadata).forEach(key => {
+      awsMetadata[key] = String(metadata[key]);
+    });
+
+    awsMetadata.uploadedAt = new Date().toISOString();
+    awsMetadata.provider = 's3';
+    awsMetadata.access = access;
+
+    // Set object-level ACL
+    return {
+      Bucket: this.config.bucketName,
+      Key: this.buildObjectKey(bucketName, prefix, fileName),
+      Body: body,
+      ContentType: metadata.contentType || 'application/octet-stream',
+      Metadata: awsMetadata,
+      ...(access === 'public' ? { ACL: 'public-read' } : {}),
+    };
   }
 
   /**
@@ -40,44 +122,173 @@ class AWSS3StorageProvider extends AbstractStorageProvider {
    */
   async uploadFile(bucketName, fileData, prefix, fileName, metadata = {}, access = 'private') {
     try {
-      // Ensure bucket exists and its access level matches request
-      const platformConfig = config.getPlatformConfig(metadata.platformId, metadata.environment);
-      let bucketNameValue = platformConfig.bucketName
+      await this.ensureBucketExists(this.config.bucketName);
+
+      const command = new PutObjectCommand(this.buildUploadParams(bucketName, fileData, prefix, fileName, metadata, access));
 
-      let prefixValue = prefix ? `${bucketName}/${prefix}` : bucketName;
-      await this.ensureBucketExists(bucketNameValue);
+      await this.s3Client.send(command);
+
+      return this.getFileUrl(bucketName, prefix ? `${prefix}/${fileName}` : fileName);
+    } catch (error) {
+      throw new Error(`S3 upload failed: ${error.message}`, { cause: error });
+    }
+  }
 
-      // Convert metadata to AWS format (string values only)
-      const awsMetadata = {};
-      Object.keys(metadata).forEach(key => {
-        awsMetadata[key] = String(metadata[key]);
+  /**
+   * Upload a stream as a multipart upload; only a few parts are held in memory at a time
+   * and a failed upload is aborted so no parts are left behind
+   */
+  async uploadStream(bucketName, stream, prefix, fileName, metadata = {}, access = 'private') {
+    try {
+      await this.ensureBucketExists(this.config.bucketName);
+
+      const upload = new Upload({
+        client: this.s3Client,
+        params: this.buildUploadParams(bucketName, stream, prefix, fileName, metadata, access),
+        queueSize: UPLOAD_QUEUE_SIZE,
+        partSize: UPLOAD_PART_SIZE,
+        leavePartsOnError: false
       });
 
-      awsMetadata.uploadedAt = new Date().toISOString();
-      awsMetadata.provider = 's3';
-      awsMetadata.access = access;
+      await upload.done();
 
-      // Construct full key with prefix
-      const key = prefixValue ? `${prefixValue}/${fileName}` : fileName;
+      return this.getFileUrl(bucketName, prefix ? `${prefix}/${fileName}` : fileName);
+    } catch (error) {
+      throw new Error(`S3 upload failed: ${error.message}`, { cause: error });
+    }
+  }
 
-      
-      // Set object-level ACL
-      const command = new PutObjectCommand({
-        Bucket: bucketNameValue,
-        Key: key,
-        Body: fileData,
-        Metadata: awsMetadata,
-        ...(access === 'public' ? { ACL: 'public-read' } : {}),
+  supportsMultipartUpload() {
+    return true;
+  }
+
+  /**
+   * Start a multipart upload; content type, metadata and ACL are fixed here
+   */
+  async createMultipartUpload(bucketName, prefix, fileName, metadata = {}, access = 'private') {
+    try {
+      await this.ensureBucketExists(this.config.bucketName);
+
+      const { Body, ...params } = this.buildUploadParams(bucketName, undefined, prefix, fileName, metadata, access);
+      const { UploadId } = await this.s3Client.send(new CreateMultipartUploadCommand(params));
+
+      return UploadId;
+    } catch (error) {
+      throw new Error(`S3 multipart upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async uploadPart(bucketName, prefix, fileName, uploadId, partNumber, data) {
+    try {
+      const { ETag } = await this.s3Client.send(new UploadPartCommand({
+        Bucket: this.config.bucketName,
+        Key: this.buildObjectKey(bucketName, prefix, fileName),
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: data
+      }));
+
+      return { partNumber, etag: ETag };
+    } catch (error) {
+      throw new Error(`S3 part upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Join the uploaded parts into the object
+   */
+  async completeMultipartUpload(bucketName, prefix, fileName, uploadId, parts) {
+    try {
+      await this.s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.config.bucketName,
+        Key: this.buildObjectKey(bucketName, prefix, fileName),
+        UploadId: uploadId,
+        MultipartUpload: {
+          // S3 requires the parts in ascending order
+          Parts: [...parts]
+            .sort((a, b) => a.partNumber - b.partNumber)
+            .map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+        }
+      }));
+
+      return this.getFileUrl(bucketName, prefix ? `${prefix}/${fileName}` : fileName);
+    } catch (error) {
+      throw new Error(`S3 multipart upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Drop an unfinished multipart upload and the parts stored for it
+   */
+  async abortMultipartUpload(bucketName, prefix, fileName, uploadId) {
+    try {
+      await this.s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: this.config.bucketName,
+        Key: this.buildObjectKey(bucketName, prefix, fileName),
+        UploadId: uploadId
+      }));
+    } catch (error) {
+      throw new Error(`S3 multipart abort failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  supportsDirectUpload() {
+    return true;
+  }
+
+  /**
+   * Presigned POST for "<bucketName>/<prefix>/<fileName>". The policy pins the key, the exact
+   * size, the content type, the ACL and the metadata, so nothing else can be stored with it.
+   */
+  async generateUploadUrl(bucketName, prefix, fileName, { contentType, contentLength, metadata = {}, access = 'private', expiresIn = 900 } = {}) {
+    try {
+      await this.ensureBucketExists(this.config.bucketName);
+
+      const { Key, ContentType, Metadata, ACL } = this.buildUploadParams(
+        bucketName, undefined, prefix, fileName, { ...metadata, contentType }, access
+      );
+      const fields = { 'Content-Type': ContentType };
+      if (ACL) {
+        fields.acl = ACL;
+      }
+      Object.entries(Metadata).forEach(([name, value]) => {
+        fields[`x-amz-meta-${name.toLowerCase()}`] = value;
       });
 
-      await this.s3Client.send(command);
+      const { url, fields: signedFields } = await createPresignedPost(this.s3Client, {
+        Bucket: this.config.bucketName,
+        Key,
+        Conditions: [['content-length-range', contentLength, contentLength]],
+        Fields: fields,
+        Expires: expiresIn
+      });
 
-      return `https://${bucketNameValue}.s3.${this.region}.amazonaws.com/${key}`;
+      return { uploadUrl: url, method: 'POST', fields: signedFields };
     } catch (error) {
-      throw new Error(`S3 upload failed: ${error.message}`);
+      throw new Error(`S3 upload URL generation failed: ${error.message}`, { cause: error });
     }
   }
 
+  /**
+   * Metadata and ACL were part of the POST policy; only check that the object arrived
+   */
+  async completeDirectUpload(bucketName, prefix, fileName) {
+    const url = this.getFileUrl(bucketName, prefix ? `${prefix}/${fileName}` : fileName);
+
+    if (!(await this.fileExists(url))) {
+      throw new Error('File not found');
+    }
+
+    return url;
+  }
+
+  /**
+   * Permanent URL of "<logicalBucket>/<key>" in the configured bucket
+   */
+  getFileUrl(bucketName, key) {
+    return this.buildObjectUrl(this.config.bucketName, `${bucketName}/${key}`);
+  }
+
   /**
    * Ensure S3 bucket exists with ACLs enabled
    */
@@ -234,48 +445,45 @@ class AWSS3StorageProvider extends AbstractStorageProvider {
         fileName: key.split('/').pop(),
       };
     } catch (error) {
-      throw new Error(`S3 download URL generation failed: ${error.message}`);
+      throw new Error(`S3 download URL generation failed: ${error.message}`, { cause: error });
     }
   }
 
-  async deleteFile(fileUrl) {
+  /**
+   * Delete an object, failing with "File not found" when it does not exist
+   * (DeleteObject itself succeeds for missing keys)
+   */
+  async deleteObject(bucketName, key) {
     try {
-      const { bucketName, key } = this.parseUrl(fileUrl);
+      await this.s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key }));
+    } catch (error) {
+      throw isNotFound(error) ? new Error('File not found') : error;
+    }
 
-      const command = new DeleteObjectCommand({
-        Bucket: bucketName,
-        Key: key
-      });
+    await this.s3Client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: key }));
+    return true;
+  }
 
-      await this.s3Client.send(command);
-      return true;
+  async deleteFile(fileUrl) {
+    try {
+      const { bucketName, key } = this.parseUrl(fileUrl);
+      return await this.deleteObject(bucketName, key);
     } catch (error) {
-      throw new Error(`S3 delete failed: ${error.message}`);
+      throw new Error(`S3 delete failed: ${error.message}`, { cause: error });
     }
   }
 
   /**
    * Delete file by bucket name and key
-   * @param {string} bucketName - Bucket name
+   * @param {string} bucketName - Logical bucket name (folder inside the configured bucket)
    * @param {string} key - File key (can include prefix like "prefix/filename" or just "filename")
    * @returns {Promise<boolean>} Success status
    */
-  async deleteFileByBucketKey(bucketName, key, metadata) {
+  async deleteFileByBucketKey(bucketName, key) {
     try {
-      const platformConfig = config.getPlatformConfig(metadata.platformId, metadata.environment);
-      let bucketNameValue = platformConfig.bucketName
-      let keyValue = key ? bucketName + '/' + key : bucketName;
-
-
-      const command = new DeleteObjectCommand({
-        Bucket: bucketNameValue,
-        Key: keyValue
-      });
-
-      await this.s3Client.send(command);
-      return true;
+      return await this.deleteObject(this.config.bucketName, key ? `${bucketName}/${key}` : bucketName);
     } catch (error) {
-      throw new Error(`S3 delete by bucket key failed: ${error.message}`);
+      throw new Error(`S3 delete by bucket key failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -288,7 +496,12 @@ class AWSS3StorageProvider extends AbstractStorageProvider {
         Key: key
       });
 
-      const response = await this.s3Client.send(command);
+      let response;
+      try {
+        response = await this.s3Client.send(command);
+      } catch (error) {
+        throw isNotFound(error) ? new Error('File not found') : error;
+      }
 
       return {
         contentType: response.ContentType,
@@ -299,7 +512,7 @@ class AWSS3StorageProvider extends AbstractStorageProvider {
         provider: 's3'
       };
     } catch (error) {
-      throw new Error(`S3 metadata fetch failed: ${error.message}`);
+      throw new Error(`S3 metadata fetch failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -315,33 +528,124 @@ class AWSS3StorageProvider extends AbstractStorageProvider {
       await this.s3Client.send(command);
       return true;
     } catch (error) {
-      if (error.name === 'NotFound' || error.code === 'NotFound') {
+      if (isNotFound(error)) {
         return false;
       }
       throw error;
     }
   }
 
+  /**
+   * Keys under "<logicalBucket>/<prefix>/" in the configured bucket, following continuation tokens
+   */
+  async listFiles(bucketName, prefix = '') {
+    try {
+      const folder = `${bucketName}/`;
+      const folderPrefix = prefix ? `${folder}${prefix.replace(/^\/+|\/+$/g, '')}/` : folder;
+      const keys = [];
+      let continuationToken;
+
+      do {
+        const response = await this.s3Client.send(new ListObjectsV2Command({
+          Bucket: this.config.bucketName,
+          Prefix: folderPrefix,
+          ContinuationToken: continuationToken
+        }));
+
+        (response.Contents || [])
+          // Zero-byte "folder/" placeholders created by consoles are not files
+          .filter(({ Key }) => !Key.endsWith('/'))
+          .forEach(({ Key }) => keys.push(Key.substring(folder.length)));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return keys;
+    } catch (error) {
+      throw new Error(`S3 list failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getFileContent(bucketName, key) {
+    try {
+      let response;
+      try {
+        response = await this.s3Client.send(new GetObjectCommand({
+          Bucket: this.config.bucketName,
+          Key: `${bucketName}/${key}`
+        }));
+      } catch (error) {
+        throw isNotFound(error) ? new Error('File not found') : error;
+      }
+
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      throw new Error(`S3 read failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Open a stored file for streaming, e.g. to copy it to a replica without buffering it
+   * @returns {Promise<object>} { stream, contentType, contentLength, fileName }
+   */
+  async getFileStream(bucketName, key) {
+    let response;
+    try {
+      response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.config.bucketName,
+        Key: `${bucketName}/${key}`
+      }));
+    } catch (error) {
+      throw isNotFound(error) ? new Error('File not found') : error;
+    }
+
+    return {
+      stream: response.Body,
+      contentType: response.ContentType || 'application/octet-stream',
+      contentLength: response.ContentLength,
+      fileName: key.split('/').pop()
+    };
+  }
+
+  /**
+   * Parse path-style and virtual-hosted URLs for AWS and the configured endpoint.
+   * Query strings (e.g. presigned URL parameters) are ignored. URLs of other buckets are
+   * rejected: requests always go to the configured bucket, so their key would name a different file.
+   */
   parseUrl(url) {
     try {
       const urlObj = new URL(url);
-      
+      const endpointHost = this.endpoint.hostname;
+      const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+      const pathname = basePath && urlObj.pathname.startsWith(`${basePath}/`)
+        ? urlObj.pathname.substring(basePath.length)
+        : urlObj.pathname;
+
+      // Virtual-hosted AWS URLs: <bucket>.s3.<region>.amazonaws.com, <bucket>.s3-<region>.amazonaws.com, <bucket>.s3.amazonaws.com
+      const awsVirtualHost = urlObj.hostname.match(/^(.+)\.s3[.-](?:[a-z0-9-]+\.)?amazonaws\.com$/);
+
       let bucketName, key;
 
-      if (urlObj.hostname.includes('.s3.')) {
-        bucketName = urlObj.hostname.split('.')[0];
-        key = urlObj.pathname.substring(1);
+      if (awsVirtualHost) {
+        bucketName = awsVirtualHost[1];
+        key = decodeKey(urlObj.pathname);
+      } else if (urlObj.hostname !== endpointHost && urlObj.hostname.endsWith(`.${endpointHost}`)) {
+        bucketName = urlObj.hostname.slice(0, -(endpointHost.length + 1));
+        key = decodeKey(pathname);
       } else {
-        const pathParts = urlObj.pathname.split('/').filter(part => part.length > 0);
-        bucketName = pathParts[0];
-        key = pathParts.slice(1).join('/');
+        const pathParts = pathname.split('/').filter(part => part.length > 0);
+        bucketName = decodeURIComponent(pathParts[0]);
+        key = decodeKey(pathParts.slice(1).join('/'));
+      }
+
+      if (bucketName !== this.config.bucketName) {
+        throw new Error(`URL is not in bucket ${this.config.bucketName}`);
       }
 
       return {
         bucketName,
         key,
         region: this.region,
-        baseUrl: `https://${bucketName}.s3.${this.region}.amazonaws.com`,
+        baseUrl: this.buildObjectUrl(bucketName, '').replace(/\/$/, ''),
         fullPath: `/${key}`
       };
     } catch (error) {
@@ -349,6 +653,43 @@ class AWSS3StorageProvider extends AbstractStorageProvider {
     }
   }
 
+  /**
+   * Resolve a file URL to the logical bucket and key used in requests.
+   * Uploads are stored as "<logicalBucket>/<prefix>/<fileName>" inside the configured bucket.
+   */
+  parseBucketKey(url) {
+    const { key } = this.parseUrl(url);
+    const [bucketName, ...keyParts] = key.split('/');
+
+    return {
+      bucketName,
+      key: keyParts.join('/')
+    };
+  }
+
+  /**
+   * HeadBucket on the configured bucket
+   */
+  async healthCheck() {
+    await this.s3Client.send(new HeadBucketCommand({ Bucket: this.config.bucketName }));
+    return true;
+  }
+
+  static validateConfig(config) {
+    const errors = ['accessKeyId', 'secretAccessKey', 'region', 'bucketName']
+      .filter(field => !config[field])
+      .map(field => `${field} is required for provider 's3'`);
+
+    if (config.endpoint && !/^https?:\/\/[^/]+/.test(config.endpoint)) {
+      errors.push('endpoint must be an http(s) URL');
+    }
+    if (config.forcePathStyle !== undefined && ![true, false, 'true', 'false'].includes(config.forcePathStyle)) {
+      errors.push('forcePathStyle must be true or false');
+    }
+
+    return errors;
+  }
+
   getProviderName() {
     return 's3';
   }
@@ -6,22 +6,87 @@ const {
   BlobSASPermissions,
   SASProtocol
 } = require('@azure/storage-blob');
+const { ClientSecretCredential } = require('@azure/identity');
+const crypto = require('crypto');
 const AbstractStorageProvider = require('./abstract-storage-provider');
-
+const { signDownload, verifyDownloadSignature } = require('../utils/signedDownload');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Azure caps user delegation keys (and the SAS signed with them) at 7 days
+const MAX_USER_DELEGATION_KEY_MS = 7 * 24 * HOUR_MS;
+// Streamed uploads stage blocks of UPLOAD_BLOCK_SIZE, UPLOAD_MAX_CONCURRENCY at a time
+const UPLOAD_BLOCK_SIZE = 4 * 1024 * 1024;
+const UPLOAD_MAX_CONCURRENCY = 4;
+
+/**
+ * Rethrow Azure "blob not found" errors as "File not found"
+ */
+const toNotFound = (error) => {
+  return error.statusCode === 404 ? new Error('File not found') : error;
+};
+
+/**
+ * Permanent URL of a blob. Clients built from a SAS-only connection string carry the account
+ * SAS in their URL; it must never reach callers.
+ */
+const blobUrl = (blobClient) => {
+  return blobClient.url.split('?')[0];
+};
+
+/**
+ * Split "Name=value;Name=value" into an object (values may contain "=")
+ */
+const parseConnectionString = (connectionString) => {
+  return Object.fromEntries(
+    connectionString.split(';')
+      .filter(part => part.includes('='))
+      .map(part => [part.slice(0, part.indexOf('=')).trim(), part.slice(part.indexOf('=') + 1).trim()])
+  );
+};
+
+/**
+ * Authenticates with, in order of preference:
+ * - a connection string holding an AccountKey or only a SharedAccessSignature
+ * - a service principal (tenantId, clientId, clientSecret) with a role on the account
+ * - accountName + accountKey
+ * Private downloads are signed with the account key or a user delegation key. A SAS-only
+ * connection string cannot sign new SAS, so private downloads then go through the service's
+ * stream endpoint (streamBaseUrl) with links signed by the provider.
+ */
 class AzureStorageProvider extends AbstractStorageProvider {
   constructor(config) {
     super(config);
     
-    if (!config.connectionString && (!config.accountName || !config.accountKey)) {
+    const hasServicePrincipal = config.tenantId && config.clientId && config.clientSecret;
+
+    if (!config.connectionString && !hasServicePrincipal && (!config.accountName || !config.accountKey)) {
       throw new Error('Azure connection string or account credentials required');
     }
 
-    // Extract account name and key
     if (config.connectionString) {
-      this.accountName = this.extractAccountName(config.connectionString);
-      this.accountKey = this.extractAccountKey(config.connectionString);
+      const parts = parseConnectionString(config.connectionString);
+
+      if (parts.AccountKey) {
+        this.authMode = 'sharedKey';
+        this.accountName = this.extractAccountName(config.connectionString);
+        this.accountKey = parts.AccountKey;
+      } else if (parts.SharedAccessSignature) {
+        this.authMode = 'sas';
+        this.accountName = parts.AccountName || (parts.BlobEndpoint && new URL(parts.BlobEndpoint).hostname.split('.')[0]);
+      } else {
+        throw new Error('Connection string must contain AccountKey or SharedAccessSignature');
+      }
       this.blobServiceClient = BlobServiceClient.fromConnectionString(config.connectionString);
+    } else if (hasServicePrincipal) {
+      this.authMode = 'servicePrincipal';
+      this.accountName = config.accountName || new URL(config.blobEndpoint).hostname.split('.')[0];
+      const credential = new ClientSecretCredential(config.tenantId, config.clientId, config.clientSecret);
+      this.blobServiceClient = new BlobServiceClient(
+        config.blobEndpoint || `https://${this.accountName}.blob.core.windows.net`,
+        credential
+      );
     } else {
+      this.authMode = 'sharedKey';
       this.accountName = config.accountName;
       this.accountKey = config.accountKey;
       const credential = new StorageSharedKeyCredential(this.accountName, this.accountKey);
@@ -31,34 +96,90 @@ class AzureStorageProvider extends AbstractStorageProvider {
       );
     }
 
-
     // Create credential for SAS generation
-    this.sharedKeyCredential = new StorageSharedKeyCredential(
-      this.accountName, 
-      this.accountKey
-    );
+    if (this.authMode === 'sharedKey') {
+      this.sharedKeyCredential = new StorageSharedKeyCredential(
+        this.accountName, 
+        this.accountKey
+      );
+    }
+
+    // Pending or fetched { expiresOn, key } user delegation key, shared by concurrent downloads
+    this.userDelegationKey = null;
+
+    // Stream endpoint for private downloads when SAS cannot be signed
+    this.streamBaseUrl = config.streamBaseUrl ? config.streamBaseUrl.replace(/\/+$/, '') : null;
+    // A random secret invalidates signed links on restart; set signingSecret to keep them stable
+    this.signingSecret = config.signingSecret || crypto.randomBytes(32).toString('hex');
   }
 
   /**
    * Extract account name from connection string
    */
   extractAccountName(connectionString) {
-    const match = connectionString.match(/AccountName=([^;]+)/);
-    if (!match) {
+    const accountName = parseConnectionString(connectionString).AccountName;
+    if (!accountName) {
       throw new Error('Could not extract AccountName from connection string');
     }
-    return match[1];
+    return accountName;
   }
 
   /**
-   * Extract account key from connection string
+   * Block blob client for "<prefix>/<fileName>", creating the container on first use.
+   * Access is per container in Azure, so an existing container must match the requested access.
    */
-  extractAccountKey(connectionString) {
-    const match = connectionString.match(/AccountKey=([^;]+)/);
-    if (!match) {
-      throw new Error('Could not extract AccountKey from connection string');
+  async getUploadBlobClient(bucketName, prefix, fileName, access) {
+    const containerClient = this.blobServiceClient.getContainerClient(bucketName);
+
+    // Check if container exists before creating
+    const containerExists = await containerClient.exists();
+
+    // Create container if not exists (defaults to private)
+    // Only set access policy when creating a new container
+    if (!containerExists) {
+      await containerClient.create();
+      // Set access policy only if public access is requested
+      if (access === 'public') {
+        await containerClient.setAccessPolicy('blob');   // blob-level public access
+      }
+    } else {
+      // If container already exists, ensure its access matches the request
+      const isPublic = await this.isContainerPublic(bucketName);
+      const containerAccess = isPublic ? 'public' : 'private';
+
+      if (containerAccess !== access) {
+        throw new Error(
+          `Container ${bucketName} access mismatch: currently ${containerAccess}, requested ${access}`
+        );
+      }
     }
-    return match[1];
+
+    // Construct full blob path
+    const blobPath = prefix ? `${prefix}/${fileName}` : fileName;
+    return containerClient.getBlockBlobClient(blobPath);
+  }
+
+  /**
+   * Content type and metadata headers for an upload
+   */
+  buildUploadOptions(metadata, access) {
+    // Blob metadata values must be strings
+    const blobMetadata = {};
+    Object.keys(metadata).forEach(key => {
+      blobMetadata[key] = String(metadata[key]);
+    });
+
+    return {
+      blobHTTPHeaders: {
+        blobContentType: metadata.contentType || 'application/octet-stream'
+      },
+      metadata: {
+        uploadedAt: new Date().toISOString(),
+        provider: 'azure',
+        access,
+        ...blobMetadata
+      }
+    };
   }
 
   /**
@@ -66,52 +187,178 @@ class AzureStorageProvider extends AbstractStorageProvider {
    */
   async uploadFile(bucketName, fileData, prefix, fileName, metadata = {}, access = 'private') {
     try {
-      const containerClient = this.blobServiceClient.getContainerClient(bucketName);
-  
-      // Check if container exists before creating
-      const containerExists = await containerClient.exists();
-
-      // Create container if not exists (defaults to private)
-      // Only set access policy when creating a new container
-      if (!containerExists) {
-        await containerClient.create();
-        // Set access policy only if public access is requested
-        if (access === 'public') {
-          await containerClient.setAccessPolicy('blob');   // blob-level public access
-        }
-      } else {
-        // If container already exists, ensure its access matches the request
-        const isPublic = await this.isContainerPublic(bucketName);
-        const containerAccess = isPublic ? 'public' : 'private';
-
-        if (containerAccess !== access) {
-          throw new Error(
-            `Container ${bucketName} access mismatch: currently ${containerAccess}, requested ${access}`
-          );
-        }
-      }
-  
-      // Construct full blob path
-      const blobPath = prefix ? `${prefix}/${fileName}` : fileName;
-      const blockBlobClient = containerClient.getBlockBlobClient(blobPath);
-  
+      const blockBlobClient = await this.getUploadBlobClient(bucketName, prefix, fileName, access);
+
       // Upload file with metadata
-      await blockBlobClient.upload(fileData, fileData.length, {
-        metadata: {
-          uploadedAt: new Date().toISOString(),
-          provider: 'azure',
-          ...metadata
-        }
-      });
+      await blockBlobClient.upload(fileData, fileData.length, this.buildUploadOptions(metadata, access));
   
       // Return actual permanent blob URL
-      return blockBlobClient.url;
+      return blobUrl(blockBlobClient);
   
     } catch (error) {
-      throw new Error(`Azure upload failed: ${error.message}`);
+      throw new Error(`Azure upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Upload a stream as staged blocks, holding at most UPLOAD_MAX_CONCURRENCY blocks in memory
+   */
+  async uploadStream(bucketName, stream, prefix, fileName, metadata = {}, access = 'private') {
+    try {
+      const blockBlobClient = await this.getUploadBlobClient(bucketName, prefix, fileName, access);
+
+      await blockBlobClient.uploadStream(
+        stream,
+        UPLOAD_BLOCK_SIZE,
+        UPLOAD_MAX_CONCURRENCY,
+        this.buildUploadOptions(metadata, access)
+      );
+
+      return blobUrl(blockBlobClient);
+    } catch (error) {
+      throw new Error(`Azure upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  supportsMultipartUpload() {
+    return true;
+  }
+
+  /**
+   * Start a staged-block upload. Azure needs no call until the first block; the upload id
+   * only keeps block ids of different attempts at the same blob apart.
+   */
+  async createMultipartUpload(bucketName, prefix, fileName, metadata = {}, access = 'private') {
+    try {
+      await this.getUploadBlobClient(bucketName, prefix, fileName, access);
+      return crypto.randomBytes(8).toString('hex');
+    } catch (error) {
+      throw new Error(`Azure multipart upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Block blob client of "<prefix>/<fileName>" without checking the container
+   */
+  getBlobClient(bucketName, prefix, fileName) {
+    return this.blobServiceClient
+      .getContainerClient(bucketName)
+      .getBlockBlobClient(prefix ? `${prefix}/${fileName}` : fileName);
+  }
+
+  async uploadPart(bucketName, prefix, fileName, uploadId, partNumber, data) {
+    try {
+      // Block ids must be base64 and all the same length within a blob
+      const blockId = Buffer.from(`${uploadId}-${String(partNumber).padStart(6, '0')}`).toString('base64');
+      await this.getBlobClient(bucketName, prefix, fileName).stageBlock(blockId, data, data.length);
+
+      return { partNumber, blockId };
+    } catch (error) {
+      throw new Error(`Azure block upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Commit the staged blocks in part order; content type and metadata are set here
+   */
+  async completeMultipartUpload(bucketName, prefix, fileName, uploadId, parts, metadata = {}, access = 'private') {
+    try {
+      const blockBlobClient = this.getBlobClient(bucketName, prefix, fileName);
+      const blockIds = [...parts].sort((a, b) => a.partNumber - b.partNumber).map(part => part.blockId);
+
+      await blockBlobClient.commitBlockList(blockIds, this.buildUploadOptions(metadata, access));
+
+      return blobUrl(blockBlobClient);
+    } catch (error) {
+      throw new Error(`Azure multipart upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Azure discards uncommitted blocks by itself after a week, so there is nothing to undo
+   */
+  async abortMultipartUpload(bucketName, prefix, fileName, uploadId) {}
+
+  /**
+   * Direct uploads need a SAS signed by this service, which SAS-only connection strings cannot do
+   */
+  supportsDirectUpload() {
+    return this.authMode !== 'sas';
+  }
+
+  /**
+   * Sign a SAS token with the account key, or a user delegation key for service principals
+   */
+  async signBlobSas(sasValues) {
+    return this.authMode === 'servicePrincipal'
+      ? generateBlobSASQueryParameters(sasValues, await this.getUserDelegationKey(sasValues.expiresOn), this.accountName).toString()
+      : generateBlobSASQueryParameters(sasValues, this.sharedKeyCredential).toString();
+  }
+
+  /**
+   * Write-only (create + write) SAS URL for one blob. The container is created with the
+   * requested access now; content type and metadata are applied by completeDirectUpload,
+   * since a SAS cannot restrict what the client sends.
+   */
+  async generateUploadUrl(bucketName, prefix, fileName, { contentType, access = 'private', expiresIn = 900 } = {}) {
+    try {
+      if (!this.supportsDirectUpload()) {
+        throw new Error('SAS-only connection strings cannot sign upload URLs');
+      }
+
+      const blockBlobClient = await this.getUploadBlobClient(bucketName, prefix, fileName, access);
+      const expiresOn = new Date(Date.now() + expiresIn * 1000);
+      const sasToken = await this.signBlobSas({
+        containerName: bucketName,
+        blobName: prefix ? `${prefix}/${fileName}` : fileName,
+        permissions: BlobSASPermissions.parse('cw'),
+        startsOn: new Date(Date.now() - 5 * 60 * 1000), // clock skew buffer
+        expiresOn,
+        protocol: SASProtocol.Https,
+        version: '2021-06-08'
+      });
+
+      return {
+        uploadUrl: `${blobUrl(blockBlobClient)}?${sasToken}`,
+        method: 'PUT',
+        headers: {
+          'x-ms-blob-type': 'BlockBlob',
+          'Content-Type': contentType || 'application/octet-stream'
+        }
+      };
+    } catch (error) {
+      throw new Error(`Azure SAS generation failed: ${error.message}`, { cause: error });
     }
   }
 
+  /**
+   * Replace whatever content type and metadata the client sent with the ones the service chose
+   */
+  async completeDirectUpload(bucketName, prefix, fileName, metadata = {}, access = 'private') {
+    try {
+      const blockBlobClient = this.getBlobClient(bucketName, prefix, fileName);
+      const options = this.buildUploadOptions(metadata, access);
+
+      try {
+        await blockBlobClient.setHTTPHeaders(options.blobHTTPHeaders);
+        await blockBlobClient.setMetadata(options.metadata);
+      } catch (error) {
+        throw toNotFound(error);
+      }
+
+      return blobUrl(blockBlobClient);
+    } catch (error) {
+      throw new Error(`Azure upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Permanent URL of a blob
+   */
+  getFileUrl(bucketName, key) {
+    return blobUrl(this.blobServiceClient.getContainerClient(bucketName).getBlockBlobClient(key));
+  }
+
   /**
    * Ensure container exists
    */
@@ -133,8 +380,10 @@ class AzureStorageProvider extends AbstractStorageProvider {
   /**
    * Generate SAS URL for download
    */
-  async generateDownloadUrl(permanentUrl, options = {}) {
+  async generateDownloadUrl(fileUrl, options = {}) {
     try {
+      // Never hand back a query string a stored URL may carry
+      const permanentUrl = fileUrl.split('?')[0];
       const { containerName, blobName } = this.parseUrl(permanentUrl);
 
       const exists = await this.fileExists(permanentUrl);
@@ -155,6 +404,10 @@ class AzureStorageProvider extends AbstractStorageProvider {
       }
 
       const expiryMinutes = options.expiryMinutes || 60;
+
+      if (this.authMode === 'sas') {
+        return this.generateStreamDownloadUrl(containerName, blobName, expiryMinutes);
+      }
       
       // ✅ Simpler UTC approach
       const startsOn = new Date();
@@ -163,7 +416,7 @@ class AzureStorageProvider extends AbstractStorageProvider {
       const expiresOn = new Date();
       expiresOn.setMinutes(expiresOn.getMinutes() + expiryMinutes);
 
-      const sasToken = generateBlobSASQueryParameters({
+      const sasValues = {
         containerName,
         blobName,
         permissions: BlobSASPermissions.parse("r"),
@@ -171,7 +424,9 @@ class AzureStorageProvider extends AbstractStorageProvider {
         expiresOn,
         protocol: SASProtocol.Https,
         version: "2021-06-08"
-      }, this.sharedKeyCredential).toString();
+      };
+
+      const sasToken = await this.signBlobSas(sasValues);
 
       const sasUrl = `${permanentUrl}?${sasToken}`;
 
@@ -184,7 +439,142 @@ class AzureStorageProvider extends AbstractStorageProvider {
         fileName: blobName.split('/').pop(),
       };
     } catch (error) {
-      throw new Error(`Azure SAS generation failed: ${error.message}`);
+      throw new Error(`Azure SAS generation failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * User delegation key valid until at least expiresOn. Keys are requested for a day (longer
+   * for longer-lived links, at most 7 days) and reused until a link would outlive them.
+   */
+  async getUserDelegationKey(expiresOn) {
+    const cached = this.userDelegationKey;
+
+    if (!cached || cached.expiresOn < expiresOn) {
+      if (expiresOn.getTime() - Date.now() > MAX_USER_DELEGATION_KEY_MS) {
+        throw new Error('Links signed with a service principal can be valid for at most 7 days');
+      }
+
+      const startsOn = new Date(Date.now() - 5 * 60 * 1000);
+      const keyExpiresOn = new Date(Math.min(
+        Date.now() + MAX_USER_DELEGATION_KEY_MS,
+        Math.max(expiresOn.getTime(), Date.now() + 24 * HOUR_MS)
+      ));
+      const entry = {
+        expiresOn: keyExpiresOn,
+        key: this.blobServiceClient.getUserDelegationKey(startsOn, keyExpiresOn)
+      };
+
+      this.userDelegationKey = entry;
+      entry.key.catch(() => {
+        if (this.userDelegationKey === entry) {
+          this.userDelegationKey = null;
+        }
+      });
+    }
+
+    return this.userDelegationKey.key;
+  }
+
+  /**
+   * Signed link to the service's stream endpoint, for SAS-only connection strings
+   */
+  generateStreamDownloadUrl(containerName, blobName, expiryMinutes) {
+    if (!this.streamBaseUrl) {
+      throw new Error('A SAS-only connection string cannot sign download links; set streamBaseUrl to serve private files through the service');
+    }
+
+    const expiresIn = expiryMinutes * 60;
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = signDownload(this.signingSecret, `${containerName}/${blobName}`, expires);
+    const encodedBlob = blobName.split('/').map(encodeURIComponent).join('/');
+
+    return {
+      downloadUrl: `${this.streamBaseUrl}/${encodeURIComponent(containerName)}/${encodedBlob}?expires=${expires}&signature=${signature}`,
+      isPublic: false,
+      requiresSAS: true,
+      expiresIn,
+      expiresAt: new Date(expires * 1000).toISOString(),
+      fileName: blobName.split('/').pop(),
+    };
+  }
+
+  /**
+   * Check a stream endpoint link from generateStreamDownloadUrl. Only providers with a
+   * streamBaseUrl serve files through the service.
+   * @param {object} query - { expires, signature } from the download link
+   * @returns {Promise<boolean>} Allowed
+   */
+  async isDownloadAuthorized(containerName, blobName, { expires, signature } = {}) {
+    if (!this.streamBaseUrl) {
+      return false;
+    }
+    if (await this.isContainerPublic(containerName)) {
+      return true;
+    }
+
+    return verifyDownloadSignature(this.signingSecret, `${containerName}/${blobName}`, expires, signature);
+  }
+
+  /**
+   * Open a blob for streaming through the service
+   * @returns {Promise<object>} { stream, contentType, contentLength, fileName }
+   */
+  async getFileStream(containerName, blobName) {
+    const blockBlobClient = this.blobServiceClient.getContainerClient(containerName).getBlockBlobClient(blobName);
+
+    let response;
+    try {
+      response = await blockBlobClient.download();
+    } catch (error) {
+      throw toNotFound(error);
+    }
+
+    return {
+      stream: response.readableStreamBody,
+      contentType: response.contentType || 'application/octet-stream',
+      contentLength: response.contentLength,
+      fileName: blobName.split('/').pop()
+    };
+  }
+
+  /**
+   * Blob names in a container, optionally under a folder prefix; a missing container has none
+   */
+  async listFiles(containerName, prefix = '') {
+    try {
+      const containerClient = this.blobServiceClient.getContainerClient(containerName);
+      const keys = [];
+
+      try {
+        for await (const blob of containerClient.listBlobsFlat({
+          prefix: prefix ? `${prefix.replace(/^\/+|\/+$/g, '')}/` : undefined
+        })) {
+          keys.push(blob.name);
+        }
+      } catch (error) {
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+      }
+
+      return keys;
+    } catch (error) {
+      throw new Error(`Azure list failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getFileContent(containerName, blobName) {
+    try {
+      const blockBlobClient = this.blobServiceClient.getContainerClient(containerName).getBlockBlobClient(blobName);
+
+      try {
+        return await blockBlobClient.downloadToBuffer();
+      } catch (error) {
+        throw toNotFound(error);
+      }
+    } catch (error) {
+      throw new Error(`Azure read failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -203,6 +593,13 @@ class AzureStorageProvider extends AbstractStorageProvider {
     }
   }
 
+  /**
+   * Azure access is set per container
+   */
+  async isBucketPublic(containerName) {
+    return this.isContainerPublic(containerName);
+  }
+
   /**
    * Delete file
    */
@@ -212,10 +609,14 @@ class AzureStorageProvider extends AbstractStorageProvider {
       const containerClient = this.blobServiceClient.getContainerClient(containerName);
       const blockBlobClient = containerClient.getBlockBlobClient(blobName);
 
-      await blockBlobClient.delete();
+      try {
+        await blockBlobClient.delete();
+      } catch (error) {
+        throw toNotFound(error);
+      }
       return true;
     } catch (error) {
-      throw new Error(`Azure delete failed: ${error.message}`);
+      throw new Error(`Azure delete failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -225,15 +626,19 @@ class AzureStorageProvider extends AbstractStorageProvider {
    * @param {string} blobName - Blob name (can include prefix like "prefix/filename" or just "filename")
    * @returns {Promise<boolean>} Success status
    */
-  async deleteFileByBucketKey(containerName, blobName, metadata) {
+  async deleteFileByBucketKey(containerName, blobName) {
     try {
       const containerClient = this.blobServiceClient.getContainerClient(containerName);
       const blockBlobClient = containerClient.getBlockBlobClient(blobName);
 
-      await blockBlobClient.delete();
+      try {
+        await blockBlobClient.delete();
+      } catch (error) {
+        throw toNotFound(error);
+      }
       return true;
     } catch (error) {
-      throw new Error(`Azure delete by bucket key failed: ${error.message}`);
+      throw new Error(`Azure delete by bucket key failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -246,7 +651,12 @@ class AzureStorageProvider extends AbstractStorageProvider {
       const containerClient = this.blobServiceClient.getContainerClient(containerName);
       const blockBlobClient = containerClient.getBlockBlobClient(blobName);
 
-      const properties = await blockBlobClient.getProperties();
+      let properties;
+      try {
+        properties = await blockBlobClient.getProperties();
+      } catch (error) {
+        throw toNotFound(error);
+      }
 
       return {
         contentType: properties.contentType,
@@ -257,7 +667,7 @@ class AzureStorageProvider extends AbstractStorageProvider {
         provider: 'azure'
       };
     } catch (error) {
-      throw new Error(`Azure metadata fetch failed: ${error.message}`);
+      throw new Error(`Azure metadata fetch failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -265,15 +675,12 @@ class AzureStorageProvider extends AbstractStorageProvider {
    * Check if file exists
    */
   async fileExists(fileUrl) {
-    try {
-      const { containerName, blobName } = this.parseUrl(fileUrl);
-      const containerClient = this.blobServiceClient.getContainerClient(containerName);
-      const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+    const { containerName, blobName } = this.parseUrl(fileUrl);
+    const containerClient = this.blobServiceClient.getContainerClient(containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
 
-      return await blockBlobClient.exists();
-    } catch (error) {
-      return false;
-    }
+    // exists() resolves false for missing blobs; other errors (auth, network) propagate
+    return await blockBlobClient.exists();
   }
 
   /**
@@ -303,6 +710,63 @@ class AzureStorageProvider extends AbstractStorageProvider {
     }
   }
 
+  /**
+   * Resolve a blob URL to the container and blob name used in requests
+   */
+  parseBucketKey(url) {
+    const { containerName, blobName } = this.parseUrl(url);
+
+    return {
+      bucketName: containerName,
+      key: blobName
+    };
+  }
+
+  /**
+   * Read the storage account's service properties; fails on bad credentials or an unreachable account
+   */
+  async healthCheck() {
+    await this.blobServiceClient.getProperties();
+    return true;
+  }
+
+  static validateConfig(config) {
+    const errors = [];
+
+    if (config.connectionString) {
+      const parts = parseConnectionString(config.connectionString);
+
+      if (parts.AccountKey) {
+        if (!parts.AccountName) {
+          errors.push('connectionString is missing AccountName');
+        }
+      } else if (parts.SharedAccessSignature) {
+        if (!parts.BlobEndpoint) {
+          errors.push('connectionString with a SharedAccessSignature is missing BlobEndpoint');
+        }
+      } else {
+        errors.push('connectionString must contain AccountKey or SharedAccessSignature');
+      }
+    } else if (config.tenantId || config.clientId || config.clientSecret) {
+      errors.push(...['tenantId', 'clientId', 'clientSecret']
+        .filter(field => !config[field])
+        .map(field => `${field} is required for an Azure service principal`));
+      if (!config.accountName && !config.blobEndpoint) {
+        errors.push('accountName or blobEndpoint is required for an Azure service principal');
+      }
+    } else if (!config.accountName || !config.accountKey) {
+      errors.push("connectionString, accountName and accountKey, or tenantId, clientId and clientSecret are required for provider 'azure'");
+    }
+
+    ['streamBaseUrl', 'blobEndpoint'].forEach(field => {
+      if (config[field] && !/^https?:\/\//.test(config[field])) {
+        errors.push(`${field} must be an http(s) URL`);
+      }
+    });
+
+    return errors;
+  }
+
   getProviderName() {
     return 'azure';
   }
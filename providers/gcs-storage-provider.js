@@ -0,0 +1,388 @@
+// providers/gcs-storage-provider.js
+const { Storage } = require('@google-cloud/storage');
+const { pipeline } = require('stream/promises');
+const AbstractStorageProvider = require('./abstract-storage-provider');
+
+const GOOGLE_STORAGE_URL = 'https://storage.googleapis.com';
+
+/**
+ * True for GCS "object/bucket does not exist" errors
+ */
+const isNotFound = (error) => error.code === 404 || error.code === '404';
+
+/**
+ * Accept YAML booleans and "true"/"false" from ${ENV_VAR} interpolation
+ */
+const isEnabled = (value) => value === true || value === 'true';
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+const decodeKey = (path) => path.split('/').filter(part => part.length > 0).map(decodeURIComponent).join('/');
+
+/**
+ * Stores files in the platform's configured GCS bucket. Like S3, bucket names are global,
+ * so the request's bucketName is the top-level folder inside that bucket.
+ */
+class GCSStorageProvider extends AbstractStorageProvider {
+  constructor(config) {
+    super(config);
+
+    if (!config.bucketName) {
+      throw new Error('GCS bucketName is required');
+    }
+
+    // apiEndpoint points the client at a fake GCS server (e.g. fake-gcs-server) in development
+    this.apiEndpoint = config.apiEndpoint ? config.apiEndpoint.replace(/\/+$/, '') : null;
+    this.publicBaseUrl = this.apiEndpoint || GOOGLE_STORAGE_URL;
+    this.uniformBucketLevelAccess = isEnabled(config.uniformBucketLevelAccess);
+
+    const options = { projectId: config.projectId };
+
+    if (config.clientEmail && config.privateKey) {
+      // Private keys from environment variables usually carry escaped newlines
+      options.credentials = {
+        client_email: config.clientEmail,
+        private_key: config.privateKey.replace(/\\n/g, '\n')
+      };
+    } else if (config.keyFilename) {
+      options.keyFilename = config.keyFilename;
+    }
+    if (this.apiEndpoint) {
+      options.apiEndpoint = this.apiEndpoint;
+    }
+
+    this.storage = new Storage(options);
+    this.bucket = this.storage.bucket(config.bucketName);
+  }
+
+  /**
+   * URL of an object in the configured bucket
+   */
+  buildObjectUrl(key) {
+    return `${this.publicBaseUrl}/${this.config.bucketName}/${encodeKey(key)}`;
+  }
+
+  /**
+   * Permanent URL of "<logicalBucket>/<key>" in the configured bucket
+   */
+  getFileUrl(bucketName, key) {
+    return this.buildObjectUrl(`${bucketName}/${key}`);
+  }
+
+  /**
+   * Object key and write options for an upload. With uniform bucket-level access object ACLs are
+   * rejected by GCS, so access is only recorded in metadata and bucket IAM decides who can read.
+   */
+  buildUpload(bucketName, prefix, fileName, metadata, access) {
+    const key = prefix ? `${bucketName}/${prefix}/${fileName}` : `${bucketName}/${fileName}`;
+
+    // Custom metadata values must be strings
+    const gcsMetadata = {};
+    Object.keys(metadata).forEach(name => {
+      gcsMetadata[name] = String(metadata[name]);
+    });
+    gcsMetadata.uploadedAt = new Date().toISOString();
+    gcsMetadata.provider = 'gcs';
+    gcsMetadata.access = access;
+
+    return {
+      key,
+      options: {
+        contentType: metadata.contentType || 'application/octet-stream',
+        metadata: { metadata: gcsMetadata },
+        ...(this.uniformBucketLevelAccess ? {} : { predefinedAcl: access === 'public' ? 'publicRead' : 'private' })
+      }
+    };
+  }
+
+  /**
+   * Upload file with an object-level ACL
+   */
+  async uploadFile(bucketName, fileData, prefix, fileName, metadata = {}, access = 'private') {
+    try {
+      const { key, options } = this.buildUpload(bucketName, prefix, fileName, metadata, access);
+
+      await this.bucket.file(key).save(fileData, { resumable: false, ...options });
+
+      return this.buildObjectUrl(key);
+    } catch (error) {
+      throw new Error(`GCS upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Upload a stream as a resumable upload, which GCS takes in chunks instead of one request body
+   */
+  async uploadStream(bucketName, stream, prefix, fileName, metadata = {}, access = 'private') {
+    try {
+      const { key, options } = this.buildUpload(bucketName, prefix, fileName, metadata, access);
+
+      await pipeline(stream, this.bucket.file(key).createWriteStream({ resumable: true, ...options }));
+
+      return this.buildObjectUrl(key);
+    } catch (error) {
+      throw new Error(`GCS upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Object metadata, failing with "File not found" when the object does not exist
+   */
+  async getObjectMetadata(key) {
+    try {
+      const [metadata] = await this.bucket.file(key).getMetadata();
+      return metadata;
+    } catch (error) {
+      throw isNotFound(error) ? new Error('File not found') : error;
+    }
+  }
+
+  /**
+   * Public files keep their permanent URL; private files get a V4 signed URL
+   */
+  async generateDownloadUrl(permanentUrl, options = {}) {
+    try {
+      const { key } = this.parseUrl(permanentUrl);
+      const { metadata = {} } = await this.getObjectMetadata(key);
+      const fileName = key.split('/').pop();
+
+      if (metadata.access === 'public') {
+        return {
+          downloadUrl: permanentUrl,
+          isPublic: true,
+          requiresSAS: false,
+          expiresIn: null,
+          fileName,
+        };
+      }
+
+      const expiryMinutes = options.expiryMinutes || 60;
+      const expiresIn = expiryMinutes * 60;
+      const expiresAt = new Date(Date.now() + expiresIn * 1000);
+
+      const [signedUrl] = await this.bucket.file(key).getSignedUrl({
+        version: 'v4',
+        action: 'read',
+        expires: expiresAt
+      });
+
+      return {
+        downloadUrl: signedUrl,
+        isPublic: false,
+        requiresSAS: true,
+        expiresIn,
+        expiresAt: expiresAt.toISOString(),
+        fileName,
+      };
+    } catch (error) {
+      throw new Error(`GCS download URL generation failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async deleteObject(key) {
+    try {
+      await this.bucket.file(key).delete();
+      return true;
+    } catch (error) {
+      throw isNotFound(error) ? new Error('File not found') : error;
+    }
+  }
+
+  async deleteFile(fileUrl) {
+    try {
+      const { key } = this.parseUrl(fileUrl);
+      return await this.deleteObject(key);
+    } catch (error) {
+      throw new Error(`GCS delete failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Delete file by bucket name and key
+   * @param {string} bucketName - Logical bucket name (folder inside the configured bucket)
+   * @param {string} key - File key (can include prefix like "prefix/filename" or just "filename")
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteFileByBucketKey(bucketName, key) {
+    try {
+      return await this.deleteObject(key ? `${bucketName}/${key}` : bucketName);
+    } catch (error) {
+      throw new Error(`GCS delete by bucket key failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getFileMetadata(fileUrl) {
+    try {
+      const { key } = this.parseUrl(fileUrl);
+      const object = await this.getObjectMetadata(key);
+
+      return {
+        contentType: object.contentType,
+        contentLength: Number(object.size),
+        lastModified: new Date(object.updated),
+        metadata: object.metadata || {},
+        etag: object.etag,
+        provider: 'gcs'
+      };
+    } catch (error) {
+      throw new Error(`GCS metadata fetch failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async fileExists(fileUrl) {
+    const { key } = this.parseUrl(fileUrl);
+    const [exists] = await this.bucket.file(key).exists();
+    return exists;
+  }
+
+  /**
+   * Objects under "<logicalBucket>/<prefix>/" in the configured bucket (the client pages through them)
+   */
+  async listFiles(bucketName, prefix = '') {
+    try {
+      const folder = `${bucketName}/`;
+      const [files] = await this.bucket.getFiles({
+        prefix: prefix ? `${folder}${prefix.replace(/^\/+|\/+$/g, '')}/` : folder,
+        autoPaginate: true
+      });
+
+      return files
+        .map(file => file.name)
+        .filter(name => !name.endsWith('/'))
+        .map(name => name.substring(folder.length));
+    } catch (error) {
+      throw new Error(`GCS list failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getFileContent(bucketName, key) {
+    try {
+      let data;
+      try {
+        [data] = await this.bucket.file(`${bucketName}/${key}`).download();
+      } catch (error) {
+        throw isNotFound(error) ? new Error('File not found') : error;
+      }
+
+      return data;
+    } catch (error) {
+      throw new Error(`GCS read failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Open a stored file for streaming, e.g. to copy it to a replica without buffering it
+   * @returns {Promise<object>} { stream, contentType, contentLength, fileName }
+   */
+  async getFileStream(bucketName, key) {
+    const object = await this.getObjectMetadata(`${bucketName}/${key}`);
+
+    return {
+      stream: this.bucket.file(`${bucketName}/${key}`).createReadStream(),
+      contentType: object.contentType || 'application/octet-stream',
+      contentLength: Number(object.size),
+      fileName: key.split('/').pop()
+    };
+  }
+
+  /**
+   * Logical buckets are folders, so this reports whether the configured bucket grants allUsers read access
+   */
+  async isBucketPublic(bucketName) {
+    try {
+      const [policy] = await this.bucket.iam.getPolicy();
+      return (policy.bindings || []).some(binding =>
+        (binding.members || []).includes('allUsers') &&
+        ['roles/storage.objectViewer', 'roles/storage.legacyObjectReader'].includes(binding.role)
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse gs://, path-style (storage.googleapis.com, storage.cloud.google.com, apiEndpoint)
+   * and virtual-hosted (<bucket>.storage.googleapis.com) URLs. Query strings are ignored.
+   */
+  parseUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      let bucketName, key;
+
+      if (urlObj.protocol === 'gs:') {
+        bucketName = urlObj.host;
+        key = decodeKey(urlObj.pathname);
+      } else if (urlObj.hostname.endsWith('.storage.googleapis.com')) {
+        bucketName = urlObj.hostname.slice(0, -'.storage.googleapis.com'.length);
+        key = decodeKey(urlObj.pathname);
+      } else {
+        const basePath = this.apiEndpoint ? new URL(this.apiEndpoint).pathname.replace(/\/+$/, '') : '';
+        const pathname = basePath && urlObj.pathname.startsWith(`${basePath}/`)
+          ? urlObj.pathname.substring(basePath.length)
+          : urlObj.pathname;
+        const pathParts = pathname.split('/').filter(part => part.length > 0);
+
+        bucketName = decodeURIComponent(pathParts[0]);
+        key = decodeKey(pathParts.slice(1).join('/'));
+      }
+
+      if (!bucketName || !key) {
+        throw new Error('URL does not contain a bucket and key');
+      }
+
+      return {
+        bucketName,
+        key,
+        fullPath: `/${key}`
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse GCS URL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a file URL to the logical bucket and key used in requests.
+   * Uploads are stored as "<logicalBucket>/<prefix>/<fileName>" inside the configured bucket.
+   */
+  parseBucketKey(url) {
+    const { key } = this.parseUrl(url);
+    const [bucketName, ...keyParts] = key.split('/');
+
+    return {
+      bucketName,
+      key: keyParts.join('/')
+    };
+  }
+
+  /**
+   * Read the configured bucket's metadata
+   */
+  async healthCheck() {
+    await this.bucket.getMetadata();
+    return true;
+  }
+
+  static validateConfig(config) {
+    const errors = ['projectId', 'bucketName']
+      .filter(field => !config[field])
+      .map(field => `${field} is required for provider 'gcs'`);
+
+    // A fake GCS server accepts unauthenticated requests
+    if (!config.apiEndpoint && !config.keyFilename && !(config.clientEmail && config.privateKey)) {
+      errors.push("keyFilename or clientEmail and privateKey are required for provider 'gcs'");
+    }
+    if (config.apiEndpoint && !/^https?:\/\/[^/]+/.test(config.apiEndpoint)) {
+      errors.push('apiEndpoint must be an http(s) URL');
+    }
+    if (config.uniformBucketLevelAccess !== undefined && ![true, false, 'true', 'false'].includes(config.uniformBucketLevelAccess)) {
+      errors.push('uniformBucketLevelAccess must be true or false');
+    }
+
+    return errors;
+  }
+
+  getProviderName() {
+    return 'gcs';
+  }
+}
+
+module.exports = GCSStorageProvider;
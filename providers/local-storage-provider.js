@@ -0,0 +1,426 @@
+// providers/local-storage-provider.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { pipeline } = require('stream/promises');
+const AbstractStorageProvider = require('./abstract-storage-provider');
+const { signDownload, verifyDownloadSignature } = require('../utils/signedDownload');
+const { hashStream } = require('../utils/streamingStorage');
+
+/**
+ * Stores files on the local disk under "<rootDir>/<bucketName>/<prefix>/<fileName>".
+ * Metadata and access level live in a hidden sidecar file next to each file.
+ * Meant for development and tests; point a platform environment at it with `provider: local`.
+ */
+class LocalStorageProvider extends AbstractStorageProvider {
+  constructor(config) {
+    super(config);
+
+    if (!config.rootDir) {
+      throw new Error('Local storage rootDir is required');
+    }
+
+    this.rootDir = path.resolve(config.rootDir);
+    // Without a baseUrl files get file:// URLs, which only processes on this machine can open
+    this.baseUrl = config.baseUrl ? config.baseUrl.replace(/\/+$/, '') : null;
+    // A random secret invalidates signed links on restart; set signingSecret to keep them stable
+    this.signingSecret = config.signingSecret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Resolve bucket and key to a path inside rootDir.
+   * The bucket is a single directory name; segments starting with "." or holding a backslash
+   * are rejected so bucket and key cannot escape rootDir or reach sidecar files.
+   */
+  resolvePath(bucketName, key) {
+    const segments = [bucketName, ...String(key || '').split('/')];
+    const invalid = !bucketName || !key || String(bucketName).includes('/') ||
+      segments.some(segment => !segment || segment.startsWith('.') || segment.includes('\\'));
+
+    const filePath = path.join(this.rootDir, ...segments);
+
+    if (invalid || !path.resolve(filePath).startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid bucket or key: ${bucketName}/${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Sidecar file holding { access, contentType, etag, metadata } for a stored file
+   */
+  sidecarPath(filePath) {
+    return path.join(path.dirname(filePath), `.${path.basename(filePath)}.meta.json`);
+  }
+
+  async readSidecar(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.sidecarPath(filePath), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { access: 'private', metadata: {} };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Permanent URL of a stored file
+   */
+  getFileUrl(bucketName, key) {
+    if (this.baseUrl) {
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      return `${this.baseUrl}/${encodeURIComponent(bucketName)}/${encodedKey}`;
+    }
+
+    return pathToFileURL(this.resolvePath(bucketName, key)).href;
+  }
+
+  /**
+   * Write the sidecar of a stored file
+   */
+  async writeSidecar(filePath, metadata, access, md5) {
+    // String values only, like the cloud providers' object metadata
+    const fileMetadata = {};
+    Object.keys(metadata).forEach(name => {
+      fileMetadata[name] = String(metadata[name]);
+    });
+    fileMetadata.uploadedAt = new Date().toISOString();
+    fileMetadata.provider = 'local';
+    fileMetadata.access = access;
+
+    await fs.promises.writeFile(this.sidecarPath(filePath), JSON.stringify({
+      access,
+      contentType: metadata.contentType || 'application/octet-stream',
+      etag: `"${md5}"`,
+      metadata: fileMetadata
+    }));
+  }
+
+  async uploadFile(bucketName, fileData, prefix, fileName, metadata = {}, access = 'private') {
+    try {
+      const key = prefix ? `${prefix}/${fileName}` : fileName;
+      const filePath = this.resolvePath(bucketName, key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, fileData);
+      await this.writeSidecar(filePath, metadata, access, crypto.createHash('md5').update(fileData).digest('hex'));
+
+      return this.getFileUrl(bucketName, key);
+    } catch (error) {
+      throw new Error(`Local upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Write the stream to a hidden temporary file next to the target and rename it into place,
+   * so a failed upload neither buffers the file in memory nor leaves a partial file behind
+   */
+  async uploadStream(bucketName, stream, prefix, fileName, metadata = {}, access = 'private') {
+    // Listen for stream errors before awaiting anything
+    const hashed = hashStream(stream);
+    let tempPath = null;
+
+    try {
+      const key = prefix ? `${prefix}/${fileName}` : fileName;
+      const filePath = this.resolvePath(bucketName, key);
+      tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${crypto.randomUUID()}.uploading`);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await pipeline(hashed.stream, fs.createWriteStream(tempPath));
+      await fs.promises.rename(tempPath, filePath);
+      tempPath = null;
+      await this.writeSidecar(filePath, metadata, access, hashed.digest());
+
+      return this.getFileUrl(bucketName, key);
+    } catch (error) {
+      if (tempPath) {
+        await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+      }
+      throw new Error(`Local upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Public files keep their permanent URL; private files get a link signed with the
+   * provider's secret that the service's stream endpoint checks before serving the file
+   */
+  async generateDownloadUrl(permanentUrl, options = {}) {
+    try {
+      const { bucketName, key, filePath } = this.parseUrl(permanentUrl);
+
+      const exists = await this.fileExists(permanentUrl);
+      if (!exists) {
+        throw new Error('File not found');
+      }
+
+      const { access } = await this.readSidecar(filePath);
+      const fileName = key.split('/').pop();
+
+      if (access === 'public') {
+        return {
+          downloadUrl: permanentUrl,
+          isPublic: true,
+          requiresSAS: false,
+          expiresIn: null,
+          fileName,
+        };
+      }
+
+      const expiryMinutes = options.expiryMinutes || 60;
+      const expiresIn = expiryMinutes * 60;
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const signature = signDownload(this.signingSecret, `${bucketName}/${key}`, expires);
+
+      return {
+        downloadUrl: `${this.getFileUrl(bucketName, key)}?expires=${expires}&signature=${signature}`,
+        isPublic: false,
+        requiresSAS: true,
+        expiresIn,
+        expiresAt: new Date(expires * 1000).toISOString(),
+        fileName,
+      };
+    } catch (error) {
+      throw new Error(`Local download URL generation failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Check whether a download request may read a file: public files always, private
+   * files only with a valid, unexpired signature from generateDownloadUrl
+   * @param {object} query - { expires, signature } from the download link
+   * @returns {Promise<boolean>} Allowed
+   */
+  async isDownloadAuthorized(bucketName, key, { expires, signature } = {}) {
+    const { access } = await this.readSidecar(this.resolvePath(bucketName, key));
+
+    if (access === 'public') {
+      return true;
+    }
+
+    return verifyDownloadSignature(this.signingSecret, `${bucketName}/${key}`, expires, signature);
+  }
+
+  /**
+   * Open a stored file for streaming
+   * @returns {Promise<object>} { stream, contentType, contentLength, fileName }
+   */
+  async getFileStream(bucketName, key) {
+    const filePath = this.resolvePath(bucketName, key);
+    let stats;
+
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('File not found');
+      }
+      throw error;
+    }
+
+    const { contentType } = await this.readSidecar(filePath);
+
+    return {
+      stream: fs.createReadStream(filePath),
+      contentType: contentType || 'application/octet-stream',
+      contentLength: stats.size,
+      fileName: path.basename(filePath)
+    };
+  }
+
+  async removeFile(filePath) {
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('File not found');
+      }
+      throw error;
+    }
+
+    await fs.promises.rm(this.sidecarPath(filePath), { force: true });
+    return true;
+  }
+
+  async deleteFile(fileUrl) {
+    try {
+      const { filePath } = this.parseUrl(fileUrl);
+      return await this.removeFile(filePath);
+    } catch (error) {
+      throw new Error(`Local delete failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async deleteFileByBucketKey(bucketName, key) {
+    try {
+      return await this.removeFile(this.resolvePath(bucketName, key));
+    } catch (error) {
+      throw new Error(`Local delete by bucket key failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getFileMetadata(fileUrl) {
+    try {
+      const { filePath } = this.parseUrl(fileUrl);
+      let stats;
+
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch (error) {
+        throw new Error(error.code === 'ENOENT' ? 'File not found' : error.message);
+      }
+
+      const sidecar = await this.readSidecar(filePath);
+
+      return {
+        contentType: sidecar.contentType,
+        contentLength: stats.size,
+        lastModified: stats.mtime,
+        metadata: sidecar.metadata,
+        etag: sidecar.etag,
+        provider: 'local'
+      };
+    } catch (error) {
+      throw new Error(`Local metadata fetch failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async listFiles(bucketName, prefix = '') {
+    try {
+      const folder = prefix.replace(/^\/+|\/+$/g, '');
+      // resolvePath validates the bucket name; its directory is the parent of any top-level file
+      const bucketDir = path.dirname(this.resolvePath(bucketName, 'file'));
+      const keys = [];
+
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            return;
+          }
+          throw error;
+        }
+
+        for (const entry of entries) {
+          // Hidden entries are sidecar files
+          if (entry.name.startsWith('.')) {
+            continue;
+          }
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+          } else if (entry.isFile()) {
+            keys.push(path.relative(bucketDir, entryPath).split(path.sep).join('/'));
+          }
+        }
+      };
+
+      await walk(folder ? this.resolvePath(bucketName, folder) : bucketDir);
+      return keys.sort();
+    } catch (error) {
+      throw new Error(`Local list failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getFileContent(bucketName, key) {
+    try {
+      try {
+        return await fs.promises.readFile(this.resolvePath(bucketName, key));
+      } catch (error) {
+        throw error.code === 'ENOENT' ? new Error('File not found') : error;
+      }
+    } catch (error) {
+      throw new Error(`Local read failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async fileExists(fileUrl) {
+    const { filePath } = this.parseUrl(fileUrl);
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return stats.isFile();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Access is tracked per file, not per bucket
+   */
+  async isBucketPublic(bucketName) {
+    return false;
+  }
+
+  /**
+   * Parse a file:// URL or a URL under baseUrl
+   */
+  parseUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      let segments;
+
+      if (urlObj.protocol === 'file:') {
+        const relativePath = path.relative(this.rootDir, fileURLToPath(urlObj));
+        segments = relativePath.split(path.sep);
+      } else {
+        const fileUrl = `${urlObj.origin}${urlObj.pathname}`;
+        if (!this.baseUrl || !fileUrl.startsWith(`${this.baseUrl}/`)) {
+          throw new Error(`URL is not under ${this.baseUrl || this.rootDir}`);
+        }
+        segments = fileUrl.substring(this.baseUrl.length + 1).split('/').map(decodeURIComponent);
+      }
+
+      const [bucketName, ...keyParts] = segments;
+      const key = keyParts.join('/');
+
+      return {
+        bucketName,
+        key,
+        filePath: this.resolvePath(bucketName, key),
+        fullPath: `/${bucketName}/${key}`
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse local storage URL: ${error.message}`);
+    }
+  }
+
+  parseBucketKey(url) {
+    const { bucketName, key } = this.parseUrl(url);
+    return { bucketName, key };
+  }
+
+  /**
+   * Make sure rootDir exists and is writable
+   */
+  async healthCheck() {
+    await fs.promises.mkdir(this.rootDir, { recursive: true });
+    await fs.promises.access(this.rootDir, fs.constants.R_OK | fs.constants.W_OK);
+    return true;
+  }
+
+  static validateConfig(config) {
+    const errors = [];
+
+    if (!config.rootDir) {
+      errors.push("rootDir is required for provider 'local'");
+    }
+    if (config.baseUrl && !/^https?:\/\//.test(config.baseUrl)) {
+      errors.push('baseUrl must be an http(s) URL');
+    }
+
+    return errors;
+  }
+
+  getProviderName() {
+    return 'local';
+  }
+}
+
+module.exports = LocalStorageProvider;
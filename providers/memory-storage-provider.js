@@ -0,0 +1,246 @@
+// providers/memory-storage-provider.js
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const AbstractStorageProvider = require('./abstract-storage-provider');
+const { signDownload, verifyDownloadSignature } = require('../utils/signedDownload');
+
+/**
+ * Keeps files in process memory with URLs of the form "memory://<bucketName>/<key>".
+ * Meant for unit and contract tests; contents are lost when the provider is recreated.
+ */
+class MemoryStorageProvider extends AbstractStorageProvider {
+  constructor(config = {}) {
+    super(config);
+
+    // "<bucketName>/<key>" -> { data, access, contentType, etag, lastModified, metadata }
+    this.files = new Map();
+    this.signingSecret = config.signingSecret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Validate bucket and key the way object stores do (no empty or relative segments)
+   */
+  toResource(bucketName, key) {
+    const segments = [bucketName, ...String(key || '').split('/')];
+
+    if (!bucketName || !key || segments.some(segment => !segment || segment === '.' || segment === '..')) {
+      throw new Error(`Invalid bucket or key: ${bucketName}/${key}`);
+    }
+
+    return `${bucketName}/${key}`;
+  }
+
+  getFileUrl(bucketName, key) {
+    this.toResource(bucketName, key);
+    return `memory://${bucketName}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  getFile(bucketName, key) {
+    const file = this.files.get(this.toResource(bucketName, key));
+
+    if (!file) {
+      throw new Error('File not found');
+    }
+
+    return file;
+  }
+
+  async uploadFile(bucketName, fileData, prefix, fileName, metadata = {}, access = 'private') {
+    try {
+      const key = prefix ? `${prefix}/${fileName}` : fileName;
+      const data = Buffer.from(fileData);
+
+      // String values only, like the cloud providers' object metadata
+      const fileMetadata = {};
+      Object.keys(metadata).forEach(name => {
+        fileMetadata[name] = String(metadata[name]);
+      });
+      fileMetadata.uploadedAt = new Date().toISOString();
+      fileMetadata.provider = 'memory';
+      fileMetadata.access = access;
+
+      this.files.set(this.toResource(bucketName, key), {
+        data,
+        access,
+        contentType: metadata.contentType || 'application/octet-stream',
+        etag: `"${crypto.createHash('md5').update(data).digest('hex')}"`,
+        lastModified: new Date(),
+        metadata: fileMetadata
+      });
+
+      return this.getFileUrl(bucketName, key);
+    } catch (error) {
+      throw new Error(`Memory upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async generateDownloadUrl(permanentUrl, options = {}) {
+    try {
+      const { bucketName, key } = this.parseUrl(permanentUrl);
+      const { access } = this.getFile(bucketName, key);
+      const fileName = key.split('/').pop();
+
+      if (access === 'public') {
+        return {
+          downloadUrl: permanentUrl,
+          isPublic: true,
+          requiresSAS: false,
+          expiresIn: null,
+          fileName,
+        };
+      }
+
+      const expiryMinutes = options.expiryMinutes || 60;
+      const expiresIn = expiryMinutes * 60;
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const signature = signDownload(this.signingSecret, `${bucketName}/${key}`, expires);
+
+      return {
+        downloadUrl: `${this.getFileUrl(bucketName, key)}?expires=${expires}&signature=${signature}`,
+        isPublic: false,
+        requiresSAS: true,
+        expiresIn,
+        expiresAt: new Date(expires * 1000).toISOString(),
+        fileName,
+      };
+    } catch (error) {
+      throw new Error(`Memory download URL generation failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Check a link from generateDownloadUrl the way a signed URL would be checked by storage
+   * @returns {boolean} Allowed
+   */
+  isDownloadAuthorized(bucketName, key, { expires, signature } = {}) {
+    const { access } = this.getFile(bucketName, key);
+
+    if (access === 'public') {
+      return true;
+    }
+
+    return verifyDownloadSignature(this.signingSecret, `${bucketName}/${key}`, expires, signature);
+  }
+
+  async listFiles(bucketName, prefix = '') {
+    const folder = prefix.replace(/^\/+|\/+$/g, '');
+    const resourcePrefix = folder ? `${bucketName}/${folder}/` : `${bucketName}/`;
+
+    return [...this.files.keys()]
+      .filter(resource => resource.startsWith(resourcePrefix))
+      .map(resource => resource.substring(bucketName.length + 1))
+      .sort();
+  }
+
+  async getFileContent(bucketName, key) {
+    try {
+      return Buffer.from(this.getFile(bucketName, key).data);
+    } catch (error) {
+      throw new Error(`Memory read failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Open a stored file for streaming
+   * @returns {Promise<object>} { stream, contentType, contentLength, fileName }
+   */
+  async getFileStream(bucketName, key) {
+    const file = this.getFile(bucketName, key);
+
+    return {
+      stream: Readable.from([Buffer.from(file.data)]),
+      contentType: file.contentType,
+      contentLength: file.data.length,
+      fileName: key.split('/').pop()
+    };
+  }
+
+  async deleteFile(fileUrl) {
+    try {
+      const { bucketName, key } = this.parseUrl(fileUrl);
+      this.getFile(bucketName, key);
+      this.files.delete(this.toResource(bucketName, key));
+      return true;
+    } catch (error) {
+      throw new Error(`Memory delete failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async deleteFileByBucketKey(bucketName, key) {
+    try {
+      this.getFile(bucketName, key);
+      this.files.delete(this.toResource(bucketName, key));
+      return true;
+    } catch (error) {
+      throw new Error(`Memory delete by bucket key failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getFileMetadata(fileUrl) {
+    try {
+      const { bucketName, key } = this.parseUrl(fileUrl);
+      const file = this.getFile(bucketName, key);
+
+      return {
+        contentType: file.contentType,
+        contentLength: file.data.length,
+        lastModified: file.lastModified,
+        metadata: { ...file.metadata },
+        etag: file.etag,
+        provider: 'memory'
+      };
+    } catch (error) {
+      throw new Error(`Memory metadata fetch failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async fileExists(fileUrl) {
+    const { bucketName, key } = this.parseUrl(fileUrl);
+    return this.files.has(this.toResource(bucketName, key));
+  }
+
+  /**
+   * Access is tracked per file, not per bucket
+   */
+  async isBucketPublic(bucketName) {
+    return false;
+  }
+
+  parseUrl(url) {
+    try {
+      const urlObj = new URL(url);
+
+      if (urlObj.protocol !== 'memory:') {
+        throw new Error(`Unsupported protocol ${urlObj.protocol}`);
+      }
+
+      const bucketName = urlObj.host;
+      const key = urlObj.pathname.split('/').filter(part => part.length > 0).map(decodeURIComponent).join('/');
+
+      this.toResource(bucketName, key);
+
+      return {
+        bucketName,
+        key,
+        fullPath: `/${bucketName}/${key}`
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse memory URL: ${error.message}`);
+    }
+  }
+
+  parseBucketKey(url) {
+    const { bucketName, key } = this.parseUrl(url);
+    return { bucketName, key };
+  }
+
+  async healthCheck() {
+    return true;
+  }
+
+  getProviderName() {
+    return 'memory';
+  }
+}
+
+module.exports = MemoryStorageProvider;
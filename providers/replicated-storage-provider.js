@@ -0,0 +1,800 @@
+// providers/replicated-storage-provider.js
+const fs = require('fs');
+const path = require('path');
+const AbstractStorageProvider = require('./abstract-storage-provider');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+const { withTimeout } = require('../utils/withTimeout');
+
+const MODES = ['sync', 'async'];
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const RECENT_FAILURES = 50;
+const DEFAULT_MAX_QUEUE_BYTES = 100 * 1024 * 1024;
+// Task fields written to queueFile; file contents are copied from the primary after a restart
+const PERSISTED_FIELDS = ['operation', 'bucketName', 'key', 'prefix', 'fileName', 'metadata', 'access', 'enqueuedAt'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNotFound = (error) => /not found/i.test(error.message);
+
+// Network failures from the SDKs, SFTP and withTimeout
+const UNAVAILABLE_CODES = [
+  'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE',
+  'REQUEST_SEND_ERROR', 'ERR_NOT_CONNECTED'
+];
+
+/**
+ * Whether an error means the backend is down rather than that the request was wrong:
+ * timeouts, network errors and 5xx responses, looked up through wrapped errors' causes
+ */
+const isUnavailable = (error) => {
+  for (let current = error; current; current = current.cause) {
+    const status = current.statusCode ?? current.$metadata?.httpStatusCode ?? current.status ??
+      (typeof current.code === 'number' ? current.code : undefined);
+
+    if (status >= 500 || UNAVAILABLE_CODES.includes(current.code) || current.name === 'TimeoutError') {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Mirrors files from a primary provider to one or more replicas for disaster recovery.
+ *
+ * Writes go to the primary first and are then copied to every replica, either while the
+ * request waits (mode: sync) or in the background (mode: async). Replica writes that fail are
+ * retried from an in-memory queue with exponential backoff; each replica applies its writes
+ * in order, so a retried upload never lands after a later delete. Reads use the primary and
+ * fail over to the replicas when it times out or is unavailable; a circuit breaker per backend
+ * skips one that keeps failing. Replicas are addressed by the same bucket name and key as the
+ * primary, so any provider mix works as long as each is configured for the tenant.
+ *
+ * The queue is bounded by entries (maxQueueSize) and by buffered upload contents (maxQueueBytes);
+ * uploads past the byte limit are queued without their contents and copied from the primary.
+ * With queueFile set, the instance the storage service hands out (see resumeQueue) saves queued
+ * writes there after every change and resumes them on restart.
+ */
+class ReplicatedStorageProvider extends AbstractStorageProvider {
+  constructor(config) {
+    super(config);
+
+    if (!isPlainObject(config.primary) || !Array.isArray(config.replicas) || config.replicas.length === 0) {
+      throw new Error('Replicated storage requires a primary and at least one replica');
+    }
+
+    // Required here because the factory requires this module too
+    const StorageProviderFactory = require('./storage-provider-factory');
+
+    this.mode = config.mode || 'async';
+    this.maxAttempts = Number(config.maxAttempts) || 5;
+    this.retryDelayMs = config.retryDelayMs !== undefined ? Number(config.retryDelayMs) : 1000;
+    this.maxQueueSize = Number(config.maxQueueSize) || 1000;
+    this.maxQueueBytes = Number(config.maxQueueBytes) || DEFAULT_MAX_QUEUE_BYTES;
+    this.queueFile = config.queueFile || null;
+    this.readTimeoutMs = Number(config.readTimeoutMs) || 5000;
+
+    const createBreaker = () => new CircuitBreaker({
+      failureThreshold: Number(config.failureThreshold) || 5,
+      resetTimeoutMs: Number(config.resetTimeoutMs) || 30000
+    });
+
+    this.primary = StorageProviderFactory.createProvider(config.primary.provider, config.primary);
+    this.primaryBreaker = createBreaker();
+    this.replicas = config.replicas.map((replicaConfig, index) => ({
+      name: `replicas[${index}]`,
+      provider: StorageProviderFactory.createProvider(replicaConfig.provider, replicaConfig),
+      breaker: createBreaker(),
+      // Writes waiting to be applied, oldest first
+      pending: [],
+      // Size of the upload contents held in pending
+      queuedBytes: 0,
+      replicated: 0,
+      failed: 0,
+      // Writes given up on without being attempted (queue full, or lost on close without queueFile)
+      dropped: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    }));
+
+    this.readFallbacks = 0;
+    this.recentFailures = [];
+    this.timer = null;
+    this.processing = null;
+    this.closed = false;
+    this.persisting = null;
+    this.persistPending = false;
+    // Set by resumeQueue: whether this instance reads and writes queueFile, and when it let go of it
+    this.ownsQueue = false;
+    this.queueReady = null;
+    this.queueReleased = null;
+    this.releaseQueueFile = null;
+  }
+
+  /**
+   * Take over queueFile: resume the writes saved there and save the queue there from now on.
+   * Only the instance the storage service hands out calls this, so throwaway instances (e.g. the
+   * startup check's) never touch the file. On a config reload the replacement waits until the
+   * instance it replaces was closed and saved its queue; writes queued meanwhile are kept.
+   * @param {ReplicatedStorageProvider} [previous] - Instance this one replaces
+   * @returns {Promise<void>} Resolves once the saved writes were resumed
+   */
+  resumeQueue(previous) {
+    if (!this.queueFile || this.queueReady) {
+      return this.queueReady || Promise.resolve();
+    }
+
+    this.queueReleased = new Promise(resolve => {
+      this.releaseQueueFile = resolve;
+    });
+    this.queueReady = Promise.resolve(previous && previous.queueReleased).then(() => this.loadQueue());
+
+    return this.queueReady;
+  }
+
+  /**
+   * Resume the writes saved in queueFile, ahead of any queued since this instance was created
+   */
+  async loadQueue() {
+    let saved = {};
+    try {
+      saved = JSON.parse(await fs.promises.readFile(this.queueFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read replication queue ${this.queueFile}: ${error.message}`);
+      }
+    }
+
+    const now = Date.now();
+    Object.entries(saved.replicas || {}).forEach(([name, tasks]) => {
+      const replica = this.replicas.find(candidate => candidate.name === name);
+      if (!replica) {
+        console.error(`Ignoring ${tasks.length} saved write(s) for ${name}, which is no longer configured`);
+        return;
+      }
+
+      replica.pending.unshift(...tasks.map(task => ({ ...task, attempts: 0, nextAttemptAt: now })));
+      console.warn(`Resuming ${tasks.length} queued write(s) for ${name} from ${this.queueFile}`);
+    });
+
+    this.ownsQueue = true;
+    this.persistQueue();
+    this.schedule();
+  }
+
+  /**
+   * Save the queued writes to queueFile (without file contents). Writes are coalesced: changes
+   * made while one is in progress are saved by a single follow-up write.
+   * @returns {Promise<void>} Resolves once the queue as it is now has been saved
+   */
+  persistQueue() {
+    if (!this.ownsQueue) {
+      return Promise.resolve();
+    }
+
+    this.persistPending = true;
+    if (!this.persisting) {
+      this.persisting = (async () => {
+        while (this.persistPending) {
+          this.persistPending = false;
+          const replicas = Object.fromEntries(this.replicas.map(({ name, pending }) => [
+            name,
+            pending.map(task => Object.fromEntries(PERSISTED_FIELDS.map(field => [field, task[field]])))
+          ]));
+          // Write and rename so a crash never leaves a half-written file behind
+          const tempFile = `${this.queueFile}.${process.pid}.tmp`;
+          await fs.promises.mkdir(path.dirname(this.queueFile), { recursive: true });
+          await fs.promises.writeFile(tempFile, JSON.stringify({ replicas }));
+          await fs.promises.rename(tempFile, this.queueFile);
+        }
+      })()
+        .catch(error => console.error(`Could not save replication queue ${this.queueFile}: ${error.message}`))
+        .finally(() => {
+          this.persisting = null;
+        });
+    }
+
+    return this.persisting;
+  }
+
+  /**
+   * Apply a write to one replica. Deleting a file the replica never received is not an error.
+   * Uploads that were streamed carry no contents and are streamed from the primary to the
+   * replica; one deleted there in the meantime is skipped, its queued delete follows.
+   */
+  async applyTask(replica, task) {
+    if (task.operation === 'upload') {
+      const { bucketName, key, prefix, fileName, metadata, access, fileData } = task;
+
+      if (fileData) {
+        await replica.provider.uploadFile(bucketName, fileData, prefix, fileName, metadata, access);
+        return;
+      }
+
+      let source;
+      try {
+        ({ stream: source } = await this.primary.getFileStream(bucketName, key));
+      } catch (error) {
+        if (isNotFound(error)) {
+          return;
+        }
+        throw error;
+      }
+
+      try {
+        await replica.provider.uploadStream(bucketName, source, prefix, fileName, metadata, access);
+      } finally {
+        // A failed replica upload may stop reading before the end
+        source.destroy();
+      }
+      return;
+    }
+
+    try {
+      await replica.provider.deleteFileByBucketKey(task.bucketName, task.key);
+    } catch (error) {
+      if (!isNotFound(error)) {
+        throw error;
+      }
+    }
+  }
+
+  recordSuccess(replica) {
+    replica.replicated += 1;
+    replica.lastSuccessAt = new Date().toISOString();
+  }
+
+  /**
+   * Record a write that was given up on; the replica is now missing it until it is repaired
+   */
+  recordFailure(replica, task, error) {
+    const failure = {
+      replica: replica.name,
+      provider: replica.provider.getProviderName(),
+      operation: task.operation,
+      bucketName: task.bucketName,
+      key: task.key,
+      attempts: task.attempts,
+      error: error.message,
+      failedAt: new Date().toISOString()
+    };
+
+    replica.failed += 1;
+    replica.lastFailureAt = failure.failedAt;
+    replica.lastError = error.message;
+    this.recentFailures = [failure, ...this.recentFailures].slice(0, RECENT_FAILURES);
+
+    console.error(
+      `Replication of ${task.operation} ${task.bucketName}/${task.key} to ${replica.name} ` +
+      `(${failure.provider}) failed after ${task.attempts} attempt(s): ${error.message}`
+    );
+  }
+
+  enqueue(replica, task) {
+    const queued = this.replicas.reduce((total, { pending }) => total + pending.length, 0);
+
+    if (queued >= this.maxQueueSize) {
+      replica.dropped += 1;
+      this.recordFailure(replica, task, new Error('Replication queue is full'));
+      return;
+    }
+
+    const queuedBytes = this.replicas.reduce((total, { queuedBytes: bytes }) => total + bytes, 0);
+    const { fileData, ...entry } = task;
+    // Over the byte limit the contents are left out and copied from the primary instead
+    if (fileData && queuedBytes + fileData.length <= this.maxQueueBytes) {
+      entry.fileData = fileData;
+      replica.queuedBytes += fileData.length;
+    }
+
+    replica.pending.push({ ...entry, attempts: 0, enqueuedAt: Date.now(), nextAttemptAt: Date.now() });
+    this.persistQueue();
+    this.schedule();
+  }
+
+  /**
+   * Remove a queued write once it was applied or given up on. It is usually the oldest, unless
+   * saved writes were resumed ahead of it meanwhile.
+   */
+  dequeue(replica, task) {
+    replica.pending.splice(replica.pending.indexOf(task), 1);
+    if (task.fileData) {
+      replica.queuedBytes -= task.fileData.length;
+    }
+    this.persistQueue();
+  }
+
+  /**
+   * Copy a write to every replica. In sync mode the write is applied right away unless the
+   * replica still has queued writes, which must go first; failures join the retry queue.
+   */
+  async replicate(task) {
+    if (this.mode !== 'sync') {
+      this.replicas.forEach(replica => this.enqueue(replica, task));
+      return;
+    }
+
+    await Promise.all(this.replicas.map(async replica => {
+      if (replica.pending.length > 0) {
+        this.enqueue(replica, task);
+        return;
+      }
+
+      try {
+        await this.applyTask(replica, task);
+        this.recordSuccess(replica);
+      } catch (error) {
+        replica.lastError = error.message;
+        console.error(`Replication of ${task.operation} ${task.bucketName}/${task.key} to ${replica.name} failed, queued for retry: ${error.message}`);
+        this.enqueue(replica, task);
+      }
+    }));
+  }
+
+  /**
+   * Run the queue when its next write is due
+   */
+  schedule() {
+    if (this.processing || this.closed) {
+      return;
+    }
+
+    const due = this.replicas.filter(({ pending }) => pending.length > 0).map(({ pending }) => pending[0].nextAttemptAt);
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (due.length === 0) {
+      return;
+    }
+
+    this.timer = setTimeout(() => this.processQueue(), Math.max(0, Math.min(...due) - Date.now()));
+    // Queued replication alone should not keep the process alive
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Apply every write that is due, then schedule the next run
+   * @returns {Promise<void>} Resolves when this run is done
+   */
+  async processQueue() {
+    if (!this.processing) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.processing = Promise.all(this.replicas.map(replica => this.drainReplica(replica)))
+        .finally(() => {
+          this.processing = null;
+          this.schedule();
+        });
+    }
+
+    return this.processing;
+  }
+
+  /**
+   * Apply a replica's due writes in order, stopping at the first one that has to wait for a retry
+   */
+  async drainReplica(replica) {
+    while (!this.closed && replica.pending.length > 0 && replica.pending[0].nextAttemptAt <= Date.now()) {
+      const task = replica.pending[0];
+
+      try {
+        await this.applyTask(replica, task);
+        this.dequeue(replica, task);
+        this.recordSuccess(replica);
+      } catch (error) {
+        task.attempts += 1;
+
+        if (task.attempts >= this.maxAttempts) {
+          this.dequeue(replica, task);
+          this.recordFailure(replica, task, error);
+        } else {
+          replica.lastError = error.message;
+          task.nextAttemptAt = Date.now() + Math.min(this.retryDelayMs * 2 ** (task.attempts - 1), MAX_RETRY_DELAY_MS);
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Replication lag and failures per replica, and the read circuit of every backend
+   * @returns {object} { mode, readFallbacks, primary, replicas, recentFailures }
+   */
+  getReplicationStatus() {
+    return {
+      mode: this.mode,
+      readFallbacks: this.readFallbacks,
+      primary: {
+        provider: this.primary.getProviderName(),
+        circuit: this.primaryBreaker.getStatus()
+      },
+      replicas: this.replicas.map(replica => ({
+        name: replica.name,
+        provider: replica.provider.getProviderName(),
+        circuit: replica.breaker.getStatus(),
+        pending: replica.pending.length,
+        queuedBytes: replica.queuedBytes,
+        // Age of the oldest write the replica is still missing
+        lagMs: replica.pending.length > 0 ? Date.now() - replica.pending[0].enqueuedAt : 0,
+        replicated: replica.replicated,
+        failed: replica.failed,
+        dropped: replica.dropped,
+        lastSuccessAt: replica.lastSuccessAt,
+        lastFailureAt: replica.lastFailureAt,
+        lastError: replica.lastError
+      })),
+      recentFailures: this.recentFailures
+    };
+  }
+
+  /**
+   * Run a read on one backend with the read timeout, feeding the outcome to its circuit breaker.
+   * Errors like "File not found" still prove the backend is up.
+   */
+  async readFrom(name, provider, breaker, fileUrl, read) {
+    try {
+      const result = await withTimeout(
+        read(provider, fileUrl),
+        this.readTimeoutMs,
+        `${name} (${provider.getProviderName()}) did not respond within ${this.readTimeoutMs}ms`
+      );
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isUnavailable(error)) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a read on the primary, failing over to the replicas in order when the primary times out,
+   * is unavailable or has an open circuit. Other errors, such as a missing file, are returned as is.
+   * @param {string} fileUrl - URL from any of the backends
+   * @param {Function} read - (provider, fileUrl) => Promise
+   */
+  async readWithFallback(operation, fileUrl, read) {
+    let primaryError;
+
+    if (this.primaryBreaker.isAvailable()) {
+      try {
+        return await this.readFrom('primary', this.primary, this.primaryBreaker, fileUrl, read);
+      } catch (error) {
+        if (!isUnavailable(error)) {
+          throw error;
+        }
+        primaryError = error;
+      }
+    } else {
+      primaryError = new Error(`Primary storage (${this.primary.getProviderName()}) is unavailable: circuit open after repeated failures`);
+    }
+
+    let location;
+    try {
+      location = this.parseBucketKey(fileUrl);
+    } catch (error) {
+      throw primaryError;
+    }
+
+    for (const replica of this.replicas) {
+      if (!replica.breaker.isAvailable()) {
+        continue;
+      }
+
+      try {
+        const replicaUrl = replica.provider.getFileUrl(location.bucketName, location.key);
+        const result = await this.readFrom(replica.name, replica.provider, replica.breaker, replicaUrl, read);
+        this.readFallbacks += 1;
+        console.warn(`Replicated ${operation}: primary failed (${primaryError.message}), served by ${replica.name}`);
+        return result;
+      } catch (error) {
+        // Try the next replica; one that lags behind may not have the file yet
+      }
+    }
+
+    throw primaryError;
+  }
+
+  async uploadFile(bucketName, fileData, prefix, fileName, metadata = {}, access = 'private') {
+    const url = await this.primary.uploadFile(bucketName, fileData, prefix, fileName, metadata, access);
+
+    await this.replicate({
+      operation: 'upload',
+      bucketName,
+      key: prefix ? `${prefix}/${fileName}` : fileName,
+      fileData,
+      prefix,
+      fileName,
+      metadata,
+      access
+    });
+
+    return url;
+  }
+
+  /**
+   * Streams to the primary; replicas copy the stored file from the primary
+   */
+  async uploadStream(bucketName, stream, prefix, fileName, metadata = {}, access = 'private') {
+    const url = await this.primary.uploadStream(bucketName, stream, prefix, fileName, metadata, access);
+
+    await this.replicate({
+      operation: 'upload',
+      bucketName,
+      key: prefix ? `${prefix}/${fileName}` : fileName,
+      prefix,
+      fileName,
+      metadata,
+      access
+    });
+
+    return url;
+  }
+
+  /**
+   * Parts are stored on the primary only; the finished file is copied to the replicas
+   */
+  supportsMultipartUpload() {
+    return this.primary.supportsMultipartUpload();
+  }
+
+  async createMultipartUpload(bucketName, prefix, fileName, metadata = {}, access = 'private') {
+    return this.primary.createMultipartUpload(bucketName, prefix, fileName, metadata, access);
+  }
+
+  async uploadPart(bucketName, prefix, fileName, uploadId, partNumber, data) {
+    return this.primary.uploadPart(bucketName, prefix, fileName, uploadId, partNumber, data);
+  }
+
+  async completeMultipartUpload(bucketName, prefix, fileName, uploadId, parts, metadata = {}, access = 'private') {
+    const url = await this.primary.completeMultipartUpload(bucketName, prefix, fileName, uploadId, parts, metadata, access);
+
+    await this.replicate({
+      operation: 'upload',
+      bucketName,
+      key: prefix ? `${prefix}/${fileName}` : fileName,
+      prefix,
+      fileName,
+      metadata,
+      access
+    });
+
+    return url;
+  }
+
+  async abortMultipartUpload(bucketName, prefix, fileName, uploadId) {
+    return this.primary.abortMultipartUpload(bucketName, prefix, fileName, uploadId);
+  }
+
+  /**
+   * Clients upload to the primary; the confirmed file is copied to the replicas
+   */
+  supportsDirectUpload() {
+    return this.primary.supportsDirectUpload();
+  }
+
+  async generateUploadUrl(bucketName, prefix, fileName, options) {
+    return this.primary.generateUploadUrl(bucketName, prefix, fileName, options);
+  }
+
+  async completeDirectUpload(bucketName, prefix, fileName, metadata = {}, access = 'private') {
+    const url = await this.primary.completeDirectUpload(bucketName, prefix, fileName, metadata, access);
+
+    await this.replicate({
+      operation: 'upload',
+      bucketName,
+      key: prefix ? `${prefix}/${fileName}` : fileName,
+      prefix,
+      fileName,
+      metadata,
+      access
+    });
+
+    return url;
+  }
+
+  getFileUrl(bucketName, key) {
+    return this.primary.getFileUrl(bucketName, key);
+  }
+
+  async generateDownloadUrl(permanentUrl, options = {}) {
+    return this.readWithFallback('download', permanentUrl, (provider, url) => provider.generateDownloadUrl(url, options));
+  }
+
+  async getFileMetadata(fileUrl) {
+    const metadata = await this.readWithFallback('metadata', fileUrl, (provider, url) => provider.getFileMetadata(url));
+    return { ...metadata, provider: this.getProviderName() };
+  }
+
+  /**
+   * Missing on the primary means missing; replicas are only asked when the primary is unavailable
+   */
+  async fileExists(fileUrl) {
+    return this.readWithFallback('exists', fileUrl, (provider, url) => provider.fileExists(url));
+  }
+
+  /**
+   * Stream links may have been signed by any backend that serves files through the service
+   */
+  async isDownloadAuthorized(bucketName, key, query = {}) {
+    for (const provider of [this.primary, ...this.replicas.map(replica => replica.provider)]) {
+      if (typeof provider.isDownloadAuthorized === 'function' &&
+        await provider.isDownloadAuthorized(bucketName, key, query).catch(() => false)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  async getFileStream(bucketName, key) {
+    const providers = [this.primary, ...this.replicas.map(replica => replica.provider)]
+      .filter(provider => typeof provider.getFileStream === 'function');
+    let firstError = new Error('File not found');
+
+    for (const [index, provider] of providers.entries()) {
+      try {
+        return await provider.getFileStream(bucketName, key);
+      } catch (error) {
+        if (index === 0) {
+          firstError = error;
+        }
+      }
+    }
+
+    throw firstError;
+  }
+
+  async deleteFile(fileUrl) {
+    const { bucketName, key } = this.parseBucketKey(fileUrl);
+    const result = await this.primary.deleteFile(this.primary.getFileUrl(bucketName, key));
+
+    await this.replicate({ operation: 'delete', bucketName, key });
+    return result;
+  }
+
+  async deleteFileByBucketKey(bucketName, key) {
+    const result = await this.primary.deleteFileByBucketKey(bucketName, key);
+
+    await this.replicate({ operation: 'delete', bucketName, key });
+    return result;
+  }
+
+  /**
+   * Listing only makes sense on the primary; replicas can lag behind or miss writes
+   */
+  async listFiles(bucketName, prefix) {
+    return this.primary.listFiles(bucketName, prefix);
+  }
+
+  async getFileContent(bucketName, key) {
+    return this.readWithFallback('read', this.primary.getFileUrl(bucketName, key), (provider, url) => {
+      const location = provider.parseBucketKey(url);
+      return provider.getFileContent(location.bucketName, location.key);
+    });
+  }
+
+  async isBucketPublic(bucketName) {
+    return this.primary.isBucketPublic(bucketName);
+  }
+
+  parseUrl(url) {
+    return this.primary.parseUrl(url);
+  }
+
+  /**
+   * Accept URLs from the primary and, after a read fallback, from any replica
+   */
+  parseBucketKey(url) {
+    try {
+      return this.primary.parseBucketKey(url);
+    } catch (primaryError) {
+      for (const replica of this.replicas) {
+        try {
+          return replica.provider.parseBucketKey(url);
+        } catch (error) {
+          // Try the next replica
+        }
+      }
+      throw primaryError;
+    }
+  }
+
+  /**
+   * Only the primary decides health; replica problems show up in getReplicationStatus
+   */
+  async healthCheck() {
+    return this.primary.healthCheck();
+  }
+
+  /**
+   * Stop the queue and close the backends. Writes still queued are saved to queueFile for the
+   * next process or the instance replacing this one; without one they are lost, so they are
+   * logged and counted as dropped.
+   */
+  async close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.queueReady) {
+      await this.queueReady;
+    }
+    const saved = this.ownsQueue;
+    if (saved) {
+      await this.persistQueue();
+      this.ownsQueue = false;
+    }
+    if (this.releaseQueueFile) {
+      this.releaseQueueFile();
+    }
+
+    this.replicas.forEach(replica => {
+      if (replica.pending.length === 0) {
+        return;
+      }
+      if (saved) {
+        console.warn(`Saved ${replica.pending.length} queued write(s) for ${replica.name} to ${this.queueFile}`);
+      } else {
+        replica.dropped += replica.pending.length;
+        console.error(`Dropping ${replica.pending.length} queued write(s) for ${replica.name} (${replica.provider.getProviderName()})`);
+      }
+    });
+
+    await Promise.all([this.primary, ...this.replicas.map(replica => replica.provider)]
+      .filter(provider => typeof provider.close === 'function')
+      .map(provider => provider.close()));
+  }
+
+  static validateConfig(config) {
+    const StorageProviderFactory = require('./storage-provider-factory');
+    const errors = [];
+
+    const validateBackend = (label, backend) => {
+      if (!isPlainObject(backend) || typeof backend.provider !== 'string' || !backend.provider) {
+        errors.push(`${label}.provider is required`);
+      } else if (backend.provider.toLowerCase() === 'replicated') {
+        errors.push(`${label} cannot itself be replicated`);
+      } else {
+        StorageProviderFactory.validateConfig(backend.provider, backend).forEach(error => {
+          errors.push(`${label}: ${error}`);
+        });
+      }
+    };
+
+    validateBackend('primary', config.primary);
+
+    if (!Array.isArray(config.replicas) || config.replicas.length === 0) {
+      errors.push("replicas must list at least one provider for provider 'replicated'");
+    } else {
+      config.replicas.forEach((replica, index) => validateBackend(`replicas[${index}]`, replica));
+    }
+
+    if (config.mode !== undefined && !MODES.includes(config.mode)) {
+      errors.push(`mode must be one of: ${MODES.join(', ')}`);
+    }
+    ['maxAttempts', 'maxQueueSize', 'maxQueueBytes', 'readTimeoutMs', 'failureThreshold', 'resetTimeoutMs'].forEach(field => {
+      if (config[field] !== undefined && !(Number.isInteger(Number(config[field])) && Number(config[field]) > 0)) {
+        errors.push(`${field} must be a positive integer`);
+      }
+    });
+    if (config.retryDelayMs !== undefined && !(Number(config.retryDelayMs) >= 0)) {
+      errors.push('retryDelayMs must be a number of milliseconds');
+    }
+    if (config.queueFile !== undefined && (typeof config.queueFile !== 'string' || !config.queueFile)) {
+      errors.push('queueFile must be a file path');
+    }
+
+    return errors;
+  }
+
+  getProviderName() {
+    return 'replicated';
+  }
+}
+
+module.exports = ReplicatedStorageProvider;
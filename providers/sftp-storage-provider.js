@@ -0,0 +1,536 @@
+// providers/sftp-storage-provider.js
+const crypto = require('crypto');
+const path = require('path').posix;
+const SftpClient = require('ssh2-sftp-client');
+const AbstractStorageProvider = require('./abstract-storage-provider');
+const { signDownload, verifyDownloadSignature } = require('../utils/signedDownload');
+const { hashStream } = require('../utils/streamingStorage');
+
+/**
+ * True for SFTP "no such file" errors (ENOENT from stat/exists, status 2 from unlink)
+ */
+const isNotFound = (error) => error.code === 'ENOENT' || error.code === 2;
+
+/**
+ * True when target is dir itself or a path below it
+ */
+const isInside = (dir, target) => {
+  const relative = path.relative(dir, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+/**
+ * Stores files on a partner's SFTP server under "<remoteDir>/<bucketName>/<prefix>/<fileName>"
+ * (or a directory configured per bucket in bucketDirs). Metadata and access level live in a
+ * hidden sidecar file next to each file. SFTP has no presigned URLs, so downloads go through
+ * the service's stream endpoint with links signed by the provider.
+ */
+class SFTPStorageProvider extends AbstractStorageProvider {
+  constructor(config) {
+    super(config);
+
+    if (!config.host || !config.username) {
+      throw new Error('SFTP host and username are required');
+    }
+    if (!config.baseUrl) {
+      throw new Error('SFTP baseUrl is required');
+    }
+    if (!config.hostKeySha256 && config.insecureSkipHostKeyCheck !== true) {
+      throw new Error('SFTP hostKeySha256 is required (or set insecureSkipHostKeyCheck: true)');
+    }
+
+    this.remoteDir = path.resolve('/', config.remoteDir || '/');
+    this.bucketDirs = config.bucketDirs || null;
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    // A random secret invalidates signed links on restart; set signingSecret to keep them stable
+    this.signingSecret = config.signingSecret || crypto.randomBytes(32).toString('hex');
+    // Shared connection, opened on first use and reopened after the server drops it
+    this.connection = null;
+  }
+
+  /**
+   * Options passed to ssh2 when connecting
+   */
+  connectOptions() {
+    const { host, port, username, password, privateKey, passphrase, hostKeySha256, insecureSkipHostKeyCheck, connectTimeoutMs } = this.config;
+
+    return {
+      host,
+      port: Number(port) || 22,
+      username,
+      ...(password ? { password } : {}),
+      // Private keys from environment variables usually carry escaped newlines
+      ...(privateKey ? { privateKey: privateKey.replace(/\\n/g, '\n'), passphrase } : {}),
+      readyTimeout: Number(connectTimeoutMs) || 10000,
+      // Pin the server's host key ("SHA256:..." as printed by ssh-keygen -l) unless explicitly opted out
+      ...(insecureSkipHostKeyCheck === true ? {} : {
+        hostVerifier: (key) => {
+          const fingerprint = `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+          return fingerprint === hostKeySha256;
+        }
+      })
+    };
+  }
+
+  /**
+   * Connected client, connecting on first use
+   */
+  async getClient() {
+    if (!this.connection) {
+      let connection;
+      const dropConnection = () => {
+        if (this.connection === connection) {
+          this.connection = null;
+        }
+      };
+
+      const client = new SftpClient('file-upload-service', {
+        error: (error) => {
+          console.error(`SFTP connection to ${this.config.host} failed:`, error);
+          dropConnection();
+        },
+        end: dropConnection,
+        close: dropConnection
+      });
+
+      connection = client.connect(this.connectOptions())
+        .then(() => client)
+        .catch(error => {
+          dropConnection();
+          throw error;
+        });
+      this.connection = connection;
+    }
+
+    return this.connection;
+  }
+
+  /**
+   * Remote directory that holds a bucket's files
+   */
+  bucketDir(bucketName) {
+    if (!bucketName || /[/\\]/.test(bucketName) || bucketName.startsWith('.')) {
+      throw new Error(`Invalid bucket or key: ${bucketName}`);
+    }
+
+    if (this.bucketDirs) {
+      if (!Object.prototype.hasOwnProperty.call(this.bucketDirs, bucketName)) {
+        throw new Error(`Invalid bucket or key: bucket '${bucketName}' is not configured`);
+      }
+      return path.resolve('/', this.bucketDirs[bucketName]);
+    }
+
+    const dir = path.join(this.remoteDir, bucketName);
+    if (!isInside(this.remoteDir, dir)) {
+      throw new Error(`Invalid bucket or key: ${bucketName}`);
+    }
+    return dir;
+  }
+
+  /**
+   * Resolve bucket and key to a remote path inside the bucket's directory.
+   * Segments starting with "." are rejected so keys cannot escape it or reach sidecar files.
+   */
+  resolvePath(bucketName, key) {
+    const segments = String(key || '').split('/');
+
+    if (!key || segments.some(segment => !segment || segment.startsWith('.') || segment.includes('\\'))) {
+      throw new Error(`Invalid bucket or key: ${bucketName}/${key}`);
+    }
+
+    const dir = this.bucketDir(bucketName);
+    const remotePath = path.join(dir, ...segments);
+    if (!isInside(dir, remotePath)) {
+      throw new Error(`Invalid bucket or key: ${bucketName}/${key}`);
+    }
+    return remotePath;
+  }
+
+  /**
+   * Sidecar file holding { access, contentType, etag, metadata } for a stored file
+   */
+  sidecarPath(remotePath) {
+    return path.join(path.dirname(remotePath), `.${path.basename(remotePath)}.meta.json`);
+  }
+
+  async readSidecar(client, remotePath) {
+    try {
+      return JSON.parse((await client.get(this.sidecarPath(remotePath))).toString('utf8'));
+    } catch (error) {
+      if (isNotFound(error)) {
+        return { access: 'private', metadata: {} };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stat a remote file, failing with "File not found" when it does not exist
+   */
+  async statFile(client, remotePath) {
+    try {
+      return await client.stat(remotePath);
+    } catch (error) {
+      throw isNotFound(error) ? new Error('File not found') : error;
+    }
+  }
+
+  /**
+   * Permanent URL of a stored file, served by the stream endpoint under baseUrl
+   */
+  getFileUrl(bucketName, key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}/${encodeURIComponent(bucketName)}/${encodedKey}`;
+  }
+
+  /**
+   * Upload under a hidden temporary name and rename it into place, so partners polling
+   * the directory never pick up a partially written file
+   * @param {Function} writeContents - (client, tempPath) => Promise<string> writing the file, resolving to its MD5 hex
+   */
+  async storeFile(bucketName, prefix, fileName, metadata, access, writeContents) {
+    const key = prefix ? `${prefix}/${fileName}` : fileName;
+    const remotePath = this.resolvePath(bucketName, key);
+    const tempPath = path.join(path.dirname(remotePath), `.${path.basename(remotePath)}.uploading`);
+
+    // String values only, like the cloud providers' object metadata
+    const fileMetadata = {};
+    Object.keys(metadata).forEach(name => {
+      fileMetadata[name] = String(metadata[name]);
+    });
+    fileMetadata.uploadedAt = new Date().toISOString();
+    fileMetadata.provider = 'sftp';
+    fileMetadata.access = access;
+
+    const client = await this.getClient();
+    await client.mkdir(path.dirname(remotePath), true);
+    const md5 = await writeContents(client, tempPath);
+    await client.put(Buffer.from(JSON.stringify({
+      access,
+      contentType: metadata.contentType || 'application/octet-stream',
+      etag: `"${md5}"`,
+      metadata: fileMetadata
+    })), this.sidecarPath(remotePath));
+    // Plain SFTP rename fails when the target exists
+    await client.delete(remotePath, true);
+    await client.rename(tempPath, remotePath);
+
+    return this.getFileUrl(bucketName, key);
+  }
+
+  async uploadFile(bucketName, fileData, prefix, fileName, metadata = {}, access = 'private') {
+    try {
+      return await this.storeFile(bucketName, prefix, fileName, metadata, access, async (client, tempPath) => {
+        await client.put(Buffer.from(fileData), tempPath);
+        return crypto.createHash('md5').update(fileData).digest('hex');
+      });
+    } catch (error) {
+      throw new Error(`SFTP upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Stream the file to the server instead of reading it into memory first
+   */
+  async uploadStream(bucketName, stream, prefix, fileName, metadata = {}, access = 'private') {
+    // Listen for stream errors before awaiting the connection
+    const hashed = hashStream(stream);
+
+    try {
+      return await this.storeFile(bucketName, prefix, fileName, metadata, access, async (client, tempPath) => {
+        await client.put(hashed.stream, tempPath);
+        return hashed.digest();
+      });
+    } catch (error) {
+      throw new Error(`SFTP upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Public files keep their permanent URL; private files get a link signed with the
+   * provider's secret that the service's stream endpoint checks before serving the file
+   */
+  async generateDownloadUrl(permanentUrl, options = {}) {
+    try {
+      const { bucketName, key, remotePath } = this.parseUrl(permanentUrl);
+      const client = await this.getClient();
+
+      await this.statFile(client, remotePath);
+
+      const { access } = await this.readSidecar(client, remotePath);
+      const fileName = key.split('/').pop();
+
+      if (access === 'public') {
+        return {
+          downloadUrl: permanentUrl,
+          isPublic: true,
+          requiresSAS: false,
+          expiresIn: null,
+          fileName,
+        };
+      }
+
+      const expiryMinutes = options.expiryMinutes || 60;
+      const expiresIn = expiryMinutes * 60;
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const signature = signDownload(this.signingSecret, `${bucketName}/${key}`, expires);
+
+      return {
+        downloadUrl: `${this.getFileUrl(bucketName, key)}?expires=${expires}&signature=${signature}`,
+        isPublic: false,
+        requiresSAS: true,
+        expiresIn,
+        expiresAt: new Date(expires * 1000).toISOString(),
+        fileName,
+      };
+    } catch (error) {
+      throw new Error(`SFTP download URL generation failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Check whether a download request may read a file: public files always, private
+   * files only with a valid, unexpired signature from generateDownloadUrl
+   * @param {object} query - { expires, signature } from the download link
+   * @returns {Promise<boolean>} Allowed
+   */
+  async isDownloadAuthorized(bucketName, key, { expires, signature } = {}) {
+    const client = await this.getClient();
+    const { access } = await this.readSidecar(client, this.resolvePath(bucketName, key));
+
+    if (access === 'public') {
+      return true;
+    }
+
+    return verifyDownloadSignature(this.signingSecret, `${bucketName}/${key}`, expires, signature);
+  }
+
+  /**
+   * Open a stored file for streaming
+   * @returns {Promise<object>} { stream, contentType, contentLength, fileName }
+   */
+  async getFileStream(bucketName, key) {
+    const remotePath = this.resolvePath(bucketName, key);
+    const client = await this.getClient();
+    const stats = await this.statFile(client, remotePath);
+    const { contentType } = await this.readSidecar(client, remotePath);
+
+    return {
+      stream: client.createReadStream(remotePath),
+      contentType: contentType || 'application/octet-stream',
+      contentLength: stats.size,
+      fileName: path.basename(remotePath)
+    };
+  }
+
+  async removeFile(remotePath) {
+    const client = await this.getClient();
+
+    try {
+      await client.delete(remotePath);
+    } catch (error) {
+      throw isNotFound(error) ? new Error('File not found') : error;
+    }
+
+    await client.delete(this.sidecarPath(remotePath), true);
+    return true;
+  }
+
+  async deleteFile(fileUrl) {
+    try {
+      const { remotePath } = this.parseUrl(fileUrl);
+      return await this.removeFile(remotePath);
+    } catch (error) {
+      throw new Error(`SFTP delete failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async deleteFileByBucketKey(bucketName, key) {
+    try {
+      return await this.removeFile(this.resolvePath(bucketName, key));
+    } catch (error) {
+      throw new Error(`SFTP delete by bucket key failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getFileMetadata(fileUrl) {
+    try {
+      const { remotePath } = this.parseUrl(fileUrl);
+      const client = await this.getClient();
+      const stats = await this.statFile(client, remotePath);
+      const sidecar = await this.readSidecar(client, remotePath);
+
+      return {
+        contentType: sidecar.contentType,
+        contentLength: stats.size,
+        lastModified: new Date(stats.modifyTime),
+        metadata: sidecar.metadata,
+        etag: sidecar.etag,
+        provider: 'sftp'
+      };
+    } catch (error) {
+      throw new Error(`SFTP metadata fetch failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async listFiles(bucketName, prefix = '') {
+    try {
+      const folder = prefix.replace(/^\/+|\/+$/g, '');
+      const bucketDir = this.bucketDir(bucketName);
+      const client = await this.getClient();
+      const keys = [];
+
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await client.list(dir);
+        } catch (error) {
+          if (isNotFound(error)) {
+            return;
+          }
+          throw error;
+        }
+
+        for (const entry of entries) {
+          // Hidden entries are sidecar files and uploads in progress
+          if (entry.name.startsWith('.')) {
+            continue;
+          }
+          const entryPath = path.join(dir, entry.name);
+          if (entry.type === 'd') {
+            await walk(entryPath);
+          } else if (entry.type === '-') {
+            keys.push(path.relative(bucketDir, entryPath));
+          }
+        }
+      };
+
+      await walk(folder ? this.resolvePath(bucketName, folder) : bucketDir);
+      return keys.sort();
+    } catch (error) {
+      throw new Error(`SFTP list failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getFileContent(bucketName, key) {
+    try {
+      const client = await this.getClient();
+
+      try {
+        return await client.get(this.resolvePath(bucketName, key));
+      } catch (error) {
+        throw isNotFound(error) ? new Error('File not found') : error;
+      }
+    } catch (error) {
+      throw new Error(`SFTP read failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async fileExists(fileUrl) {
+    const { remotePath } = this.parseUrl(fileUrl);
+    const client = await this.getClient();
+
+    return (await client.exists(remotePath)) === '-';
+  }
+
+  /**
+   * Access is tracked per file, not per bucket
+   */
+  async isBucketPublic(bucketName) {
+    return false;
+  }
+
+  /**
+   * Parse a URL under baseUrl
+   */
+  parseUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      const fileUrl = `${urlObj.origin}${urlObj.pathname}`;
+
+      if (!fileUrl.startsWith(`${this.baseUrl}/`)) {
+        throw new Error(`URL is not under ${this.baseUrl}`);
+      }
+
+      const [bucketName, ...keyParts] = fileUrl.substring(this.baseUrl.length + 1).split('/').map(decodeURIComponent);
+      const key = keyParts.join('/');
+
+      return {
+        bucketName,
+        key,
+        remotePath: this.resolvePath(bucketName, key),
+        fullPath: `/${bucketName}/${key}`
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse SFTP URL: ${error.message}`);
+    }
+  }
+
+  parseBucketKey(url) {
+    const { bucketName, key } = this.parseUrl(url);
+    return { bucketName, key };
+  }
+
+  /**
+   * Connect and make sure the remote base directory exists
+   */
+  async healthCheck() {
+    const client = await this.getClient();
+    const dirs = this.bucketDirs ? Object.keys(this.bucketDirs).map(bucketName => this.bucketDir(bucketName)) : [this.remoteDir];
+
+    for (const dir of dirs) {
+      if ((await client.exists(dir)) !== 'd') {
+        throw new Error(`Remote directory ${dir} does not exist`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Close the shared connection (called when the provider is replaced after a config reload)
+   */
+  async close() {
+    const connection = this.connection;
+    this.connection = null;
+
+    if (connection) {
+      const client = await connection.catch(() => null);
+      if (client) {
+        await client.end();
+      }
+    }
+  }
+
+  static validateConfig(config) {
+    const errors = ['host', 'username', 'baseUrl']
+      .filter(field => !config[field])
+      .map(field => `${field} is required for provider 'sftp'`);
+
+    if (!config.password && !config.privateKey) {
+      errors.push("password or privateKey is required for provider 'sftp'");
+    }
+    if (!config.hostKeySha256 && config.insecureSkipHostKeyCheck !== true) {
+      errors.push("hostKeySha256 is required for provider 'sftp' (or set insecureSkipHostKeyCheck: true)");
+    } else if (config.hostKeySha256 && !/^SHA256:[A-Za-z0-9+/]{43}$/.test(config.hostKeySha256)) {
+      errors.push('hostKeySha256 must be a "SHA256:..." fingerprint as printed by ssh-keygen -l');
+    }
+    if (config.baseUrl && !/^https?:\/\//.test(config.baseUrl)) {
+      errors.push('baseUrl must be an http(s) URL');
+    }
+    if (config.port !== undefined && !/^\d+$/.test(String(config.port))) {
+      errors.push('port must be a number');
+    }
+    if (config.bucketDirs !== undefined && (config.bucketDirs === null || typeof config.bucketDirs !== 'object' ||
+      Object.values(config.bucketDirs).some(dir => typeof dir !== 'string' || !dir))) {
+      errors.push('bucketDirs must map bucket names to remote directories');
+    }
+
+    return errors;
+  }
+
+  getProviderName() {
+    return 'sftp';
+  }
+}
+
+module.exports = SFTPStorageProvider;
@@ -1,25 +1,60 @@
 // providers/storage-provider-factory.js
 const AzureStorageProvider = require('./azure-storage-provider');
 const AWSS3StorageProvider = require('./aws-s3-provider');
+const LocalStorageProvider = require('./local-storage-provider');
+const MemoryStorageProvider = require('./memory-storage-provider');
+const GCSStorageProvider = require('./gcs-storage-provider');
+const SFTPStorageProvider = require('./sftp-storage-provider');
+const ReplicatedStorageProvider = require('./replicated-storage-provider');
 
 class StorageProviderFactory {
   /**
-   * Create storage provider instance based on type
+   * Resolve the provider class for a provider type
    */
-  static createProvider(providerType, config) {
+  static getProviderClass(providerType) {
     switch (providerType.toLowerCase()) {
       case 'azure':
-        return new AzureStorageProvider(config);
+        return AzureStorageProvider;
       case 'aws':
-        return new AWSS3StorageProvider(config);
+        return AWSS3StorageProvider;
       case 's3':
-        return new AWSS3StorageProvider(config);  
+        return AWSS3StorageProvider;
+      case 'local':
+        return LocalStorageProvider;
+      case 'memory':
+        return MemoryStorageProvider;
+      case 'gcs':
+        return GCSStorageProvider;
+      case 'sftp':
+        return SFTPStorageProvider;
+      case 'replicated':
+        return ReplicatedStorageProvider;
      
       
       default:
         throw new Error(`Unsupported storage provider: ${providerType}`);
     }
   }
+
+  /**
+   * Create storage provider instance based on type
+   */
+  static createProvider(providerType, config) {
+    const ProviderClass = StorageProviderFactory.getProviderClass(providerType);
+    return new ProviderClass(config);
+  }
+
+  /**
+   * Check a platform environment's settings for the chosen provider without creating it
+   * @returns {Array<string>} Problems found
+   */
+  static validateConfig(providerType, config) {
+    try {
+      return StorageProviderFactory.getProviderClass(providerType).validateConfig(config);
+    } catch (error) {
+      return [error.message];
+    }
+  }
 }
 
-module.exports = StorageProviderFactory;
\ No newline at end of file
+module.exports = StorageProviderFactory;
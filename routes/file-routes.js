@@ -2,22 +2,270 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const https = require('https');
 const http = require('http');
 const { URL } = require('url');
 const storageService = require('../service/multi-tenant-storage-service.js');
 const platformAuthMiddleware = require('../middlewares/platform-auth.js');
-const { sanitizeFileName } = require('../utils/sanitizeFileName.js');
-const { sanitizeBucketName } = require('../utils/sanitizeBucketName.js');
-
-const upload = multer({ 
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 100 * 1024 * 1024 }
+const { checkKeyAccess, hasLocationRestrictions } = require('../utils/keyScopes.js');
+const { StreamingStorage, measureStream, spoolToFile } = require('../utils/streamingStorage.js');
+const { resolveUploadTarget } = require('../utils/uploadTarget.js');
+const { signUploadToken, verifyUploadToken } = require('../utils/uploadToken.js');
+const { mapWithConcurrency } = require('../utils/mapWithConcurrency.js');
+const { fetchRemoteFile } = require('../utils/fetchRemoteFile.js');
+const { hashFields } = require('../utils/requestSignature.js');
+const tusRoutes = require('./tus-routes.js');
+
+const MAX_UPLOAD_SIZE_MB = 100;
+// Files one request can send in its "files" field, and how many of them are stored at a time
+const MAX_FILES_PER_UPLOAD = 20;
+const UPLOAD_CONCURRENCY = 4;
+// Limits for /upload-from-url; the size limit is MAX_UPLOAD_SIZE_MB
+const REMOTE_UPLOAD_TIMEOUT_SECONDS = 30;
+const MAX_REMOTE_REDIRECTS = 3;
+const REMOTE_UPLOAD_CONTENT_TYPES = process.env.REMOTE_UPLOAD_CONTENT_TYPES
+  ? process.env.REMOTE_UPLOAD_CONTENT_TYPES.split(',').map(type => type.trim().toLowerCase())
+  : [
+    'application/pdf',
+    'image/*',
+    'text/plain',
+    'text/csv',
+    'application/msword',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/zip',
+    'application/octet-stream'
+  ];
+// Largest file a client can upload straight to storage (S3 takes at most 5 GB in one POST)
+const MAX_DIRECT_UPLOAD_SIZE_MB = 5120;
+// Direct uploads can still be confirmed this long after their URL expired, so uploads started
+// just before the expiry can finish
+const CONFIRM_UPLOAD_GRACE_MINUTES = 60;
+// Signs the upload tokens /get-upload-url hands out. A random secret invalidates them on restart
+// and on other instances; the startup check fails environments with direct uploads without it.
+const UPLOAD_TOKEN_SECRET = process.env.UPLOAD_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Files are streamed to the provider while the form is parsed instead of being held in memory
+const upload = multer({
+  storage: new StreamingStorage({ handleFile: receiveUpload, removeFile: removeReceivedUpload }),
+  limits: { fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024 }
 });
 
 // Apply authentication middleware
 router.use(platformAuthMiddleware);
 
+// Resumable uploads (tus 1.0)
+router.use('/tus', tusRoutes);
+
+/**
+ * Check the authenticated key's scope and bucket/prefix allowlist for a file URL.
+ * The URL is only resolved when the key is restricted to certain buckets or prefixes.
+ * @returns {object|null} Error body for a 403 response, or null when allowed
+ */
+function checkFileUrlAccess(platformContext, scope, fileUrl) {
+  if (!hasLocationRestrictions(platformContext)) {
+    return checkKeyAccess(platformContext, scope);
+  }
+
+  const { platformId, environment } = platformContext;
+  const { bucketName, key } = storageService.parseBucketKey(platformId, environment, fileUrl);
+  return checkKeyAccess(platformContext, scope, bucketName, key);
+}
+
+/**
+ * Store a validated upload through the platform's provider
+ */
+function storeUpload(req, target, stream) {
+  const { platformId, environment } = req.platformContext;
+
+  return storageService.uploadFileStream(
+    platformId,
+    environment,
+    target.bucketName,
+    target.prefix,
+    target.access,
+    stream,
+    target.fileName,
+    target.metadata
+  );
+}
+
+// Form fields that decide where and how a file is stored
+const UPLOAD_FIELDS = ['bucketName', 'prefix', 'access', 'userId', 'metadata'];
+
+/**
+ * Upload fields as received so far, to tell which ones arrived after a streamed file
+ */
+const pickUploadFields = (fields) => JSON.stringify(UPLOAD_FIELDS.map(name => fields[name]));
+
+/**
+ * multer handler for the "file" and "files" parts. Fields sent before a single file are already
+ * in req.body, so it streams straight to the provider (fields sent after it are refused). Files sent before their fields, files of
+ * signed requests (whose hash must match before anything is stored) and the files of a batch
+ * (stored several at a time) are staged on local disk and uploaded by the route once the whole
+ * form is read.
+ */
+async function receiveUpload(req, file) {
+  if (file.fieldname === 'files' || !req.body.bucketName || req.platformContext.contentSha256) {
+    return spoolToFile(file.stream);
+  }
+
+  const streamedFields = pickUploadFields(req.body);
+  const target = resolveUploadTarget(req.platformContext, req.body, file);
+  const measured = measureStream(file.stream);
+  const result = await storeUpload(req, target, measured.stream);
+
+  return { result, streamedFields, ...(await measured.digest()) };
+}
+
+/**
+ * Undo a received file when multer rejects the request after it (e.g. an unexpected second file)
+ */
+async function removeReceivedUpload(req, file) {
+  if (file.path) {
+    await fs.promises.rm(file.path, { force: true });
+  } else if (file.result && file.result.fileUrl) {
+    const { platformId, environment } = req.platformContext;
+    await storageService.deleteFile(platformId, environment, file.result.fileUrl);
+  }
+}
+
+/**
+ * Answer a failed upload: validation errors with their own status, size limit with 413
+ */
+function sendUploadError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, ...error.body });
+  }
+
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ success: false, error: `File exceeds the ${MAX_UPLOAD_SIZE_MB} MB upload limit` });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'files') {
+      return res.status(400).json({ success: false, error: `At most ${MAX_FILES_PER_UPLOAD} files can be uploaded at once` });
+    }
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * Parse the multipart form, answering multer and storage errors as JSON. A file streamed to
+ * storage was stored with the fields sent before it, so it is removed again when upload fields
+ * followed it. Signed requests sign the hash of the form fields; files of a request whose
+ * fields do not match it are discarded (signed requests always stage their files, so nothing
+ * was stored yet).
+ */
+function receiveFiles(req, res, next) {
+  upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'files', maxCount: MAX_FILES_PER_UPLOAD }
+  ])(req, res, async error => {
+    if (error) {
+      return sendUploadError(res, error);
+    }
+
+    const { file = [], files = [] } = req.files || {};
+    const received = [...file, ...files];
+    const discard = () => Promise.all(received.map(entry => removeReceivedUpload(req, entry)));
+
+    if (received.some(entry => entry.streamedFields && entry.streamedFields !== pickUploadFields(req.body))) {
+      await discard();
+      return res.status(400).json({
+        success: false,
+        error: 'Fields sent after the file would not be applied: send bucketName, prefix, access, userId and metadata before the file'
+      });
+    }
+
+    const { fieldsSha256 } = req.platformContext;
+    if (fieldsSha256 && hashFields(req.body) !== String(fieldsSha256).toLowerCase()) {
+      await discard();
+      return res.status(400).json({
+        success: false,
+        error: 'Form fields do not match the signed X-Fields-SHA256 header'
+      });
+    }
+
+    next();
+  });
+}
+
+/**
+ * Resolve where each file of a batch goes. Files with the same name would get the same
+ * timestamped key, so later ones are stored as "<name>-2.<ext>", "<name>-3.<ext>", ...
+ * @throws 400/403 uploadError when the fields or the key's allowlists reject the upload
+ */
+function resolveBatchTargets(platformContext, fields, files) {
+  const fileNames = new Set();
+
+  return files.map(file => {
+    const { name, ext } = path.parse(file.originalname);
+    let target = resolveUploadTarget(platformContext, fields, file);
+
+    for (let copy = 2; fileNames.has(target.fileName); copy++) {
+      target = resolveUploadTarget(platformContext, fields, { ...file, originalname: `${name}-${copy}${ext}` });
+    }
+
+    fileNames.add(target.fileName);
+    return target;
+  });
+}
+
+/**
+ * Store the staged files of a batch, a few at a time. A file that fails gets an error entry
+ * instead of failing the batch; 207 when any did.
+ */
+async function uploadBatch(req, res, files) {
+  const { platformId, environment, contentSha256 } = req.platformContext;
+  // Signed batches sign the files' SHA-256 hashes, comma separated in the order of the files
+  const hashes = contentSha256 ? String(contentSha256).toLowerCase().split(',').map(hash => hash.trim()) : null;
+
+  if (hashes && hashes.length !== files.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'X-Content-SHA256 must list the SHA-256 of every file, separated by commas'
+    });
+  }
+
+  const targets = resolveBatchTargets(req.platformContext, req.body, files);
+
+  const results = await mapWithConcurrency(files, UPLOAD_CONCURRENCY, async (file, index) => {
+    try {
+      if (hashes && file.sha256 !== hashes[index]) {
+        throw new Error('File content does not match the signed X-Content-SHA256 header');
+      }
+
+      const result = await storeUpload(req, targets[index], fs.createReadStream(file.path));
+      return { originalName: file.originalname, success: true, data: { ...result, fileSize: file.size } };
+    } catch (error) {
+      return { originalName: file.originalname, success: false, error: error.message };
+    } finally {
+      // Free the disk space as soon as the file is stored
+      await fs.promises.rm(file.path, { force: true });
+    }
+  });
+
+  const failed = results.filter(result => !result.success).length;
+
+  res.status(failed ? 207 : 200).json({
+    success: failed === 0,
+    data: {
+      files: results,
+      uploaded: results.length - failed,
+      failed,
+      platform: platformId,
+      environment,
+      provider: storageService.getProviderInfo(platformId, environment).name
+    }
+  });
+}
+
 /**
  * Upload file
  * POST /api/files/upload
@@ -27,106 +275,342 @@ router.use(platformAuthMiddleware);
  *   X-API-Key: <api-key> (determines environment internally)
  * 
  * Body (form-data):
- *   file: <file>
+ *   file: <file>, or files: <file> repeated for up to 20 files
  *   bucketName: <your-existing-bucket-name>
  *   prefix: <folder-prefix> (e.g., "Documents/invoices")
  *   access: public | private
  *   userId: <user-id> (optional)
  *   metadata: <JSON string> (optional)
+ *
+ * Send the text fields before the file so it streams straight to storage; otherwise it is
+ * staged on local disk first. Once bucketName came before the file, fields sent after it are
+ * refused (400). Files are limited to 100 MB (413 above that).
+ *
+ * With "files", data holds one entry per file ({ originalName, success, data | error }) and
+ * the status is 207 when some of them failed.
  */
-router.post('/upload-file', upload.single('file'), async (req, res) => {
+router.post('/upload-file', receiveFiles, async (req, res) => {
+  const { file: [file] = [], files = [] } = req.files || {};
+
   try {
     const { platformId, environment } = req.platformContext;
-    
+
+    if (file && files.length) {
+      await removeReceivedUpload(req, file);
+      return res.status(400).json({ success: false, error: 'Send either "file" or "files", not both' });
+    }
+
+    if (files.length) {
+      return await uploadBatch(req, res, files);
+    }
+
     // Validate that file was uploaded
-    if (!req.file) {
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded. Please ensure the file field is named "file" (or "files" for several) and the request uses multipart/form-data'
+      });
+    }
+
+    let { result, size, sha256 } = file;
+
+    if (!result) {
+      // Signed multipart requests sign the file hash; make sure the bytes received match it
+      const { contentSha256 } = req.platformContext;
+      if (contentSha256 && sha256 !== String(contentSha256).toLowerCase()) {
+        return res.status(400).json({
+          success: false,
+          error: 'File content does not match the signed X-Content-SHA256 header'
+        });
+      }
+
+      const target = resolveUploadTarget(req.platformContext, req.body, file);
+      result = await storeUpload(req, target, fs.createReadStream(file.path));
+    }
+
+    if(!result.fileUrl) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to upload file'
+      });
+    }
+
+    const providerInfo = storageService.getProviderInfo(platformId, environment);
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        fileSize: size,
+        platform: platformId,
+        environment,
+        provider: providerInfo.name
+      }
+    });
+  } catch (error) {
+    sendUploadError(res, error);
+  } finally {
+    await Promise.all([file, ...files]
+      .filter(staged => staged && staged.path)
+      .map(staged => fs.promises.rm(staged.path, { force: true })));
+  }
+});
+
+/**
+ * Upload a file fetched from a URL
+ * POST /api/files/upload-from-url
+ *
+ * Body:
+ *   url: <http(s) URL of the file>
+ *   fileName: <name to store it under> (optional, default: the remote Content-Disposition
+ *     filename, else the last segment of the URL path)
+ *   bucketName, prefix, access, userId, metadata: as for /upload-file
+ *
+ * Only public addresses are fetched, following at most 3 redirects. The file must arrive within
+ * 30 seconds, be at most 100 MB and have an allowed Content-Type (REMOTE_UPLOAD_CONTENT_TYPES).
+ */
+router.post('/upload-from-url', async (req, res) => {
+  try {
+    const { platformId, environment } = req.platformContext;
+    const { url } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'url is required'
+      });
+    }
+
+    // Check the fields and the key's allowlists before fetching anything
+    resolveUploadTarget(req.platformContext, req.body, {
+      originalname: req.body.fileName || 'download',
+      mimetype: 'application/octet-stream'
+    });
+
+    const remote = await fetchRemoteFile(url, {
+      maxBytes: MAX_UPLOAD_SIZE_MB * 1024 * 1024,
+      timeoutMs: REMOTE_UPLOAD_TIMEOUT_SECONDS * 1000,
+      maxRedirects: MAX_REMOTE_REDIRECTS,
+      allowedContentTypes: REMOTE_UPLOAD_CONTENT_TYPES
+    });
+    const target = resolveUploadTarget(req.platformContext, req.body, {
+      originalname: req.body.fileName || remote.fileName,
+      mimetype: remote.contentType
+    });
+    const measured = measureStream(remote.stream);
+
+    let result;
+    try {
+      result = await storeUpload(req, target, measured.stream);
+    } catch (error) {
+      // A body over the size or time limit aborts the upload; answer with why
+      const fetchError = remote.stream.errored;
+      remote.stream.destroy();
+      throw fetchError || error;
+    }
+
+    const { size } = await measured.digest();
+    const providerInfo = storageService.getProviderInfo(platformId, environment);
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        fileSize: size,
+        platform: platformId,
+        environment,
+        provider: providerInfo.name
+      }
+    });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+/**
+ * Get a URL to upload a file straight to storage (S3 presigned POST, Azure write-only SAS)
+ * POST /api/files/get-upload-url
+ *
+ * Headers:
+ *   X-Platform-ID: <platform-id>
+ *   X-API-Key: <api-key>
+ *
+ * Body:
+ *   bucketName, prefix, access, userId, metadata: as for /upload-file
+ *   fileName: <original file name> (the stored name is chosen by the service, as for /upload-file)
+ *   contentType: <MIME type> (optional, default: application/octet-stream)
+ *   contentLength: <file size in bytes>
+ *   expiryMinutes: <number> (optional, default: 15)
+ *
+ * The client sends the file to uploadUrl (a form POST with `fields`, or a PUT with `headers`)
+ * and then calls /confirm-upload with uploadToken.
+ */
+router.post('/get-upload-url', async (req, res) => {
+  try {
+    const { platformId, environment } = req.platformContext;
+    const { fileName, contentType = 'application/octet-stream', contentLength, expiryMinutes = 15 } = req.body;
+
+    if (!fileName) {
+      return res.status(400).json({
+        success: false,
+        error: 'fileName is required'
+      });
+    }
+
+    if (!/^\d+$/.test(String(contentLength))) {
       return res.status(400).json({
         success: false,
-        error: 'No file uploaded. Please ensure the file field is named "file" and the request uses multipart/form-data'
+        error: 'contentLength must be the file size in bytes'
+      });
+    }
+
+    const size = Number(contentLength);
+
+    if (size > MAX_DIRECT_UPLOAD_SIZE_MB * 1024 * 1024) {
+      return res.status(413).json({
+        success: false,
+        error: `File exceeds the ${MAX_DIRECT_UPLOAD_SIZE_MB} MB direct upload limit`
       });
     }
-    
-    const { buffer, originalname, mimetype } = req.file;
-    
-    // Extract parameters from request
-    const { 
-      bucketName,           // Required: bucket/container name
-      prefix = '',          // Optional: folder prefix
-      access = 'private',   // Optional: public or private (default: private)
-      userId,               // Optional: user ID
-      metadata = {}         // Optional: additional metadata
-    } = req.body;
-
-    // Validate required fields
-    if (!bucketName) {
+
+    const minutes = Number(expiryMinutes);
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) {
       return res.status(400).json({
         success: false,
-        error: 'bucketName is required'
+        error: 'expiryMinutes must be a whole number between 1 and 1440'
       });
     }
 
-    // Validate access parameter
-    if (!['private', 'public'].includes(access)) {
+    const target = resolveUploadTarget(req.platformContext, req.body, { originalname: fileName, mimetype: contentType });
+
+    if (!storageService.supportsDirectUpload(platformId, environment)) {
+      const providerInfo = storageService.getProviderInfo(platformId, environment);
       return res.status(400).json({
         success: false,
-        error: 'access must be either "private" or "public"'
+        error: `Direct uploads are not supported by the ${providerInfo.name} provider; use /upload-file`
       });
     }
 
-    // Parse metadata if it's a JSON string
-    const parsedMetadata = typeof metadata === 'string' 
-      ? JSON.parse(metadata) 
-      : metadata;
-      
-    // Upload file
-    const sanitizedBucketName = sanitizeBucketName(bucketName);
-    const sanitizedFileName = `${Date.now()}-${sanitizeFileName(originalname)}`;
-    // Keep provided folder structure (e.g. "/docs/pdfs/2024") while preventing accidental leading/trailing slashes or backslashes
-    const sanitizedPrefix = (prefix || '')
-      .trim()
-      .replace(/\\/g, '/')      // normalize Windows-style slashes
-      .replace(/\/+/g, '/')     // collapse duplicate slashes
-      .replace(/^\/+|\/+$/g, ''); // strip leading/trailing slashes
-    const result = await storageService.uploadFile(
+    const upload = await storageService.generateUploadUrl(
       platformId,
       environment,
-      sanitizedBucketName,        // From request
-      sanitizedPrefix,            // From request
-      access,            // From request
-      buffer,
-      sanitizedFileName, 
-      {
-        userId,
-        originalFileName: sanitizedFileName,
-        contentType: mimetype,
-        ...parsedMetadata
-      }
+      target.bucketName,
+      target.prefix,
+      target.access,
+      target.fileName,
+      target.metadata,
+      { contentType, contentLength: size, expiresIn: minutes * 60 }
     );
 
-    if(!result.fileUrl) {
-      return res.status(500).json({
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+    const uploadToken = signUploadToken(UPLOAD_TOKEN_SECRET, {
+      platformId,
+      environment,
+      ...target,
+      contentType,
+      contentLength: size,
+      expires: Math.floor(expiresAt.getTime() / 1000) + CONFIRM_UPLOAD_GRACE_MINUTES * 60
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...upload,
+        uploadToken,
+        bucketName: target.bucketName,
+        prefix: target.prefix,
+        fileName: target.fileName,
+        access: target.access,
+        expiresIn: minutes * 60,
+        expiresAt: expiresAt.toISOString()
+      }
+    });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+/**
+ * Confirm a direct upload: check the file arrived as declared, then apply its metadata and access
+ * POST /api/files/confirm-upload
+ *
+ * Headers:
+ *   X-Platform-ID: <platform-id>
+ *   X-API-Key: <api-key>
+ *
+ * Body:
+ *   uploadToken: <uploadToken from /get-upload-url>
+ *
+ * Responds like /upload-file. A file whose size or content type differs from the declared one is deleted (400).
+ */
+router.post('/confirm-upload', async (req, res) => {
+  try {
+    const { platformId, environment } = req.platformContext;
+    const upload = verifyUploadToken(UPLOAD_TOKEN_SECRET, req.body.uploadToken);
+
+    if (!upload || upload.platformId !== platformId || upload.environment !== environment) {
+      return res.status(400).json({
         success: false,
-        error: 'Failed to upload file'
+        error: 'uploadToken is invalid or has expired'
+      });
+    }
+
+    const key = upload.prefix ? `${upload.prefix}/${upload.fileName}` : upload.fileName;
+    const accessError = checkKeyAccess(req.platformContext, 'upload', upload.bucketName, key);
+
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        ...accessError
       });
     }
 
+    const fileUrl = storageService.getFileUrl(platformId, environment, upload.bucketName, key);
+
+    if (!(await storageService.fileExists(platformId, environment, fileUrl))) {
+      return res.status(404).json({
+        success: false,
+        error: 'File has not been uploaded yet'
+      });
+    }
+
+    // Azure SAS uploads cannot enforce size or content type, so check what arrived
+    const stored = await storageService.getFileMetadata(platformId, environment, fileUrl);
+    const mediaType = (value) => String(value || '').split(';')[0].trim().toLowerCase();
+
+    if (stored.contentLength !== upload.contentLength || mediaType(stored.contentType) !== mediaType(upload.contentType)) {
+      await storageService.deleteFile(platformId, environment, fileUrl);
+      return res.status(400).json({
+        success: false,
+        error: 'Uploaded file does not match the declared contentLength and contentType and was deleted'
+      });
+    }
+
+    const result = await storageService.completeDirectUpload(
+      platformId,
+      environment,
+      upload.bucketName,
+      upload.prefix,
+      upload.access,
+      upload.fileName,
+      upload.metadata
+    );
+
     const providerInfo = storageService.getProviderInfo(platformId, environment);
 
     res.json({
       success: true,
       data: {
         ...result,
-        fileSize: buffer.length,
+        fileSize: stored.contentLength,
         platform: platformId,
         environment,
         provider: providerInfo.name
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendUploadError(res, error);
   }
 });
 
@@ -154,6 +638,15 @@ router.post('/get-download-url', async (req, res) => {
       });
     }
 
+    const accessError = checkFileUrlAccess(req.platformContext, 'download', fileUrl);
+
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        ...accessError
+      });
+    }
+
     // Generate download URL (provider handles public/private)
     const result = await storageService.generateDownloadUrl(
       platformId,
@@ -204,6 +697,15 @@ router.post('/download-file', async (req, res) => {
       });
     }
 
+    const accessError = checkFileUrlAccess(req.platformContext, 'download', fileUrl);
+
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        ...accessError
+      });
+    }
+
     // Generate download URL (provider handles public/private)
     const result = await storageService.generateDownloadUrl(
       platformId,
@@ -298,6 +800,15 @@ router.delete('/delete-file', async (req, res) => {
       });
     }
 
+    const accessError = checkFileUrlAccess(req.platformContext, 'delete', fileUrl);
+
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        ...accessError
+      });
+    }
+
     const isfileExists = await storageService.fileExists(platformId, environment, fileUrl)
 
     if(!isfileExists) {
@@ -346,6 +857,15 @@ router.delete('/delete-by-bucket-key', async (req, res) => {
       });
     }
 
+    const accessError = checkKeyAccess(req.platformContext, 'delete', bucketName, key);
+
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        ...accessError
+      });
+    }
+
     await storageService.deleteFileByBucketKey(platformId, environment, bucketName, key);
 
     res.status(200).json({
@@ -386,6 +906,15 @@ router.get('/metadata', async (req, res) => {
       });
     }
 
+    const accessError = checkFileUrlAccess(req.platformContext, 'metadata', fileUrl);
+
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        ...accessError
+      });
+    }
+
     const metadata = await storageService.getFileMetadata(
       platformId,
       environment,
@@ -427,6 +956,15 @@ router.get('/exists', async (req, res) => {
       });
     }
 
+    const accessError = checkFileUrlAccess(req.platformContext, 'metadata', fileUrl);
+
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        ...accessError
+      });
+    }
+
     const exists = await storageService.fileExists(
       platformId,
       environment,
@@ -0,0 +1,44 @@
+// routes/health-routes.js
+const express = require('express');
+const router = express.Router();
+const readinessChecker = require('../service/readiness-checker.js');
+
+/**
+ * GET /health
+ * Liveness: the process is up and serving requests
+ */
+router.get('/health', (req, res) => {
+  res.json({ 
+    status: 'healthy', 
+    timestamp: new Date().toISOString(),
+    service: 'multi-tenant-file-service'
+  });
+});
+
+/**
+ * GET /ready
+ * Readiness: every required platform-environment's storage provider is reachable
+ */
+router.get('/ready', async (req, res) => {
+  try {
+    const { ready, checkedAt, tenants } = await readinessChecker.check();
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not ready',
+      timestamp: new Date().toISOString(),
+      checkedAt,
+      service: 'multi-tenant-file-service',
+      tenants
+    });
+  } catch (error) {
+    console.error('Readiness check error:', error);
+    res.status(503).json({
+      status: 'not ready',
+      timestamp: new Date().toISOString(),
+      service: 'multi-tenant-file-service',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// routes/stream-routes.js
+const express = require('express');
+const router = express.Router();
+const storageService = require('../service/multi-tenant-storage-service.js');
+
+/**
+ * Stream a stored file for providers that cannot sign their own download links (local, sftp,
+ * azure with a SAS-only connection string)
+ * GET /api/stream/:platformId/:environment/:bucketName/<key>?expires=<unix-seconds>&signature=<hex>
+ *
+ * Not behind platform authentication: links come from /get-download-url and are either
+ * public files or signed by the provider with an expiry.
+ */
+router.get('/:platformId/:environment/:bucketName/*key', async (req, res) => {
+  const { platformId, environment, bucketName } = req.params;
+  const key = [].concat(req.params.key).join('/');
+
+  try {
+    await storageService.withProvider(platformId, environment, async (provider) => {
+      if (typeof provider.getFileStream !== 'function' || typeof provider.isDownloadAuthorized !== 'function') {
+        return res.status(404).json({
+          success: false,
+          error: `Streaming downloads are not supported by provider '${provider.getProviderName()}'`
+        });
+      }
+
+      const authorized = await provider.isDownloadAuthorized(bucketName, key, req.query);
+
+      if (!authorized) {
+        return res.status(403).json({
+          success: false,
+          error: 'Download link is invalid or has expired'
+        });
+      }
+
+      const { stream, contentType, contentLength, fileName } = await provider.getFileStream(bucketName, key);
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Length', contentLength);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+      // Keep the provider pinned until the whole file has been sent
+      await new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        res.on('close', resolve);
+        stream.pipe(res);
+      });
+    });
+  } catch (error) {
+    if (!res.headersSent) {
+      res.status(/not found|Invalid bucket or key/.test(error.message) ? 404 : 500).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+// routes/tus-routes.js
+const express = require('express');
+const router = express.Router();
+const storageService = require('../service/multi-tenant-storage-service.js');
+const tusUploadService = require('../service/tus-upload-service.js');
+const { parseUploadMetadata } = require('../utils/tusMetadata.js');
+const { resolveUploadTarget } = require('../utils/uploadTarget.js');
+
+const TUS_VERSION = '1.0.0';
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+/**
+ * Answer a failed tus request: upload errors with their own status, anything else with 500
+ */
+function sendTusError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, ...error.body });
+  }
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * Read a non-negative integer header (Upload-Length, Upload-Offset)
+ * @returns {number|null} Value, or null when missing or malformed
+ */
+function readSizeHeader(req, name) {
+  const value = req.headers[name];
+  return /^\d+$/.test(value || '') ? Number(value) : null;
+}
+
+/**
+ * Headers describing an upload's progress
+ */
+function setUploadHeaders(res, upload) {
+  res.set({
+    'Upload-Offset': String(upload.offset),
+    'Upload-Expires': new Date(upload.expiresAt).toUTCString()
+  });
+
+  if (upload.result) {
+    res.set('X-File-Url', upload.result.fileUrl);
+  }
+}
+
+// Every tus request except the JSON status lookup must speak the protocol version we do
+router.use((req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  if (req.method !== 'GET' && req.headers['tus-resumable'] !== TUS_VERSION) {
+    return res.status(412).set('Tus-Version', TUS_VERSION).json({
+      success: false,
+      error: `Tus-Resumable must be ${TUS_VERSION}`
+    });
+  }
+
+  next();
+});
+
+/**
+ * Create a resumable upload
+ * POST /api/files/tus
+ *
+ * Headers:
+ *   Tus-Resumable: 1.0.0
+ *   Upload-Length: <total size in bytes>
+ *   Upload-Metadata: comma separated "key base64(value)" pairs:
+ *     filename (required), filetype, bucketName (required), prefix, access, userId, metadata (JSON)
+ *
+ * Answers 201 with the upload URL in Location. The finished file is stored at
+ * bucketName + prefix/<timestamp>-<filename>, as /upload-file does.
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (req.headers['upload-defer-length']) {
+      return res.status(400).json({ success: false, error: 'Upload-Defer-Length is not supported' });
+    }
+
+    const length = readSizeHeader(req, 'upload-length');
+
+    if (length === null) {
+      return res.status(400).json({ success: false, error: 'Upload-Length header is required' });
+    }
+
+    let fields;
+    try {
+      fields = parseUploadMetadata(req.headers['upload-metadata']);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    if (!fields.filename) {
+      return res.status(400).json({ success: false, error: 'Upload-Metadata must include filename' });
+    }
+
+    const target = resolveUploadTarget(req.platformContext, fields, {
+      originalname: fields.filename,
+      mimetype: fields.filetype || 'application/octet-stream'
+    });
+
+    const upload = await tusUploadService.createUpload(req.platformContext, target, length);
+
+    setUploadHeaders(res, upload);
+    res.status(201).set('Location', `${req.baseUrl}/${upload.id}`).end();
+  } catch (error) {
+    sendTusError(res, error);
+  }
+});
+
+/**
+ * Offset of an upload
+ * HEAD /api/files/tus/:id
+ */
+router.head('/:id', async (req, res) => {
+  try {
+    const upload = await tusUploadService.getUpload(req.platformContext, req.params.id);
+
+    setUploadHeaders(res, upload);
+    res.status(200).set({
+      'Upload-Length': String(upload.length),
+      'Cache-Control': 'no-store'
+    }).end();
+  } catch (error) {
+    res.status(error.status || 500).end();
+  }
+});
+
+/**
+ * Send the next chunk of an upload
+ * PATCH /api/files/tus/:id
+ *
+ * Headers:
+ *   Tus-Resumable: 1.0.0
+ *   Content-Type: application/offset+octet-stream
+ *   Upload-Offset: <offset the chunk starts at, as returned by HEAD>
+ *
+ * Answers 204 with the new Upload-Offset, plus X-File-Url once the last chunk is stored.
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    if ((req.headers['content-type'] || '').split(';')[0].trim() !== CHUNK_CONTENT_TYPE) {
+      return res.status(415).json({ success: false, error: `Content-Type must be ${CHUNK_CONTENT_TYPE}` });
+    }
+
+    const offset = readSizeHeader(req, 'upload-offset');
+
+    if (offset === null) {
+      return res.status(400).json({ success: false, error: 'Upload-Offset header is required' });
+    }
+
+    const upload = await tusUploadService.appendChunk(req.platformContext, req.params.id, offset, req, {
+      contentLength: readSizeHeader(req, 'content-length') ?? undefined,
+      contentSha256: req.platformContext.contentSha256
+    });
+
+    setUploadHeaders(res, upload);
+    res.status(204).end();
+  } catch (error) {
+    sendTusError(res, error);
+  }
+});
+
+/**
+ * Cancel an upload and drop the chunks received so far
+ * DELETE /api/files/tus/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await tusUploadService.terminateUpload(req.platformContext, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendTusError(res, error);
+  }
+});
+
+/**
+ * Progress of an upload as JSON; once complete, data matches the /upload-file response
+ * GET /api/files/tus/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { platformId, environment } = req.platformContext;
+    const upload = await tusUploadService.getUpload(req.platformContext, req.params.id);
+
+    const progress = {
+      uploadId: upload.id,
+      offset: upload.offset,
+      length: upload.length,
+      complete: Boolean(upload.completedAt),
+      expiresAt: upload.expiresAt
+    };
+
+    if (!upload.result) {
+      return res.json({ success: true, data: progress });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...progress,
+        ...upload.result,
+        fileSize: upload.length,
+        platform: platformId,
+        environment,
+        provider: storageService.getProviderInfo(platformId, environment).name
+      }
+    });
+  } catch (error) {
+    sendTusError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// scripts/hash-api-key.js
+// Usage:
+//   node scripts/hash-api-key.js            -> generates a new API key and prints it with its hash
+//   node scripts/hash-api-key.js <api-key>  -> prints the hash of an existing API key
+const crypto = require('crypto');
+const { hashApiKey } = require('../utils/hashApiKey');
+
+const providedKey = process.argv[2];
+const apiKey = providedKey || crypto.randomBytes(32).toString('base64url');
+
+if (!providedKey) {
+  console.log(`API key:      ${apiKey}`);
+}
+console.log(`API key hash: ${hashApiKey(apiKey)}`);
@@ -0,0 +1,79 @@
+// scripts/migrate-storage.js
+// Usage:
+//   node scripts/migrate-storage.js --from onedigital/prod --to onedigital/prod-azure --bucket claims
+//   options: --prefix <folder>          only copy files under this folder
+//            --target-bucket <name>     bucket name on the target (default: same as --bucket)
+//            --checkpoint <file>        progress file; rerun with the same file to resume
+//            --output <file>            where to write the old URL -> new URL mapping (JSON)
+// Exits with a non-zero code when any file could not be copied.
+require('dotenv').config();
+const fs = require('fs');
+const platformConfig = require('../config/platform-config');
+const StorageProviderFactory = require('../providers/storage-provider-factory');
+const { migrateFiles } = require('../service/storage-migrator');
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+/**
+ * Create the provider configured for "<platformId>/<environment>"
+ */
+const createProvider = (tenant) => {
+  const [platformId, environment] = String(tenant).split('/');
+  const config = platformConfig.getPlatformConfig(platformId, environment);
+  return StorageProviderFactory.createProvider(config.provider, config);
+};
+
+async function main() {
+  const from = option('from');
+  const to = option('to');
+  const bucketName = option('bucket');
+
+  if (!from || !to || !bucketName) {
+    console.error('Usage: node scripts/migrate-storage.js --from <platform>/<env> --to <platform>/<env> --bucket <name> ' +
+      '[--prefix <folder>] [--target-bucket <name>] [--checkpoint <file>] [--output <file>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const name = `migration-${from}-to-${to}-${bucketName}`.replace(/[^a-zA-Z0-9_.-]+/g, '-');
+  const checkpointFile = option('checkpoint') || `${name}.checkpoint.json`;
+  const outputFile = option('output') || `${name}.urls.json`;
+  const source = createProvider(from);
+  const target = createProvider(to);
+
+  try {
+    const result = await migrateFiles({
+      source,
+      target,
+      bucketName,
+      prefix: option('prefix') || '',
+      targetBucketName: option('target-bucket') || bucketName,
+      checkpointFile,
+      onProgress: ({ key, status, error }) => {
+        console.log(`${status.toUpperCase().padEnd(7)} ${key}${error ? `: ${error}` : ''}`);
+      }
+    });
+
+    fs.writeFileSync(outputFile, JSON.stringify(result.mapping, null, 2));
+
+    console.log(`${result.total} files: ${result.copied} copied, ${result.skipped} already copied, ${result.failed.length} failed`);
+    console.log(`Checkpoint: ${checkpointFile}`);
+    console.log(`URL mapping (${Object.keys(result.mapping).length} files): ${outputFile}`);
+
+    if (result.failed.length > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await Promise.all([source, target]
+      .filter(provider => typeof provider.close === 'function')
+      .map(provider => provider.close()));
+  }
+}
+
+main().catch(error => {
+  console.error(`Migration failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,18 @@
+// scripts/validate-platform-config.js
+// Usage:
+//   node scripts/validate-platform-config.js                        -> checks required provider settings
+//   node scripts/validate-platform-config.js --check-connectivity   -> also checks each bucket/account is reachable
+//   add --strict to exit with a non-zero code when any problem is found
+require('dotenv').config();
+const { validatePlatformEnvironments, formatValidationReport } = require('../service/config-validator');
+
+const strict = process.argv.includes('--strict');
+const connectivity = process.argv.includes('--check-connectivity');
+
+validatePlatformEnvironments({ connectivity }).then(report => {
+  console.log(formatValidationReport(report));
+
+  if (!report.valid && strict) {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,121 @@
+// service/config-validator.js
+const platformConfig = require('../config/platform-config');
+const StorageProviderFactory = require('../providers/storage-provider-factory');
+const { withTimeout } = require('../utils/withTimeout');
+
+const DEFAULT_CONNECTIVITY_TIMEOUT_MS = 5000;
+
+/**
+ * Create the provider, run its health check and close it again, so open connections
+ * (e.g. SFTP) do not keep the process alive
+ * @returns {Promise<object>} { ok, durationMs, error? }
+ */
+async function checkConnectivity(config, timeoutMs) {
+  const startedAt = Date.now();
+  let provider = null;
+
+  try {
+    provider = StorageProviderFactory.createProvider(config.provider, config);
+    await withTimeout(provider.healthCheck(), timeoutMs, `No response within ${timeoutMs}ms`);
+
+    return { ok: true, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, durationMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    if (provider && typeof provider.close === 'function') {
+      await withTimeout(Promise.resolve().then(() => provider.close()), timeoutMs, `Close took over ${timeoutMs}ms`)
+        .catch(error => console.error(`Failed to close ${config.provider} provider: ${error.message}`));
+    }
+  }
+}
+
+/**
+ * Whether the environment's provider hands out direct upload URLs. Their upload tokens are
+ * signed with UPLOAD_TOKEN_SECRET; without it each instance signs with its own random secret.
+ */
+function acceptsDirectUploads(config) {
+  let provider = null;
+
+  try {
+    provider = StorageProviderFactory.createProvider(config.provider, config);
+    return provider.supportsDirectUpload();
+  } catch (error) {
+    // Providers that cannot be created are reported by the connectivity check
+    return false;
+  } finally {
+    if (provider && typeof provider.close === 'function') {
+      Promise.resolve().then(() => provider.close()).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Check every platform environment for missing provider settings (and a missing
+ * UPLOAD_TOKEN_SECRET where direct uploads are possible) and, optionally, whether its
+ * storage account/bucket is reachable
+ * @param {object} options - { connectivity: boolean, timeoutMs: number }
+ * @returns {Promise<object>} { valid, results: [{ platformId, environment, provider, errors, connectivity? }] }
+ */
+async function validatePlatformEnvironments({ connectivity = false, timeoutMs = DEFAULT_CONNECTIVITY_TIMEOUT_MS } = {}) {
+  const checks = [];
+
+  Object.keys(platformConfig.platforms).forEach(platformId => {
+    platformConfig.getPlatformEnvironments(platformId).forEach(environment => {
+      const config = platformConfig.getPlatformConfig(platformId, environment);
+      const result = {
+        platformId,
+        environment,
+        provider: config.provider,
+        errors: [...StorageProviderFactory.validateConfig(config.provider, config)]
+      };
+      const complete = result.errors.length === 0;
+
+      if (complete && !process.env.UPLOAD_TOKEN_SECRET && acceptsDirectUploads(config)) {
+        result.errors.push('UPLOAD_TOKEN_SECRET must be set: direct upload tokens signed with a random per-process ' +
+          'secret stop working on restart and are refused by other instances');
+      }
+
+      // Connectivity is only worth checking once the settings themselves are complete
+      if (connectivity && complete) {
+        checks.push(checkConnectivity(config, timeoutMs).then(outcome => {
+          result.connectivity = outcome;
+          return result;
+        }));
+      } else {
+        checks.push(Promise.resolve(result));
+      }
+    });
+  });
+
+  const results = await Promise.all(checks);
+  const valid = results.every(result => result.errors.length === 0 && (!result.connectivity || result.connectivity.ok));
+
+  return { valid, results };
+}
+
+/**
+ * Render a validation report for the console
+ */
+function formatValidationReport({ valid, results }) {
+  const lines = results.map(({ platformId, environment, provider, errors, connectivity }) => {
+    const failed = errors.length > 0 || (connectivity && !connectivity.ok);
+    let line = `${failed ? 'FAIL' : 'OK  '} ${platformId}/${environment} (${provider})`;
+
+    if (connectivity) {
+      line += connectivity.ok
+        ? ` reachable in ${connectivity.durationMs}ms`
+        : ` unreachable: ${connectivity.error}`;
+    }
+
+    return [line, ...errors.map(error => `       - ${error}`)].join('\n');
+  });
+
+  const failures = results.filter(result => result.errors.length > 0 || (result.connectivity && !result.connectivity.ok));
+  lines.push(valid
+    ? `All ${results.length} platform environments passed`
+    : `${failures.length} of ${results.length} platform environments have problems`);
+
+  return lines.join('\n');
+}
+
+module.exports = { validatePlatformEnvironments, formatValidationReport };
@@ -6,6 +6,12 @@ class MultiTenantStorageService {
   constructor() {
     // Cache for provider instances per platform-environment
     this.providerCache = new Map();
+    // Number of running operations per provider instance
+    this.inFlight = new Map();
+    // Providers dropped from the cache that still have operations running
+    this.retiredProviders = new Set();
+    // Last provider dropped from the cache per platform-environment, until its replacement is created
+    this.replacedProviders = new Map();
   }
 
   /**
@@ -23,9 +29,89 @@ class MultiTenantStorageService {
 
     this.providerCache.set(cacheKey, provider);
 
+    // Replicated providers take over their queue file from the instance they replace
+    if (typeof provider.resumeQueue === 'function') {
+      provider.resumeQueue(this.replacedProviders.get(cacheKey))
+        .catch(error => console.error(`Failed to resume the replication queue of ${cacheKey}: ${error.message}`));
+    }
+    this.replacedProviders.delete(cacheKey);
+
     return provider;
   }
 
+  /**
+   * Run an operation on the provider of a platform-environment. The provider is resolved
+   * once, so an operation always finishes on the instance it started with even if the
+   * configuration is reloaded meanwhile.
+   * @param {string} platformId - Platform identifier
+   * @param {string} environment - Environment
+   * @param {Function} operation - Receives the provider, returns a promise
+   * @returns {Promise<*>} Result of the operation
+   */
+  async withProvider(platformId, environment, operation) {
+    const provider = this.getStorageProvider(platformId, environment);
+    this.inFlight.set(provider, (this.inFlight.get(provider) || 0) + 1);
+
+    try {
+      return await operation(provider);
+    } finally {
+      const remaining = this.inFlight.get(provider) - 1;
+
+      if (remaining > 0) {
+        this.inFlight.set(provider, remaining);
+      } else {
+        this.inFlight.delete(provider);
+        if (this.retiredProviders.delete(provider)) {
+          this.disposeProvider(provider);
+        }
+      }
+    }
+  }
+
+  /**
+   * Drop cached providers of changed platform-environments so the next request builds
+   * them from the current configuration. Old instances are closed once idle.
+   * @param {Array<object>} changes - { platformId, environment } pairs
+   * @returns {Array<string>} Cache keys that were invalidated
+   */
+  invalidateProviders(changes = []) {
+    const invalidated = [];
+
+    changes.forEach(({ platformId, environment }) => {
+      const cacheKey = `${platformId}-${environment}`;
+      const provider = this.providerCache.get(cacheKey);
+
+      if (!provider) {
+        return;
+      }
+
+      this.providerCache.delete(cacheKey);
+      this.replacedProviders.set(cacheKey, provider);
+      invalidated.push(cacheKey);
+
+      if (this.inFlight.has(provider)) {
+        this.retiredProviders.add(provider);
+      } else {
+        this.disposeProvider(provider);
+      }
+    });
+
+    return invalidated;
+  }
+
+  /**
+   * Release resources held by a provider that is no longer used
+   */
+  disposeProvider(provider) {
+    if (typeof provider.close !== 'function') {
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => provider.close())
+      .catch(error => console.error(`Failed to close ${provider.getProviderName()} provider: ${error.message}`));
+  }
+
   /**
    * Upload file - bucket name comes from request
    * @param {string} platformId - Platform identifier
@@ -39,34 +125,196 @@ class MultiTenantStorageService {
    * @returns {Promise<object>} Upload result
    */
   async uploadFile(platformId, environment, bucketName, prefix, access, fileData, fileName, metadata = {}) {
+    return this.storeFile('uploadFile', platformId, environment, bucketName, prefix, access, fileData, fileName, metadata);
+  }
+
+  /**
+   * Upload file from a stream - same as uploadFile without buffering the whole file
+   * @param {string} platformId - Platform identifier
+   * @param {string} environment - Environment (internally determined)
+   * @param {string} bucketName - Bucket/container name (from request)
+   * @param {string} prefix - Folder prefix (from request)
+   * @param {string} access - 'public' or 'private' (from request)
+   * @param {stream.Readable} stream - File contents
+   * @param {string} fileName - File name
+   * @param {object} metadata - Additional metadata
+   * @returns {Promise<object>} Upload result
+   */
+  async uploadFileStream(platformId, environment, bucketName, prefix, access, stream, fileName, metadata = {}) {
+    return this.storeFile('uploadStream', platformId, environment, bucketName, prefix, access, stream, fileName, metadata);
+  }
+
+  /**
+   * Store file contents through the provider's uploadFile or uploadStream
+   */
+  async storeFile(method, platformId, environment, bucketName, prefix, access, contents, fileName, metadata) {
     try {
-      const provider = this.getStorageProvider(platformId, environment);      
-      // Enrich metadata with platform context
-      const enrichedMetadata = {
-        platformId,
-        environment,
-        provider: provider.getProviderName(),
-        ...metadata
-      };
-
-      // Upload to specified bucket with prefix
-      const permanentUrl = await provider.uploadFile(
-        bucketName,
-        fileData,
-        prefix,
-        fileName,
-        enrichedMetadata,
-        access
-      );
+      const permanentUrl = await this.withProvider(platformId, environment, provider => {
+        // Upload to specified bucket with prefix
+        return provider[method](
+          bucketName,
+          contents,
+          prefix,
+          fileName,
+          this.enrichMetadata(provider, platformId, environment, metadata),
+          access
+        );
+      });
       
-      return {
-        fileUrl: permanentUrl,
-        bucketName: bucketName,
-        prefix: prefix,
-        fileName: fileName,
-        access: access,
-        isPublic: access === 'public'
-      };
+      return this.buildUploadResult(permanentUrl, bucketName, prefix, fileName, access);
+    } catch (error) {
+      throw new Error(`Upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enrich metadata with platform context
+   */
+  enrichMetadata(provider, platformId, environment, metadata = {}) {
+    return {
+      platformId,
+      environment,
+      provider: provider.getProviderName(),
+      ...metadata
+    };
+  }
+
+  /**
+   * Upload result returned for every way of storing a file
+   */
+  buildUploadResult(fileUrl, bucketName, prefix, fileName, access) {
+    return {
+      fileUrl,
+      bucketName,
+      prefix,
+      fileName,
+      access,
+      isPublic: access === 'public'
+    };
+  }
+
+  /**
+   * Whether the platform's provider can store files in parts (S3 multipart, Azure staged blocks)
+   */
+  supportsMultipartUpload(platformId, environment) {
+    return this.getStorageProvider(platformId, environment).supportsMultipartUpload();
+  }
+
+  /**
+   * Start storing a file in parts
+   * @returns {Promise<string>} Upload id for uploadPart and completeMultipartUpload
+   */
+  async createMultipartUpload(platformId, environment, bucketName, prefix, access, fileName, metadata = {}) {
+    try {
+      return await this.withProvider(platformId, environment, provider =>
+        provider.createMultipartUpload(
+          bucketName,
+          prefix,
+          fileName,
+          this.enrichMetadata(provider, platformId, environment, metadata),
+          access
+        )
+      );
+    } catch (error) {
+      throw new Error(`Upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store one part of a multipart upload
+   * @returns {Promise<object>} Part descriptor for completeMultipartUpload
+   */
+  async uploadPart(platformId, environment, bucketName, prefix, fileName, uploadId, partNumber, data) {
+    try {
+      return await this.withProvider(platformId, environment, provider =>
+        provider.uploadPart(bucketName, prefix, fileName, uploadId, partNumber, data)
+      );
+    } catch (error) {
+      throw new Error(`Upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Join the parts of a multipart upload into the file
+   * @returns {Promise<object>} Upload result, as uploadFile returns
+   */
+  async completeMultipartUpload(platformId, environment, bucketName, prefix, access, fileName, uploadId, parts, metadata = {}) {
+    try {
+      const permanentUrl = await this.withProvider(platformId, environment, provider =>
+        provider.completeMultipartUpload(
+          bucketName,
+          prefix,
+          fileName,
+          uploadId,
+          parts,
+          this.enrichMetadata(provider, platformId, environment, metadata),
+          access
+        )
+      );
+
+      return this.buildUploadResult(permanentUrl, bucketName, prefix, fileName, access);
+    } catch (error) {
+      throw new Error(`Upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop an unfinished multipart upload
+   */
+  async abortMultipartUpload(platformId, environment, bucketName, prefix, fileName, uploadId) {
+    try {
+      return await this.withProvider(platformId, environment, provider =>
+        provider.abortMultipartUpload(bucketName, prefix, fileName, uploadId)
+      );
+    } catch (error) {
+      throw new Error(`Abort upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether clients of the platform's provider can upload straight to storage
+   */
+  supportsDirectUpload(platformId, environment) {
+    return this.getStorageProvider(platformId, environment).supportsDirectUpload();
+  }
+
+  /**
+   * Generate a URL a client uploads one file to, bypassing the service
+   * @param {object} metadata - Additional metadata (enriched like uploadFile's)
+   * @param {object} options - { contentType, contentLength, expiresIn (seconds) }
+   * @returns {Promise<object>} { uploadUrl, method, fields?, headers? }
+   */
+  async generateUploadUrl(platformId, environment, bucketName, prefix, access, fileName, metadata = {}, options = {}) {
+    try {
+      return await this.withProvider(platformId, environment, provider =>
+        provider.generateUploadUrl(bucketName, prefix, fileName, {
+          ...options,
+          metadata: this.enrichMetadata(provider, platformId, environment, metadata),
+          access
+        })
+      );
+    } catch (error) {
+      throw new Error(`Upload URL generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply metadata and access to a file uploaded with generateUploadUrl
+   * @returns {Promise<object>} Upload result, as uploadFile returns
+   */
+  async completeDirectUpload(platformId, environment, bucketName, prefix, access, fileName, metadata = {}) {
+    try {
+      const permanentUrl = await this.withProvider(platformId, environment, provider =>
+        provider.completeDirectUpload(
+          bucketName,
+          prefix,
+          fileName,
+          this.enrichMetadata(provider, platformId, environment, metadata),
+          access
+        )
+      );
+
+      return this.buildUploadResult(permanentUrl, bucketName, prefix, fileName, access);
     } catch (error) {
       throw new Error(`Upload failed: ${error.message}`);
     }
@@ -82,10 +330,10 @@ class MultiTenantStorageService {
    */
   async generateDownloadUrl(platformId, environment, permanentUrl, options = {}) {
     try {
-      const provider = this.getStorageProvider(platformId, environment);
-      
       // Provider handles checking if public/private and returns appropriate URL
-      return await provider.generateDownloadUrl(permanentUrl, options);
+      return await this.withProvider(platformId, environment, provider =>
+        provider.generateDownloadUrl(permanentUrl, options)
+      );
     } catch (error) {
       throw new Error(`Download URL generation failed: ${error.message}`);
     }
@@ -96,8 +344,7 @@ class MultiTenantStorageService {
    */
   async deleteFile(platformId, environment, fileUrl) {
     try {
-      const provider = this.getStorageProvider(platformId, environment);
-      return await provider.deleteFile(fileUrl);
+      return await this.withProvider(platformId, environment, provider => provider.deleteFile(fileUrl));
     } catch (error) {
       throw new Error(`Delete failed: ${error.message}`);
     }
@@ -113,15 +360,9 @@ class MultiTenantStorageService {
    */
   async deleteFileByBucketKey(platformId, environment, bucketName, key) {
     try {
-      const metadata = {
-        platformId,
-        environment,
-      };
-      const provider = this.getStorageProvider(platformId, environment);
-      console.log('metadata', metadata);
-      console.log('--------------------------------');
-      console.log('--------------------------------');
-      return await provider.deleteFileByBucketKey(bucketName, key, metadata);
+      return await this.withProvider(platformId, environment, provider =>
+        provider.deleteFileByBucketKey(bucketName, key)
+      );
     } catch (error) {
       throw new Error(`Delete by bucket key failed: ${error.message}`);
     }
@@ -132,8 +373,7 @@ class MultiTenantStorageService {
    */
   async getFileMetadata(platformId, environment, fileUrl) {
     try {
-      const provider = this.getStorageProvider(platformId, environment);
-      return await provider.getFileMetadata(fileUrl);
+      return await this.withProvider(platformId, environment, provider => provider.getFileMetadata(fileUrl));
     } catch (error) {
       throw new Error(`Get metadata failed: ${error.message}`);
     }
@@ -144,13 +384,56 @@ class MultiTenantStorageService {
    */
   async fileExists(platformId, environment, fileUrl) {
     try {
-      const provider = this.getStorageProvider(platformId, environment);
-      return await provider.fileExists(fileUrl);
+      return await this.withProvider(platformId, environment, provider => provider.fileExists(fileUrl));
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * Probe the (cached) provider of a platform-environment with its health check
+   * @returns {Promise<boolean>} Resolves true when the storage account/bucket is reachable
+   */
+  async checkHealth(platformId, environment) {
+    try {
+      return await this.withProvider(platformId, environment, provider => provider.healthCheck());
+    } catch (error) {
+      throw new Error(`Health check failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replication lag and failures of a platform-environment that mirrors its files
+   * @returns {object|null} Status, or null when the provider does not replicate
+   */
+  getReplicationStatus(platformId, environment) {
+    const provider = this.getStorageProvider(platformId, environment);
+    return typeof provider.getReplicationStatus === 'function' ? provider.getReplicationStatus() : null;
+  }
+
+  /**
+   * Resolve a file URL to the bucket name and key used in requests
+   * @param {string} platformId - Platform identifier
+   * @param {string} environment - Environment
+   * @param {string} fileUrl - File URL
+   * @returns {object} { bucketName, key }
+   */
+  parseBucketKey(platformId, environment, fileUrl) {
+    const provider = this.getStorageProvider(platformId, environment);
+    return provider.parseBucketKey(fileUrl);
+  }
+
+  /**
+   * Permanent URL of a file in a platform-environment's storage
+   * @param {string} bucketName - Bucket/container name
+   * @param {string} key - "prefix/fileName" or "fileName"
+   * @returns {string} File URL
+   */
+  getFileUrl(platformId, environment, bucketName, key) {
+    const provider = this.getStorageProvider(platformId, environment);
+    return provider.getFileUrl(bucketName, key);
+  }
+
   /**
    * Get provider info
    */
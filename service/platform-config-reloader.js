@@ -0,0 +1,67 @@
+// service/platform-config-reloader.js
+const fs = require('fs');
+const path = require('path');
+const platformConfig = require('../config/platform-config');
+const storageService = require('./multi-tenant-storage-service');
+
+/**
+ * Reload the platform config file and drop cached providers of the platform-environments
+ * that changed. An invalid file is reported and the running configuration is kept.
+ * @returns {object} { success, changed, invalidated } or { success: false, error }
+ */
+function reloadPlatformConfig() {
+  try {
+    const changed = platformConfig.reload();
+    const invalidated = storageService.invalidateProviders(changed);
+
+    console.log(
+      `Platform config reloaded: ${changed.length} environment(s) changed` +
+      (changed.length ? ` (${changed.map(({ platformId, environment }) => `${platformId}/${environment}`).join(', ')})` : '')
+    );
+
+    return { success: true, changed, invalidated };
+  } catch (error) {
+    console.error(`Platform config reload failed, keeping current configuration: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Reload the platform config on SIGHUP and whenever the config file changes
+ * @param {object} options - { watchFile: boolean, debounceMs: number }
+ * @returns {Function} Stops watching
+ */
+function watchPlatformConfig({ watchFile = true, debounceMs = 500 } = {}) {
+  let timer = null;
+
+  const scheduleReload = () => {
+    // Editors often write a file in several steps; reload once they are done
+    clearTimeout(timer);
+    timer = setTimeout(reloadPlatformConfig, debounceMs);
+  };
+
+  process.on('SIGHUP', reloadPlatformConfig);
+
+  // Watch the directory rather than the file so replace-on-save editors keep triggering reloads
+  let watcher = null;
+  if (watchFile) {
+    const configDir = path.dirname(platformConfig.configPath);
+    const configFile = path.basename(platformConfig.configPath);
+
+    watcher = fs.watch(configDir, (eventType, fileName) => {
+      if (fileName === configFile) {
+        scheduleReload();
+      }
+    });
+  }
+
+  return () => {
+    clearTimeout(timer);
+    process.removeListener('SIGHUP', reloadPlatformConfig);
+    if (watcher) {
+      watcher.close();
+    }
+  };
+}
+
+module.exports = { reloadPlatformConfig, watchPlatformConfig };
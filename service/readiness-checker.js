@@ -0,0 +1,112 @@
+// service/readiness-checker.js
+const platformConfig = require('../config/platform-config');
+const storageService = require('./multi-tenant-storage-service');
+const { withTimeout } = require('../utils/withTimeout');
+
+/**
+ * Probes every platform-environment's storage provider for the /ready endpoint.
+ * Results are cached for a short time so frequent readiness polls do not hit storage.
+ */
+class ReadinessChecker {
+  constructor({ ttlMs, timeoutMs } = {}) {
+    this.ttlMs = ttlMs ?? Number(process.env.READINESS_CACHE_TTL_MS || 10000);
+    this.timeoutMs = timeoutMs ?? Number(process.env.READINESS_PROBE_TIMEOUT_MS || 3000);
+    this.cached = null;
+    // Concurrent polls share one round of probes
+    this.pending = null;
+  }
+
+  /**
+   * Probe one platform-environment
+   * @returns {Promise<object>} { platformId, environment, provider, required, status, latencyMs, error?, replication? }
+   */
+  async probe(platformId, environment) {
+    const startedAt = Date.now();
+    const result = { platformId, environment, provider: null, required: true };
+
+    try {
+      const config = platformConfig.getPlatformConfig(platformId, environment);
+      result.provider = config.provider;
+      // Environments can opt out of blocking readiness with `required: false`
+      result.required = config.required !== false;
+
+      await withTimeout(
+        storageService.checkHealth(platformId, environment),
+        this.timeoutMs,
+        `No response within ${this.timeoutMs}ms`
+      );
+
+      return this.withReplication({ ...result, status: 'up', latencyMs: Date.now() - startedAt });
+    } catch (error) {
+      return this.withReplication({ ...result, status: 'down', latencyMs: Date.now() - startedAt, error: error.message });
+    }
+  }
+
+  /**
+   * Add replica lag and failures for replicated providers; they do not affect readiness
+   */
+  withReplication(result) {
+    try {
+      const replication = storageService.getReplicationStatus(result.platformId, result.environment);
+      return replication ? { ...result, replication } : result;
+    } catch (error) {
+      return result;
+    }
+  }
+
+  /**
+   * Probe all platform-environments
+   * @returns {Promise<object>} { ready, checkedAt, tenants }
+   */
+  async runProbes() {
+    const probes = [];
+
+    Object.keys(platformConfig.platforms).forEach(platformId => {
+      platformConfig.getPlatformEnvironments(platformId).forEach(environment => {
+        probes.push(this.probe(platformId, environment));
+      });
+    });
+
+    const tenants = await Promise.all(probes);
+
+    return {
+      ready: tenants.every(tenant => tenant.status === 'up' || !tenant.required),
+      checkedAt: new Date().toISOString(),
+      tenants
+    };
+  }
+
+  /**
+   * Get the readiness report, probing again once the cached one is older than the TTL
+   * @returns {Promise<object>} { ready, checkedAt, tenants }
+   */
+  async check(now = Date.now()) {
+    if (this.cached && now - this.cached.at < this.ttlMs) {
+      return this.cached.report;
+    }
+
+    if (!this.pending) {
+      this.pending = this.runProbes()
+        .then(report => {
+          this.cached = { at: Date.now(), report };
+          return report;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+
+    return this.pending;
+  }
+
+  /**
+   * Forget the cached report
+   */
+  reset() {
+    this.cached = null;
+  }
+}
+
+// Export a singleton instance
+module.exports = new ReadinessChecker();
+module.exports.ReadinessChecker = ReadinessChecker;
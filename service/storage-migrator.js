@@ -0,0 +1,161 @@
+// service/storage-migrator.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CHECKPOINT_VERSION = 1;
+// Metadata every provider sets on upload; the target provider writes its own values
+const PROVIDER_METADATA = ['provider', 'access', 'uploadedat', 'contenttype'];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Look up a metadata value regardless of case (S3 lower-cases metadata keys)
+ */
+const findMetadata = (metadata = {}, name) => {
+  const entry = Object.entries(metadata).find(([key]) => key.toLowerCase() === name.toLowerCase());
+  return entry ? entry[1] : undefined;
+};
+
+/**
+ * Read a checkpoint, or start a new one when the file does not exist yet.
+ * A checkpoint written for a different bucket, prefix or provider pair is refused.
+ */
+async function loadCheckpoint(checkpointFile, migration) {
+  const fresh = { version: CHECKPOINT_VERSION, ...migration, files: {}, failed: {} };
+
+  if (!checkpointFile) {
+    return fresh;
+  }
+
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(await fs.promises.readFile(checkpointFile, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fresh;
+    }
+    throw new Error(`Could not read checkpoint ${checkpointFile}: ${error.message}`);
+  }
+
+  const mismatched = Object.keys(migration).filter(field => checkpoint[field] !== migration[field]);
+  if (checkpoint.version !== CHECKPOINT_VERSION || mismatched.length > 0) {
+    throw new Error(`Checkpoint ${checkpointFile} belongs to a different migration (${mismatched.join(', ') || 'version'} differs)`);
+  }
+
+  return { ...checkpoint, files: checkpoint.files || {}, failed: checkpoint.failed || {} };
+}
+
+/**
+ * Write the checkpoint through a temporary file so an interrupted run never leaves it half written
+ */
+async function saveCheckpoint(checkpointFile, checkpoint) {
+  if (!checkpointFile) {
+    return;
+  }
+
+  const tempFile = `${checkpointFile}.tmp`;
+  await fs.promises.writeFile(tempFile, JSON.stringify(checkpoint, null, 2));
+  await fs.promises.rename(tempFile, checkpointFile);
+}
+
+/**
+ * Copy one file and check that the target returns the same bytes
+ * @returns {Promise<object>} { sourceUrl, targetUrl, sha256, size }
+ */
+async function copyFile(source, target, bucketName, targetBucketName, key) {
+  const sourceUrl = source.getFileUrl(bucketName, key);
+  const sourceMetadata = await source.getFileMetadata(sourceUrl);
+  const data = await source.getFileContent(bucketName, key);
+
+  if (sourceMetadata.contentLength !== undefined && Number(sourceMetadata.contentLength) !== data.length) {
+    throw new Error(`Read ${data.length} of ${sourceMetadata.contentLength} bytes from the source`);
+  }
+
+  // Azure tracks access per container, so files uploaded elsewhere may only have it there
+  const access = findMetadata(sourceMetadata.metadata, 'access') ||
+    (await source.isBucketPublic(bucketName) ? 'public' : 'private');
+
+  const metadata = {};
+  Object.entries(sourceMetadata.metadata || {}).forEach(([name, value]) => {
+    if (!PROVIDER_METADATA.includes(name.toLowerCase())) {
+      metadata[name] = value;
+    }
+  });
+  const uploadedAt = findMetadata(sourceMetadata.metadata, 'uploadedAt');
+  if (uploadedAt) {
+    metadata.originalUploadedAt = uploadedAt;
+  }
+  metadata.contentType = sourceMetadata.contentType || 'application/octet-stream';
+
+  const prefix = path.posix.dirname(key) === '.' ? '' : path.posix.dirname(key);
+  const targetUrl = await target.uploadFile(targetBucketName, data, prefix, path.posix.basename(key), metadata, access);
+
+  const checksum = sha256(data);
+  const copiedChecksum = sha256(await target.getFileContent(targetBucketName, key));
+  if (copiedChecksum !== checksum) {
+    throw new Error(`Checksum mismatch after copy (source sha256 ${checksum}, target sha256 ${copiedChecksum})`);
+  }
+
+  return { sourceUrl, targetUrl, sha256: checksum, size: data.length };
+}
+
+/**
+ * Copy every file under a bucket and prefix from one provider to another, keeping key,
+ * metadata, access level and content type. Progress is saved to the checkpoint after every
+ * file, so a rerun with the same checkpoint skips what was already copied and retries failures.
+ * @param {object} options - { source, target, bucketName, prefix, targetBucketName, checkpointFile, onProgress }
+ *   source, target - storage providers
+ *   onProgress     - optional ({ key, status: 'copied' | 'skipped' | 'failed', error? }) => void
+ * @returns {Promise<object>} { total, copied, skipped, failed: [{ key, error }], mapping: { oldUrl: newUrl } }
+ */
+async function migrateFiles({
+  source,
+  target,
+  bucketName,
+  prefix = '',
+  targetBucketName = bucketName,
+  checkpointFile,
+  onProgress = () => {}
+}) {
+  const checkpoint = await loadCheckpoint(checkpointFile, {
+    source: source.getProviderName(),
+    target: target.getProviderName(),
+    bucketName,
+    prefix,
+    targetBucketName
+  });
+  const keys = await source.listFiles(bucketName, prefix);
+  const summary = { total: keys.length, copied: 0, skipped: 0, failed: [] };
+
+  for (const key of keys) {
+    if (checkpoint.files[key]) {
+      summary.skipped += 1;
+      onProgress({ key, status: 'skipped' });
+      continue;
+    }
+
+    try {
+      checkpoint.files[key] = await copyFile(source, target, bucketName, targetBucketName, key);
+      delete checkpoint.failed[key];
+      summary.copied += 1;
+      onProgress({ key, status: 'copied' });
+    } catch (error) {
+      checkpoint.failed[key] = error.message;
+      summary.failed.push({ key, error: error.message });
+      onProgress({ key, status: 'failed', error: error.message });
+    }
+
+    await saveCheckpoint(checkpointFile, checkpoint);
+  }
+
+  // Files copied by earlier runs are part of the mapping too
+  const mapping = {};
+  Object.values(checkpoint.files).forEach(({ sourceUrl, targetUrl }) => {
+    mapping[sourceUrl] = targetUrl;
+  });
+
+  return { ...summary, mapping };
+}
+
+module.exports = { migrateFiles };
@@ -0,0 +1,409 @@
+// service/tus-upload-service.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const storageService = require('./multi-tenant-storage-service');
+const { checkKeyAccess } = require('../utils/keyScopes');
+const { spoolToFile } = require('../utils/streamingStorage');
+const { uploadError } = require('../utils/uploadTarget');
+
+// S3 refuses parts smaller than 5 MB, except for the last one
+const DEFAULT_PART_SIZE = 5 * 1024 * 1024;
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+/**
+ * Resumable uploads for the tus routes. Each upload is a session file in the upload
+ * directory; received bytes are appended to a local tail file and, for providers that store
+ * files in parts, sent on as a part whenever a full part has arrived. Providers without
+ * multipart uploads get the whole file from local disk once the last byte is in.
+ */
+class TusUploadService {
+  constructor({ directory, partSize, expiryHours, maxSizeMb } = {}) {
+    this.directory = directory ?? (process.env.TUS_UPLOAD_DIR || path.join(os.tmpdir(), 'file-service-tus'));
+    this.partSize = partSize ?? DEFAULT_PART_SIZE;
+    this.expiryMs = (expiryHours ?? Number(process.env.TUS_UPLOAD_EXPIRY_HOURS || 24)) * 60 * 60 * 1000;
+    this.maxSizeMb = maxSizeMb ?? Number(process.env.TUS_MAX_UPLOAD_SIZE_MB || 5120);
+    // Uploads with a PATCH or termination running
+    this.locks = new Set();
+  }
+
+  sessionPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * File holding the bytes received since the last stored part. A new file is started after
+   * every stored part, so a crash between storing a part and saving the session loses nothing.
+   */
+  tailPath(session) {
+    return path.join(this.directory, `${session.id}.${session.parts.length}`);
+  }
+
+  async getTailSize(session) {
+    try {
+      return (await fs.promises.stat(this.tailPath(session))).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Bytes received so far: the stored parts plus the tail
+   */
+  async getOffset(session) {
+    if (session.completedAt) {
+      return session.length;
+    }
+    const stored = session.parts.reduce((total, part) => total + part.size, 0);
+    return stored + (await this.getTailSize(session));
+  }
+
+  /**
+   * Read a session with its current offset
+   * @returns {Promise<object|null>} Session, or null when there is none with this id
+   */
+  async readSession(id) {
+    if (!UPLOAD_ID_PATTERN.test(String(id))) {
+      return null;
+    }
+
+    let session;
+    try {
+      session = JSON.parse(await fs.promises.readFile(this.sessionPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    return { ...session, offset: await this.getOffset(session) };
+  }
+
+  /**
+   * Write the session through a temporary file so an interrupted write never leaves it half written
+   */
+  async saveSession(session) {
+    const { offset, ...stored } = session;
+    const sessionFile = this.sessionPath(session.id);
+
+    await fs.promises.writeFile(`${sessionFile}.tmp`, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    await fs.promises.rename(`${sessionFile}.tmp`, sessionFile);
+  }
+
+  /**
+   * Start a resumable upload
+   * @param {object} platformContext - req.platformContext
+   * @param {object} target - { bucketName, prefix, access, fileName, metadata } from resolveUploadTarget
+   * @param {number} length - Upload-Length in bytes
+   * @returns {Promise<object>} Session; empty files are stored right away
+   */
+  async createUpload(platformContext, target, length) {
+    if (length > this.maxSizeMb * 1024 * 1024) {
+      throw uploadError(413, { error: `Upload-Length exceeds the ${this.maxSizeMb} MB upload limit` });
+    }
+
+    await this.removeExpiredUploads();
+    await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 });
+
+    const { platformId, environment } = platformContext;
+    const { bucketName, prefix, access, fileName, metadata } = target;
+    const now = Date.now();
+    const session = {
+      id: crypto.randomBytes(16).toString('hex'),
+      platformId,
+      environment,
+      bucketName,
+      prefix,
+      access,
+      fileName,
+      metadata,
+      length,
+      uploadId: null,
+      parts: [],
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.expiryMs).toISOString(),
+      completedAt: null,
+      result: null
+    };
+
+    if (length === 0) {
+      session.result = await storageService.uploadFile(
+        platformId, environment, bucketName, prefix, access, Buffer.alloc(0), fileName, metadata
+      );
+      session.completedAt = session.createdAt;
+    } else if (storageService.supportsMultipartUpload(platformId, environment)) {
+      session.uploadId = await storageService.createMultipartUpload(
+        platformId, environment, bucketName, prefix, access, fileName, metadata
+      );
+    }
+
+    await this.saveSession(session);
+    return { ...session, offset: 0 };
+  }
+
+  /**
+   * Look up an upload of the caller's platform environment
+   * @throws 404 uploadError for unknown, expired or foreign uploads; 403 when the key may not write it
+   */
+  async getUpload(platformContext, id) {
+    const session = await this.readSession(id);
+
+    if (!session
+      || session.platformId !== platformContext.platformId
+      || session.environment !== platformContext.environment
+      || Date.parse(session.expiresAt) <= Date.now()) {
+      throw uploadError(404, { error: 'Upload not found' });
+    }
+
+    const key = session.prefix ? `${session.prefix}/${session.fileName}` : session.fileName;
+    const accessError = checkKeyAccess(platformContext, 'upload', session.bucketName, key);
+
+    if (accessError) {
+      throw uploadError(403, accessError);
+    }
+
+    return session;
+  }
+
+  /**
+   * Run an operation on an upload no other request is changing
+   * @throws 423 uploadError while another request holds the upload
+   */
+  async withLock(id, operation) {
+    if (this.locks.has(id)) {
+      throw uploadError(423, { error: 'Upload is locked by another request' });
+    }
+
+    this.locks.add(id);
+    try {
+      return await operation();
+    } finally {
+      this.locks.delete(id);
+    }
+  }
+
+  /**
+   * Append a chunk at the given offset; the upload is stored once its last byte arrives
+   * @param {object} platformContext - req.platformContext
+   * @param {string} id - Upload id
+   * @param {number} offset - Upload-Offset the chunk starts at
+   * @param {stream.Readable} stream - Chunk contents
+   * @param {object} options - { contentLength, contentSha256 } of the request
+   * @returns {Promise<object>} Session with the new offset (and result once complete)
+   */
+  async appendChunk(platformContext, id, offset, stream, { contentLength, contentSha256 } = {}) {
+    return this.withLock(id, async () => {
+      const session = await this.getUpload(platformContext, id);
+
+      if (offset !== session.offset) {
+        throw uploadError(409, { error: `Upload-Offset ${offset} does not match the current offset ${session.offset}` });
+      }
+
+      if (session.completedAt) {
+        return session;
+      }
+
+      const remaining = session.length - session.offset;
+      if (contentLength > remaining) {
+        throw uploadError(413, { error: 'Chunk goes past the declared Upload-Length' });
+      }
+
+      await this.receiveChunk(session, stream, remaining, contentSha256);
+      session.offset = await this.getOffset(session);
+
+      if (session.uploadId) {
+        await this.storeFullParts(session);
+      }
+
+      if (session.offset === session.length) {
+        await this.completeUpload(session);
+      }
+
+      return session;
+    });
+  }
+
+  /**
+   * Append the request body to the tail. Bytes that arrived before a client went away are
+   * kept, so it can resume from the new offset.
+   */
+  async receiveChunk(session, stream, remaining, contentSha256) {
+    const tail = this.tailPath(session);
+    const tooLarge = () => uploadError(413, { error: 'Chunk goes past the declared Upload-Length' });
+
+    if (contentSha256) {
+      // Signed chunks must match their hash before any of their bytes count
+      const spooled = await spoolToFile(stream, this.directory);
+      try {
+        if (spooled.sha256 !== String(contentSha256).toLowerCase()) {
+          throw uploadError(400, { error: 'Chunk content does not match the signed X-Content-SHA256 header' });
+        }
+        if (spooled.size > remaining) {
+          throw tooLarge();
+        }
+        await pipeline(fs.createReadStream(spooled.path), fs.createWriteStream(tail, { flags: 'a', mode: 0o600 }));
+      } finally {
+        await fs.promises.rm(spooled.path, { force: true });
+      }
+      return;
+    }
+
+    const tailSize = await this.getTailSize(session);
+    let received = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        callback(received > remaining ? tooLarge() : null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(stream, limit, fs.createWriteStream(tail, { flags: 'a', mode: 0o600 }));
+    } catch (error) {
+      if (error.status === 413) {
+        // Drop the whole chunk rather than keep bytes past the end of the file
+        await fs.promises.truncate(tail, tailSize);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store every full part in the tail and carry the remaining bytes over to a new tail
+   */
+  async storeFullParts(session) {
+    const tail = this.tailPath(session);
+    const fullParts = Math.floor((await this.getTailSize(session)) / this.partSize);
+
+    if (fullParts === 0) {
+      return;
+    }
+
+    const parts = [];
+    const handle = await fs.promises.open(tail, 'r');
+    try {
+      for (let index = 0; index < fullParts; index++) {
+        const data = Buffer.alloc(this.partSize);
+        await handle.read(data, 0, this.partSize, index * this.partSize);
+        parts.push(await this.storePart(session, session.parts.length + parts.length + 1, data));
+      }
+    } finally {
+      await handle.close();
+    }
+
+    const nextTail = path.join(this.directory, `${session.id}.${session.parts.length + parts.length}`);
+    await pipeline(
+      fs.createReadStream(tail, { start: fullParts * this.partSize }),
+      fs.createWriteStream(nextTail, { mode: 0o600 })
+    );
+
+    session.parts.push(...parts);
+    await this.saveSession(session);
+    await fs.promises.rm(tail, { force: true });
+  }
+
+  async storePart(session, partNumber, data) {
+    const { platformId, environment, bucketName, prefix, fileName, uploadId } = session;
+    const part = await storageService.uploadPart(
+      platformId, environment, bucketName, prefix, fileName, uploadId, partNumber, data
+    );
+    return { ...part, size: data.length };
+  }
+
+  /**
+   * Store the received file where /upload-file would and keep the result until the session expires
+   */
+  async completeUpload(session) {
+    const { platformId, environment, bucketName, prefix, access, fileName, metadata, uploadId } = session;
+    const tail = this.tailPath(session);
+
+    if (uploadId) {
+      const parts = [...session.parts];
+      if ((await this.getTailSize(session)) > 0) {
+        parts.push(await this.storePart(session, parts.length + 1, await fs.promises.readFile(tail)));
+      }
+      session.result = await storageService.completeMultipartUpload(
+        platformId, environment, bucketName, prefix, access, fileName, uploadId, parts, metadata
+      );
+      session.parts = parts;
+    } else {
+      session.result = await storageService.uploadFileStream(
+        platformId, environment, bucketName, prefix, access, fs.createReadStream(tail), fileName, metadata
+      );
+    }
+
+    session.completedAt = new Date().toISOString();
+    await this.saveSession(session);
+    await fs.promises.rm(tail, { force: true });
+  }
+
+  /**
+   * Terminate an upload: drop its stored parts and local files. Files already stored stay.
+   */
+  async terminateUpload(platformContext, id) {
+    return this.withLock(id, async () => {
+      const session = await this.getUpload(platformContext, id);
+
+      if (session.uploadId && !session.completedAt) {
+        const { platformId, environment, bucketName, prefix, fileName, uploadId } = session;
+        await storageService.abortMultipartUpload(platformId, environment, bucketName, prefix, fileName, uploadId);
+      }
+
+      await this.removeFiles(session.id);
+    });
+  }
+
+  async removeFiles(id) {
+    const names = await fs.promises.readdir(this.directory);
+
+    await Promise.all(names
+      .filter(name => name.startsWith(`${id}.`))
+      .map(name => fs.promises.rm(path.join(this.directory, name), { force: true })));
+  }
+
+  /**
+   * Remove expired sessions, aborting their multipart uploads. Runs whenever an upload is created.
+   */
+  async removeExpiredUploads() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const name of names.filter(fileName => fileName.endsWith('.json'))) {
+      const id = name.slice(0, -'.json'.length);
+      const session = this.locks.has(id) ? null : await this.readSession(id).catch(() => null);
+
+      if (!session || Date.parse(session.expiresAt) > Date.now()) {
+        continue;
+      }
+
+      if (session.uploadId && !session.completedAt) {
+        const { platformId, environment, bucketName, prefix, fileName, uploadId } = session;
+        try {
+          await storageService.abortMultipartUpload(platformId, environment, bucketName, prefix, fileName, uploadId);
+        } catch (error) {
+          console.error(`Failed to abort expired upload ${id}: ${error.message}`);
+        }
+      }
+
+      await this.removeFiles(id);
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new TusUploadService();
+module.exports.TusUploadService = TusUploadService;
@@ -8,9 +8,11 @@ const {
   HeadBucketCommand,
   GetBucketAclCommand,
   GetObjectCommand,
+  ListObjectsV2Command,
 } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-const config = require('../config/platform-config');
+const { Readable } = require('stream');
+const { FakeS3Client } = require('./support/fake-s3-client');
 
 // Mock only S3Client; keep Command classes real so we can inspect `.input`
 jest.mock('@aws-sdk/client-s3', () => {
@@ -21,7 +23,9 @@ jest.mock('@aws-sdk/client-s3', () => {
   };
 });
 jest.mock('@aws-sdk/s3-request-presigner');
-jest.mock('../config/platform-config');
+jest.mock('@aws-sdk/s3-presigned-post', () => ({
+  createPresignedPost: require('./support/fake-s3-client').fakeCreatePresignedPost
+}));
 
 describe('AWSS3StorageProvider', () => {
   let provider;
@@ -32,9 +36,6 @@ describe('AWSS3StorageProvider', () => {
     accessKeyId: 'test-access-key',
     secretAccessKey: 'test-secret-key',
     region: 'ap-south-1',
-  };
-
-  const mockPlatformConfig = {
     bucketName: 'my-unique-bucket-123',
   };
 
@@ -48,9 +49,6 @@ describe('AWSS3StorageProvider', () => {
     };
     S3Client.mockImplementation(() => mockS3Client);
 
-    // Mock platform config
-    config.getPlatformConfig.mockReturnValue(mockPlatformConfig);
-
     provider = new AWSS3StorageProvider(mockConfig);
   });
 
@@ -117,14 +115,10 @@ describe('AWSS3StorageProvider', () => {
         access
       );
 
-      expect(config.getPlatformConfig).toHaveBeenCalledWith(
-        metadata.platformId,
-        metadata.environment
-      );
       expect(mockSend).toHaveBeenCalledWith(
         expect.objectContaining({
           input: expect.objectContaining({
-            Bucket: mockPlatformConfig.bucketName,
+            Bucket: mockConfig.bucketName,
             Key: `${logicalBucketName}/${prefix}/${fileName}`,
             Body: fileData,
             Metadata: expect.objectContaining({
@@ -137,7 +131,7 @@ describe('AWSS3StorageProvider', () => {
         })
       );
       expect(result).toBe(
-        `https://${mockPlatformConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/${logicalBucketName}/${prefix}/${fileName}`
+        `https://${mockConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/${logicalBucketName}/${prefix}/${fileName}`
       );
     });
 
@@ -285,13 +279,157 @@ describe('AWSS3StorageProvider', () => {
       expect(mockSend).toHaveBeenCalledWith(
         expect.objectContaining({
           input: expect.objectContaining({
-            Bucket: mockPlatformConfig.bucketName,
+            Bucket: mockConfig.bucketName,
           }),
         })
       );
     });
   });
 
+  describe('uploadStream', () => {
+    let fakeS3;
+
+    beforeEach(() => {
+      fakeS3 = new FakeS3Client();
+      provider.s3Client = fakeS3;
+    });
+
+    test('should upload a small stream with a single PutObject', async () => {
+      const url = await provider.uploadStream(
+        'documents',
+        Readable.from([Buffer.from('%PDF-1.4')]),
+        'invoices',
+        'a.pdf',
+        { contentType: 'application/pdf', userId: 42 },
+        'public'
+      );
+
+      expect(url).toBe('https://my-unique-bucket-123.s3.ap-south-1.amazonaws.com/documents/invoices/a.pdf');
+      const object = fakeS3.objects.get('my-unique-bucket-123/documents/invoices/a.pdf');
+      expect(object.body.toString()).toBe('%PDF-1.4');
+      expect(object).toMatchObject({
+        contentType: 'application/pdf',
+        acl: 'public-read',
+        metadata: expect.objectContaining({ userid: '42', provider: 's3', access: 'public' })
+      });
+    });
+
+    test('should send large streams as a multipart upload', async () => {
+      const part = Buffer.alloc(4 * 1024 * 1024, 'a');
+      const send = jest.spyOn(fakeS3, 'send');
+
+      await provider.uploadStream('documents', Readable.from([part, part, part]), '', 'big.bin', {}, 'private');
+
+      expect(send.mock.calls.map(([command]) => command.constructor.name)).toEqual([
+        'HeadBucketCommand',
+        'CreateMultipartUploadCommand',
+        'UploadPartCommand',
+        'UploadPartCommand',
+        'UploadPartCommand',
+        'CompleteMultipartUploadCommand'
+      ]);
+      expect(fakeS3.objects.get('my-unique-bucket-123/documents/big.bin').body.length).toBe(12 * 1024 * 1024);
+    });
+
+    test('should abort the multipart upload when the stream fails', async () => {
+      const failing = new Readable({ read() {} });
+      failing.push(Buffer.alloc(6 * 1024 * 1024));
+      setImmediate(() => failing.destroy(new Error('client disconnected')));
+
+      await expect(provider.uploadStream('documents', failing, '', 'big.bin', {}, 'private'))
+        .rejects.toThrow('S3 upload failed: client disconnected');
+      expect(fakeS3.multipartUploads.size).toBe(0);
+      expect(fakeS3.objects.size).toBe(0);
+    });
+  });
+
+  describe('multipart uploads', () => {
+    let fakeS3;
+
+    beforeEach(() => {
+      fakeS3 = new FakeS3Client();
+      provider.s3Client = fakeS3;
+    });
+
+    test('should complete parts sent out of order under the logical bucket folder', async () => {
+      const uploadId = await provider.createMultipartUpload('documents', 'invoices', 'a.pdf', { contentType: 'application/pdf' }, 'public');
+      const second = await provider.uploadPart('documents', 'invoices', 'a.pdf', uploadId, 2, Buffer.from('-1.4'));
+      const first = await provider.uploadPart('documents', 'invoices', 'a.pdf', uploadId, 1, Buffer.from('%PDF'));
+      const send = jest.spyOn(fakeS3, 'send');
+
+      const url = await provider.completeMultipartUpload('documents', 'invoices', 'a.pdf', uploadId, [second, first]);
+
+      expect(url).toBe('https://my-unique-bucket-123.s3.ap-south-1.amazonaws.com/documents/invoices/a.pdf');
+      expect(send.mock.calls[0][0].input.MultipartUpload.Parts.map(part => part.PartNumber)).toEqual([1, 2]);
+      expect(fakeS3.objects.get('my-unique-bucket-123/documents/invoices/a.pdf')).toMatchObject({
+        body: Buffer.from('%PDF-1.4'),
+        contentType: 'application/pdf',
+        acl: 'public-read'
+      });
+    });
+
+    test('should wrap part and abort errors', async () => {
+      await expect(provider.uploadPart('documents', '', 'a.pdf', 'missing', 1, Buffer.from('x')))
+        .rejects.toThrow('S3 part upload failed: NoSuchUpload');
+
+      fakeS3.failNextRequest = new Error('AccessDenied');
+      await expect(provider.abortMultipartUpload('documents', '', 'a.pdf', 'upload-1'))
+        .rejects.toThrow('S3 multipart abort failed: AccessDenied');
+    });
+  });
+
+  describe('direct uploads', () => {
+    let fakeS3;
+
+    beforeEach(() => {
+      fakeS3 = new FakeS3Client();
+      provider.s3Client = fakeS3;
+    });
+
+    test('should sign a POST policy for the exact key, size, content type, ACL and metadata', async () => {
+      const { uploadUrl, method, fields } = await provider.generateUploadUrl('documents', 'invoices', 'a.pdf', {
+        contentType: 'application/pdf',
+        contentLength: 8,
+        metadata: { userId: '123' },
+        access: 'public',
+        expiresIn: 300
+      });
+
+      expect(provider.supportsDirectUpload()).toBe(true);
+      expect(uploadUrl).toBe('https://my-unique-bucket-123.s3.amazonaws.com/');
+      expect(method).toBe('POST');
+      expect(fields).toMatchObject({
+        key: 'documents/invoices/a.pdf',
+        'Content-Type': 'application/pdf',
+        acl: 'public-read',
+        'x-amz-meta-userid': '123',
+        'x-amz-meta-access': 'public'
+      });
+      expect(JSON.parse(Buffer.from(fields.Policy, 'base64').toString()).conditions)
+        .toContainEqual(['content-length-range', 8, 8]);
+
+      fakeS3.postObject(fields, Buffer.from('%PDF-1.4'));
+
+      await expect(provider.completeDirectUpload('documents', 'invoices', 'a.pdf'))
+        .resolves.toBe('https://my-unique-bucket-123.s3.ap-south-1.amazonaws.com/documents/invoices/a.pdf');
+      expect(fakeS3.objects.get('my-unique-bucket-123/documents/invoices/a.pdf')).toMatchObject({
+        contentType: 'application/pdf',
+        acl: 'public-read'
+      });
+    });
+
+    test('should report uploads that never arrived as not found', async () => {
+      await expect(provider.completeDirectUpload('documents', '', 'a.pdf')).rejects.toThrow('File not found');
+    });
+
+    test('should wrap signing errors', async () => {
+      fakeS3.failNextRequest = new Error('AccessDenied');
+
+      await expect(provider.generateUploadUrl('documents', '', 'a.pdf', { contentLength: 1 }))
+        .rejects.toThrow('S3 upload URL generation failed');
+    });
+  });
+
   describe('ensureBucketExists', () => {
     test('should return successfully if bucket exists', async () => {
       mockSend.mockResolvedValue({});
@@ -319,7 +457,7 @@ describe('AWSS3StorageProvider', () => {
   });
 
   describe('generateDownloadUrl', () => {
-    const permanentUrl = `https://${mockPlatformConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/invoices/file.pdf`;
+    const permanentUrl = `https://${mockConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/invoices/file.pdf`;
     const key = 'documents/invoices/file.pdf';
 
     test('should return direct URL for public files', async () => {
@@ -360,7 +498,7 @@ describe('AWSS3StorageProvider', () => {
         mockS3Client,
         expect.objectContaining({
           input: expect.objectContaining({
-            Bucket: mockPlatformConfig.bucketName,
+            Bucket: mockConfig.bucketName,
             Key: key,
           }),
         }),
@@ -404,7 +542,7 @@ describe('AWSS3StorageProvider', () => {
   });
 
   describe('deleteFile', () => {
-    const fileUrl = `https://${mockPlatformConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/invoices/file.pdf`;
+    const fileUrl = `https://${mockConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/invoices/file.pdf`;
 
     test('should delete file by URL', async () => {
       mockSend.mockResolvedValue({});
@@ -414,7 +552,7 @@ describe('AWSS3StorageProvider', () => {
       expect(mockSend).toHaveBeenCalledWith(
         expect.objectContaining({
           input: expect.objectContaining({
-            Bucket: mockPlatformConfig.bucketName,
+            Bucket: mockConfig.bucketName,
             Key: 'documents/invoices/file.pdf',
           }),
         })
@@ -449,14 +587,10 @@ describe('AWSS3StorageProvider', () => {
         metadata
       );
 
-      expect(config.getPlatformConfig).toHaveBeenCalledWith(
-        metadata.platformId,
-        metadata.environment
-      );
       expect(mockSend).toHaveBeenCalledWith(
         expect.objectContaining({
           input: expect.objectContaining({
-            Bucket: mockPlatformConfig.bucketName,
+            Bucket: mockConfig.bucketName,
             Key: `${logicalBucketName}/${key}`,
           }),
         })
@@ -503,7 +637,7 @@ describe('AWSS3StorageProvider', () => {
   });
 
   describe('getFileMetadata', () => {
-    const fileUrl = `https://${mockPlatformConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/file.pdf`;
+    const fileUrl = `https://${mockConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/file.pdf`;
 
     test('should retrieve file metadata', async () => {
       const mockResponse = {
@@ -520,7 +654,7 @@ describe('AWSS3StorageProvider', () => {
       expect(mockSend).toHaveBeenCalledWith(
         expect.objectContaining({
           input: expect.objectContaining({
-            Bucket: mockPlatformConfig.bucketName,
+            Bucket: mockConfig.bucketName,
             Key: 'documents/file.pdf',
           }),
         })
@@ -546,7 +680,7 @@ describe('AWSS3StorageProvider', () => {
   });
 
   describe('fileExists', () => {
-    const fileUrl = `https://${mockPlatformConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/file.pdf`;
+    const fileUrl = `https://${mockConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/file.pdf`;
 
     test('should return true if file exists', async () => {
       mockSend.mockResolvedValue({});
@@ -557,7 +691,7 @@ describe('AWSS3StorageProvider', () => {
       expect(mockSend).toHaveBeenCalledWith(
         expect.objectContaining({
           input: expect.objectContaining({
-            Bucket: mockPlatformConfig.bucketName,
+            Bucket: mockConfig.bucketName,
             Key: 'documents/file.pdf',
           }),
         })
@@ -594,28 +728,28 @@ describe('AWSS3StorageProvider', () => {
 
   describe('parseUrl', () => {
     test('should parse S3 URL with .s3. in hostname', () => {
-      const url = `https://${mockPlatformConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/file.pdf`;
+      const url = `https://${mockConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/file.pdf`;
       const result = provider.parseUrl(url);
 
       expect(result).toEqual({
-        bucketName: mockPlatformConfig.bucketName,
+        bucketName: mockConfig.bucketName,
         key: 'documents/file.pdf',
         region: mockConfig.region,
-        baseUrl: `https://${mockPlatformConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com`,
+        baseUrl: `https://${mockConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com`,
         fullPath: '/documents/file.pdf',
       });
     });
 
     test('should parse alternative URL format', () => {
-      const url = `https://s3.amazonaws.com/${mockPlatformConfig.bucketName}/documents/file.pdf`;
+      const url = `https://s3.amazonaws.com/${mockConfig.bucketName}/documents/file.pdf`;
       const result = provider.parseUrl(url);
 
-      expect(result.bucketName).toBe(mockPlatformConfig.bucketName);
+      expect(result.bucketName).toBe(mockConfig.bucketName);
       expect(result.key).toBe('documents/file.pdf');
     });
 
     test('should handle nested paths', () => {
-      const url = `https://${mockPlatformConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/invoices/2024/file.pdf`;
+      const url = `https://${mockConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/invoices/2024/file.pdf`;
       const result = provider.parseUrl(url);
 
       expect(result.key).toBe('documents/invoices/2024/file.pdf');
@@ -626,6 +760,35 @@ describe('AWSS3StorageProvider', () => {
         provider.parseUrl('not-a-valid-url');
       }).toThrow('Failed to parse S3 URL');
     });
+
+    test.each([
+      ['virtual-hosted', `https://other-bucket.s3.${mockConfig.region}.amazonaws.com/${mockConfig.bucketName}/documents/file.pdf`],
+      ['path-style', `https://s3.amazonaws.com/other-bucket/documents/file.pdf`],
+    ])('should reject %s URLs of other buckets', (label, url) => {
+      expect(() => provider.parseUrl(url))
+        .toThrow(`Failed to parse S3 URL: URL is not in bucket ${mockConfig.bucketName}`);
+      expect(() => provider.parseBucketKey(url)).toThrow('URL is not in bucket');
+    });
+  });
+
+  describe('parseBucketKey', () => {
+    test('should split the logical bucket from the object key', () => {
+      const url = `https://${mockConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/documents/invoices/2024/file.pdf`;
+
+      expect(provider.parseBucketKey(url)).toEqual({
+        bucketName: 'documents',
+        key: 'invoices/2024/file.pdf',
+      });
+    });
+
+    test('should return an empty key for objects at the bucket root', () => {
+      const url = `https://${mockConfig.bucketName}.s3.${mockConfig.region}.amazonaws.com/file.pdf`;
+
+      expect(provider.parseBucketKey(url)).toEqual({
+        bucketName: 'file.pdf',
+        key: '',
+      });
+    });
   });
 
   describe('isObjectPublic', () => {
@@ -709,6 +872,147 @@ describe('AWSS3StorageProvider', () => {
     });
   });
 
+  describe('listFiles', () => {
+    test('should follow continuation tokens and strip the logical bucket folder', async () => {
+      mockSend
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'claims/2024/' }, { Key: 'claims/2024/a.pdf' }],
+          IsTruncated: true,
+          NextContinuationToken: 'page-2'
+        })
+        .mockResolvedValueOnce({ Contents: [{ Key: 'claims/2024/b.pdf' }], IsTruncated: false });
+
+      await expect(provider.listFiles('claims', '/2024/')).resolves.toEqual(['2024/a.pdf', '2024/b.pdf']);
+      expect(mockSend.mock.calls[0][0]).toBeInstanceOf(ListObjectsV2Command);
+      expect(mockSend.mock.calls[0][0].input).toEqual({ Bucket: 'my-unique-bucket-123', Prefix: 'claims/2024/' });
+      expect(mockSend.mock.calls[1][0].input.ContinuationToken).toBe('page-2');
+    });
+  });
+
+  describe('getFileContent', () => {
+    test('should read the object body', async () => {
+      mockSend.mockResolvedValue({ Body: { transformToByteArray: async () => new Uint8Array([104, 105]) } });
+
+      await expect(provider.getFileContent('claims', 'a.txt')).resolves.toEqual(Buffer.from('hi'));
+      expect(mockSend.mock.calls[0][0]).toBeInstanceOf(GetObjectCommand);
+      expect(mockSend.mock.calls[0][0].input).toEqual({ Bucket: 'my-unique-bucket-123', Key: 'claims/a.txt' });
+    });
+
+    test('should reject with File not found for missing objects', async () => {
+      mockSend.mockRejectedValue(Object.assign(new Error('NoSuchKey'), { name: 'NoSuchKey' }));
+
+      await expect(provider.getFileContent('claims', 'a.txt')).rejects.toThrow('S3 read failed: File not found');
+    });
+  });
+
+  describe('healthCheck', () => {
+    test('should send HeadBucket for the configured bucket', async () => {
+      provider = new AWSS3StorageProvider({ ...mockConfig, bucketName: 'my-unique-bucket-123' });
+      mockSend.mockResolvedValue({});
+
+      await expect(provider.healthCheck()).resolves.toBe(true);
+      expect(mockSend.mock.calls[0][0]).toBeInstanceOf(HeadBucketCommand);
+      expect(mockSend.mock.calls[0][0].input).toEqual({ Bucket: 'my-unique-bucket-123' });
+    });
+
+    test('should reject when the bucket is not reachable', async () => {
+      provider = new AWSS3StorageProvider({ ...mockConfig, bucketName: 'missing-bucket' });
+      mockSend.mockRejectedValue(Object.assign(new Error('NotFound'), { name: 'NotFound' }));
+
+      await expect(provider.healthCheck()).rejects.toThrow('NotFound');
+    });
+  });
+
+  describe('validateConfig', () => {
+    test('should accept complete settings', () => {
+      expect(AWSS3StorageProvider.validateConfig({ ...mockConfig, bucketName: 'bucket' })).toEqual([]);
+    });
+
+    test('should report every missing setting', () => {
+      expect(AWSS3StorageProvider.validateConfig({ region: 'ap-south-1' })).toEqual([
+        "accessKeyId is required for provider 's3'",
+        "secretAccessKey is required for provider 's3'",
+        "bucketName is required for provider 's3'",
+      ]);
+    });
+  });
+
+  describe('S3-compatible endpoints', () => {
+    const minioConfig = {
+      ...mockConfig,
+      region: 'us-east-1',
+      endpoint: 'http://minio.internal:9000',
+      forcePathStyle: true,
+    };
+
+    test('should pass endpoint and forcePathStyle to the S3 client', () => {
+      new AWSS3StorageProvider(minioConfig);
+
+      expect(S3Client).toHaveBeenLastCalledWith(expect.objectContaining({
+        endpoint: 'http://minio.internal:9000',
+        forcePathStyle: true,
+      }));
+    });
+
+    test('should accept forcePathStyle from an interpolated environment variable', () => {
+      provider = new AWSS3StorageProvider({ ...minioConfig, forcePathStyle: 'true' });
+
+      expect(provider.getFileUrl('documents', 'a.pdf'))
+        .toBe(`http://minio.internal:9000/${mockConfig.bucketName}/documents/a.pdf`);
+    });
+
+    test.each([
+      ['MinIO path-style', minioConfig, `http://minio.internal:9000/${mockConfig.bucketName}/documents/invoices/my file.pdf`],
+      ['custom domain virtual-hosted', { ...mockConfig, endpoint: 'https://objects.example.com' }, `https://${mockConfig.bucketName}.objects.example.com/documents/invoices/my file.pdf`],
+      ['AWS path-style', { ...mockConfig, forcePathStyle: true }, `https://s3.ap-south-1.amazonaws.com/${mockConfig.bucketName}/documents/invoices/my file.pdf`],
+      ['AWS virtual-hosted', mockConfig, `https://${mockConfig.bucketName}.s3.ap-south-1.amazonaws.com/documents/invoices/my file.pdf`],
+    ])('should round-trip %s URLs', (label, config, expectedUrl) => {
+      provider = new AWSS3StorageProvider(config);
+
+      const url = provider.getFileUrl('documents', 'invoices/my file.pdf');
+
+      expect(decodeURI(url)).toBe(expectedUrl);
+      expect(provider.parseUrl(url)).toMatchObject({
+        bucketName: mockConfig.bucketName,
+        key: 'documents/invoices/my file.pdf',
+      });
+      expect(provider.parseBucketKey(url)).toEqual({ bucketName: 'documents', key: 'invoices/my file.pdf' });
+    });
+
+    test('should parse presigned path-style URLs', () => {
+      provider = new AWSS3StorageProvider(minioConfig);
+
+      const result = provider.parseUrl(`http://minio.internal:9000/${mockConfig.bucketName}/documents/a.pdf?X-Amz-Signature=abc`);
+
+      expect(result).toMatchObject({ bucketName: mockConfig.bucketName, key: 'documents/a.pdf' });
+    });
+
+    test('should parse bucket names containing dots from AWS virtual-hosted URLs', () => {
+      provider = new AWSS3StorageProvider({ ...mockConfig, bucketName: 'files.example.com' });
+
+      const result = provider.parseUrl('https://files.example.com.s3.ap-south-1.amazonaws.com/documents/a.pdf');
+
+      expect(result).toMatchObject({ bucketName: 'files.example.com', key: 'documents/a.pdf' });
+    });
+
+    test('should upload to the endpoint and return its URL', async () => {
+      provider = new AWSS3StorageProvider(minioConfig);
+      mockSend.mockResolvedValue({});
+
+      const url = await provider.uploadFile('documents', Buffer.from('x'), 'invoices', 'a.pdf', {}, 'private');
+
+      expect(url).toBe(`http://minio.internal:9000/${mockConfig.bucketName}/documents/invoices/a.pdf`);
+    });
+
+    test('should validate endpoint settings', () => {
+      expect(AWSS3StorageProvider.validateConfig(minioConfig)).toEqual([]);
+      expect(AWSS3StorageProvider.validateConfig({ ...minioConfig, endpoint: 'minio:9000', forcePathStyle: 'yes' })).toEqual([
+        'endpoint must be an http(s) URL',
+        'forcePathStyle must be true or false',
+      ]);
+    });
+  });
+
   describe('getProviderName', () => {
     test('should return "s3"', () => {
       expect(provider.getProviderName()).toBe('s3');
@@ -6,8 +6,13 @@ const {
   BlobSASPermissions,
 } = require('@azure/storage-blob');
 
+const { ClientSecretCredential } = require('@azure/identity');
+const { Readable } = require('stream');
+const { verifyDownloadSignature } = require('../utils/signedDownload');
+
 // Mock Azure SDK
 jest.mock('@azure/storage-blob');
+jest.mock('@azure/identity');
 
 describe('AzureStorageProvider', () => {
   let provider;
@@ -25,12 +30,27 @@ describe('AzureStorageProvider', () => {
     accountKey: 'testkey==',
   };
 
+  const mockConfigWithSas = {
+    connectionString:
+      'BlobEndpoint=https://testaccount.blob.core.windows.net/;SharedAccessSignature=sv=2022-11-02&ss=b&srt=sco&sp=rwdlc&sig=abc%3D',
+    streamBaseUrl: 'http://localhost:3000/api/stream/acme/uat/',
+    signingSecret: 'test-secret',
+  };
+
+  const mockConfigWithServicePrincipal = {
+    tenantId: 'tenant-id',
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    accountName: 'testaccount',
+  };
+
   beforeEach(() => {
     jest.clearAllMocks();
 
     // Mock blob client methods
     mockBlockBlobClient = {
       upload: jest.fn(),
+      uploadStream: jest.fn(),
       delete: jest.fn(),
       getProperties: jest.fn(),
       exists: jest.fn(),
@@ -103,14 +123,14 @@ describe('AzureStorageProvider', () => {
       }).toThrow('Could not extract AccountName from connection string');
     });
 
-    test('should throw error if connection string missing AccountKey', () => {
+    test('should throw error if connection string has neither AccountKey nor SharedAccessSignature', () => {
       const invalidConfig = {
         connectionString: 'DefaultEndpointsProtocol=https;AccountName=testaccount',
       };
 
       expect(() => {
         new AzureStorageProvider(invalidConfig);
-      }).toThrow('Could not extract AccountKey from connection string');
+      }).toThrow('Connection string must contain AccountKey or SharedAccessSignature');
     });
   });
 
@@ -145,9 +165,11 @@ describe('AzureStorageProvider', () => {
         fileData,
         fileData.length,
         {
+          blobHTTPHeaders: { blobContentType: 'application/octet-stream' },
           metadata: expect.objectContaining({
             uploadedAt: expect.any(String),
             provider: 'azure',
+            access: 'private',
             userId: '123',
           }),
         }
@@ -236,6 +258,99 @@ describe('AzureStorageProvider', () => {
     });
   });
 
+  describe('uploadStream', () => {
+    beforeEach(() => {
+      provider = new AzureStorageProvider(mockConfigWithConnectionString);
+    });
+
+    test('should stage the stream as blocks with content type and metadata', async () => {
+      mockContainerClient.exists.mockResolvedValue(false);
+      mockBlockBlobClient.uploadStream.mockResolvedValue({});
+      const stream = Readable.from([Buffer.from('test file content')]);
+
+      const result = await provider.uploadStream('documents', stream, 'invoices', 'a.pdf', { contentType: 'application/pdf' }, 'public');
+
+      expect(mockContainerClient.getBlockBlobClient).toHaveBeenCalledWith('invoices/a.pdf');
+      expect(mockContainerClient.setAccessPolicy).toHaveBeenCalledWith('blob');
+      expect(mockBlockBlobClient.uploadStream).toHaveBeenCalledWith(
+        stream,
+        4 * 1024 * 1024,
+        4,
+        {
+          blobHTTPHeaders: { blobContentType: 'application/pdf' },
+          metadata: expect.objectContaining({ provider: 'azure', access: 'public', contentType: 'application/pdf' }),
+        }
+      );
+      expect(mockBlockBlobClient.upload).not.toHaveBeenCalled();
+      expect(result).toBe(mockBlockBlobClient.url);
+    });
+
+    test('should refuse a container whose access does not match', async () => {
+      mockContainerClient.exists.mockResolvedValue(true);
+      mockContainerClient.getProperties.mockResolvedValue({ blobPublicAccess: 'blob' });
+
+      await expect(provider.uploadStream('documents', Readable.from([]), '', 'a.pdf', {}, 'private'))
+        .rejects.toThrow('Azure upload failed: Container documents access mismatch: currently public, requested private');
+      expect(mockBlockBlobClient.uploadStream).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('direct uploads', () => {
+    beforeEach(() => {
+      provider = new AzureStorageProvider(mockConfigWithConnectionString);
+      mockContainerClient.exists.mockResolvedValue(true);
+      mockContainerClient.getProperties.mockResolvedValue({ blobPublicAccess: null });
+      generateBlobSASQueryParameters.mockReturnValue({ toString: () => 'sp=cw&sig=abc123' });
+      mockBlockBlobClient.setHTTPHeaders = jest.fn().mockResolvedValue({});
+      mockBlockBlobClient.setMetadata = jest.fn().mockResolvedValue({});
+    });
+
+    test('should sign a write-only SAS for the blob', async () => {
+      const result = await provider.generateUploadUrl('documents', 'invoices', 'a.pdf', {
+        contentType: 'application/pdf',
+        expiresIn: 600
+      });
+
+      expect(provider.supportsDirectUpload()).toBe(true);
+      expect(BlobSASPermissions.parse).toHaveBeenCalledWith('cw');
+      expect(generateBlobSASQueryParameters).toHaveBeenCalledWith(
+        expect.objectContaining({ containerName: 'documents', blobName: 'invoices/a.pdf' }),
+        expect.anything()
+      );
+      const { expiresOn } = generateBlobSASQueryParameters.mock.calls[0][0];
+      expect((expiresOn - Date.now()) / 1000).toBeCloseTo(600, -1);
+      expect(result).toEqual({
+        uploadUrl: `${mockBlockBlobClient.url}?sp=cw&sig=abc123`,
+        method: 'PUT',
+        headers: { 'x-ms-blob-type': 'BlockBlob', 'Content-Type': 'application/pdf' }
+      });
+    });
+
+    test('should replace the content type and metadata the client sent', async () => {
+      const url = await provider.completeDirectUpload('documents', 'invoices', 'a.pdf', { contentType: 'application/pdf', userId: '123' }, 'private');
+
+      expect(url).toBe(mockBlockBlobClient.url);
+      expect(mockBlockBlobClient.setHTTPHeaders).toHaveBeenCalledWith({ blobContentType: 'application/pdf' });
+      expect(mockBlockBlobClient.setMetadata).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: '123', access: 'private', provider: 'azure' })
+      );
+    });
+
+    test('should report blobs that never arrived as not found', async () => {
+      mockBlockBlobClient.setHTTPHeaders.mockRejectedValue(Object.assign(new Error('BlobNotFound'), { statusCode: 404 }));
+
+      await expect(provider.completeDirectUpload('documents', '', 'a.pdf')).rejects.toThrow('Azure upload failed: File not found');
+    });
+
+    test('should refuse SAS-only connection strings, which cannot sign', async () => {
+      provider = new AzureStorageProvider(mockConfigWithSas);
+
+      expect(provider.supportsDirectUpload()).toBe(false);
+      await expect(provider.generateUploadUrl('documents', '', 'a.pdf'))
+        .rejects.toThrow('Azure SAS generation failed: SAS-only connection strings cannot sign upload URLs');
+    });
+  });
+
   describe('generateDownloadUrl', () => {
     const permanentUrl = 'https://testaccount.blob.core.windows.net/container/blob.pdf';
     const containerName = 'container';
@@ -334,6 +449,145 @@ describe('AzureStorageProvider', () => {
     });
   });
 
+  describe('SAS-only connection strings', () => {
+    const permanentUrl = 'https://testaccount.blob.core.windows.net/container/docs/blob.pdf';
+
+    beforeEach(() => {
+      provider = new AzureStorageProvider(mockConfigWithSas);
+      mockBlockBlobClient.exists.mockResolvedValue(true);
+      mockContainerClient.getProperties.mockResolvedValue({ blobPublicAccess: null });
+    });
+
+    test('should connect with the connection string and not use an account key', () => {
+      expect(BlobServiceClient.fromConnectionString).toHaveBeenCalledWith(mockConfigWithSas.connectionString);
+      expect(provider.authMode).toBe('sas');
+      expect(provider.accountName).toBe('testaccount');
+      expect(StorageSharedKeyCredential).not.toHaveBeenCalled();
+    });
+
+    test('should serve private files through signed stream endpoint links', async () => {
+      const result = await provider.generateDownloadUrl(permanentUrl, { expiryMinutes: 10 });
+      const link = new URL(result.downloadUrl);
+
+      expect(generateBlobSASQueryParameters).not.toHaveBeenCalled();
+      expect(link.origin + link.pathname).toBe('http://localhost:3000/api/stream/acme/uat/container/docs/blob.pdf');
+      expect(verifyDownloadSignature('test-secret', 'container/docs/blob.pdf',
+        link.searchParams.get('expires'), link.searchParams.get('signature'))).toBe(true);
+      expect(result).toMatchObject({ isPublic: false, requiresSAS: true, expiresIn: 600, fileName: 'blob.pdf' });
+    });
+
+    test('should explain that private downloads need streamBaseUrl', async () => {
+      provider = new AzureStorageProvider({ connectionString: mockConfigWithSas.connectionString });
+
+      await expect(provider.generateDownloadUrl(permanentUrl)).rejects.toThrow('set streamBaseUrl');
+    });
+
+    test('should authorize stream downloads only with a valid signature', async () => {
+      const { downloadUrl } = await provider.generateDownloadUrl(permanentUrl);
+      const query = Object.fromEntries(new URL(downloadUrl).searchParams);
+
+      await expect(provider.isDownloadAuthorized('container', 'docs/blob.pdf', query)).resolves.toBe(true);
+      await expect(provider.isDownloadAuthorized('container', 'docs/other.pdf', query)).resolves.toBe(false);
+      await expect(provider.isDownloadAuthorized('container', 'docs/blob.pdf', {})).resolves.toBe(false);
+    });
+
+    test('should not serve files through the stream endpoint without streamBaseUrl', async () => {
+      provider = new AzureStorageProvider(mockConfigWithConnectionString);
+      mockContainerClient.getProperties.mockResolvedValue({ blobPublicAccess: 'blob' });
+
+      await expect(provider.isDownloadAuthorized('container', 'docs/blob.pdf', {})).resolves.toBe(false);
+    });
+
+    test('should stream blobs and map missing blobs to "File not found"', async () => {
+      mockBlockBlobClient.download = jest.fn().mockResolvedValue({
+        readableStreamBody: 'stream',
+        contentType: 'application/pdf',
+        contentLength: 12,
+      });
+
+      await expect(provider.getFileStream('container', 'docs/blob.pdf')).resolves.toEqual({
+        stream: 'stream',
+        contentType: 'application/pdf',
+        contentLength: 12,
+        fileName: 'blob.pdf',
+      });
+
+      mockBlockBlobClient.download.mockRejectedValue(Object.assign(new Error('BlobNotFound'), { statusCode: 404 }));
+      await expect(provider.getFileStream('container', 'docs/blob.pdf')).rejects.toThrow('File not found');
+    });
+  });
+
+  describe('service principal', () => {
+    const permanentUrl = 'https://testaccount.blob.core.windows.net/container/blob.pdf';
+    const userDelegationKey = { signedObjectId: 'object-id', value: 'a2V5' };
+
+    beforeEach(() => {
+      mockBlobServiceClient.getUserDelegationKey = jest.fn().mockResolvedValue(userDelegationKey);
+      mockBlockBlobClient.exists.mockResolvedValue(true);
+      mockContainerClient.getProperties.mockResolvedValue({ blobPublicAccess: null });
+      generateBlobSASQueryParameters.mockReturnValue({ toString: () => 'sig=delegated' });
+      provider = new AzureStorageProvider(mockConfigWithServicePrincipal);
+    });
+
+    test('should authenticate with a client secret credential', () => {
+      expect(ClientSecretCredential).toHaveBeenCalledWith('tenant-id', 'client-id', 'client-secret');
+      expect(BlobServiceClient).toHaveBeenCalledWith(
+        'https://testaccount.blob.core.windows.net',
+        expect.any(ClientSecretCredential)
+      );
+      expect(provider.authMode).toBe('servicePrincipal');
+      expect(StorageSharedKeyCredential).not.toHaveBeenCalled();
+    });
+
+    test('should derive the account name from blobEndpoint', () => {
+      provider = new AzureStorageProvider({
+        ...mockConfigWithServicePrincipal,
+        accountName: undefined,
+        blobEndpoint: 'https://otheraccount.blob.core.windows.net',
+      });
+
+      expect(provider.accountName).toBe('otheraccount');
+      expect(BlobServiceClient).toHaveBeenLastCalledWith('https://otheraccount.blob.core.windows.net', expect.anything());
+    });
+
+    test('should sign download links with a user delegation key', async () => {
+      const result = await provider.generateDownloadUrl(permanentUrl, { expiryMinutes: 30 });
+
+      expect(generateBlobSASQueryParameters).toHaveBeenCalledWith(
+        expect.objectContaining({ containerName: 'container', blobName: 'blob.pdf' }),
+        userDelegationKey,
+        'testaccount'
+      );
+      expect(result.downloadUrl).toBe(`${permanentUrl}?sig=delegated`);
+    });
+
+    test('should reuse the user delegation key until a link would outlive it', async () => {
+      await provider.generateDownloadUrl(permanentUrl);
+      await provider.generateDownloadUrl(permanentUrl, { expiryMinutes: 120 });
+
+      expect(mockBlobServiceClient.getUserDelegationKey).toHaveBeenCalledTimes(1);
+      const [startsOn, expiresOn] = mockBlobServiceClient.getUserDelegationKey.mock.calls[0];
+      expect((expiresOn - startsOn) / 3600000).toBeCloseTo(24, 0);
+
+      await provider.generateDownloadUrl(permanentUrl, { expiryMinutes: 48 * 60 });
+
+      expect(mockBlobServiceClient.getUserDelegationKey).toHaveBeenCalledTimes(2);
+    });
+
+    test('should request a new key after a failed request', async () => {
+      mockBlobServiceClient.getUserDelegationKey.mockRejectedValueOnce(new Error('AuthorizationPermissionMismatch'));
+
+      await expect(provider.generateDownloadUrl(permanentUrl)).rejects.toThrow('AuthorizationPermissionMismatch');
+      await expect(provider.generateDownloadUrl(permanentUrl)).resolves.toMatchObject({ requiresSAS: true });
+      expect(mockBlobServiceClient.getUserDelegationKey).toHaveBeenCalledTimes(2);
+    });
+
+    test('should refuse links valid for more than 7 days', async () => {
+      await expect(provider.generateDownloadUrl(permanentUrl, { expiryMinutes: 8 * 24 * 60 }))
+        .rejects.toThrow('at most 7 days');
+    });
+  });
+
   describe('deleteFile', () => {
     const fileUrl = 'https://testaccount.blob.core.windows.net/container/blob.pdf';
 
@@ -466,12 +720,10 @@ describe('AzureStorageProvider', () => {
       expect(result).toBe(false);
     });
 
-    test('should return false on error', async () => {
+    test('should rethrow errors other than not found', async () => {
       mockBlockBlobClient.exists.mockRejectedValue(new Error('Access denied'));
 
-      const result = await provider.fileExists(fileUrl);
-
-      expect(result).toBe(false);
+      await expect(provider.fileExists(fileUrl)).rejects.toThrow('Access denied');
     });
   });
 
@@ -553,6 +805,73 @@ describe('AzureStorageProvider', () => {
     });
   });
 
+  describe('parseBucketKey', () => {
+    test('should return container as bucket and blob path as key', () => {
+      provider = new AzureStorageProvider(mockConfigWithConnectionString);
+      const url = 'https://testaccount.blob.core.windows.net/container/folder/file.pdf';
+
+      expect(provider.parseBucketKey(url)).toEqual({
+        bucketName: 'container',
+        key: 'folder/file.pdf',
+      });
+    });
+  });
+
+  describe('healthCheck', () => {
+    test('should read the account service properties', async () => {
+      mockBlobServiceClient.getProperties = jest.fn().mockResolvedValue({});
+      provider = new AzureStorageProvider(mockConfigWithConnectionString);
+
+      await expect(provider.healthCheck()).resolves.toBe(true);
+      expect(mockBlobServiceClient.getProperties).toHaveBeenCalled();
+    });
+
+    test('should reject when the account is unreachable', async () => {
+      mockBlobServiceClient.getProperties = jest.fn().mockRejectedValue(new Error('AuthenticationFailed'));
+      provider = new AzureStorageProvider(mockConfigWithConnectionString);
+
+      await expect(provider.healthCheck()).rejects.toThrow('AuthenticationFailed');
+    });
+  });
+
+  describe('validateConfig', () => {
+    test('should accept a connection string or account credentials', () => {
+      expect(AzureStorageProvider.validateConfig(mockConfigWithConnectionString)).toEqual([]);
+      expect(AzureStorageProvider.validateConfig(mockConfigWithCredentials)).toEqual([]);
+    });
+
+    test('should report a connection string without an account key or SAS', () => {
+      expect(AzureStorageProvider.validateConfig({
+        connectionString: 'DefaultEndpointsProtocol=https;AccountName=testaccount;EndpointSuffix=core.windows.net',
+      })).toEqual(['connectionString must contain AccountKey or SharedAccessSignature']);
+    });
+
+    test('should accept SAS-only connection strings and service principals', () => {
+      expect(AzureStorageProvider.validateConfig(mockConfigWithSas)).toEqual([]);
+      expect(AzureStorageProvider.validateConfig(mockConfigWithServicePrincipal)).toEqual([]);
+    });
+
+    test('should report incomplete SAS connection strings and service principals', () => {
+      expect(AzureStorageProvider.validateConfig({
+        connectionString: 'SharedAccessSignature=sv=2022-11-02&sig=abc',
+        streamBaseUrl: 'localhost:3000',
+      })).toEqual([
+        'connectionString with a SharedAccessSignature is missing BlobEndpoint',
+        'streamBaseUrl must be an http(s) URL',
+      ]);
+      expect(AzureStorageProvider.validateConfig({ tenantId: 'tenant', clientId: 'client' })).toEqual([
+        'clientSecret is required for an Azure service principal',
+        'accountName or blobEndpoint is required for an Azure service principal',
+      ]);
+    });
+
+    test('should report missing credentials', () => {
+      expect(AzureStorageProvider.validateConfig({ accountName: 'testaccount' })).toEqual([
+        "connectionString, accountName and accountKey, or tenantId, clientId and clientSecret are required for provider 'azure'",
+      ]);
+    });
+  });
+
   describe('getProviderName', () => {
     test('should return "azure"', () => {
       provider = new AzureStorageProvider(mockConfigWithConnectionString);
@@ -0,0 +1,78 @@
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000000;
+    breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 10000, now: () => now });
+  });
+
+  const fail = (times) => {
+    for (let i = 0; i < times; i++) {
+      breaker.recordFailure();
+    }
+  };
+
+  test('should stay closed below the failure threshold', () => {
+    fail(2);
+
+    expect(breaker.isAvailable()).toBe(true);
+    expect(breaker.getStatus()).toEqual({ state: 'closed', failures: 2, openedAt: null, retryAt: null });
+  });
+
+  test('should reset the failure count on success', () => {
+    fail(2);
+    breaker.recordSuccess();
+    fail(2);
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('should open after consecutive failures and skip calls until the reset timeout', () => {
+    fail(3);
+
+    expect(breaker.isAvailable()).toBe(false);
+    expect(breaker.getStatus()).toMatchObject({
+      state: 'open',
+      openedAt: new Date(1000000).toISOString(),
+      retryAt: new Date(1010000).toISOString()
+    });
+
+    now += 9999;
+    expect(breaker.isAvailable()).toBe(false);
+  });
+
+  test('should let a single trial call through when half-open', () => {
+    fail(3);
+    now += 10000;
+
+    expect(breaker.isAvailable()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.isAvailable()).toBe(false);
+  });
+
+  test('should close when the trial call succeeds', () => {
+    fail(3);
+    now += 10000;
+    breaker.isAvailable();
+
+    breaker.recordSuccess();
+
+    expect(breaker.isAvailable()).toBe(true);
+    expect(breaker.getStatus()).toEqual({ state: 'closed', failures: 0, openedAt: null, retryAt: null });
+  });
+
+  test('should open again when the trial call fails', () => {
+    fail(3);
+    now += 10000;
+    breaker.isAvailable();
+
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.isAvailable()).toBe(false);
+    expect(breaker.getStatus().retryAt).toBe(new Date(now + 10000).toISOString());
+  });
+});
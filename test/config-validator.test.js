@@ -0,0 +1,154 @@
+const platformConfig = require('../config/platform-config');
+const StorageProviderFactory = require('../providers/storage-provider-factory');
+const { validatePlatformEnvironments, formatValidationReport } = require('../service/config-validator');
+
+jest.mock('../config/platform-config');
+jest.mock('../providers/storage-provider-factory');
+
+describe('config-validator', () => {
+  const environments = {
+    acme: {
+      uat: { provider: 's3', region: 'ap-south-1' },
+      prod: { provider: 'azure', connectionString: 'AccountName=a;AccountKey=b' }
+    }
+  };
+
+  let mockProvider;
+
+  beforeEach(() => {
+    platformConfig.platforms = { acme: { name: 'Acme', environments: environments.acme } };
+    platformConfig.getPlatformEnvironments.mockImplementation(platformId => Object.keys(environments[platformId]));
+    platformConfig.getPlatformConfig.mockImplementation((platformId, environment) => environments[platformId][environment]);
+
+    StorageProviderFactory.validateConfig.mockImplementation(provider =>
+      provider === 's3' ? ["bucketName is required for provider 's3'"] : []
+    );
+
+    mockProvider = { healthCheck: jest.fn().mockResolvedValue(true), supportsDirectUpload: jest.fn().mockReturnValue(true) };
+    StorageProviderFactory.createProvider.mockReturnValue(mockProvider);
+    process.env.UPLOAD_TOKEN_SECRET = 'shared-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.UPLOAD_TOKEN_SECRET;
+  });
+
+  describe('validatePlatformEnvironments', () => {
+    test('should report missing settings per platform environment', async () => {
+      const report = await validatePlatformEnvironments();
+
+      expect(report.valid).toBe(false);
+      expect(report.results).toEqual([
+        { platformId: 'acme', environment: 'uat', provider: 's3', errors: ["bucketName is required for provider 's3'"] },
+        { platformId: 'acme', environment: 'prod', provider: 'azure', errors: [] }
+      ]);
+      expect(StorageProviderFactory.createProvider).not.toHaveBeenCalled();
+    });
+
+    test('should only check connectivity of complete environments', async () => {
+      const report = await validatePlatformEnvironments({ connectivity: true });
+
+      expect(StorageProviderFactory.createProvider).toHaveBeenCalledTimes(1);
+      expect(StorageProviderFactory.createProvider).toHaveBeenCalledWith('azure', environments.acme.prod);
+      expect(report.results[0].connectivity).toBeUndefined();
+      expect(report.results[1].connectivity).toEqual({ ok: true, durationMs: expect.any(Number) });
+    });
+
+    test('should be valid when every environment is complete and reachable', async () => {
+      StorageProviderFactory.validateConfig.mockReturnValue([]);
+
+      const report = await validatePlatformEnvironments({ connectivity: true });
+
+      expect(report.valid).toBe(true);
+    });
+
+    test('should report unreachable providers', async () => {
+      StorageProviderFactory.validateConfig.mockReturnValue([]);
+      mockProvider.healthCheck.mockRejectedValue(new Error('AuthenticationFailed'));
+
+      const report = await validatePlatformEnvironments({ connectivity: true });
+
+      expect(report.valid).toBe(false);
+      expect(report.results[1].connectivity).toEqual({
+        ok: false,
+        durationMs: expect.any(Number),
+        error: 'AuthenticationFailed'
+      });
+    });
+
+    test('should time out slow connectivity checks', async () => {
+      StorageProviderFactory.validateConfig.mockReturnValue([]);
+      mockProvider.healthCheck.mockReturnValue(new Promise(() => {}));
+
+      const report = await validatePlatformEnvironments({ connectivity: true, timeoutMs: 10 });
+
+      expect(report.results[0].connectivity.error).toBe('No response within 10ms');
+    });
+
+    test('should close providers after checking them, even when the check fails', async () => {
+      StorageProviderFactory.validateConfig.mockReturnValue([]);
+      mockProvider.close = jest.fn().mockResolvedValue();
+      mockProvider.healthCheck
+        .mockResolvedValueOnce(true)
+        .mockReturnValueOnce(new Promise(() => {}));
+
+      const report = await validatePlatformEnvironments({ connectivity: true, timeoutMs: 10 });
+
+      expect(report.results[1].connectivity.error).toBe('No response within 10ms');
+      expect(mockProvider.close).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not fail the check when closing the provider fails', async () => {
+      mockProvider.close = jest.fn().mockRejectedValue(new Error('Connection already closed'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const report = await validatePlatformEnvironments({ connectivity: true });
+
+      expect(report.results[1].connectivity).toEqual({ ok: true, durationMs: expect.any(Number) });
+      expect(console.error).toHaveBeenCalledWith('Failed to close azure provider: Connection already closed');
+    });
+
+    test('should require UPLOAD_TOKEN_SECRET for providers that accept direct uploads', async () => {
+      delete process.env.UPLOAD_TOKEN_SECRET;
+      StorageProviderFactory.validateConfig.mockReturnValue([]);
+      mockProvider.supportsDirectUpload.mockReturnValueOnce(false).mockReturnValueOnce(true);
+
+      const report = await validatePlatformEnvironments();
+
+      expect(report.valid).toBe(false);
+      expect(report.results[0].errors).toEqual([]);
+      expect(report.results[1].errors).toEqual([
+        'UPLOAD_TOKEN_SECRET must be set: direct upload tokens signed with a random per-process ' +
+        'secret stop working on restart and are refused by other instances'
+      ]);
+    });
+
+    test('should report providers that cannot be created', async () => {
+      StorageProviderFactory.validateConfig.mockReturnValue([]);
+      StorageProviderFactory.createProvider.mockImplementation(() => {
+        throw new Error('Could not extract AccountKey from connection string');
+      });
+
+      const report = await validatePlatformEnvironments({ connectivity: true });
+
+      expect(report.results[1].connectivity.error).toBe('Could not extract AccountKey from connection string');
+    });
+  });
+
+  describe('formatValidationReport', () => {
+    test('should list failures with their problems', () => {
+      const output = formatValidationReport({
+        valid: false,
+        results: [
+          { platformId: 'acme', environment: 'uat', provider: 's3', errors: ['bucketName is required'] },
+          { platformId: 'acme', environment: 'prod', provider: 'azure', errors: [], connectivity: { ok: true, durationMs: 12 } }
+        ]
+      });
+
+      expect(output).toContain('FAIL acme/uat (s3)');
+      expect(output).toContain('- bucketName is required');
+      expect(output).toContain('OK   acme/prod (azure) reachable in 12ms');
+      expect(output).toContain('1 of 2 platform environments have problems');
+    });
+  });
+});
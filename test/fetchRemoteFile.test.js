@@ -0,0 +1,158 @@
+const http = require('http');
+const { fetchRemoteFile, isPublicAddress } = require('../utils/fetchRemoteFile');
+
+describe('fetchRemoteFile', () => {
+  let server;
+  let baseUrl;
+  let requests;
+
+  const options = {
+    maxBytes: 64,
+    timeoutMs: 1000,
+    maxRedirects: 2,
+    allowedContentTypes: ['application/pdf', 'image/*'],
+    // The test server listens on loopback, which the default guard refuses
+    isAllowedAddress: address => address === '127.0.0.1'
+  };
+
+  const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      const [path, query] = req.url.split('?');
+
+      switch (path) {
+        case '/invoice.pdf':
+          return res.writeHead(200, { 'Content-Type': 'application/pdf; charset=binary' }).end('%PDF-1.4');
+        case '/download':
+          return res.writeHead(200, {
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename*=UTF-8''Claim%20Form.pdf`
+          }).end('%PDF-1.4');
+        case '/redirect':
+          return res.writeHead(302, { Location: Number(query) > 0 ? `/redirect?${Number(query) - 1}` : '/invoice.pdf' }).end();
+        case '/private':
+          return res.writeHead(301, { Location: 'http://10.0.0.1/invoice.pdf' }).end();
+        case '/missing':
+          return res.writeHead(404).end();
+        case '/page':
+          return res.writeHead(200, { 'Content-Type': 'text/html' }).end('<html></html>');
+        case '/large':
+          return res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': 65 }).end(Buffer.alloc(65));
+        case '/unannounced':
+          // Chunked, so only counting the body notices it is too large
+          res.writeHead(200, { 'Content-Type': 'image/png' });
+          res.write(Buffer.alloc(40));
+          return res.end(Buffer.alloc(40));
+        case '/slow-headers':
+          return setTimeout(() => res.writeHead(200, { 'Content-Type': 'application/pdf' }).end('late'), 300);
+        case '/slow-body':
+          res.writeHead(200, { 'Content-Type': 'application/pdf' });
+          res.write('%PDF');
+          return setTimeout(() => res.end('-1.4'), 300);
+        default:
+          return res.writeHead(500).end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should stream the file with its content type', async () => {
+    const { stream, contentType, fileName, url } = await fetchRemoteFile(`${baseUrl}/invoice.pdf`, options);
+
+    expect(contentType).toBe('application/pdf');
+    expect(fileName).toBe('invoice.pdf');
+    expect(url).toBe(`${baseUrl}/invoice.pdf`);
+    await expect(readAll(stream)).resolves.toEqual(Buffer.from('%PDF-1.4'));
+  });
+
+  test('should name the file after its Content-Disposition', async () => {
+    const { stream, fileName } = await fetchRemoteFile(`${baseUrl}/download`, options);
+    stream.resume();
+
+    expect(fileName).toBe('Claim Form.pdf');
+  });
+
+  test('should follow redirects up to the limit', async () => {
+    const { stream, url, fileName } = await fetchRemoteFile(`${baseUrl}/redirect?1`, options);
+
+    expect(url).toBe(`${baseUrl}/invoice.pdf`);
+    expect(fileName).toBe('invoice.pdf');
+    await expect(readAll(stream)).resolves.toEqual(Buffer.from('%PDF-1.4'));
+    await expect(fetchRemoteFile(`${baseUrl}/redirect?2`, options))
+      .rejects.toMatchObject({ status: 502, message: 'Remote server redirected more than 2 times' });
+  });
+
+  test('should refuse redirects to private addresses', async () => {
+    await expect(fetchRemoteFile(`${baseUrl}/private`, options))
+      .rejects.toMatchObject({ status: 400, message: '10.0.0.1 is a private or reserved address' });
+  });
+
+  test('should refuse hosts resolving to private addresses without connecting', async () => {
+    const { port } = server.address();
+
+    await expect(fetchRemoteFile(`http://localhost:${port}/invoice.pdf`, { ...options, isAllowedAddress: isPublicAddress }))
+      .rejects.toMatchObject({ status: 400, message: 'localhost resolves to a private or reserved address' });
+    await expect(fetchRemoteFile(`http://[::1]:${port}/invoice.pdf`, { ...options, isAllowedAddress: isPublicAddress }))
+      .rejects.toMatchObject({ status: 400, message: '::1 is a private or reserved address' });
+    expect(requests).toEqual([]);
+  });
+
+  test('should only fetch http and https URLs', async () => {
+    await expect(fetchRemoteFile('file:///etc/passwd', options)).rejects.toMatchObject({ status: 400, message: 'url must use http or https' });
+    await expect(fetchRemoteFile('not a url', options)).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('should report error answers and refused content types', async () => {
+    await expect(fetchRemoteFile(`${baseUrl}/missing`, options))
+      .rejects.toMatchObject({ status: 502, message: 'Remote server answered 404' });
+    await expect(fetchRemoteFile(`${baseUrl}/page`, options))
+      .rejects.toMatchObject({ status: 415, message: 'Content type text/html is not allowed' });
+  });
+
+  test('should refuse files over the size limit', async () => {
+    await expect(fetchRemoteFile(`${baseUrl}/large`, options)).rejects.toMatchObject({ status: 413 });
+
+    const { stream } = await fetchRemoteFile(`${baseUrl}/unannounced`, options);
+    await expect(readAll(stream)).rejects.toMatchObject({ status: 413 });
+  });
+
+  test('should give up on servers slower than the time limit', async () => {
+    await expect(fetchRemoteFile(`${baseUrl}/slow-headers`, { ...options, timeoutMs: 100 }))
+      .rejects.toMatchObject({ status: 504, message: 'Remote server did not send the file within 0.1s' });
+
+    const { stream } = await fetchRemoteFile(`${baseUrl}/slow-body`, { ...options, timeoutMs: 100 });
+    await expect(readAll(stream)).rejects.toMatchObject({ status: 504 });
+    expect(stream.errored.status).toBe(504);
+  });
+});
+
+describe('isPublicAddress', () => {
+  test('should accept public addresses', () => {
+    expect(isPublicAddress('93.184.216.34')).toBe(true);
+    expect(isPublicAddress('2606:4700:4700::1111')).toBe(true);
+  });
+
+  test('should refuse loopback, private, link-local and reserved addresses', () => {
+    [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '100.64.0.1', '169.254.169.254', '0.0.0.0',
+      '224.0.0.1', '::1', '::', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', 'not-an-ip'
+    ].forEach(address => expect([address, isPublicAddress(address)]).toEqual([address, false]));
+  });
+});
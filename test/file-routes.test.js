@@ -1,8 +1,36 @@
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { Readable } = require('stream');
 const request = require('supertest');
 const express = require('express');
 
 // Mock dependencies before requiring the router
+jest.mock('@aws-sdk/client-s3', () => {
+  const { FakeS3Client } = require('./support/fake-s3-client');
+  return { ...jest.requireActual('@aws-sdk/client-s3'), S3Client: FakeS3Client };
+});
+jest.mock('@aws-sdk/s3-presigned-post', () => {
+  const { fakeCreatePresignedPost } = require('./support/fake-s3-client');
+  return { createPresignedPost: fakeCreatePresignedPost };
+});
+jest.mock('@azure/storage-blob', () => {
+  const { FakeBlobServiceClient } = require('./support/fake-blob-service-client');
+  return { ...jest.requireActual('@azure/storage-blob'), BlobServiceClient: FakeBlobServiceClient };
+});
 jest.mock('../service/multi-tenant-storage-service.js');
+// Remote files are served from loopback in these tests, which the real address guard refuses
+jest.mock('../utils/fetchRemoteFile.js', () => {
+  const actual = jest.requireActual('../utils/fetchRemoteFile.js');
+  return {
+    ...actual,
+    fetchRemoteFile: (url, options) => actual.fetchRemoteFile(url, {
+      ...options,
+      isAllowedAddress: address => address === '127.0.0.1' || actual.isPublicAddress(address)
+    })
+  };
+});
 jest.mock('../middlewares/platform-auth.js');
 jest.mock('../utils/sanitizeFileName.js');
 jest.mock('../utils/sanitizeBucketName.js');
@@ -12,6 +40,10 @@ const platformAuthMiddleware = require('../middlewares/platform-auth.js');
 const { sanitizeFileName } = require('../utils/sanitizeFileName.js');
 const { sanitizeBucketName } = require('../utils/sanitizeBucketName.js');
 const fileRoutes = require('../routes/file-routes.js');
+const MemoryStorageProvider = require('../providers/memory-storage-provider');
+const { hashFields } = require('../utils/requestSignature');
+const AWSS3StorageProvider = require('../providers/aws-s3-provider');
+const AzureStorageProvider = require('../providers/azure-storage-provider');
 
 describe('File Routes', () => {
   let app;
@@ -47,7 +79,7 @@ describe('File Routes', () => {
         fileUrl: 'https://storage.example.com/bucket/file.txt'
       };
       
-      storageService.uploadFile.mockResolvedValue(mockResult);
+      storageService.uploadFileStream.mockResolvedValue(mockResult);
       storageService.getProviderInfo.mockReturnValue({ name: 'azure' });
 
       const response = await request(app)
@@ -64,7 +96,7 @@ describe('File Routes', () => {
       expect(response.body.data.platform).toBe('test-platform');
       expect(response.body.data.environment).toBe('uat');
       expect(response.body.data.provider).toBe('azure');
-      expect(storageService.uploadFile).toHaveBeenCalled();
+      expect(storageService.uploadFileStream).toHaveBeenCalled();
     });
 
     test('should return 400 when no file is uploaded', async () => {
@@ -101,7 +133,7 @@ describe('File Routes', () => {
 
     test('should default access to private', async () => {
       const mockResult = { fileUrl: 'https://storage.example.com/file.txt' };
-      storageService.uploadFile.mockResolvedValue(mockResult);
+      storageService.uploadFileStream.mockResolvedValue(mockResult);
       storageService.getProviderInfo.mockReturnValue({ name: 'azure' });
 
       const response = await request(app)
@@ -110,20 +142,20 @@ describe('File Routes', () => {
         .attach('file', Buffer.from('test content'), 'test.txt');
 
       expect(response.status).toBe(200);
-      expect(storageService.uploadFile).toHaveBeenCalledWith(
+      expect(storageService.uploadFileStream).toHaveBeenCalledWith(
         'test-platform',
         'uat',
         expect.any(String),
         expect.any(String),
         'private',
-        expect.any(Buffer),
+        expect.any(Readable),
         expect.any(String),
         expect.any(Object)
       );
     });
 
     test('should return 500 when upload fails to return fileUrl', async () => {
-      storageService.uploadFile.mockResolvedValue({});
+      storageService.uploadFileStream.mockResolvedValue({});
 
       const response = await request(app)
         .post('/api/files/upload-file')
@@ -136,7 +168,7 @@ describe('File Routes', () => {
     });
 
     test('should return 500 when storageService throws error', async () => {
-      storageService.uploadFile.mockRejectedValue(new Error('Storage error'));
+      storageService.uploadFileStream.mockRejectedValue(new Error('Storage error'));
 
       const response = await request(app)
         .post('/api/files/upload-file')
@@ -150,7 +182,7 @@ describe('File Routes', () => {
 
     test('should parse JSON metadata from string', async () => {
       const mockResult = { fileUrl: 'https://storage.example.com/file.txt' };
-      storageService.uploadFile.mockResolvedValue(mockResult);
+      storageService.uploadFileStream.mockResolvedValue(mockResult);
       storageService.getProviderInfo.mockReturnValue({ name: 'azure' });
 
       const metadata = JSON.stringify({ custom: 'value', tags: ['a', 'b'] });
@@ -162,13 +194,13 @@ describe('File Routes', () => {
         .attach('file', Buffer.from('test content'), 'test.txt');
 
       expect(response.status).toBe(200);
-      expect(storageService.uploadFile).toHaveBeenCalledWith(
+      expect(storageService.uploadFileStream).toHaveBeenCalledWith(
         'test-platform',
         'uat',
         expect.any(String),
         expect.any(String),
         expect.any(String),
-        expect.any(Buffer),
+        expect.any(Readable),
         expect.any(String),
         expect.objectContaining({
           custom: 'value',
@@ -177,9 +209,31 @@ describe('File Routes', () => {
       );
     });
 
+    test('should return 400 when the file does not match the signed content hash', async () => {
+      platformAuthMiddleware.mockImplementation((req, res, next) => {
+        req.platformContext = {
+          platformId: 'test-platform',
+          environment: 'uat',
+          authMethod: 'signature',
+          contentSha256: crypto.createHash('sha256').update('other content').digest('hex'),
+          config: { provider: 'azure' }
+        };
+        next();
+      });
+
+      const response = await request(app)
+        .post('/api/files/upload-file')
+        .field('bucketName', 'test-bucket')
+        .attach('file', Buffer.from('test content'), 'test.txt');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('File content does not match the signed X-Content-SHA256 header');
+      expect(storageService.uploadFileStream).not.toHaveBeenCalled();
+    });
+
     test('should sanitize prefix with Windows-style slashes', async () => {
       const mockResult = { fileUrl: 'https://storage.example.com/file.txt' };
-      storageService.uploadFile.mockResolvedValue(mockResult);
+      storageService.uploadFileStream.mockResolvedValue(mockResult);
       storageService.getProviderInfo.mockReturnValue({ name: 'azure' });
 
       const response = await request(app)
@@ -189,13 +243,13 @@ describe('File Routes', () => {
         .attach('file', Buffer.from('test content'), 'test.txt');
 
       expect(response.status).toBe(200);
-      expect(storageService.uploadFile).toHaveBeenCalledWith(
+      expect(storageService.uploadFileStream).toHaveBeenCalledWith(
         'test-platform',
         'uat',
         expect.any(String),
         'docs/pdfs',
         expect.any(String),
-        expect.any(Buffer),
+        expect.any(Readable),
         expect.any(String),
         expect.any(Object)
       );
@@ -474,6 +528,117 @@ describe('File Routes', () => {
     });
   });
 
+  describe('Key scopes and allowlists', () => {
+    const useKey = (permissions) => {
+      platformAuthMiddleware.mockImplementation((req, res, next) => {
+        req.platformContext = {
+          platformId: 'test-platform',
+          environment: 'uat',
+          keyId: 'mobile-key',
+          config: { provider: 'azure' },
+          ...permissions
+        };
+        next();
+      });
+    };
+
+    test('should return 403 with missing scope when deleting with an upload-only key', async () => {
+      useKey({ scopes: ['upload', 'download'] });
+
+      const response = await request(app)
+        .delete('/api/files/delete-file')
+        .send({ fileUrl: 'https://storage.example.com/kyc-docs/file.txt' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({
+        success: false,
+        error: "API key is missing required scope 'delete'",
+        missingScope: 'delete'
+      });
+      expect(storageService.deleteFile).not.toHaveBeenCalled();
+    });
+
+    test('should upload to an allowed bucket and prefix', async () => {
+      useKey({ scopes: ['upload'], allowedBuckets: ['kyc-docs'], allowedPrefixes: ['mobile'] });
+      storageService.uploadFileStream.mockResolvedValue({ fileUrl: 'https://storage.example.com/kyc-docs/mobile/test.txt' });
+      storageService.getProviderInfo.mockReturnValue({ name: 'azure' });
+
+      const response = await request(app)
+        .post('/api/files/upload-file')
+        .field('bucketName', 'kyc-docs')
+        .field('prefix', 'mobile/2024')
+        .attach('file', Buffer.from('test content'), 'test.txt');
+
+      expect(response.status).toBe(200);
+      expect(storageService.uploadFileStream).toHaveBeenCalled();
+    });
+
+    test('should return 403 when uploading to a bucket outside the allowlist', async () => {
+      useKey({ scopes: ['upload'], allowedBuckets: ['kyc-docs'] });
+
+      const response = await request(app)
+        .post('/api/files/upload-file')
+        .field('bucketName', 'claims')
+        .attach('file', Buffer.from('test content'), 'test.txt');
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe("API key is not allowed to access bucket 'claims'");
+      expect(storageService.uploadFileStream).not.toHaveBeenCalled();
+    });
+
+    test('should resolve the bucket of a file URL for restricted keys', async () => {
+      useKey({ scopes: ['download'], allowedBuckets: ['kyc-docs'] });
+      storageService.parseBucketKey.mockReturnValue({ bucketName: 'claims', key: 'file.txt' });
+
+      const response = await request(app)
+        .post('/api/files/get-download-url')
+        .send({ fileUrl: 'https://storage.example.com/claims/file.txt' });
+
+      expect(response.status).toBe(403);
+      expect(storageService.parseBucketKey).toHaveBeenCalledWith(
+        'test-platform',
+        'uat',
+        'https://storage.example.com/claims/file.txt'
+      );
+      expect(storageService.generateDownloadUrl).not.toHaveBeenCalled();
+    });
+
+    test('should refuse S3 URLs of another physical bucket for restricted keys', async () => {
+      useKey({ scopes: ['download'], allowedBuckets: ['kyc-docs'] });
+      const provider = new AWSS3StorageProvider({
+        accessKeyId: 'test-access-key',
+        secretAccessKey: 'test-secret-key',
+        region: 'ap-south-1',
+        bucketName: 'physical-bucket'
+      });
+      storageService.parseBucketKey.mockImplementation((platformId, environment, fileUrl) => provider.parseBucketKey(fileUrl));
+
+      const response = await request(app)
+        .post('/api/files/get-download-url')
+        .send({ fileUrl: 'https://other-bucket.s3.ap-south-1.amazonaws.com/kyc-docs/file.txt' });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Failed to parse S3 URL: URL is not in bucket physical-bucket');
+      expect(storageService.generateDownloadUrl).not.toHaveBeenCalled();
+    });
+
+    test('should check bucket and key for delete-by-bucket-key', async () => {
+      useKey({ scopes: ['delete'], allowedBuckets: ['kyc-docs'], allowedPrefixes: ['jobs'] });
+      storageService.deleteFileByBucketKey.mockResolvedValue(true);
+
+      const allowed = await request(app)
+        .delete('/api/files/delete-by-bucket-key')
+        .send({ bucketName: 'kyc-docs', key: 'jobs/file.txt' });
+      const denied = await request(app)
+        .delete('/api/files/delete-by-bucket-key')
+        .send({ bucketName: 'kyc-docs', key: 'mobile/file.txt' });
+
+      expect(allowed.status).toBe(200);
+      expect(denied.status).toBe(403);
+      expect(storageService.deleteFileByBucketKey).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('Authentication middleware', () => {
     test('should apply platform auth middleware to all routes', async () => {
       storageService.fileExists.mockResolvedValue(true);
@@ -511,5 +676,736 @@ describe('File Routes', () => {
       );
     });
   });
-});
 
+  describe('with the memory provider', () => {
+    let memoryProvider;
+
+    beforeEach(() => {
+      // Route the mocked service to the real service backed by a memory provider
+      const actualService = jest.requireActual('../service/multi-tenant-storage-service.js');
+      memoryProvider = new MemoryStorageProvider();
+      actualService.providerCache = new Map([['test-platform-uat', memoryProvider]]);
+
+      [
+        'uploadFile',
+        'uploadFileStream',
+        'generateDownloadUrl',
+        'deleteFile',
+        'deleteFileByBucketKey',
+        'getFileMetadata',
+        'fileExists',
+        'parseBucketKey',
+        'getProviderInfo'
+      ].forEach(method => {
+        storageService[method].mockImplementation((...args) => actualService[method](...args));
+      });
+    });
+
+    const uploadFile = (access = 'private') => request(app)
+      .post('/api/files/upload-file')
+      .field('bucketName', 'Documents')
+      .field('prefix', '/invoices/2024/')
+      .field('access', access)
+      .attach('file', Buffer.from('invoice content'), 'invoice.pdf');
+
+    test('should upload, describe and delete a file', async () => {
+      const uploaded = await uploadFile();
+      const { fileUrl } = uploaded.body.data;
+
+      expect(uploaded.status).toBe(200);
+      expect(uploaded.body.data).toMatchObject({ fileSize: 15, provider: 'memory' });
+      expect(fileUrl).toMatch(/^memory:\/\/documents\/invoices\/2024\/\d+-invoice\.pdf$/);
+
+      const metadata = await request(app).get('/api/files/metadata').query({ fileUrl });
+      expect(metadata.status).toBe(200);
+      expect(metadata.body.data).toMatchObject({
+        contentType: 'application/pdf',
+        contentLength: 15,
+        metadata: { platformId: 'test-platform', environment: 'uat', access: 'private' }
+      });
+
+      const exists = await request(app).get('/api/files/exists').send({ fileUrl });
+      expect(exists.body.data).toEqual({ exists: true });
+
+      const deleted = await request(app).delete('/api/files/delete-file').send({ fileUrl });
+      expect(deleted.status).toBe(200);
+
+      const deletedAgain = await request(app).delete('/api/files/delete-file').send({ fileUrl });
+      expect(deletedAgain.status).toBe(400);
+      expect(deletedAgain.body.error).toBe('File not found');
+    });
+
+    const stagedFiles = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('upload-'));
+
+    test('should stream files sent after their fields straight to the provider', async () => {
+      jest.spyOn(memoryProvider, 'uploadStream');
+      jest.spyOn(memoryProvider, 'uploadFile');
+      const staged = stagedFiles();
+
+      const uploaded = await uploadFile();
+
+      expect(uploaded.status).toBe(200);
+      expect(memoryProvider.uploadStream).toHaveBeenCalledWith(
+        'documents',
+        expect.any(Readable),
+        'invoices/2024',
+        expect.stringMatching(/^\d+-invoice\.pdf$/),
+        expect.objectContaining({ contentType: 'application/pdf' }),
+        'private'
+      );
+      expect(stagedFiles()).toEqual(staged);
+    });
+
+    test('should stage files sent before their fields and upload them once the form is read', async () => {
+      const staged = stagedFiles();
+
+      const uploaded = await request(app)
+        .post('/api/files/upload-file')
+        .attach('file', Buffer.from('invoice content'), 'invoice.pdf')
+        .field('bucketName', 'Documents')
+        .field('access', 'public');
+
+      expect(uploaded.status).toBe(200);
+      expect(uploaded.body.data).toMatchObject({ fileSize: 15, access: 'public', bucketName: 'documents' });
+      const { key } = memoryProvider.parseBucketKey(uploaded.body.data.fileUrl);
+      await expect(memoryProvider.getFileContent('documents', key)).resolves.toEqual(Buffer.from('invoice content'));
+      expect(stagedFiles()).toEqual(staged);
+    });
+
+    test('should refuse upload fields sent after a streamed file and remove the file', async () => {
+      const response = await request(app)
+        .post('/api/files/upload-file')
+        .field('bucketName', 'Documents')
+        .attach('file', Buffer.alloc(2 * 1024 * 1024, 'a'), 'a.txt')
+        .field('access', 'public')
+        .field('prefix', 'claims');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Fields sent after the file would not be applied: send bucketName, prefix, access, userId and metadata before the file'
+      });
+      expect(memoryProvider.files.size).toBe(0);
+    });
+
+    test('should check signed uploads against the hash before storing them', async () => {
+      platformAuthMiddleware.mockImplementation((req, res, next) => {
+        req.platformContext = {
+          platformId: 'test-platform',
+          environment: 'uat',
+          authMethod: 'signature',
+          contentSha256: crypto.createHash('sha256').update('invoice content').digest('hex').toUpperCase(),
+          config: {}
+        };
+        next();
+      });
+
+      const uploaded = await uploadFile();
+
+      expect(uploaded.status).toBe(200);
+      expect(uploaded.body.data.fileSize).toBe(15);
+      expect(memoryProvider.files.size).toBe(1);
+    });
+
+    describe('signed form fields', () => {
+      const signedFields = { bucketName: 'Documents', prefix: '/invoices/2024/', access: 'private' };
+
+      beforeEach(() => {
+        platformAuthMiddleware.mockImplementation((req, res, next) => {
+          req.platformContext = {
+            platformId: 'test-platform',
+            environment: 'uat',
+            authMethod: 'signature',
+            contentSha256: crypto.createHash('sha256').update('invoice content').digest('hex'),
+            fieldsSha256: hashFields(signedFields),
+            config: {}
+          };
+          next();
+        });
+      });
+
+      test('should store uploads whose fields match the signed hash', async () => {
+        const uploaded = await uploadFile();
+
+        expect(uploaded.status).toBe(200);
+        expect(memoryProvider.files.size).toBe(1);
+      });
+
+      test('should reject uploads whose bucketName was changed after signing', async () => {
+        const staged = stagedFiles();
+
+        const response = await request(app)
+          .post('/api/files/upload-file')
+          .field('bucketName', 'Payroll')
+          .field('prefix', '/invoices/2024/')
+          .field('access', 'private')
+          .attach('file', Buffer.from('invoice content'), 'invoice.pdf');
+
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({ success: false, error: 'Form fields do not match the signed X-Fields-SHA256 header' });
+        expect(memoryProvider.files.size).toBe(0);
+        // The previous test's staged file may still be in the middle of being removed
+        expect(stagedFiles().filter(name => !staged.includes(name))).toEqual([]);
+      });
+
+      test('should reject uploads with fields added after signing', async () => {
+        const response = await uploadFile().field('metadata', JSON.stringify({ owner: 'someone-else' }));
+
+        expect(response.status).toBe(400);
+        expect(memoryProvider.files.size).toBe(0);
+      });
+    });
+
+    test('should remove a streamed file when the request is rejected after it', async () => {
+      const response = await request(app)
+        .post('/api/files/upload-file')
+        .field('bucketName', 'Documents')
+        .attach('file', Buffer.from('invoice content'), 'invoice.pdf')
+        .attach('attachment', Buffer.from('other'), 'other.pdf');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, error: 'Unexpected field' });
+      expect(memoryProvider.files.size).toBe(0);
+    });
+
+    describe('multi-file uploads', () => {
+      const uploadFiles = (names, request_ = request(app).post('/api/files/upload-file')) => {
+        const req = request_.field('bucketName', 'Documents').field('prefix', 'claims');
+        names.forEach(name => req.attach('files', Buffer.from(`content of ${name}`), name));
+        return req;
+      };
+
+      const signedBy = (hashes) => platformAuthMiddleware.mockImplementation((req, res, next) => {
+        req.platformContext = {
+          platformId: 'test-platform',
+          environment: 'uat',
+          authMethod: 'signature',
+          contentSha256: hashes.join(','),
+          config: {}
+        };
+        next();
+      });
+
+      const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+      test('should store every file and describe each one', async () => {
+        const staged = stagedFiles();
+
+        const response = await uploadFiles(['a.pdf', 'b.pdf', 'c.pdf']);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toMatchObject({
+          uploaded: 3,
+          failed: 0,
+          platform: 'test-platform',
+          environment: 'uat',
+          provider: 'memory'
+        });
+        expect(response.body.data.files.map(file => file.originalName)).toEqual(['a.pdf', 'b.pdf', 'c.pdf']);
+        for (const file of response.body.data.files) {
+          expect(file).toMatchObject({ success: true, data: { bucketName: 'documents', prefix: 'claims', access: 'private' } });
+          const { key } = memoryProvider.parseBucketKey(file.data.fileUrl);
+          await expect(memoryProvider.getFileContent('documents', key))
+            .resolves.toEqual(Buffer.from(`content of ${file.originalName}`));
+          expect(file.data.fileSize).toBe(`content of ${file.originalName}`.length);
+        }
+        expect(stagedFiles()).toEqual(staged);
+      });
+
+      test('should keep files with the same name apart', async () => {
+        const response = await uploadFiles(['image.jpg', 'image.jpg', 'image.jpg']);
+
+        const fileNames = response.body.data.files.map(file => file.data.fileName);
+        expect(new Set(fileNames).size).toBe(3);
+        expect(fileNames[1]).toMatch(/^\d+-image(-2)?\.jpg$/);
+        expect(memoryProvider.files.size).toBe(3);
+      });
+
+      test('should report failed files without failing the batch', async () => {
+        const uploadStream = memoryProvider.uploadStream.bind(memoryProvider);
+        jest.spyOn(memoryProvider, 'uploadStream').mockImplementation((bucketName, stream, prefix, fileName, ...rest) => {
+          if (fileName.endsWith('b.pdf')) {
+            stream.resume();
+            return Promise.reject(new Error('Storage unavailable'));
+          }
+          return uploadStream(bucketName, stream, prefix, fileName, ...rest);
+        });
+
+        const response = await uploadFiles(['a.pdf', 'b.pdf', 'c.pdf']);
+
+        expect(response.status).toBe(207);
+        expect(response.body.success).toBe(false);
+        expect(response.body.data).toMatchObject({ uploaded: 2, failed: 1 });
+        expect(response.body.data.files[1]).toEqual({
+          originalName: 'b.pdf',
+          success: false,
+          error: 'Upload failed: Storage unavailable'
+        });
+        expect(response.body.data.files[0].success).toBe(true);
+        expect(response.body.data.files[2].success).toBe(true);
+        expect(memoryProvider.files.size).toBe(2);
+      });
+
+      test('should store at most a few files at a time', async () => {
+        let running = 0;
+        let peak = 0;
+        const uploadStream = memoryProvider.uploadStream.bind(memoryProvider);
+        jest.spyOn(memoryProvider, 'uploadStream').mockImplementation(async (...args) => {
+          running++;
+          peak = Math.max(peak, running);
+          try {
+            return await uploadStream(...args);
+          } finally {
+            running--;
+          }
+        });
+
+        const response = await uploadFiles(Array.from({ length: 10 }, (_, index) => `${index}.pdf`));
+
+        expect(response.body.data.uploaded).toBe(10);
+        expect(peak).toBeLessThanOrEqual(4);
+      });
+
+      test('should reject more than 20 files', async () => {
+        const response = await uploadFiles(Array.from({ length: 21 }, (_, index) => `${index}.pdf`));
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('At most 20 files can be uploaded at once');
+        expect(memoryProvider.files.size).toBe(0);
+      });
+
+      test('should reject requests sending both file and files', async () => {
+        const response = await uploadFiles(['a.pdf'], request(app).post('/api/files/upload-file')
+          .attach('file', Buffer.from('single'), 'single.pdf'));
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Send either "file" or "files", not both');
+        expect(memoryProvider.files.size).toBe(0);
+      });
+
+      test('should reject the whole batch when the key may not write there', async () => {
+        platformAuthMiddleware.mockImplementation((req, res, next) => {
+          req.platformContext = { platformId: 'test-platform', environment: 'uat', allowedPrefixes: ['receipts'], config: {} };
+          next();
+        });
+
+        const response = await uploadFiles(['a.pdf', 'b.pdf']);
+
+        expect(response.status).toBe(403);
+        expect(memoryProvider.files.size).toBe(0);
+      });
+
+      test('should check each file of a signed batch against its hash', async () => {
+        signedBy([sha256('content of a.pdf'), sha256('something else')]);
+
+        const response = await uploadFiles(['a.pdf', 'b.pdf']);
+
+        expect(response.status).toBe(207);
+        expect(response.body.data.files[0].success).toBe(true);
+        expect(response.body.data.files[1]).toEqual({
+          originalName: 'b.pdf',
+          success: false,
+          error: 'File content does not match the signed X-Content-SHA256 header'
+        });
+        expect(memoryProvider.files.size).toBe(1);
+      });
+
+      test('should require a hash for every file of a signed batch', async () => {
+        signedBy([sha256('content of a.pdf')]);
+
+        const response = await uploadFiles(['a.pdf', 'b.pdf']);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('X-Content-SHA256 must list the SHA-256 of every file, separated by commas');
+        expect(memoryProvider.files.size).toBe(0);
+      });
+    });
+
+    describe('uploads from a URL', () => {
+      let server;
+      let baseUrl;
+      let requests;
+
+      beforeAll(async () => {
+        server = http.createServer((req, res) => {
+          requests.push(req.url);
+          switch (req.url) {
+            case '/docs/Claim%20Form.pdf':
+              return res.writeHead(200, { 'Content-Type': 'application/pdf' }).end('%PDF-1.4 claim');
+            case '/share/abc':
+              return res.writeHead(302, { Location: '/docs/Claim%20Form.pdf' }).end();
+            case '/metadata':
+              return res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' }).end();
+            case '/login':
+              return res.writeHead(200, { 'Content-Type': 'text/html' }).end('<form></form>');
+            default:
+              return res.writeHead(404).end();
+          }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+      });
+
+      beforeEach(() => {
+        requests = [];
+      });
+
+      afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+      });
+
+      const uploadFromUrl = (body) => request(app)
+        .post('/api/files/upload-from-url')
+        .send({ bucketName: 'Documents', prefix: '/claims/', access: 'public', userId: 'user123', ...body });
+
+      test('should store the fetched file like /upload-file would', async () => {
+        const response = await uploadFromUrl({ url: `${baseUrl}/share/abc` });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({
+          bucketName: 'documents',
+          prefix: 'claims',
+          access: 'public',
+          isPublic: true,
+          fileSize: 14,
+          platform: 'test-platform',
+          environment: 'uat',
+          provider: 'memory'
+        });
+        expect(response.body.data.fileName).toMatch(/^\d+-Claim_Form\.pdf$/);
+        const { fileUrl } = response.body.data;
+        const { key } = memoryProvider.parseBucketKey(fileUrl);
+        await expect(memoryProvider.getFileContent('documents', key)).resolves.toEqual(Buffer.from('%PDF-1.4 claim'));
+        await expect(memoryProvider.getFileMetadata(fileUrl)).resolves.toMatchObject({
+          contentType: 'application/pdf',
+          metadata: { userId: 'user123', access: 'public' }
+        });
+      });
+
+      test('should store the file under the fileName given', async () => {
+        const response = await uploadFromUrl({ url: `${baseUrl}/share/abc`, fileName: 'claim-1234.pdf' });
+
+        expect(response.body.data.fileName).toMatch(/^\d+-claim-1234\.pdf$/);
+      });
+
+      test('should refuse URLs leading to private or metadata addresses', async () => {
+        const direct = await uploadFromUrl({ url: 'http://169.254.169.254/latest/meta-data/' });
+        const redirected = await uploadFromUrl({ url: `${baseUrl}/metadata` });
+
+        expect(direct.status).toBe(400);
+        expect(direct.body).toEqual({ success: false, error: '169.254.169.254 is a private or reserved address' });
+        expect(redirected.status).toBe(400);
+        expect(memoryProvider.files.size).toBe(0);
+      });
+
+      test('should report what was wrong with the remote file', async () => {
+        const page = await uploadFromUrl({ url: `${baseUrl}/login` });
+        const missing = await uploadFromUrl({ url: `${baseUrl}/gone.pdf` });
+
+        expect(page.status).toBe(415);
+        expect(page.body.error).toBe('Content type text/html is not allowed');
+        expect(missing.status).toBe(502);
+        expect(missing.body.error).toBe('Remote server answered 404');
+        expect(memoryProvider.files.size).toBe(0);
+      });
+
+      test('should validate the fields before fetching anything', async () => {
+        const noUrl = await uploadFromUrl({});
+        const noBucket = await uploadFromUrl({ url: `${baseUrl}/share/abc`, bucketName: undefined });
+
+        expect(noUrl.status).toBe(400);
+        expect(noUrl.body.error).toBe('url is required');
+        expect(noBucket.status).toBe(400);
+        expect(noBucket.body.error).toBe('bucketName is required');
+        expect(requests).toEqual([]);
+      });
+    });
+
+    test('should return signed links for private files and permanent URLs for public ones', async () => {
+      const privateFile = await uploadFile('private');
+      const publicFile = await uploadFile('public');
+
+      const privateLink = await request(app)
+        .post('/api/files/get-download-url')
+        .send({ fileUrl: privateFile.body.data.fileUrl, expiryMinutes: 5 });
+      const publicLink = await request(app)
+        .post('/api/files/get-download-url')
+        .send({ fileUrl: publicFile.body.data.fileUrl });
+
+      expect(privateLink.body.data).toMatchObject({ isPublic: false, requiresSAS: true, expiresIn: 300 });
+      expect(privateLink.body.data.downloadUrl).toContain('signature=');
+      expect(publicLink.body.data).toMatchObject({
+        isPublic: true,
+        downloadUrl: publicFile.body.data.fileUrl,
+        expiresAt: null
+      });
+    });
+
+    test('should delete by bucket and key', async () => {
+      const uploaded = await uploadFile();
+      const { key } = memoryProvider.parseBucketKey(uploaded.body.data.fileUrl);
+
+      const response = await request(app)
+        .delete('/api/files/delete-by-bucket-key')
+        .send({ bucketName: 'documents', key });
+
+      expect(response.status).toBe(200);
+      expect(memoryProvider.files.size).toBe(0);
+    });
+
+    test('should surface provider errors for missing files', async () => {
+      const metadata = await request(app)
+        .get('/api/files/metadata')
+        .query({ fileUrl: 'memory://documents/missing.pdf' });
+      const link = await request(app)
+        .post('/api/files/get-download-url')
+        .send({ fileUrl: 'memory://documents/missing.pdf' });
+      const deleted = await request(app)
+        .delete('/api/files/delete-by-bucket-key')
+        .send({ bucketName: 'documents', key: 'missing.pdf' });
+
+      expect(metadata.status).toBe(500);
+      expect(metadata.body.error).toBe('Get metadata failed: Memory metadata fetch failed: File not found');
+      expect(link.status).toBe(500);
+      expect(link.body.error).toContain('File not found');
+      expect(deleted.status).toBe(500);
+      expect(deleted.body.error).toContain('File not found');
+    });
+
+    test('should enforce prefix allowlists against real URLs', async () => {
+      const uploaded = await uploadFile();
+
+      platformAuthMiddleware.mockImplementation((req, res, next) => {
+        req.platformContext = {
+          platformId: 'test-platform',
+          environment: 'uat',
+          scopes: ['metadata'],
+          allowedBuckets: ['documents'],
+          allowedPrefixes: ['receipts'],
+          config: {}
+        };
+        next();
+      });
+
+      const response = await request(app)
+        .get('/api/files/metadata')
+        .query({ fileUrl: uploaded.body.data.fileUrl });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('direct uploads', () => {
+    let provider;
+
+    // Route the mocked service to the real service backed by the given provider
+    const useProvider = (instance) => {
+      const actualService = jest.requireActual('../service/multi-tenant-storage-service.js');
+      provider = instance;
+      actualService.providerCache = new Map([['test-platform-uat', instance]]);
+
+      [
+        'supportsDirectUpload',
+        'generateUploadUrl',
+        'completeDirectUpload',
+        'getFileUrl',
+        'getFileMetadata',
+        'fileExists',
+        'deleteFile',
+        'getProviderInfo'
+      ].forEach(method => {
+        storageService[method].mockImplementation((...args) => actualService[method](...args));
+      });
+    };
+
+    const useS3 = () => useProvider(new AWSS3StorageProvider({
+      accessKeyId: 'test-access-key',
+      secretAccessKey: 'test-secret-key',
+      region: 'ap-south-1',
+      bucketName: 'physical-bucket'
+    }));
+
+    const useAzure = () => useProvider(new AzureStorageProvider({
+      connectionString: 'DefaultEndpointsProtocol=https;AccountName=directaccount;AccountKey=dGVzdGtleQ==;EndpointSuffix=core.windows.net'
+    }));
+
+    const content = Buffer.from('%PDF-1.4 direct upload');
+
+    const getUploadUrl = (body = {}) => request(app)
+      .post('/api/files/get-upload-url')
+      .send({
+        bucketName: 'Claims',
+        prefix: 'scans/2024',
+        fileName: 'Scan 1.pdf',
+        contentType: 'application/pdf',
+        contentLength: content.length,
+        userId: 'user123',
+        ...body
+      });
+
+    const confirm = (uploadToken) => request(app).post('/api/files/confirm-upload').send({ uploadToken });
+
+    test('should hand out a presigned S3 POST and confirm the uploaded object', async () => {
+      useS3();
+
+      const issued = await getUploadUrl({ access: 'public' });
+
+      expect(issued.status).toBe(200);
+      expect(issued.body.data).toMatchObject({
+        uploadUrl: 'https://physical-bucket.s3.amazonaws.com/',
+        method: 'POST',
+        bucketName: 'claims',
+        prefix: 'scans/2024',
+        access: 'public',
+        expiresIn: 900
+      });
+      const { fields, fileName, uploadToken } = issued.body.data;
+      expect(fileName).toMatch(/^\d+-Scan_1\.pdf$/);
+      expect(fields).toMatchObject({
+        key: `claims/scans/2024/${fileName}`,
+        'Content-Type': 'application/pdf',
+        acl: 'public-read',
+        'x-amz-meta-userid': 'user123',
+        'x-amz-meta-platformid': 'test-platform'
+      });
+
+      provider.s3Client.postObject(fields, content);
+      const confirmed = await confirm(uploadToken);
+
+      expect(confirmed.status).toBe(200);
+      expect(confirmed.body.data).toMatchObject({
+        fileUrl: provider.getFileUrl('claims', `scans/2024/${fileName}`),
+        bucketName: 'claims',
+        prefix: 'scans/2024',
+        fileName,
+        access: 'public',
+        isPublic: true,
+        fileSize: content.length,
+        platform: 'test-platform',
+        environment: 'uat',
+        provider: 's3'
+      });
+    });
+
+    test('should sign a POST policy that refuses other sizes and content types', async () => {
+      useS3();
+      const { body: { data: { fields } } } = await getUploadUrl();
+
+      expect(() => provider.s3Client.postObject(fields, Buffer.concat([content, content]))).toThrow('AccessDenied');
+      expect(() => provider.s3Client.postObject({ ...fields, 'Content-Type': 'text/html' }, content)).toThrow('AccessDenied');
+    });
+
+    test('should hand out a write-only Azure SAS and apply the content type and metadata on confirm', async () => {
+      useAzure();
+
+      const issued = await getUploadUrl();
+
+      expect(issued.status).toBe(200);
+      const { uploadUrl, headers, fileName, uploadToken } = issued.body.data;
+      expect(issued.body.data.method).toBe('PUT');
+      expect(headers).toEqual({ 'x-ms-blob-type': 'BlockBlob', 'Content-Type': 'application/pdf' });
+      const sas = new URL(uploadUrl);
+      expect(sas.pathname).toBe(`/claims/scans/2024/${fileName}`);
+      expect(sas.searchParams.get('sp')).toBe('cw');
+
+      // The client controls the metadata it sends; confirming replaces it
+      const blob = provider.blobServiceClient.getContainerClient('claims').getBlockBlobClient(`scans/2024/${fileName}`);
+      await blob.upload(content, content.length, {
+        blobHTTPHeaders: { blobContentType: 'application/pdf' },
+        metadata: { userId: 'someone-else' }
+      });
+      const confirmed = await confirm(uploadToken);
+
+      expect(confirmed.status).toBe(200);
+      expect(confirmed.body.data).toMatchObject({ fileUrl: blob.url, fileSize: content.length, provider: 'azure' });
+      await expect(provider.getFileMetadata(blob.url)).resolves.toMatchObject({
+        contentType: 'application/pdf',
+        metadata: expect.objectContaining({ userId: 'user123', platformId: 'test-platform', access: 'private' })
+      });
+    });
+
+    test('should delete uploads that differ from the declared size or content type', async () => {
+      useAzure();
+      const { body: { data: { fileName, uploadToken } } } = await getUploadUrl();
+      const blob = provider.blobServiceClient.getContainerClient('claims').getBlockBlobClient(`scans/2024/${fileName}`);
+      await blob.upload(content, content.length, { blobHTTPHeaders: { blobContentType: 'text/html' } });
+
+      const confirmed = await confirm(uploadToken);
+
+      expect(confirmed.status).toBe(400);
+      expect(confirmed.body.error).toBe('Uploaded file does not match the declared contentLength and contentType and was deleted');
+      await expect(blob.exists()).resolves.toBe(false);
+    });
+
+    test('should answer 404 until the file has been uploaded', async () => {
+      useS3();
+      const { body: { data: { uploadToken } } } = await getUploadUrl();
+
+      const confirmed = await confirm(uploadToken);
+
+      expect(confirmed.status).toBe(404);
+      expect(confirmed.body.error).toBe('File has not been uploaded yet');
+    });
+
+    test('should refuse tokens that were changed or issued to another platform', async () => {
+      useS3();
+      const { body: { data: { uploadToken } } } = await getUploadUrl();
+      const [payload, signature] = uploadToken.split('.');
+      const details = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      const changed = Buffer.from(JSON.stringify({ ...details, bucketName: 'other' })).toString('base64url');
+
+      const tampered = await confirm(`${changed}.${signature}`);
+      expect(tampered.status).toBe(400);
+      expect(tampered.body.error).toBe('uploadToken is invalid or has expired');
+
+      platformAuthMiddleware.mockImplementation((req, res, next) => {
+        req.platformContext = { platformId: 'other-platform', environment: 'uat', config: {} };
+        next();
+      });
+      expect((await confirm(uploadToken)).status).toBe(400);
+    });
+
+    test('should validate the request before signing anything', async () => {
+      useS3();
+
+      const noName = await getUploadUrl({ fileName: undefined });
+      expect(noName.body.error).toBe('fileName is required');
+
+      const noSize = await getUploadUrl({ contentLength: undefined });
+      expect(noSize.status).toBe(400);
+      expect(noSize.body.error).toBe('contentLength must be the file size in bytes');
+
+      const tooLarge = await getUploadUrl({ contentLength: 5121 * 1024 * 1024 });
+      expect(tooLarge.status).toBe(413);
+
+      const badExpiry = await getUploadUrl({ expiryMinutes: 0 });
+      expect(badExpiry.body.error).toBe('expiryMinutes must be a whole number between 1 and 1440');
+
+      const noBucket = await getUploadUrl({ bucketName: undefined });
+      expect(noBucket.body.error).toBe('bucketName is required');
+    });
+
+    test('should apply the key allowlists to the server-chosen key', async () => {
+      useS3();
+      platformAuthMiddleware.mockImplementation((req, res, next) => {
+        req.platformContext = { platformId: 'test-platform', environment: 'uat', allowedPrefixes: ['receipts'], config: {} };
+        next();
+      });
+
+      const response = await getUploadUrl();
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toMatch(/^API key is not allowed to access 'scans\/2024\/\d+-Scan_1\.pdf'$/);
+    });
+
+    test('should refuse providers without direct uploads', async () => {
+      useProvider(new MemoryStorageProvider());
+
+      const response = await getUploadUrl();
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Direct uploads are not supported by the memory provider; use /upload-file');
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const { hashApiKey, verifyApiKey } = require('../utils/hashApiKey');
+
+describe('hashApiKey', () => {
+  test('should return a hex encoded SHA-256 hash', () => {
+    expect(hashApiKey('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  test('should not return the plaintext key', () => {
+    expect(hashApiKey('secret-key')).not.toContain('secret-key');
+  });
+});
+
+describe('verifyApiKey', () => {
+  const storedHash = hashApiKey('secret-key');
+
+  test('should return true for the matching key', () => {
+    expect(verifyApiKey('secret-key', storedHash)).toBe(true);
+  });
+
+  test('should accept an upper-case stored hash', () => {
+    expect(verifyApiKey('secret-key', storedHash.toUpperCase())).toBe(true);
+  });
+
+  test('should return false for a different key', () => {
+    expect(verifyApiKey('other-key', storedHash)).toBe(false);
+  });
+
+  test('should return false when the key is missing', () => {
+    expect(verifyApiKey(undefined, storedHash)).toBe(false);
+    expect(verifyApiKey('', storedHash)).toBe(false);
+  });
+
+  test('should return false when the stored hash is missing or malformed', () => {
+    expect(verifyApiKey('secret-key', undefined)).toBe(false);
+    expect(verifyApiKey('secret-key', 'secret-key')).toBe(false);
+    expect(verifyApiKey('secret-key', storedHash.slice(0, 32))).toBe(false);
+  });
+});
@@ -0,0 +1,78 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../service/readiness-checker.js');
+
+const readinessChecker = require('../service/readiness-checker.js');
+const healthRoutes = require('../routes/health-routes.js');
+
+describe('Health Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(healthRoutes);
+  });
+
+  describe('GET /health', () => {
+    test('should report the service as healthy', async () => {
+      const response = await request(app).get('/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('healthy');
+      expect(readinessChecker.check).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /ready', () => {
+    const tenant = {
+      platformId: 'onedigital',
+      environment: 'prod',
+      provider: 's3',
+      required: true,
+      latencyMs: 12
+    };
+
+    test('should return 200 when every required provider is up', async () => {
+      readinessChecker.check.mockResolvedValue({
+        ready: true,
+        checkedAt: '2026-10-18T10:00:00.000Z',
+        tenants: [{ ...tenant, status: 'up' }]
+      });
+
+      const response = await request(app).get('/ready');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        status: 'ready',
+        checkedAt: '2026-10-18T10:00:00.000Z',
+        tenants: [{ ...tenant, status: 'up' }]
+      });
+    });
+
+    test('should return 503 with per-tenant details when a provider is down', async () => {
+      const down = { ...tenant, status: 'down', error: 'Health check failed: NotFound' };
+      readinessChecker.check.mockResolvedValue({
+        ready: false,
+        checkedAt: '2026-10-18T10:00:00.000Z',
+        tenants: [down]
+      });
+
+      const response = await request(app).get('/ready');
+
+      expect(response.status).toBe(503);
+      expect(response.body.status).toBe('not ready');
+      expect(response.body.tenants).toEqual([down]);
+    });
+
+    test('should return 503 when the check itself fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      readinessChecker.check.mockRejectedValue(new Error('Platform config not loaded'));
+
+      const response = await request(app).get('/ready');
+
+      expect(response.status).toBe(503);
+      expect(response.body.error).toBe('Platform config not loaded');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { getRouteScope, hasScope, hasLocationRestrictions, checkKeyAccess } = require('../utils/keyScopes');
+
+describe('keyScopes', () => {
+  describe('getRouteScope', () => {
+    test('should map file routes to their scope', () => {
+      expect(getRouteScope('POST', '/upload-file')).toBe('upload');
+      expect(getRouteScope('post', '/get-download-url')).toBe('download');
+      expect(getRouteScope('DELETE', '/delete-by-bucket-key')).toBe('delete');
+      expect(getRouteScope('GET', '/exists')).toBe('metadata');
+      expect(getRouteScope('POST', '/get-upload-url')).toBe('upload');
+      expect(getRouteScope('POST', '/confirm-upload')).toBe('upload');
+      expect(getRouteScope('POST', '/upload-from-url')).toBe('upload');
+    });
+
+    test('should map resumable upload URLs to the upload scope', () => {
+      expect(getRouteScope('POST', '/tus')).toBe('upload');
+      expect(getRouteScope('PATCH', '/tus/0123456789abcdef0123456789abcdef')).toBe('upload');
+      expect(getRouteScope('HEAD', '/tus/0123456789abcdef0123456789abcdef')).toBe('upload');
+      expect(getRouteScope('DELETE', '/tus/0123456789abcdef0123456789abcdef')).toBe('upload');
+      expect(getRouteScope('GET', '/tus/a/b')).toBeNull();
+    });
+
+    test('should return null for unknown routes', () => {
+      expect(getRouteScope('GET', '/unknown')).toBeNull();
+      expect(getRouteScope(undefined, undefined)).toBeNull();
+    });
+  });
+
+  describe('hasScope', () => {
+    test('should treat keys without scopes as unrestricted', () => {
+      expect(hasScope(undefined, 'delete')).toBe(true);
+    });
+
+    test('should grant every scope to admin', () => {
+      expect(hasScope(['admin'], 'delete')).toBe(true);
+    });
+
+    test('should only grant listed scopes', () => {
+      expect(hasScope(['upload', 'download'], 'download')).toBe(true);
+      expect(hasScope(['upload', 'download'], 'delete')).toBe(false);
+      expect(hasScope([], 'upload')).toBe(false);
+    });
+  });
+
+  describe('hasLocationRestrictions', () => {
+    test('should detect bucket or prefix allowlists', () => {
+      expect(hasLocationRestrictions({})).toBe(false);
+      expect(hasLocationRestrictions({ allowedBuckets: ['kyc-docs'] })).toBe(true);
+      expect(hasLocationRestrictions({ allowedPrefixes: ['mobile'] })).toBe(true);
+    });
+  });
+
+  describe('checkKeyAccess', () => {
+    const context = {
+      scopes: ['upload', 'download'],
+      allowedBuckets: ['kyc-docs'],
+      allowedPrefixes: ['mobile/selfies']
+    };
+
+    test('should allow operations within scope, bucket and prefix', () => {
+      expect(checkKeyAccess(context, 'upload', 'kyc-docs', 'mobile/selfies/file.jpg')).toBeNull();
+      expect(checkKeyAccess(context, 'download', 'KYC-DOCS', '/mobile/selfies/2024/file.jpg')).toBeNull();
+    });
+
+    test('should report the missing scope', () => {
+      expect(checkKeyAccess(context, 'delete', 'kyc-docs', 'mobile/selfies/file.jpg')).toEqual({
+        error: "API key is missing required scope 'delete'",
+        missingScope: 'delete'
+      });
+    });
+
+    test('should reject buckets outside the allowlist', () => {
+      expect(checkKeyAccess(context, 'upload', 'claims', 'mobile/selfies/file.jpg')).toEqual({
+        error: "API key is not allowed to access bucket 'claims'"
+      });
+    });
+
+    test('should reject keys outside the allowed prefixes', () => {
+      expect(checkKeyAccess(context, 'upload', 'kyc-docs', 'mobile/selfies-other/file.jpg')).toEqual({
+        error: "API key is not allowed to access 'mobile/selfies-other/file.jpg'"
+      });
+      expect(checkKeyAccess(context, 'upload', 'kyc-docs', 'file.jpg')).not.toBeNull();
+    });
+
+    test('should allow everything for unrestricted keys', () => {
+      expect(checkKeyAccess({}, 'delete', 'any-bucket', 'any/key')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPlatformConfigFile, interpolate } = require('../config/load-platform-config');
+
+describe('load-platform-config', () => {
+  let tmpDir;
+
+  const writeFile = (name, contents) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'platform-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('interpolate', () => {
+    const env = { BUCKET: 'my-bucket', EMPTY: '' };
+
+    test('should replace placeholders with environment values', () => {
+      expect(interpolate('${BUCKET}', env)).toBe('my-bucket');
+      expect(interpolate('prefix-${BUCKET}-suffix', env)).toBe('prefix-my-bucket-suffix');
+    });
+
+    test('should return undefined for a lone placeholder of an unset variable', () => {
+      expect(interpolate('${MISSING}', env)).toBeUndefined();
+    });
+
+    test('should use defaults for unset or empty variables', () => {
+      expect(interpolate('${MISSING:-ap-south-1}', env)).toBe('ap-south-1');
+      expect(interpolate('${EMPTY:-fallback}', env)).toBe('fallback');
+      expect(interpolate('s3-${MISSING:-x}', env)).toBe('s3-x');
+    });
+
+    test('should walk nested objects and arrays', () => {
+      expect(interpolate({ a: ['${BUCKET}', 1, null], b: { c: true } }, env)).toEqual({
+        a: ['my-bucket', 1, null],
+        b: { c: true }
+      });
+    });
+  });
+
+  describe('loadPlatformConfigFile', () => {
+    test('should load a YAML file with interpolation', () => {
+      const filePath = writeFile('platforms.yaml', [
+        'platforms:',
+        '  acme:',
+        '    name: Acme',
+        '    environments:',
+        '      uat:',
+        '        provider: s3',
+        '        accessKeyId: ${ACME_KEY}',
+        '        region: ${ACME_REGION:-ap-south-1}'
+      ].join('\n'));
+
+      const platforms = loadPlatformConfigFile(filePath, { ACME_KEY: 'AKIA123' });
+
+      expect(platforms.acme.environments.uat).toEqual({
+        provider: 's3',
+        accessKeyId: 'AKIA123',
+        region: 'ap-south-1'
+      });
+    });
+
+    test('should load a JSON file', () => {
+      const filePath = writeFile('platforms.json', JSON.stringify({
+        platforms: {
+          acme: { name: 'Acme', environments: { prod: { provider: 'azure', connectionString: '${ACME_CS}' } } }
+        }
+      }));
+
+      const platforms = loadPlatformConfigFile(filePath, { ACME_CS: 'UseDevelopmentStorage=true' });
+
+      expect(platforms.acme.environments.prod.connectionString).toBe('UseDevelopmentStorage=true');
+    });
+
+    test('should list every misconfigured platform/environment', () => {
+      const filePath = writeFile('platforms.json', JSON.stringify({
+        platforms: {
+          acme: { name: 'Acme', environments: { uat: {}, prod: { provider: 's3', apiKeys: [{ hash: 'nope' }] } } },
+          other: { environments: {} }
+        }
+      }));
+
+      let error;
+      try {
+        loadPlatformConfigFile(filePath, {});
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).toContain('acme/uat: provider is required');
+      expect(error.message).toContain('acme/prod: apiKeys[0].id is required');
+      expect(error.message).toContain('acme/prod: apiKeys[0].hash must be a hex encoded SHA-256 hash');
+      expect(error.message).toContain('other: name is required');
+      expect(error.message).toContain('other: environments must define at least one environment');
+    });
+
+    test('should reject unsupported file types', () => {
+      const filePath = writeFile('platforms.ini', 'x=1');
+      expect(() => loadPlatformConfigFile(filePath, {})).toThrow("Unsupported platform config file type '.ini'");
+    });
+
+    test('should report unreadable files', () => {
+      expect(() => loadPlatformConfigFile(path.join(tmpDir, 'missing.yaml'), {})).toThrow('Failed to read platform config');
+    });
+
+    test('should load the bundled platforms file', () => {
+      const platforms = loadPlatformConfigFile(path.join(__dirname, '..', 'config', 'platforms.yaml'), {});
+      expect(Object.keys(platforms)).toEqual(['onedigital', 'invictus', 'brokerage']);
+    });
+  });
+});
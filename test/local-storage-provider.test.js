@@ -0,0 +1,294 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pathToFileURL } = require('url');
+const LocalStorageProvider = require('../providers/local-storage-provider');
+
+describe('LocalStorageProvider', () => {
+  let rootDir;
+  let provider;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-provider-'));
+    provider = new LocalStorageProvider({ rootDir, signingSecret: 'test-secret' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  describe('constructor', () => {
+    test('should require rootDir', () => {
+      expect(() => new LocalStorageProvider({})).toThrow('Local storage rootDir is required');
+    });
+  });
+
+  describe('uploadFile', () => {
+    test('should write the file under rootDir and return a file:// URL', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('hello'), '2024/01', 'file.txt', { contentType: 'text/plain' });
+
+      const filePath = path.join(rootDir, 'kyc-docs', '2024', '01', 'file.txt');
+      expect(url).toBe(pathToFileURL(filePath).href);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('hello');
+    });
+
+    test('should keep metadata and access in a sidecar file', async () => {
+      await provider.uploadFile('kyc-docs', Buffer.from('hello'), '', 'file.txt', { userId: 42, contentType: 'text/plain' }, 'public');
+
+      const sidecar = JSON.parse(fs.readFileSync(path.join(rootDir, 'kyc-docs', '.file.txt.meta.json'), 'utf8'));
+      expect(sidecar).toMatchObject({
+        access: 'public',
+        contentType: 'text/plain',
+        metadata: { userId: '42', provider: 'local', access: 'public' }
+      });
+    });
+
+    test('should return service-served URLs when baseUrl is set', async () => {
+      provider = new LocalStorageProvider({ rootDir, baseUrl: 'http://localhost:3000/api/stream/acme/uat/' });
+
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('hello'), 'a b', 'file.txt');
+
+      expect(url).toBe('http://localhost:3000/api/stream/acme/uat/kyc-docs/a%20b/file.txt');
+      expect(provider.parseBucketKey(url)).toEqual({ bucketName: 'kyc-docs', key: 'a b/file.txt' });
+    });
+
+    test('should reject keys that escape rootDir', async () => {
+      await expect(provider.uploadFile('kyc-docs', Buffer.from('x'), '../..', 'file.txt'))
+        .rejects.toThrow('Local upload failed: Invalid bucket or key');
+    });
+
+    test('should reject bucket names that escape rootDir', async () => {
+      await expect(provider.uploadFile('a/../../outside', Buffer.from('x'), '', 'file.txt'))
+        .rejects.toThrow('Local upload failed: Invalid bucket or key');
+      await expect(provider.uploadFile('..', Buffer.from('x'), '', 'file.txt'))
+        .rejects.toThrow('Local upload failed: Invalid bucket or key');
+      await expect(provider.uploadFile('a\\..\\..', Buffer.from('x'), '', 'file.txt'))
+        .rejects.toThrow('Local upload failed: Invalid bucket or key');
+      expect(fs.readdirSync(rootDir)).toEqual([]);
+    });
+  });
+
+  describe('uploadStream', () => {
+    const MB = 1024 * 1024;
+
+    test('should write the stream to disk as it is read instead of buffering it', async () => {
+      const uploadFile = jest.spyOn(provider, 'uploadFile');
+      const bucketDir = path.join(rootDir, 'kyc-docs');
+      const onDisk = () => {
+        const entries = fs.existsSync(bucketDir) ? fs.readdirSync(bucketDir) : [];
+        return entries.reduce((total, name) => total + fs.statSync(path.join(bucketDir, name)).size, 0);
+      };
+
+      // Lazy 32 MB source: each chunk is only made when the upload asks for more
+      let produced = 0;
+      let maxAhead = 0;
+      const source = new Readable({
+        read() {
+          maxAhead = Math.max(maxAhead, produced - onDisk());
+          if (produced === 32 * MB) {
+            this.push(null);
+            return;
+          }
+          produced += MB;
+          this.push(Buffer.alloc(MB, 1));
+        }
+      });
+
+      const url = await provider.uploadStream('kyc-docs', source, '', 'large.bin', { contentType: 'application/octet-stream' });
+
+      expect(uploadFile).not.toHaveBeenCalled();
+      expect(maxAhead).toBeLessThan(8 * MB);
+      expect(fs.readdirSync(bucketDir)).toEqual(['.large.bin.meta.json', 'large.bin']);
+      expect(fs.statSync(path.join(bucketDir, 'large.bin')).size).toBe(32 * MB);
+      await expect(provider.getFileMetadata(url)).resolves.toMatchObject({ contentLength: 32 * MB });
+    });
+
+    test('should record the MD5 etag of the streamed bytes', async () => {
+      const url = await provider.uploadStream('kyc-docs', Readable.from([Buffer.from('hel'), Buffer.from('lo')]), '', 'file.txt');
+
+      const md5 = crypto.createHash('md5').update('hello').digest('hex');
+      await expect(provider.getFileMetadata(url)).resolves.toMatchObject({ etag: `"${md5}"`, contentLength: 5 });
+    });
+
+    test('should leave no file behind when the stream fails', async () => {
+      const source = new Readable({ read() {} });
+      source.push('partial');
+      setImmediate(() => source.destroy(new Error('connection reset')));
+
+      await expect(provider.uploadStream('kyc-docs', source, '', 'file.txt'))
+        .rejects.toThrow('Local upload failed: connection reset');
+      expect(fs.readdirSync(path.join(rootDir, 'kyc-docs'))).toEqual([]);
+    });
+  });
+
+  describe('generateDownloadUrl', () => {
+    test('should return the permanent URL for public files', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), '', 'public.txt', {}, 'public');
+
+      const result = await provider.generateDownloadUrl(url);
+
+      expect(result).toEqual({
+        downloadUrl: url,
+        isPublic: true,
+        requiresSAS: false,
+        expiresIn: null,
+        fileName: 'public.txt'
+      });
+    });
+
+    test('should sign private links with an expiry', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), 'docs', 'private.txt');
+
+      const result = await provider.generateDownloadUrl(url, { expiryMinutes: 5 });
+      const { searchParams } = new URL(result.downloadUrl);
+
+      expect(result).toMatchObject({ isPublic: false, requiresSAS: true, expiresIn: 300, fileName: 'private.txt' });
+      await expect(provider.isDownloadAuthorized('kyc-docs', 'docs/private.txt', {
+        expires: searchParams.get('expires'),
+        signature: searchParams.get('signature')
+      })).resolves.toBe(true);
+    });
+
+    test('should fail for missing files', async () => {
+      await expect(provider.generateDownloadUrl(provider.getFileUrl('kyc-docs', 'missing.txt')))
+        .rejects.toThrow('Local download URL generation failed: File not found');
+    });
+  });
+
+  describe('isDownloadAuthorized', () => {
+    test('should refuse private files without a valid signature', async () => {
+      await provider.uploadFile('kyc-docs', Buffer.from('x'), '', 'private.txt');
+
+      await expect(provider.isDownloadAuthorized('kyc-docs', 'private.txt', {})).resolves.toBe(false);
+      await expect(provider.isDownloadAuthorized('kyc-docs', 'private.txt', {
+        expires: String(Math.floor(Date.now() / 1000) + 60),
+        signature: 'a'.repeat(64)
+      })).resolves.toBe(false);
+    });
+
+    test('should not accept links signed by another secret', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), '', 'private.txt');
+      const { downloadUrl } = await provider.generateDownloadUrl(url);
+      const { searchParams } = new URL(downloadUrl);
+      const other = new LocalStorageProvider({ rootDir, signingSecret: 'other-secret' });
+
+      await expect(other.isDownloadAuthorized('kyc-docs', 'private.txt', Object.fromEntries(searchParams)))
+        .resolves.toBe(false);
+    });
+  });
+
+  describe('getFileMetadata', () => {
+    test('should return size, content type and stored metadata', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('hello'), '', 'file.txt', { contentType: 'text/plain' });
+
+      const metadata = await provider.getFileMetadata(url);
+
+      expect(metadata).toMatchObject({
+        contentType: 'text/plain',
+        contentLength: 5,
+        etag: '"5d41402abc4b2a76b9719d911017c592"',
+        provider: 'local',
+        metadata: { contentType: 'text/plain', provider: 'local' }
+      });
+      expect(new Date(metadata.lastModified).getTime()).not.toBeNaN();
+    });
+
+    test('should fail for missing files', async () => {
+      await expect(provider.getFileMetadata(provider.getFileUrl('kyc-docs', 'missing.txt')))
+        .rejects.toThrow('Local metadata fetch failed: File not found');
+    });
+  });
+
+  describe('fileExists', () => {
+    test('should report whether the file is stored', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), '', 'file.txt');
+
+      await expect(provider.fileExists(url)).resolves.toBe(true);
+      await expect(provider.fileExists(provider.getFileUrl('kyc-docs', 'other.txt'))).resolves.toBe(false);
+    });
+  });
+
+  describe('deleteFile / deleteFileByBucketKey', () => {
+    test('should remove the file and its sidecar', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), 'docs', 'file.txt');
+
+      await expect(provider.deleteFile(url)).resolves.toBe(true);
+
+      expect(fs.readdirSync(path.join(rootDir, 'kyc-docs', 'docs'))).toEqual([]);
+    });
+
+    test('should delete by bucket and key', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), 'docs', 'file.txt');
+
+      await expect(provider.deleteFileByBucketKey('kyc-docs', 'docs/file.txt')).resolves.toBe(true);
+      await expect(provider.fileExists(url)).resolves.toBe(false);
+    });
+
+    test('should not delete files outside rootDir through the bucket name', async () => {
+      const outside = path.join(path.dirname(rootDir), `${path.basename(rootDir)}-victim`);
+      fs.writeFileSync(outside, 'keep me');
+
+      try {
+        await expect(provider.deleteFileByBucketKey('a/..', `../${path.basename(outside)}`))
+          .rejects.toThrow('Invalid bucket or key');
+        await expect(provider.deleteFileByBucketKey(`a/../../${path.basename(outside)}`, 'x'))
+          .rejects.toThrow('Invalid bucket or key');
+        expect(fs.readFileSync(outside, 'utf8')).toBe('keep me');
+      } finally {
+        fs.rmSync(outside, { force: true });
+      }
+    });
+
+    test('should fail for missing files', async () => {
+      await expect(provider.deleteFileByBucketKey('kyc-docs', 'missing.txt'))
+        .rejects.toThrow('Local delete by bucket key failed: File not found');
+    });
+  });
+
+  describe('getFileStream', () => {
+    test('should stream the file with its content type', async () => {
+      await provider.uploadFile('kyc-docs', Buffer.from('hello'), '', 'file.txt', { contentType: 'text/plain' });
+
+      const { stream, contentType, contentLength, fileName } = await provider.getFileStream('kyc-docs', 'file.txt');
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+
+      expect(Buffer.concat(chunks).toString()).toBe('hello');
+      expect({ contentType, contentLength, fileName }).toEqual({ contentType: 'text/plain', contentLength: 5, fileName: 'file.txt' });
+    });
+  });
+
+  describe('parseUrl', () => {
+    test('should reject URLs outside rootDir', () => {
+      expect(() => provider.parseUrl(pathToFileURL(path.join(os.tmpdir(), 'elsewhere.txt')).href))
+        .toThrow('Failed to parse local storage URL');
+    });
+  });
+
+  describe('healthCheck / validateConfig', () => {
+    test('should create rootDir if needed', async () => {
+      provider = new LocalStorageProvider({ rootDir: path.join(rootDir, 'nested') });
+
+      await expect(provider.healthCheck()).resolves.toBe(true);
+      expect(fs.existsSync(path.join(rootDir, 'nested'))).toBe(true);
+    });
+
+    test('should report missing or invalid settings', () => {
+      expect(LocalStorageProvider.validateConfig({ rootDir: '/tmp/files' })).toEqual([]);
+      expect(LocalStorageProvider.validateConfig({ baseUrl: 'ftp://host' })).toEqual([
+        "rootDir is required for provider 'local'",
+        'baseUrl must be an http(s) URL'
+      ]);
+    });
+  });
+
+  describe('getProviderName', () => {
+    test('should return "local"', () => {
+      expect(provider.getProviderName()).toBe('local');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { mapWithConcurrency } = require('../utils/mapWithConcurrency');
+
+describe('mapWithConcurrency', () => {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('should return results in the order of the items', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 2, async (ms, index) => {
+      await delay(ms);
+      return `${index}:${ms}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:10', '2:20']);
+  });
+
+  test('should never run more than the limit at once', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await mapWithConcurrency(Array.from({ length: 10 }, (_, index) => index), 3, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(5);
+      running--;
+    });
+
+    expect(peak).toBe(3);
+  });
+
+  test('should reject with the first error and start no further items', async () => {
+    const started = [];
+
+    await expect(mapWithConcurrency([1, 2, 3, 4], 1, async item => {
+      started.push(item);
+      if (item === 2) {
+        throw new Error('boom');
+      }
+    })).rejects.toThrow('boom');
+    expect(started).toEqual([1, 2]);
+  });
+
+  test('should resolve to an empty array for no items', async () => {
+    await expect(mapWithConcurrency([], 4, async () => 'never')).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+const MemoryStorageProvider = require('../providers/memory-storage-provider');
+
+describe('MemoryStorageProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new MemoryStorageProvider();
+  });
+
+  describe('uploadFile', () => {
+    test('should store the file and return a memory:// URL', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('hello'), '2024/01', 'file.txt', { contentType: 'text/plain' });
+
+      expect(url).toBe('memory://kyc-docs/2024/01/file.txt');
+      expect((await provider.getFileContent('kyc-docs', '2024/01/file.txt')).toString()).toBe('hello');
+    });
+
+    test('should store metadata as strings', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), '', 'file.txt', { userId: 42 }, 'public');
+
+      const { metadata } = await provider.getFileMetadata(url);
+
+      expect(metadata).toMatchObject({ userId: '42', provider: 'memory', access: 'public' });
+    });
+
+    test('should reject invalid keys', async () => {
+      await expect(provider.uploadFile('kyc-docs', Buffer.from('x'), 'a//b', 'file.txt'))
+        .rejects.toThrow('Memory upload failed: Invalid bucket or key');
+    });
+  });
+
+  describe('generateDownloadUrl', () => {
+    test('should return the permanent URL for public files', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), '', 'file.txt', {}, 'public');
+
+      await expect(provider.generateDownloadUrl(url)).resolves.toEqual({
+        downloadUrl: url,
+        isPublic: true,
+        requiresSAS: false,
+        expiresIn: null,
+        fileName: 'file.txt'
+      });
+    });
+
+    test('should sign private links with an expiry', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), '', 'file.txt');
+
+      const result = await provider.generateDownloadUrl(url, { expiryMinutes: 5 });
+      const { searchParams } = new URL(result.downloadUrl);
+
+      expect(result).toMatchObject({ isPublic: false, requiresSAS: true, expiresIn: 300 });
+      expect(provider.isDownloadAuthorized('kyc-docs', 'file.txt', Object.fromEntries(searchParams))).toBe(true);
+      expect(provider.isDownloadAuthorized('kyc-docs', 'file.txt', {})).toBe(false);
+    });
+
+    test('should fail for missing files', async () => {
+      await expect(provider.generateDownloadUrl('memory://kyc-docs/missing.txt'))
+        .rejects.toThrow('Memory download URL generation failed: File not found');
+    });
+  });
+
+  describe('getFileMetadata', () => {
+    test('should return size, content type and etag', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('hello'), '', 'file.txt', { contentType: 'text/plain' });
+
+      await expect(provider.getFileMetadata(url)).resolves.toMatchObject({
+        contentType: 'text/plain',
+        contentLength: 5,
+        etag: '"5d41402abc4b2a76b9719d911017c592"',
+        provider: 'memory'
+      });
+    });
+
+    test('should fail for missing files', async () => {
+      await expect(provider.getFileMetadata('memory://kyc-docs/missing.txt'))
+        .rejects.toThrow('Memory metadata fetch failed: File not found');
+    });
+  });
+
+  describe('fileExists', () => {
+    test('should report whether the file is stored', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), '', 'file.txt');
+
+      await expect(provider.fileExists(url)).resolves.toBe(true);
+      await expect(provider.fileExists('memory://kyc-docs/other.txt')).resolves.toBe(false);
+    });
+  });
+
+  describe('deleteFile / deleteFileByBucketKey', () => {
+    test('should delete by URL', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), '', 'file.txt');
+
+      await expect(provider.deleteFile(url)).resolves.toBe(true);
+      await expect(provider.fileExists(url)).resolves.toBe(false);
+    });
+
+    test('should delete by bucket and key', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), 'docs', 'file.txt');
+
+      await expect(provider.deleteFileByBucketKey('kyc-docs', 'docs/file.txt')).resolves.toBe(true);
+      await expect(provider.fileExists(url)).resolves.toBe(false);
+    });
+
+    test('should fail for missing files', async () => {
+      await expect(provider.deleteFile('memory://kyc-docs/missing.txt'))
+        .rejects.toThrow('Memory delete failed: File not found');
+      await expect(provider.deleteFileByBucketKey('kyc-docs', 'missing.txt'))
+        .rejects.toThrow('Memory delete by bucket key failed: File not found');
+    });
+  });
+
+  describe('parseUrl / parseBucketKey', () => {
+    test('should round-trip keys with encoded characters', async () => {
+      const url = await provider.uploadFile('kyc-docs', Buffer.from('x'), 'a b', 'file#1.txt');
+
+      expect(url).toBe('memory://kyc-docs/a%20b/file%231.txt');
+      expect(provider.parseBucketKey(url)).toEqual({ bucketName: 'kyc-docs', key: 'a b/file#1.txt' });
+    });
+
+    test('should reject URLs of other providers', () => {
+      expect(() => provider.parseUrl('https://bucket.s3.ap-south-1.amazonaws.com/file.txt'))
+        .toThrow('Failed to parse memory URL: Unsupported protocol https:');
+    });
+  });
+
+  describe('getProviderName', () => {
+    test('should return "memory"', () => {
+      expect(provider.getProviderName()).toBe('memory');
+    });
+  });
+});
@@ -1,6 +1,10 @@
 const MultiTenantStorageService = require('../service/multi-tenant-storage-service');
 const StorageProviderFactory = require('../providers/storage-provider-factory');
 const platformConfig = require('../config/platform-config');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
 
 // Mock dependencies
 jest.mock('../providers/storage-provider-factory');
@@ -15,15 +19,20 @@ describe('MultiTenantStorageService', () => {
 
     // Reset provider cache on the singleton to avoid cross-test contamination
     MultiTenantStorageService.providerCache = new Map();
+    MultiTenantStorageService.inFlight = new Map();
+    MultiTenantStorageService.retiredProviders = new Set();
+    MultiTenantStorageService.replacedProviders = new Map();
 
     // Mock provider
     mockProvider = {
       uploadFile: jest.fn(),
+      uploadStream: jest.fn(),
       generateDownloadUrl: jest.fn(),
       deleteFile: jest.fn(),
       deleteFileByBucketKey: jest.fn(),
       getFileMetadata: jest.fn(),
       fileExists: jest.fn(),
+      parseBucketKey: jest.fn(),
       getProviderName: jest.fn().mockReturnValue('s3'),
     };
 
@@ -183,6 +192,141 @@ describe('MultiTenantStorageService', () => {
     });
   });
 
+  describe('uploadFileStream', () => {
+    test('should stream through the provider with enriched metadata', async () => {
+      const stream = Readable.from([Buffer.from('test content')]);
+      mockProvider.uploadStream.mockResolvedValue('https://bucket.s3.region.amazonaws.com/documents/invoices/a.pdf');
+
+      const result = await MultiTenantStorageService.uploadFileStream(
+        'test-platform', 'uat', 'documents', 'invoices', 'public', stream, 'a.pdf', { userId: '123' }
+      );
+
+      expect(mockProvider.uploadStream).toHaveBeenCalledWith(
+        'documents',
+        stream,
+        'invoices',
+        'a.pdf',
+        { platformId: 'test-platform', environment: 'uat', provider: 's3', userId: '123' },
+        'public'
+      );
+      expect(mockProvider.uploadFile).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        fileUrl: 'https://bucket.s3.region.amazonaws.com/documents/invoices/a.pdf',
+        bucketName: 'documents',
+        prefix: 'invoices',
+        fileName: 'a.pdf',
+        access: 'public',
+        isPublic: true,
+      });
+    });
+
+    test('should throw error if upload fails', async () => {
+      mockProvider.uploadStream.mockRejectedValue(new Error('S3 upload failed: client disconnected'));
+
+      await expect(MultiTenantStorageService.uploadFileStream(
+        'test-platform', 'uat', 'documents', '', 'private', Readable.from([]), 'a.pdf'
+      )).rejects.toThrow('Upload failed: S3 upload failed: client disconnected');
+    });
+  });
+
+  describe('multipart uploads', () => {
+    beforeEach(() => {
+      Object.assign(mockProvider, {
+        supportsMultipartUpload: jest.fn().mockReturnValue(true),
+        createMultipartUpload: jest.fn().mockResolvedValue('upload-1'),
+        uploadPart: jest.fn().mockResolvedValue({ partNumber: 1, etag: '"etag"' }),
+        completeMultipartUpload: jest.fn().mockResolvedValue('https://bucket.s3.region.amazonaws.com/documents/invoices/a.pdf'),
+        abortMultipartUpload: jest.fn().mockResolvedValue()
+      });
+    });
+
+    test('should start and complete the upload with enriched metadata', async () => {
+      const enriched = { platformId: 'test-platform', environment: 'uat', provider: 's3', userId: '123' };
+
+      expect(MultiTenantStorageService.supportsMultipartUpload('test-platform', 'uat')).toBe(true);
+      await expect(MultiTenantStorageService.createMultipartUpload(
+        'test-platform', 'uat', 'documents', 'invoices', 'public', 'a.pdf', { userId: '123' }
+      )).resolves.toBe('upload-1');
+      const part = await MultiTenantStorageService.uploadPart(
+        'test-platform', 'uat', 'documents', 'invoices', 'a.pdf', 'upload-1', 1, Buffer.from('part')
+      );
+      const result = await MultiTenantStorageService.completeMultipartUpload(
+        'test-platform', 'uat', 'documents', 'invoices', 'public', 'a.pdf', 'upload-1', [part], { userId: '123' }
+      );
+
+      expect(mockProvider.createMultipartUpload).toHaveBeenCalledWith('documents', 'invoices', 'a.pdf', enriched, 'public');
+      expect(mockProvider.completeMultipartUpload).toHaveBeenCalledWith(
+        'documents', 'invoices', 'a.pdf', 'upload-1', [{ partNumber: 1, etag: '"etag"' }], enriched, 'public'
+      );
+      expect(result).toEqual({
+        fileUrl: 'https://bucket.s3.region.amazonaws.com/documents/invoices/a.pdf',
+        bucketName: 'documents',
+        prefix: 'invoices',
+        fileName: 'a.pdf',
+        access: 'public',
+        isPublic: true,
+      });
+    });
+
+    test('should wrap provider errors', async () => {
+      mockProvider.uploadPart.mockRejectedValue(new Error('S3 part upload failed: SlowDown'));
+      mockProvider.abortMultipartUpload.mockRejectedValue(new Error('S3 multipart abort failed: NoSuchUpload'));
+
+      await expect(MultiTenantStorageService.uploadPart(
+        'test-platform', 'uat', 'documents', '', 'a.pdf', 'upload-1', 1, Buffer.from('part')
+      )).rejects.toThrow('Upload failed: S3 part upload failed: SlowDown');
+      await expect(MultiTenantStorageService.abortMultipartUpload(
+        'test-platform', 'uat', 'documents', '', 'a.pdf', 'upload-1'
+      )).rejects.toThrow('Abort upload failed: S3 multipart abort failed: NoSuchUpload');
+    });
+  });
+
+  describe('direct uploads', () => {
+    beforeEach(() => {
+      Object.assign(mockProvider, {
+        supportsDirectUpload: jest.fn().mockReturnValue(true),
+        generateUploadUrl: jest.fn().mockResolvedValue({ uploadUrl: 'https://bucket.s3.amazonaws.com/', method: 'POST', fields: {} }),
+        completeDirectUpload: jest.fn().mockResolvedValue('https://bucket.s3.region.amazonaws.com/documents/invoices/a.pdf')
+      });
+    });
+
+    test('should sign and complete the upload with enriched metadata', async () => {
+      const enriched = { platformId: 'test-platform', environment: 'uat', provider: 's3', userId: '123' };
+
+      expect(MultiTenantStorageService.supportsDirectUpload('test-platform', 'uat')).toBe(true);
+      await expect(MultiTenantStorageService.generateUploadUrl(
+        'test-platform', 'uat', 'documents', 'invoices', 'private', 'a.pdf', { userId: '123' }, { contentLength: 8, expiresIn: 300 }
+      )).resolves.toMatchObject({ method: 'POST' });
+      const result = await MultiTenantStorageService.completeDirectUpload(
+        'test-platform', 'uat', 'documents', 'invoices', 'private', 'a.pdf', { userId: '123' }
+      );
+
+      expect(mockProvider.generateUploadUrl).toHaveBeenCalledWith('documents', 'invoices', 'a.pdf', {
+        contentLength: 8,
+        expiresIn: 300,
+        metadata: enriched,
+        access: 'private'
+      });
+      expect(mockProvider.completeDirectUpload).toHaveBeenCalledWith('documents', 'invoices', 'a.pdf', enriched, 'private');
+      expect(result).toMatchObject({
+        fileUrl: 'https://bucket.s3.region.amazonaws.com/documents/invoices/a.pdf',
+        fileName: 'a.pdf',
+        access: 'private',
+        isPublic: false
+      });
+    });
+
+    test('should wrap provider errors', async () => {
+      mockProvider.generateUploadUrl.mockRejectedValue(new Error('S3 upload URL generation failed: AccessDenied'));
+      mockProvider.completeDirectUpload.mockRejectedValue(new Error('File not found'));
+
+      await expect(MultiTenantStorageService.generateUploadUrl('test-platform', 'uat', 'documents', '', 'private', 'a.pdf'))
+        .rejects.toThrow('Upload URL generation failed: S3 upload URL generation failed: AccessDenied');
+      await expect(MultiTenantStorageService.completeDirectUpload('test-platform', 'uat', 'documents', '', 'private', 'a.pdf'))
+        .rejects.toThrow('Upload failed: File not found');
+    });
+  });
+
   describe('generateDownloadUrl', () => {
     const platformId = 'test-platform';
     const environment = 'uat';
@@ -284,14 +428,7 @@ describe('MultiTenantStorageService', () => {
         key
       );
 
-      expect(mockProvider.deleteFileByBucketKey).toHaveBeenCalledWith(
-        bucketName,
-        key,
-        {
-          platformId,
-          environment,
-        }
-      );
+      expect(mockProvider.deleteFileByBucketKey).toHaveBeenCalledWith(bucketName, key);
       expect(result).toBe(true);
     });
 
@@ -387,6 +524,18 @@ describe('MultiTenantStorageService', () => {
     });
   });
 
+  describe('parseBucketKey', () => {
+    test('should delegate to the provider', () => {
+      const fileUrl = 'https://bucket.s3.ap-south-1.amazonaws.com/documents/file.pdf';
+      mockProvider.parseBucketKey.mockReturnValue({ bucketName: 'documents', key: 'file.pdf' });
+
+      const result = MultiTenantStorageService.parseBucketKey('test-platform', 'uat', fileUrl);
+
+      expect(mockProvider.parseBucketKey).toHaveBeenCalledWith(fileUrl);
+      expect(result).toEqual({ bucketName: 'documents', key: 'file.pdf' });
+    });
+  });
+
   describe('getProviderInfo', () => {
     const platformId = 'test-platform';
     const environment = 'uat';
@@ -402,5 +551,136 @@ describe('MultiTenantStorageService', () => {
       expect(mockProvider.getProviderName).toHaveBeenCalled();
     });
   });
-});
 
+  describe('getReplicationStatus', () => {
+    test('should return null for providers that do not replicate', () => {
+      expect(MultiTenantStorageService.getReplicationStatus('test-platform', 'uat')).toBeNull();
+    });
+
+    test('should return the provider replication status', () => {
+      mockProvider.getReplicationStatus = jest.fn().mockReturnValue({ mode: 'async', replicas: [] });
+
+      expect(MultiTenantStorageService.getReplicationStatus('test-platform', 'uat')).toEqual({ mode: 'async', replicas: [] });
+    });
+  });
+
+  describe('invalidateProviders', () => {
+    test('should only drop the changed platform-environments from the cache', () => {
+      MultiTenantStorageService.getStorageProvider('platform', 'uat');
+      MultiTenantStorageService.getStorageProvider('platform', 'prod');
+
+      const invalidated = MultiTenantStorageService.invalidateProviders([
+        { platformId: 'platform', environment: 'uat' },
+        { platformId: 'other', environment: 'uat' }
+      ]);
+
+      expect(invalidated).toEqual(['platform-uat']);
+      expect(MultiTenantStorageService.providerCache.has('platform-uat')).toBe(false);
+      expect(MultiTenantStorageService.providerCache.has('platform-prod')).toBe(true);
+    });
+
+    test('should create a new provider on the next request', () => {
+      const newProvider = { ...mockProvider };
+      MultiTenantStorageService.getStorageProvider('platform', 'uat');
+      MultiTenantStorageService.invalidateProviders([{ platformId: 'platform', environment: 'uat' }]);
+      StorageProviderFactory.createProvider.mockReturnValue(newProvider);
+
+      expect(MultiTenantStorageService.getStorageProvider('platform', 'uat')).toBe(newProvider);
+    });
+
+    test('should let in-flight operations finish on the old provider and close it afterwards', async () => {
+      let finishUpload;
+      mockProvider.close = jest.fn();
+      mockProvider.uploadFile.mockReturnValue(new Promise(resolve => { finishUpload = resolve; }));
+
+      const upload = MultiTenantStorageService.uploadFile(
+        'platform', 'uat', 'bucket', '', 'private', Buffer.from('x'), 'file.txt'
+      );
+
+      MultiTenantStorageService.invalidateProviders([{ platformId: 'platform', environment: 'uat' }]);
+      expect(mockProvider.close).not.toHaveBeenCalled();
+
+      finishUpload('https://bucket/file.txt');
+      const result = await upload;
+      await Promise.resolve();
+
+      expect(result.fileUrl).toBe('https://bucket/file.txt');
+      expect(mockProvider.close).toHaveBeenCalledTimes(1);
+      expect(MultiTenantStorageService.retiredProviders.size).toBe(0);
+    });
+
+    test('should hand the replication queue of a replaced provider over to its replacement', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-queue-'));
+      const queueFile = path.join(tmpDir, 'queue.json');
+      const { createProvider } = jest.requireActual('../providers/storage-provider-factory');
+      StorageProviderFactory.createProvider.mockImplementation(createProvider);
+      platformConfig.getPlatformConfig.mockReturnValue({
+        provider: 'replicated',
+        // The primary keeps its files across the reload
+        primary: { provider: 'local', rootDir: path.join(tmpDir, 'primary') },
+        replicas: [{ provider: 'memory' }],
+        retryDelayMs: 60000,
+        queueFile
+      });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const unavailable = () => Promise.reject(new Error('Service unavailable'));
+
+      const previous = MultiTenantStorageService.getStorageProvider('platform', 'uat');
+      await previous.resumeQueue();
+      previous.replicas[0].provider.uploadFile = unavailable;
+      await MultiTenantStorageService.uploadFile('platform', 'uat', 'claims', 'docs', 'private', Buffer.from('a'), 'a.txt');
+
+      // A request still running on the old instance keeps it open across the reload
+      let finishRequest;
+      const request = MultiTenantStorageService.withProvider('platform', 'uat', async (provider) => {
+        await new Promise(resolve => { finishRequest = resolve; });
+        return provider.uploadFile('claims', Buffer.from('b'), 'docs', 'b.txt', {}, 'private');
+      });
+
+      MultiTenantStorageService.invalidateProviders([{ platformId: 'platform', environment: 'uat' }]);
+      const replacement = MultiTenantStorageService.getStorageProvider('platform', 'uat');
+      replacement.replicas[0].provider.uploadFile = unavailable;
+      replacement.replicas[0].provider.uploadStream = unavailable;
+      await MultiTenantStorageService.uploadFile('platform', 'uat', 'claims', 'docs', 'private', Buffer.from('c'), 'c.txt');
+
+      finishRequest();
+      await request;
+      await replacement.resumeQueue();
+      await replacement.persistQueue();
+
+      expect(replacement).not.toBe(previous);
+      expect(replacement.replicas[0].pending.map(({ key }) => key)).toEqual(['docs/a.txt', 'docs/b.txt', 'docs/c.txt']);
+      expect(JSON.parse(fs.readFileSync(queueFile, 'utf8')).replicas['replicas[0]'].map(({ key }) => key))
+        .toEqual(['docs/a.txt', 'docs/b.txt', 'docs/c.txt']);
+
+      await replacement.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should close idle providers immediately', async () => {
+      mockProvider.close = jest.fn();
+      MultiTenantStorageService.getStorageProvider('platform', 'uat');
+
+      MultiTenantStorageService.invalidateProviders([{ platformId: 'platform', environment: 'uat' }]);
+      await Promise.resolve();
+
+      expect(mockProvider.close).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('checkHealth', () => {
+    test('should run the health check of the cached provider', async () => {
+      mockProvider.healthCheck = jest.fn().mockResolvedValue(true);
+
+      await expect(MultiTenantStorageService.checkHealth('platform', 'uat')).resolves.toBe(true);
+      expect(MultiTenantStorageService.providerCache.get('platform-uat')).toBe(mockProvider);
+    });
+
+    test('should wrap health check errors', async () => {
+      mockProvider.healthCheck = jest.fn().mockRejectedValue(new Error('NotFound'));
+
+      await expect(MultiTenantStorageService.checkHealth('platform', 'uat'))
+        .rejects.toThrow('Health check failed: NotFound');
+    });
+  });
+});
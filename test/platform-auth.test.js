@@ -1,11 +1,15 @@
 const platformAuthMiddleware = require('../middlewares/platform-auth');
 const platformConfig = require('../config/platform-config');
+const { hashApiKey } = require('../utils/hashApiKey');
+const { hashBody, hashFields, buildCanonicalRequest, signRequest } = require('../utils/requestSignature');
 
 // Mock platform config
 jest.mock('../config/platform-config');
 
 describe('platformAuthMiddleware', () => {
   let req, res, next;
+  const apiKey = 'test-api-key';
+  const apiKeys = [{ id: 'key-1', hash: hashApiKey(apiKey), createdAt: '2026-01-01', expiresAt: null, revoked: false }];
 
   beforeEach(() => {
     req = {
@@ -22,6 +26,8 @@ describe('platformAuthMiddleware', () => {
     
     // Reset environment
     delete process.env.NODE_ENV;
+
+    platformConfig.getPlatformEnvironments.mockReturnValue(['uat']);
   });
 
   afterEach(() => {
@@ -39,30 +45,276 @@ describe('platformAuthMiddleware', () => {
   });
 
 
-  test('should return 500 if NODE_ENV is not set', () => {
+  test('should return 401 if X-API-Key header is missing', () => {
+    process.env.NODE_ENV = 'uat';
     req.headers = {
       'x-platform-id': 'onedigital'
     };
 
     platformAuthMiddleware(req, res, next);
 
-    //process.env.NODE_ENV is not set
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Missing X-API-Key header, bearer token or request signature'
+    });
+    expect(platformConfig.getPlatformConfig).not.toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+  });
 
-    expect(res.status).toHaveBeenCalledWith(500);
+  test('should return 403 if API key does not match the stored hash', () => {
+    process.env.NODE_ENV = 'uat';
+    req.headers = {
+      'x-platform-id': 'onedigital',
+      'x-api-key': 'wrong-api-key'
+    };
+
+    platformConfig.getPlatformConfig.mockReturnValue({ apiKeys, provider: 'azure' });
+
+    platformAuthMiddleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Invalid API key for platform and environment'
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should accept any active key when several are configured', () => {
+    process.env.NODE_ENV = 'uat';
+    req.headers = {
+      'x-platform-id': 'onedigital',
+      'x-api-key': 'rotated-api-key'
+    };
+
+    platformConfig.getPlatformConfig.mockReturnValue({
+      provider: 'azure',
+      apiKeys: [
+        ...apiKeys,
+        { id: 'key-2', hash: hashApiKey('rotated-api-key'), createdAt: '2026-06-01', expiresAt: '2999-01-01T00:00:00Z', revoked: false }
+      ]
+    });
+
+    platformAuthMiddleware(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.platformContext.keyId).toBe('key-2');
+  });
+
+  test('should return 403 if the API key has expired', () => {
+    process.env.NODE_ENV = 'uat';
+    req.headers = {
+      'x-platform-id': 'onedigital',
+      'x-api-key': apiKey
+    };
+
+    platformConfig.getPlatformConfig.mockReturnValue({
+      provider: 'azure',
+      apiKeys: [{ ...apiKeys[0], expiresAt: '2020-01-01T00:00:00Z' }]
+    });
+
+    platformAuthMiddleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'API key has expired'
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should return 403 if the API key has been revoked', () => {
+    process.env.NODE_ENV = 'uat';
+    req.headers = {
+      'x-platform-id': 'onedigital',
+      'x-api-key': apiKey
+    };
+
+    platformConfig.getPlatformConfig.mockReturnValue({
+      provider: 'azure',
+      apiKeys: [{ ...apiKeys[0], revoked: true }]
+    });
+
+    platformAuthMiddleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'API key has been revoked'
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should return 403 with the missing scope when the key cannot call the route', () => {
+    process.env.NODE_ENV = 'uat';
+    req.method = 'DELETE';
+    req.path = '/delete-file';
+    req.headers = {
+      'x-platform-id': 'onedigital',
+      'x-api-key': apiKey
+    };
+
+    platformConfig.getPlatformConfig.mockReturnValue({
+      provider: 'azure',
+      apiKeys: [{ ...apiKeys[0], scopes: ['upload', 'download'] }]
+    });
+
+    platformAuthMiddleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
     expect(res.json).toHaveBeenCalledWith({
       success: false,
-      error: 'Environment not configured'
+      error: "API key is missing required scope 'delete'",
+      missingScope: 'delete'
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should attach scopes and allowlists of the key to the context', () => {
+    process.env.NODE_ENV = 'uat';
+    req.method = 'POST';
+    req.path = '/upload-file';
+    req.headers = {
+      'x-platform-id': 'onedigital',
+      'x-api-key': apiKey
+    };
+
+    platformConfig.getPlatformConfig.mockReturnValue({
+      provider: 'azure',
+      apiKeys: [{ ...apiKeys[0], scopes: ['upload'], allowedBuckets: ['kyc-docs'], allowedPrefixes: ['mobile'] }]
     });
+
+    platformAuthMiddleware(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.platformContext.scopes).toEqual(['upload']);
+    expect(req.platformContext.allowedBuckets).toEqual(['kyc-docs']);
+    expect(req.platformContext.allowedPrefixes).toEqual(['mobile']);
+  });
+
+  test('should return 403 if no API key hash is configured for the environment', () => {
+    process.env.NODE_ENV = 'uat';
+    req.headers = {
+      'x-platform-id': 'onedigital',
+      'x-api-key': apiKey
+    };
+
+    platformConfig.getPlatformConfig.mockReturnValue({ provider: 'azure' });
+
+    platformAuthMiddleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
     expect(next).not.toHaveBeenCalled();
   });
 
+  test('should resolve the environment from the key when NODE_ENV is not set', () => {
+    req.headers = {
+      'x-platform-id': 'onedigital',
+      'x-api-key': apiKey
+    };
+
+    platformConfig.getPlatformConfig.mockReturnValue({ apiKeys, provider: 'azure' });
+
+    platformAuthMiddleware(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.platformContext.environment).toBe('uat');
+  });
+
+  describe('environment resolution', () => {
+    const uatConfig = { provider: 'azure', apiKeys: [{ id: 'uat-key', hash: hashApiKey('uat-secret') }] };
+    const preprodConfig = { provider: 'azure', apiKeys: [{ id: 'preprod-key', hash: hashApiKey('preprod-secret') }] };
+
+    beforeEach(() => {
+      platformConfig.getPlatformEnvironments.mockReturnValue(['uat', 'preprod', 'prod']);
+      platformConfig.getPlatformConfig.mockImplementation((platformId, environment) => {
+        if (environment === 'uat') return uatConfig;
+        if (environment === 'preprod') return preprodConfig;
+        if (environment === 'prod') return { provider: 's3', apiKeys: [] };
+        throw new Error(`Environment '${environment}' not found for platform '${platformId}'`);
+      });
+    });
+
+    test('should serve several environments from one instance based on the key', () => {
+      process.env.NODE_ENV = 'uat';
+
+      const uatReq = { headers: { 'x-platform-id': 'onedigital', 'x-api-key': 'uat-secret' } };
+      const preprodReq = { headers: { 'x-platform-id': 'onedigital', 'x-api-key': 'preprod-secret' } };
+
+      platformAuthMiddleware(uatReq, res, next);
+      platformAuthMiddleware(preprodReq, res, next);
+
+      expect(uatReq.platformContext.environment).toBe('uat');
+      expect(uatReq.platformContext.config).toBe(uatConfig);
+      expect(preprodReq.platformContext.environment).toBe('preprod');
+      expect(preprodReq.platformContext.config).toBe(preprodConfig);
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('should try the NODE_ENV environment first', () => {
+      process.env.NODE_ENV = 'preprod';
+      req.headers = { 'x-platform-id': 'onedigital', 'x-api-key': 'preprod-secret' };
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(platformConfig.getPlatformConfig).toHaveBeenCalledTimes(1);
+      expect(platformConfig.getPlatformConfig).toHaveBeenCalledWith('onedigital', 'preprod');
+      expect(req.platformContext.environment).toBe('preprod');
+    });
+
+    test('should honour an explicit X-Environment header', () => {
+      req.headers = { 'x-platform-id': 'onedigital', 'x-api-key': 'preprod-secret', 'x-environment': 'preprod' };
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(platformConfig.getPlatformConfig).toHaveBeenCalledWith('onedigital', 'preprod');
+      expect(req.platformContext.environment).toBe('preprod');
+    });
+
+    test('should return 403 when the key belongs to another environment than X-Environment', () => {
+      req.headers = { 'x-platform-id': 'onedigital', 'x-api-key': 'uat-secret', 'x-environment': 'preprod' };
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for an unknown X-Environment', () => {
+      req.headers = { 'x-platform-id': 'onedigital', 'x-api-key': 'uat-secret', 'x-environment': 'dev' };
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: "Environment 'dev' not found for platform 'onedigital'"
+      });
+    });
+
+    test('should return 403 when the key matches no environment', () => {
+      req.headers = { 'x-platform-id': 'onedigital', 'x-api-key': 'unknown-secret' };
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(platformConfig.getPlatformConfig).toHaveBeenCalledTimes(3);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Invalid API key for platform and environment'
+      });
+    });
+  });
+
   test('should return 404 if platform config is not found', () => {
     process.env.NODE_ENV = 'uat';
     req.headers = {
-      'x-platform-id': 'invalid-platform'
+      'x-platform-id': 'invalid-platform',
+      'x-api-key': apiKey
     };
 
-    platformConfig.getPlatformConfig.mockImplementation(() => {
+    platformConfig.getPlatformEnvironments.mockImplementation(() => {
       throw new Error("Platform 'invalid-platform' not found");
     });
 
@@ -79,10 +331,12 @@ describe('platformAuthMiddleware', () => {
   test('should attach platform context and call next on success', () => {
     process.env.NODE_ENV = 'uat';
     req.headers = {
-      'x-platform-id': 'onedigital'
+      'x-platform-id': 'onedigital',
+      'x-api-key': apiKey
     };
 
     const mockConfig = {
+      apiKeys,
       provider: 'azure',
       connectionString: 'test-connection'
     };
@@ -95,6 +349,8 @@ describe('platformAuthMiddleware', () => {
     expect(req.platformContext).toEqual({
       platformId: 'onedigital',
       environment: 'uat',
+      keyId: 'key-1',
+      authMethod: 'api-key',
       config: mockConfig
     });
     expect(next).toHaveBeenCalled();
@@ -104,10 +360,12 @@ describe('platformAuthMiddleware', () => {
   test('should trim and lowercase platform ID', () => {
     process.env.NODE_ENV = 'uat';
     req.headers = {
-      'x-platform-id': '  ONEDIGITAL  '
+      'x-platform-id': '  ONEDIGITAL  ',
+      'x-api-key': apiKey
     };
 
     const mockConfig = {
+      apiKeys,
       provider: 'azure'
     };
 
@@ -123,7 +381,8 @@ describe('platformAuthMiddleware', () => {
   test('should handle errors and return 500', () => {
     process.env.NODE_ENV = 'uat';
     req.headers = {
-      'x-platform-id': 'onedigital'
+      'x-platform-id': 'onedigital',
+      'x-api-key': apiKey
     };
 
     platformConfig.getPlatformConfig.mockImplementation(() => {
@@ -132,8 +391,410 @@ describe('platformAuthMiddleware', () => {
 
     platformAuthMiddleware(req, res, next);
 
-    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Authentication failed'
+    });
     expect(next).not.toHaveBeenCalled();
   });
+  describe('signed requests', () => {
+    const secret = 'shared-signing-secret';
+    const signingKeys = [{ id: 'backend-key', secret, createdAt: '2026-01-01', expiresAt: null, revoked: false }];
+    let nonceCounter = 0;
+
+    const signedRequest = ({ body, overrides = {}, secretToUse = secret } = {}) => {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const nonce = `nonce-${++nonceCounter}`;
+      const rawBody = body ? Buffer.from(JSON.stringify(body)) : undefined;
+      const signature = signRequest(secretToUse, buildCanonicalRequest({
+        method: 'POST',
+        path: '/api/files/get-download-url',
+        timestamp,
+        nonce,
+        bodyHash: hashBody(rawBody)
+      }));
+
+      return {
+        method: 'POST',
+        path: '/get-download-url',
+        originalUrl: '/api/files/get-download-url',
+        rawBody,
+        headers: {
+          'x-platform-id': 'onedigital',
+          'x-key-id': 'backend-key',
+          'x-timestamp': timestamp,
+          'x-nonce': nonce,
+          'x-signature': signature,
+          ...overrides
+        }
+      };
+    };
+
+    beforeEach(() => {
+      process.env.NODE_ENV = 'uat';
+      platformConfig.getPlatformConfig.mockReturnValue({ provider: 'azure', apiKeys: signingKeys });
+    });
+
+    test('should authenticate a correctly signed request', () => {
+      req = signedRequest({ body: { fileUrl: 'https://example.com/file.txt' } });
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.platformContext.keyId).toBe('backend-key');
+      expect(req.platformContext.authMethod).toBe('signature');
+    });
+
+    test('should return 403 when the body was changed after signing', () => {
+      req = signedRequest({ body: { fileUrl: 'https://example.com/file.txt' } });
+      req.rawBody = Buffer.from(JSON.stringify({ fileUrl: 'https://example.com/other.txt' }));
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Invalid request signature' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should return 403 when signed with the wrong secret', () => {
+      req = signedRequest({ secretToUse: 'other-secret' });
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should return 401 when the timestamp is outside the window', () => {
+      req = signedRequest({ overrides: { 'x-timestamp': String(Math.floor(Date.now() / 1000) - 3600) } });
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Request timestamp is outside the allowed window'
+      });
+    });
+
+    test('should return 401 when a nonce is replayed', () => {
+      const original = signedRequest();
+
+      platformAuthMiddleware({ ...original, headers: { ...original.headers } }, res, next);
+      platformAuthMiddleware({ ...original, headers: { ...original.headers } }, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Request nonce has already been used'
+      });
+    });
+
+    test('should return 401 when signature headers are incomplete', () => {
+      req = signedRequest({ overrides: { 'x-nonce': undefined } });
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should require X-Content-SHA256 for signed multipart requests', () => {
+      req = signedRequest({ overrides: { 'content-type': 'multipart/form-data; boundary=abc' } });
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Signed multipart requests require an X-Content-SHA256 header'
+      });
+    });
+
+    test('should require X-Fields-SHA256 for signed multipart requests', () => {
+      req = signedRequest({
+        overrides: { 'content-type': 'multipart/form-data; boundary=abc', 'x-content-sha256': hashBody(Buffer.from('file')) }
+      });
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Signed multipart requests require an X-Fields-SHA256 header'
+      });
+    });
+
+    const multipartRequest = ({ fieldsSha256, signedFieldsSha256 = fieldsSha256, nonce }) => {
+      const contentSha256 = hashBody(Buffer.from('file content'));
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      return {
+        method: 'POST',
+        path: '/upload-file',
+        originalUrl: '/api/files/upload-file',
+        headers: {
+          'x-platform-id': 'onedigital',
+          'content-type': 'multipart/form-data; boundary=abc',
+          'x-content-sha256': contentSha256,
+          'x-fields-sha256': fieldsSha256,
+          'x-key-id': 'backend-key',
+          'x-timestamp': timestamp,
+          'x-nonce': nonce,
+          'x-signature': signRequest(secret, buildCanonicalRequest({
+            method: 'POST',
+            path: '/api/files/upload-file',
+            timestamp,
+            nonce,
+            bodyHash: contentSha256,
+            fieldsHash: signedFieldsSha256
+          }))
+        }
+      };
+    };
+
+    test('should sign the declared file and fields hashes for multipart requests', () => {
+      const fieldsSha256 = hashFields({ bucketName: 'kyc-docs', access: 'private' });
+      req = multipartRequest({ fieldsSha256, nonce: 'multipart-nonce' });
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.platformContext.contentSha256).toBe(hashBody(Buffer.from('file content')));
+      expect(req.platformContext.fieldsSha256).toBe(fieldsSha256);
+    });
+
+    test('should return 403 when the fields hash was changed after signing', () => {
+      req = multipartRequest({
+        fieldsSha256: hashFields({ bucketName: 'payroll', access: 'private' }),
+        signedFieldsSha256: hashFields({ bucketName: 'kyc-docs', access: 'private' }),
+        nonce: 'tampered-fields-nonce'
+      });
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should sign the Upload-Metadata of tus uploads', () => {
+      const metadata = `filename ${Buffer.from('a.pdf').toString('base64')},bucketName ${Buffer.from('kyc-docs').toString('base64')}`;
+      const signed = (nonce) => {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        return {
+          method: 'POST',
+          path: '/tus',
+          originalUrl: '/api/files/tus',
+          headers: {
+            'x-platform-id': 'onedigital',
+            'upload-metadata': metadata,
+            'x-key-id': 'backend-key',
+            'x-timestamp': timestamp,
+            'x-nonce': nonce,
+            'x-signature': signRequest(secret, buildCanonicalRequest({
+              method: 'POST',
+              path: '/api/files/tus',
+              timestamp,
+              nonce,
+              bodyHash: hashBody(undefined),
+              fieldsHash: hashBody(Buffer.from(metadata))
+            }))
+          }
+        };
+      };
+
+      platformAuthMiddleware(signed('tus-metadata-nonce'), res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      req = signed('tampered-metadata-nonce');
+      req.headers['upload-metadata'] = metadata.replace(Buffer.from('kyc-docs').toString('base64'), Buffer.from('payroll').toString('base64'));
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    test('should require X-Content-SHA256 for signed tus upload chunks', () => {
+      req = signedRequest({ overrides: { 'content-type': 'application/offset+octet-stream' } });
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Signed upload chunks require an X-Content-SHA256 header'
+      });
+    });
+
+    test('should sign the declared chunk hash for tus upload chunks', () => {
+      const contentSha256 = hashBody(Buffer.from('chunk'));
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const uploadUrl = '/api/files/tus/0123456789abcdef0123456789abcdef';
+      req = {
+        method: 'PATCH',
+        path: '/tus/0123456789abcdef0123456789abcdef',
+        originalUrl: uploadUrl,
+        headers: {
+          'x-platform-id': 'onedigital',
+          'content-type': 'application/offset+octet-stream',
+          'x-content-sha256': contentSha256,
+          'x-key-id': 'backend-key',
+          'x-timestamp': timestamp,
+          'x-nonce': 'chunk-nonce',
+          'x-signature': signRequest(secret, buildCanonicalRequest({
+            method: 'PATCH',
+            path: uploadUrl,
+            timestamp,
+            nonce: 'chunk-nonce',
+            bodyHash: contentSha256
+          }))
+        }
+      };
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.platformContext.contentSha256).toBe(contentSha256);
+    });
+  });
+  describe('bearer tokens', () => {
+    const { privateKey, publicKey } = require('crypto').generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let jwksDir, jwksPath;
+
+    const signJwt = (payload) => {
+      const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const data = `${encode({ alg: 'RS256', kid: 'idp-1' })}.${encode(payload)}`;
+      const signature = require('crypto').sign('sha256', Buffer.from(data), privateKey).toString('base64url');
+      return `${data}.${signature}`;
+    };
+
+    const claims = (overrides = {}) => ({
+      iss: 'https://idp.example.com',
+      aud: 'file-service',
+      sub: 'user-42',
+      platform: 'onedigital',
+      scope: 'upload download',
+      exp: Math.floor(Date.now() / 1000) + 300,
+      ...overrides
+    });
+
+    beforeAll(() => {
+      jwksDir = fs.mkdtempSync(path.join(os.tmpdir(), 'platform-auth-jwks-'));
+      jwksPath = path.join(jwksDir, 'jwks.json');
+      fs.writeFileSync(jwksPath, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'idp-1' }] }));
+    });
+
+    afterAll(() => {
+      fs.rmSync(jwksDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      process.env.NODE_ENV = 'uat';
+      req.method = 'POST';
+      req.path = '/upload-file';
+      platformConfig.getPlatformConfig.mockReturnValue({
+        provider: 'azure',
+        apiKeys,
+        jwt: {
+          issuer: 'https://idp.example.com',
+          audience: 'file-service',
+          jwksPath,
+          allowedScopes: ['upload', 'download'],
+          allowedBuckets: ['kyc-docs']
+        }
+      });
+    });
+
+    test('should map token claims onto the platform context', () => {
+      req.headers = { 'x-platform-id': 'onedigital', authorization: `Bearer ${signJwt(claims())}` };
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.platformContext).toEqual(expect.objectContaining({
+        platformId: 'onedigital',
+        environment: 'uat',
+        authMethod: 'jwt',
+        subject: 'user-42',
+        scopes: ['upload', 'download'],
+        allowedBuckets: ['kyc-docs']
+      }));
+    });
+
+    test('should drop token scopes the platform does not allow', () => {
+      req.headers = { 'x-platform-id': 'onedigital', authorization: `Bearer ${signJwt(claims({ scope: 'upload admin delete' }))}` };
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.platformContext.scopes).toEqual(['upload']);
+    });
+
+    test('should cap token scopes at defaultScopes when allowedScopes is not set', () => {
+      platformConfig.getPlatformConfig.mockReturnValue({
+        provider: 'azure',
+        apiKeys,
+        jwt: { issuer: 'https://idp.example.com', audience: 'file-service', jwksPath, defaultScopes: ['upload', 'metadata'] }
+      });
+      req.headers = { 'x-platform-id': 'onedigital', authorization: `Bearer ${signJwt(claims({ scope: undefined, scopes: ['admin', 'upload'] }))}` };
+
+      platformAuthMiddleware(req, res, next);
+      expect(req.platformContext.scopes).toEqual(['upload']);
+
+      req.headers = { 'x-platform-id': 'onedigital', authorization: `Bearer ${signJwt(claims({ scope: undefined }))}` };
+      platformAuthMiddleware(req, res, next);
+      expect(req.platformContext.scopes).toEqual(['upload', 'metadata']);
+    });
+
+    test('should return 403 when the token was issued for another platform', () => {
+      req.headers = { 'x-platform-id': 'onedigital', authorization: `Bearer ${signJwt(claims({ platform: 'invictus' }))}` };
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Bearer token was not issued for this platform' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should return 401 for an expired token', () => {
+      req.headers = {
+        'x-platform-id': 'onedigital',
+        authorization: `Bearer ${signJwt(claims({ exp: Math.floor(Date.now() / 1000) - 3600 }))}`
+      };
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Invalid bearer token: Token has expired' });
+    });
+
+    test('should enforce route scopes from token claims', () => {
+      req.method = 'DELETE';
+      req.path = '/delete-file';
+      req.headers = { 'x-platform-id': 'onedigital', authorization: `Bearer ${signJwt(claims())}` };
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should return 401 when bearer tokens are not configured', () => {
+      platformConfig.getPlatformConfig.mockReturnValue({ provider: 'azure', apiKeys });
+      req.headers = { 'x-platform-id': 'onedigital', authorization: `Bearer ${signJwt(claims())}` };
+
+      platformAuthMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Bearer tokens are not enabled for platform and environment'
+      });
+    });
+  });
 });
 
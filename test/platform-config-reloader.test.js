@@ -0,0 +1,50 @@
+const platformConfig = require('../config/platform-config');
+const storageService = require('../service/multi-tenant-storage-service');
+const { reloadPlatformConfig, watchPlatformConfig } = require('../service/platform-config-reloader');
+
+jest.mock('../config/platform-config');
+jest.mock('../service/multi-tenant-storage-service');
+
+describe('platform-config-reloader', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('reloadPlatformConfig', () => {
+    test('should invalidate providers of the changed environments', () => {
+      const changed = [{ platformId: 'onedigital', environment: 'prod' }];
+      platformConfig.reload.mockReturnValue(changed);
+      storageService.invalidateProviders.mockReturnValue(['onedigital-prod']);
+
+      const result = reloadPlatformConfig();
+
+      expect(storageService.invalidateProviders).toHaveBeenCalledWith(changed);
+      expect(result).toEqual({ success: true, changed, invalidated: ['onedigital-prod'] });
+    });
+
+    test('should keep running when the new config is invalid', () => {
+      platformConfig.reload.mockImplementation(() => {
+        throw new Error('Invalid platform config');
+      });
+
+      const result = reloadPlatformConfig();
+
+      expect(result).toEqual({ success: false, error: 'Invalid platform config' });
+      expect(storageService.invalidateProviders).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('watchPlatformConfig', () => {
+    test('should reload on SIGHUP until stopped', () => {
+      platformConfig.reload.mockReturnValue([]);
+      const stop = watchPlatformConfig({ watchFile: false });
+
+      process.emit('SIGHUP');
+      stop();
+      process.emit('SIGHUP');
+
+      expect(platformConfig.reload).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const { validatePlatforms } = require('../config/platform-config-schema');
+
+describe('validatePlatforms', () => {
+  const validPlatforms = () => ({
+    acme: {
+      name: 'Acme',
+      environments: {
+        uat: {
+          provider: 's3',
+          apiKeys: [
+            {
+              id: 'acme-uat-1',
+              hash: 'a'.repeat(64),
+              createdAt: '2026-10-18',
+              expiresAt: null,
+              revoked: false,
+              scopes: ['upload', 'download'],
+              allowedBuckets: ['kyc-docs']
+            }
+          ],
+          jwt: { issuer: 'https://idp.example.com', audience: 'files', jwksPath: '/etc/jwks.json' }
+        }
+      }
+    }
+  });
+
+  test('should accept a valid configuration', () => {
+    expect(validatePlatforms(validPlatforms())).toEqual([]);
+  });
+
+  test('should accept keys whose hash is not set in the environment', () => {
+    const platforms = validPlatforms();
+    platforms.acme.environments.uat.apiKeys[0].hash = undefined;
+    expect(validatePlatforms(platforms)).toEqual([]);
+  });
+
+  test('should reject a non-object platforms section', () => {
+    expect(validatePlatforms(undefined)).toEqual(['platforms must be an object keyed by platform id']);
+  });
+
+  test('should reject upper-case platform ids', () => {
+    const platforms = { ACME: validPlatforms().acme };
+    expect(validatePlatforms(platforms)).toContain('ACME: platform id must be lower case');
+  });
+
+  test('should report key problems with their position', () => {
+    const platforms = validPlatforms();
+    platforms.acme.environments.uat.apiKeys.push(
+      { id: 'acme-uat-1', expiresAt: 'soon', revoked: 'no', scopes: ['upload', 'write'] }
+    );
+
+    expect(validatePlatforms(platforms)).toEqual([
+      'acme/uat: apiKeys[1].expiresAt must be a date or null',
+      'acme/uat: apiKeys[1].revoked must be a boolean',
+      'acme/uat: apiKeys[1].scopes has unknown scopes: write',
+      'acme/uat: apiKeys has duplicate ids: acme-uat-1'
+    ]);
+  });
+
+  test('should validate jwt settings', () => {
+    const platforms = validPlatforms();
+    platforms.acme.environments.uat.jwt = { jwksPath: 42, defaultScopes: 'upload', allowedScopes: 'admin' };
+
+    expect(validatePlatforms(platforms)).toEqual([
+      'acme/uat: jwt.jwksPath must be a string',
+      'acme/uat: jwt.defaultScopes must be a list of strings',
+      'acme/uat: jwt.allowedScopes must be a list of strings'
+    ]);
+  });
+
+  test('should require the readiness flag to be a boolean', () => {
+    const platforms = validPlatforms();
+    platforms.acme.environments.uat.required = 'no';
+
+    expect(validatePlatforms(platforms)).toEqual(['acme/uat: required must be a boolean']);
+  });
+});
@@ -1,3 +1,7 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
 const platformConfig = require('../config/platform-config');
 
 describe('platform-config', () => {
@@ -42,10 +46,80 @@ describe('platform-config', () => {
       const prodConfig = platformConfig.getPlatformConfig('onedigital', 'prod');
       
       expect(uatConfig.provider).toBe('azure');
-      expect(prodConfig.provider).toBe('s3');
+      expect(prodConfig.provider).toBe('replicated');
+      expect(prodConfig.primary.provider).toBe('s3');
+      expect(prodConfig.replicas.map(replica => replica.provider)).toEqual(['azure']);
     });
   });
 
+  describe('getPlatformEnvironments', () => {
+    test('should list the environments of a platform', () => {
+      expect(platformConfig.getPlatformEnvironments('onedigital')).toEqual(['uat', 'preprod', 'prod']);
+    });
 
-});
+    test('should throw error for invalid platform', () => {
+      expect(() => {
+        platformConfig.getPlatformEnvironments('invalid-platform');
+      }).toThrow("Platform 'invalid-platform' not found");
+    });
+  });
+
+  describe('reload', () => {
+    let tmpDir, originalPath, originalPlatforms;
+
+    const writeConfig = (platforms) => {
+      fs.writeFileSync(platformConfig.configPath, YAML.stringify({ platforms }));
+    };
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'platform-reload-'));
+      originalPath = platformConfig.configPath;
+      originalPlatforms = platformConfig.platforms;
+      platformConfig.configPath = path.join(tmpDir, 'platforms.yaml');
+      platformConfig.platforms = {
+        acme: {
+          name: 'Acme',
+          environments: {
+            uat: { provider: 's3', region: 'ap-south-1' },
+            prod: { provider: 'azure', accountName: 'acmeprod' }
+          }
+        }
+      };
+    });
 
+    afterEach(() => {
+      platformConfig.configPath = originalPath;
+      platformConfig.platforms = originalPlatforms;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should return only the changed, added and removed environments', () => {
+      writeConfig({
+        acme: {
+          name: 'Acme',
+          environments: {
+            uat: { provider: 's3', region: 'eu-west-1' },
+            prod: { provider: 'azure', accountName: 'acmeprod' }
+          }
+        },
+        globex: { name: 'Globex', environments: { uat: { provider: 's3' } } }
+      });
+
+      const changed = platformConfig.reload();
+
+      expect(changed).toEqual([
+        { platformId: 'acme', environment: 'uat' },
+        { platformId: 'globex', environment: 'uat' }
+      ]);
+      expect(platformConfig.getPlatformConfig('acme', 'uat').region).toBe('eu-west-1');
+      expect(platformConfig.getPlatformConfig('globex', 'uat').platformName).toBe('Globex');
+    });
+
+    test('should keep the current configuration when the new file is invalid', () => {
+      writeConfig({ acme: { name: 'Acme', environments: { uat: {} } } });
+
+      expect(() => platformConfig.reload()).toThrow('acme/uat: provider is required');
+      expect(platformConfig.getPlatformConfig('acme', 'uat').region).toBe('ap-south-1');
+    });
+  });
+});
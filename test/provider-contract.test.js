@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describeProviderContract } = require('./support/provider-contract');
+
+// Cloud SDK clients are replaced by in-process stand-ins; everything else in the providers is real
+jest.mock('@aws-sdk/client-s3', () => {
+  const { FakeS3Client } = require('./support/fake-s3-client');
+  return { ...jest.requireActual('@aws-sdk/client-s3'), S3Client: FakeS3Client };
+});
+jest.mock('@aws-sdk/s3-request-presigner', () => {
+  const { fakeGetSignedUrl } = require('./support/fake-s3-client');
+  return { getSignedUrl: fakeGetSignedUrl };
+});
+jest.mock('@azure/storage-blob', () => {
+  const { FakeBlobServiceClient } = require('./support/fake-blob-service-client');
+  return { ...jest.requireActual('@azure/storage-blob'), BlobServiceClient: FakeBlobServiceClient };
+});
+jest.mock('@google-cloud/storage', () => {
+  const { FakeStorage } = require('./support/fake-gcs-storage');
+  return { Storage: FakeStorage };
+});
+jest.mock('ssh2-sftp-client', () => require('./support/fake-sftp-client'));
+
+const FakeSftpClient = require('./support/fake-sftp-client');
+const AWSS3StorageProvider = require('../providers/aws-s3-provider');
+const AzureStorageProvider = require('../providers/azure-storage-provider');
+const GCSStorageProvider = require('../providers/gcs-storage-provider');
+const LocalStorageProvider = require('../providers/local-storage-provider');
+const MemoryStorageProvider = require('../providers/memory-storage-provider');
+const ReplicatedStorageProvider = require('../providers/replicated-storage-provider');
+const SFTPStorageProvider = require('../providers/sftp-storage-provider');
+
+describeProviderContract('memory', () => new MemoryStorageProvider());
+
+let rootDir;
+describeProviderContract('local', () => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-contract-'));
+  return new LocalStorageProvider({ rootDir });
+}, {
+  cleanup: () => fs.rmSync(rootDir, { recursive: true, force: true })
+});
+
+describeProviderContract('s3', () => new AWSS3StorageProvider({
+  accessKeyId: 'test-access-key',
+  secretAccessKey: 'test-secret-key',
+  region: 'ap-south-1',
+  bucketName: 'contract-physical-bucket'
+}), {
+  injectFailure: (provider, error) => {
+    provider.s3Client.failNextRequest = error;
+  }
+});
+
+describeProviderContract('s3', () => new AWSS3StorageProvider({
+  accessKeyId: 'minio-access-key',
+  secretAccessKey: 'minio-secret-key',
+  region: 'us-east-1',
+  bucketName: 'contract-physical-bucket',
+  endpoint: 'http://minio.internal:9000',
+  forcePathStyle: true
+}), {
+  variant: 'MinIO path-style endpoint',
+  injectFailure: (provider, error) => {
+    provider.s3Client.failNextRequest = error;
+  }
+});
+
+describeProviderContract('azure', () => new AzureStorageProvider({
+  connectionString: 'DefaultEndpointsProtocol=https;AccountName=contractaccount;AccountKey=dGVzdGtleQ==;EndpointSuffix=core.windows.net'
+}), {
+  injectFailure: (provider, error) => {
+    provider.blobServiceClient.failNextRequest = error;
+  }
+});
+
+describeProviderContract('azure', () => new AzureStorageProvider({
+  connectionString: 'BlobEndpoint=https://contractaccount.blob.core.windows.net/;SharedAccessSignature=sv=2022-11-02&ss=b&srt=sco&sp=rwdlc&sig=stand-in',
+  streamBaseUrl: 'http://localhost:3000/api/stream/acme/uat'
+}), {
+  variant: 'SAS-only connection string',
+  injectFailure: (provider, error) => {
+    provider.blobServiceClient.failNextRequest = error;
+  }
+});
+
+describeProviderContract('azure', () => new AzureStorageProvider({
+  tenantId: '00000000-0000-0000-0000-000000000002',
+  clientId: 'contract-client-id',
+  clientSecret: 'contract-client-secret',
+  accountName: 'contractaccount'
+}), {
+  variant: 'service principal',
+  injectFailure: (provider, error) => {
+    provider.blobServiceClient.failNextRequest = error;
+  }
+});
+
+describeProviderContract('gcs', () => new GCSStorageProvider({
+  projectId: 'contract-project',
+  bucketName: 'contract-physical-bucket',
+  clientEmail: 'uploader@contract-project.iam.gserviceaccount.com',
+  privateKey: 'test-private-key'
+}), {
+  injectFailure: (provider, error) => {
+    provider.storage.failNextRequest = error;
+  }
+});
+
+describeProviderContract('sftp', () => {
+  FakeSftpClient.reset();
+  return new SFTPStorageProvider({
+    host: 'sftp.partner.example',
+    username: 'brokerage',
+    password: 'test-password',
+    hostKeySha256: FakeSftpClient.HOST_KEY_SHA256,
+    remoteDir: '/',
+    baseUrl: 'http://localhost:3000/api/stream/brokerage/uat'
+  });
+}, {
+  injectFailure: (provider, error) => {
+    FakeSftpClient.instances[FakeSftpClient.instances.length - 1].failNextRequest = error;
+  }
+});
+
+// Failures are not injected: a failing primary is answered by the replica, by design
+describeProviderContract('replicated', () => new ReplicatedStorageProvider({
+  mode: 'sync',
+  primary: { provider: 'memory' },
+  replicas: [{ provider: 'memory' }]
+}));
@@ -0,0 +1,108 @@
+const platformConfig = require('../config/platform-config');
+const storageService = require('../service/multi-tenant-storage-service');
+const { ReadinessChecker } = require('../service/readiness-checker');
+
+jest.mock('../config/platform-config');
+jest.mock('../service/multi-tenant-storage-service');
+
+describe('ReadinessChecker', () => {
+  const environments = {
+    acme: {
+      uat: { provider: 's3', required: false },
+      prod: { provider: 'azure' }
+    }
+  };
+
+  let checker;
+
+  beforeEach(() => {
+    platformConfig.platforms = { acme: { name: 'Acme', environments: environments.acme } };
+    platformConfig.getPlatformEnvironments.mockImplementation(platformId => Object.keys(environments[platformId]));
+    platformConfig.getPlatformConfig.mockImplementation((platformId, environment) => environments[platformId][environment]);
+    storageService.checkHealth.mockResolvedValue(true);
+
+    checker = new ReadinessChecker({ ttlMs: 1000, timeoutMs: 20 });
+  });
+
+  test('should be ready when every provider is up', async () => {
+    const report = await checker.check();
+
+    expect(report.ready).toBe(true);
+    expect(report.tenants).toEqual([
+      { platformId: 'acme', environment: 'uat', provider: 's3', required: false, status: 'up', latencyMs: expect.any(Number) },
+      { platformId: 'acme', environment: 'prod', provider: 'azure', required: true, status: 'up', latencyMs: expect.any(Number) }
+    ]);
+    expect(storageService.checkHealth).toHaveBeenCalledWith('acme', 'prod');
+  });
+
+  test('should report replication status without affecting readiness', async () => {
+    const replication = { mode: 'async', replicas: [{ name: 'replicas[0]', pending: 3, lagMs: 1200, failed: 1 }] };
+    storageService.getReplicationStatus.mockImplementation((platformId, environment) => (environment === 'prod' ? replication : null));
+
+    const report = await checker.check();
+
+    expect(report.ready).toBe(true);
+    expect(report.tenants[0]).not.toHaveProperty('replication');
+    expect(report.tenants[1]).toMatchObject({ environment: 'prod', status: 'up', replication });
+  });
+
+  test('should not be ready when a required provider is down', async () => {
+    storageService.checkHealth.mockImplementation(async (platformId, environment) => {
+      if (environment === 'prod') {
+        throw new Error('Health check failed: AuthenticationFailed');
+      }
+      return true;
+    });
+
+    const report = await checker.check();
+
+    expect(report.ready).toBe(false);
+    expect(report.tenants[1]).toMatchObject({
+      environment: 'prod',
+      status: 'down',
+      error: 'Health check failed: AuthenticationFailed'
+    });
+  });
+
+  test('should stay ready when only an optional provider is down', async () => {
+    storageService.checkHealth.mockImplementation(async (platformId, environment) => {
+      if (environment === 'uat') {
+        throw new Error('Health check failed: NotFound');
+      }
+      return true;
+    });
+
+    const report = await checker.check();
+
+    expect(report.ready).toBe(true);
+    expect(report.tenants[0].status).toBe('down');
+  });
+
+  test('should mark providers that do not answer in time as down', async () => {
+    storageService.checkHealth.mockReturnValue(new Promise(() => {}));
+
+    const report = await checker.check();
+
+    expect(report.ready).toBe(false);
+    expect(report.tenants[1].error).toBe('No response within 20ms');
+  });
+
+  test('should reuse the report until the TTL has passed', async () => {
+    const first = await checker.check();
+    const cached = await checker.check();
+
+    expect(cached).toBe(first);
+    expect(storageService.checkHealth).toHaveBeenCalledTimes(2);
+
+    await checker.check(Date.now() + 2000);
+
+    expect(storageService.checkHealth).toHaveBeenCalledTimes(4);
+  });
+
+  test('should share one round of probes between concurrent checks', async () => {
+    const [first, second] = await Promise.all([checker.check(), checker.check()]);
+
+    expect(second).toBe(first);
+    expect(storageService.checkHealth).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,589 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReplicatedStorageProvider = require('../providers/replicated-storage-provider');
+const MemoryStorageProvider = require('../providers/memory-storage-provider');
+const { Readable } = require('stream');
+
+describe('ReplicatedStorageProvider', () => {
+  let provider;
+  let primary;
+  let replica;
+
+  const createProvider = (options = {}) => {
+    provider = new ReplicatedStorageProvider({
+      primary: { provider: 'memory' },
+      replicas: [{ provider: 'memory' }],
+      retryDelayMs: 0,
+      ...options
+    });
+    primary = provider.primary;
+    replica = provider.replicas[0].provider;
+    return provider;
+  };
+
+  const upload = (fileName = 'a.txt', content = 'hello') => {
+    return provider.uploadFile('claims', Buffer.from(content), 'docs', fileName, { contentType: 'text/plain' }, 'private');
+  };
+
+  beforeEach(() => {
+    createProvider();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await provider.close();
+  });
+
+  describe('constructor', () => {
+    test('should create the primary and replica backends through the factory', () => {
+      expect(primary).toBeInstanceOf(MemoryStorageProvider);
+      expect(replica).toBeInstanceOf(MemoryStorageProvider);
+      expect(provider.mode).toBe('async');
+    });
+
+    test('should require a primary and at least one replica', () => {
+      expect(() => new ReplicatedStorageProvider({ primary: { provider: 'memory' }, replicas: [] }))
+        .toThrow('Replicated storage requires a primary and at least one replica');
+    });
+  });
+
+  describe('async mode', () => {
+    test('should return the primary URL before the replica has the file', async () => {
+      const url = await upload();
+
+      expect(url).toBe(primary.getFileUrl('claims', 'docs/a.txt'));
+      await expect(replica.fileExists(url)).resolves.toBe(false);
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 1, replicated: 0 });
+
+      await provider.processQueue();
+
+      expect((await replica.getFileContent('claims', 'docs/a.txt')).toString()).toBe('hello');
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 0, lagMs: 0, replicated: 1 });
+    });
+
+    test('should copy metadata and access to the replica', async () => {
+      const url = await provider.uploadFile('claims', Buffer.from('x'), '', 'public.txt', { userId: 42 }, 'public');
+      await provider.processQueue();
+
+      const metadata = await replica.getFileMetadata(url);
+
+      expect(metadata.metadata).toMatchObject({ userId: '42', access: 'public' });
+    });
+
+    test('should retry failed writes', async () => {
+      jest.spyOn(replica, 'uploadFile').mockRejectedValueOnce(new Error('Service unavailable'));
+      await upload();
+
+      await provider.processQueue();
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 1, lastError: 'Service unavailable' });
+
+      await provider.processQueue();
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 0, replicated: 1, failed: 0 });
+      await expect(replica.fileExists(primary.getFileUrl('claims', 'docs/a.txt'))).resolves.toBe(true);
+    });
+
+    test('should back off exponentially between attempts', async () => {
+      createProvider({ retryDelayMs: 1000 });
+      jest.spyOn(replica, 'uploadFile').mockRejectedValue(new Error('Service unavailable'));
+      await upload();
+
+      await provider.processQueue();
+      await provider.processQueue();
+      const [task] = provider.replicas[0].pending;
+
+      expect(task.attempts).toBe(1);
+      expect(task.nextAttemptAt - Date.now()).toBeGreaterThan(900);
+    });
+
+    test('should give up after maxAttempts and report the failure', async () => {
+      createProvider({ maxAttempts: 2 });
+      jest.spyOn(replica, 'uploadFile').mockRejectedValue(new Error('Service unavailable'));
+      await upload();
+
+      await provider.processQueue();
+      await provider.processQueue();
+
+      const status = provider.getReplicationStatus();
+      expect(status.replicas[0]).toMatchObject({ pending: 0, failed: 1, lastError: 'Service unavailable' });
+      expect(status.recentFailures).toEqual([expect.objectContaining({
+        replica: 'replicas[0]',
+        provider: 'memory',
+        operation: 'upload',
+        bucketName: 'claims',
+        key: 'docs/a.txt',
+        attempts: 2,
+        error: 'Service unavailable'
+      })]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('failed after 2 attempt(s)'));
+    });
+
+    test('should apply writes in order so a retried upload cannot undo a delete', async () => {
+      jest.spyOn(replica, 'uploadFile').mockRejectedValueOnce(new Error('Service unavailable'));
+      const url = await upload();
+      await provider.deleteFile(url);
+
+      await provider.processQueue();
+      await provider.processQueue();
+
+      expect(replica.files.size).toBe(0);
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 0, replicated: 2 });
+    });
+
+    test('should record writes that do not fit in the queue', async () => {
+      createProvider({ maxQueueSize: 1 });
+
+      await upload('a.txt');
+      await upload('b.txt');
+
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 1, failed: 1, dropped: 1 });
+      expect(provider.getReplicationStatus().recentFailures[0]).toMatchObject({ key: 'docs/b.txt', error: 'Replication queue is full' });
+    });
+
+    test('should copy uploads past maxQueueBytes from the primary instead of holding their contents', async () => {
+      createProvider({ maxQueueBytes: 6 });
+
+      await upload('a.txt', 'hello');
+      await upload('b.txt', 'world');
+
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 2, queuedBytes: 5, dropped: 0 });
+      expect(provider.replicas[0].pending[1].fileData).toBeUndefined();
+
+      await provider.processQueue();
+
+      expect((await replica.getFileContent('claims', 'docs/b.txt')).toString()).toBe('world');
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 0, queuedBytes: 0, replicated: 2 });
+    });
+  });
+
+  describe('sync mode', () => {
+    beforeEach(() => {
+      createProvider({ mode: 'sync' });
+    });
+
+    test('should write the replica before returning', async () => {
+      const url = await upload();
+
+      await expect(replica.fileExists(url)).resolves.toBe(true);
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 0, replicated: 1 });
+    });
+
+    test('should still succeed when the replica fails, and queue the write for retry', async () => {
+      jest.spyOn(replica, 'uploadFile').mockRejectedValueOnce(new Error('Service unavailable'));
+
+      const url = await upload();
+
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 1, lastError: 'Service unavailable' });
+      await provider.processQueue();
+      await expect(replica.fileExists(url)).resolves.toBe(true);
+    });
+
+    test('should queue writes behind ones still waiting for the replica', async () => {
+      jest.spyOn(replica, 'uploadFile').mockRejectedValueOnce(new Error('Service unavailable'));
+      const url = await upload();
+
+      await provider.deleteFile(url);
+
+      expect(provider.replicas[0].pending.map(task => task.operation)).toEqual(['upload', 'delete']);
+    });
+  });
+
+  describe('streamed and multipart uploads', () => {
+    test('should stream streamed uploads from the primary to the replicas', async () => {
+      const getFileContent = jest.spyOn(primary, 'getFileContent');
+      const uploadStream = jest.spyOn(replica, 'uploadStream');
+      const url = await provider.uploadStream('claims', Readable.from([Buffer.from('streamed')]), 'docs', 's.txt', {}, 'private');
+      expect(provider.replicas[0].pending[0].fileData).toBeUndefined();
+
+      await provider.processQueue();
+
+      expect(url).toBe(primary.getFileUrl('claims', 'docs/s.txt'));
+      expect(getFileContent).not.toHaveBeenCalled();
+      expect(uploadStream).toHaveBeenCalledWith('claims', expect.any(Readable), 'docs', 's.txt', {}, 'private');
+      await expect(replica.getFileContent('claims', 'docs/s.txt')).resolves.toEqual(Buffer.from('streamed'));
+    });
+
+    test('should close the primary stream and retry when the replica upload fails', async () => {
+      await provider.uploadStream('claims', Readable.from([Buffer.from('streamed')]), 'docs', 's.txt', {}, 'private');
+      const getFileStream = jest.spyOn(primary, 'getFileStream');
+      jest.spyOn(replica, 'uploadStream').mockRejectedValueOnce(new Error('Memory upload failed: disk full'));
+
+      await provider.processQueue();
+
+      expect((await getFileStream.mock.results[0].value).stream.destroyed).toBe(true);
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 1, lastError: 'Memory upload failed: disk full' });
+    });
+
+    test('should skip streamed uploads deleted from the primary before they were copied', async () => {
+      const url = await provider.uploadStream('claims', Readable.from([Buffer.from('streamed')]), 'docs', 's.txt', {}, 'private');
+      await primary.deleteFile(url);
+
+      await provider.processQueue();
+
+      expect(replica.files.size).toBe(0);
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 0, failed: 0 });
+    });
+
+    test('should store parts on the primary and copy the completed file to the replicas', async () => {
+      jest.spyOn(primary, 'supportsMultipartUpload').mockReturnValue(true);
+      jest.spyOn(primary, 'createMultipartUpload').mockResolvedValue('upload-1');
+      jest.spyOn(primary, 'uploadPart').mockResolvedValue({ partNumber: 1, etag: 'etag-1' });
+      jest.spyOn(primary, 'completeMultipartUpload').mockImplementation((bucketName, prefix, fileName, uploadId, parts, metadata, access) =>
+        primary.uploadFile(bucketName, Buffer.from('parts'), prefix, fileName, metadata, access)
+      );
+
+      expect(provider.supportsMultipartUpload()).toBe(true);
+      const uploadId = await provider.createMultipartUpload('claims', 'docs', 'p.txt', {}, 'private');
+      const part = await provider.uploadPart('claims', 'docs', 'p.txt', uploadId, 1, Buffer.from('parts'));
+      await provider.completeMultipartUpload('claims', 'docs', 'p.txt', uploadId, [part], {}, 'private');
+      await provider.processQueue();
+
+      expect(primary.uploadPart).toHaveBeenCalledWith('claims', 'docs', 'p.txt', 'upload-1', 1, Buffer.from('parts'));
+      await expect(replica.getFileContent('claims', 'docs/p.txt')).resolves.toEqual(Buffer.from('parts'));
+    });
+  });
+
+  describe('direct uploads', () => {
+    test('should sign with the primary and copy the confirmed file to the replicas', async () => {
+      jest.spyOn(primary, 'supportsDirectUpload').mockReturnValue(true);
+      jest.spyOn(primary, 'generateUploadUrl').mockResolvedValue({ uploadUrl: 'https://primary/upload', method: 'PUT' });
+      jest.spyOn(primary, 'completeDirectUpload').mockImplementation((bucketName, prefix, fileName) =>
+        Promise.resolve(primary.getFileUrl(bucketName, `${prefix}/${fileName}`))
+      );
+
+      expect(provider.supportsDirectUpload()).toBe(true);
+      await expect(provider.generateUploadUrl('claims', 'docs', 'd.txt', { contentLength: 6 }))
+        .resolves.toEqual({ uploadUrl: 'https://primary/upload', method: 'PUT' });
+      // The client's PUT lands on the primary
+      await primary.uploadFile('claims', Buffer.from('direct'), 'docs', 'd.txt', {}, 'private');
+      const url = await provider.completeDirectUpload('claims', 'docs', 'd.txt', { contentType: 'text/plain' }, 'private');
+      await provider.processQueue();
+
+      expect(url).toBe(primary.getFileUrl('claims', 'docs/d.txt'));
+      expect(primary.generateUploadUrl).toHaveBeenCalledWith('claims', 'docs', 'd.txt', { contentLength: 6 });
+      await expect(replica.getFileContent('claims', 'docs/d.txt')).resolves.toEqual(Buffer.from('direct'));
+    });
+  });
+
+  describe('deletes', () => {
+    test('should delete from the primary and ignore files the replica never received', async () => {
+      createProvider({ mode: 'sync' });
+      const url = await primary.uploadFile('claims', Buffer.from('x'), '', 'only-primary.txt');
+
+      await provider.deleteFileByBucketKey('claims', 'only-primary.txt');
+
+      await expect(primary.fileExists(url)).resolves.toBe(false);
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 0, failed: 0, lastError: null });
+    });
+
+    test('should fail when the primary delete fails', async () => {
+      await expect(provider.deleteFileByBucketKey('claims', 'missing.txt')).rejects.toThrow('File not found');
+      expect(provider.replicas[0].pending).toHaveLength(0);
+    });
+  });
+
+  describe('read failover', () => {
+    const unavailable = () => new Error('S3 metadata fetch failed: Service Unavailable', {
+      cause: Object.assign(new Error('Service Unavailable'), { $metadata: { httpStatusCode: 503 } })
+    });
+
+    beforeEach(() => {
+      createProvider({ mode: 'sync', failureThreshold: 2, readTimeoutMs: 50 });
+    });
+
+    test('should serve reads from the replica when the primary is unavailable', async () => {
+      const url = await upload();
+      jest.spyOn(primary, 'generateDownloadUrl').mockRejectedValue(unavailable());
+      jest.spyOn(primary, 'getFileMetadata').mockRejectedValue(unavailable());
+
+      await expect(provider.generateDownloadUrl(url)).resolves.toMatchObject({ fileName: 'a.txt' });
+      await expect(provider.getFileMetadata(url)).resolves.toMatchObject({ contentLength: 5, provider: 'replicated' });
+      expect(provider.getReplicationStatus().readFallbacks).toBe(2);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('served by replicas[0]'));
+    });
+
+    test.each([
+      ['Azure 500', Object.assign(new Error('Internal error'), { statusCode: 500 })],
+      ['GCS 503', Object.assign(new Error('Backend error'), { code: 503 })],
+      ['connection reset', Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })],
+      ['SDK timeout', Object.assign(new Error('Request timed out'), { name: 'TimeoutError' })]
+    ])('should fail over on %s errors', async (label, cause) => {
+      const url = await upload();
+      jest.spyOn(primary, 'getFileMetadata').mockRejectedValue(new Error(`Metadata fetch failed: ${cause.message}`, { cause }));
+
+      await expect(provider.getFileMetadata(url)).resolves.toMatchObject({ contentLength: 5 });
+    });
+
+    test('should fail over when the primary does not answer in time', async () => {
+      const url = await upload();
+      jest.spyOn(primary, 'generateDownloadUrl').mockReturnValue(new Promise(() => {}));
+
+      await expect(provider.generateDownloadUrl(url)).resolves.toMatchObject({ fileName: 'a.txt' });
+      expect(provider.getReplicationStatus().primary.circuit.failures).toBe(1);
+    });
+
+    test('should not fail over on errors caused by the request', async () => {
+      const url = await upload();
+      jest.spyOn(primary, 'getFileMetadata').mockRejectedValue(Object.assign(new Error('AccessDenied'), { statusCode: 403 }));
+
+      await expect(provider.getFileMetadata(url)).rejects.toThrow('AccessDenied');
+      await primary.deleteFile(url);
+      primary.getFileMetadata.mockRestore();
+      await expect(provider.getFileMetadata(url)).rejects.toThrow('File not found');
+      expect(provider.getReplicationStatus().readFallbacks).toBe(0);
+    });
+
+    test('should report files missing from the primary as missing', async () => {
+      await replica.uploadFile('claims', Buffer.from('x'), '', 'only-replica.txt');
+
+      await expect(provider.fileExists(primary.getFileUrl('claims', 'only-replica.txt'))).resolves.toBe(false);
+      expect(provider.getReplicationStatus().readFallbacks).toBe(0);
+    });
+
+    test('should throw the primary error when no replica can answer', async () => {
+      const url = primary.getFileUrl('claims', 'missing.txt');
+      jest.spyOn(primary, 'getFileMetadata').mockRejectedValue(unavailable());
+
+      await expect(provider.getFileMetadata(url)).rejects.toThrow('S3 metadata fetch failed: Service Unavailable');
+    });
+
+    test('should stop calling the primary once its circuit opens', async () => {
+      const url = await upload();
+      const getFileMetadata = jest.spyOn(primary, 'getFileMetadata').mockRejectedValue(unavailable());
+
+      await provider.getFileMetadata(url);
+      await provider.getFileMetadata(url);
+      await provider.getFileMetadata(url);
+
+      expect(getFileMetadata).toHaveBeenCalledTimes(2);
+      expect(provider.getReplicationStatus().primary).toMatchObject({ provider: 'memory', circuit: { state: 'open', failures: 2 } });
+      expect(provider.getReplicationStatus().readFallbacks).toBe(3);
+    });
+
+    test('should try the primary again after the reset timeout and close the circuit when it recovers', async () => {
+      const url = await upload();
+      const getFileMetadata = jest.spyOn(primary, 'getFileMetadata')
+        .mockRejectedValueOnce(unavailable())
+        .mockRejectedValueOnce(unavailable());
+      await provider.getFileMetadata(url);
+      await provider.getFileMetadata(url);
+
+      provider.primaryBreaker.openedAt -= 30000;
+      await provider.getFileMetadata(url);
+
+      expect(getFileMetadata).toHaveBeenCalledTimes(3);
+      expect(provider.getReplicationStatus().primary.circuit.state).toBe('closed');
+      expect(provider.getReplicationStatus().readFallbacks).toBe(2);
+    });
+
+    test('should explain the failure when the primary circuit is open and no replica has the file', async () => {
+      jest.spyOn(primary, 'getFileMetadata').mockRejectedValue(unavailable());
+      const url = primary.getFileUrl('claims', 'missing.txt');
+      await expect(provider.getFileMetadata(url)).rejects.toThrow('Service Unavailable');
+      await expect(provider.getFileMetadata(url)).rejects.toThrow('Service Unavailable');
+
+      await expect(provider.getFileMetadata(url))
+        .rejects.toThrow('Primary storage (memory) is unavailable: circuit open after repeated failures');
+    });
+
+    test('should skip replicas whose circuit is open', async () => {
+      const url = await upload();
+      jest.spyOn(primary, 'getFileMetadata').mockRejectedValue(unavailable());
+      const replicaRead = jest.spyOn(replica, 'getFileMetadata').mockRejectedValue(unavailable());
+      await expect(provider.getFileMetadata(url)).rejects.toThrow('Service Unavailable');
+      await expect(provider.getFileMetadata(url)).rejects.toThrow('Service Unavailable');
+
+      await expect(provider.getFileMetadata(url)).rejects.toThrow('circuit open');
+
+      expect(replicaRead).toHaveBeenCalledTimes(2);
+      expect(provider.getReplicationStatus().replicas[0].circuit.state).toBe('open');
+    });
+  });
+
+  describe('healthCheck', () => {
+    test('should only check the primary', async () => {
+      jest.spyOn(replica, 'healthCheck').mockRejectedValue(new Error('down'));
+      jest.spyOn(primary, 'healthCheck').mockResolvedValue(true);
+
+      await expect(provider.healthCheck()).resolves.toBe(true);
+    });
+  });
+
+  describe('close', () => {
+    test('should log queued writes that are dropped and stop replicating', async () => {
+      await upload();
+
+      await provider.close();
+      await provider.processQueue();
+
+      expect(console.error).toHaveBeenCalledWith('Dropping 1 queued write(s) for replicas[0] (memory)');
+      expect(replica.files.size).toBe(0);
+      expect(provider.getReplicationStatus().replicas[0].dropped).toBe(1);
+    });
+  });
+
+  describe('queueFile', () => {
+    let tmpDir;
+    let queueFile;
+
+    // The primary has to outlive the provider, as it would across a restart
+    const createPersistentProvider = (options = {}) => createProvider({
+      primary: { provider: 'local', rootDir: path.join(tmpDir, 'primary') },
+      queueFile,
+      ...options
+    });
+
+    const savedQueue = () => JSON.parse(fs.readFileSync(queueFile, 'utf8'));
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replication-queue-'));
+      queueFile = path.join(tmpDir, 'queue', 'claims.json');
+    });
+
+    afterEach(async () => {
+      // Closing saves the queue, so it has to happen before the directory is removed
+      await provider.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should save queued writes without their contents as they change', async () => {
+      createPersistentProvider({ retryDelayMs: 60000 });
+      await provider.resumeQueue();
+      const replicaUpload = jest.spyOn(replica, 'uploadFile').mockRejectedValue(new Error('Service unavailable'));
+      const url = await upload();
+      await provider.deleteFile(url);
+
+      await provider.processQueue();
+      await provider.persistQueue();
+
+      expect(savedQueue()).toEqual({
+        replicas: {
+          'replicas[0]': [
+            expect.objectContaining({ operation: 'upload', bucketName: 'claims', key: 'docs/a.txt', access: 'private' }),
+            expect.objectContaining({ operation: 'delete', bucketName: 'claims', key: 'docs/a.txt' })
+          ]
+        }
+      });
+      expect(savedQueue().replicas['replicas[0]'][0]).not.toHaveProperty('fileData');
+
+      replicaUpload.mockRestore();
+      provider.replicas[0].pending[0].nextAttemptAt = Date.now();
+      await provider.processQueue();
+      await provider.persistQueue();
+
+      expect(savedQueue()).toEqual({ replicas: { 'replicas[0]': [] } });
+    });
+
+    test('should keep queued writes across a restart and copy them from the primary', async () => {
+      createPersistentProvider();
+      await provider.resumeQueue();
+      await upload('a.txt', 'hello');
+      await provider.close();
+
+      expect(console.warn).toHaveBeenCalledWith(`Saved 1 queued write(s) for replicas[0] to ${queueFile}`);
+      expect(provider.getReplicationStatus().replicas[0].dropped).toBe(0);
+
+      createPersistentProvider();
+      await provider.resumeQueue();
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 1, queuedBytes: 0 });
+
+      await provider.processQueue();
+
+      expect((await replica.getFileContent('claims', 'docs/a.txt')).toString()).toBe('hello');
+      expect(provider.getReplicationStatus().replicas[0]).toMatchObject({ pending: 0, replicated: 1 });
+    });
+
+    test('should ignore saved writes for replicas that are no longer configured', async () => {
+      fs.mkdirSync(path.dirname(queueFile), { recursive: true });
+      fs.writeFileSync(queueFile, JSON.stringify({ replicas: { 'replicas[3]': [{ operation: 'delete', bucketName: 'claims', key: 'a' }] } }));
+
+      createPersistentProvider();
+      await provider.resumeQueue();
+
+      expect(provider.getReplicationStatus().replicas[0].pending).toBe(0);
+      expect(console.error).toHaveBeenCalledWith('Ignoring 1 saved write(s) for replicas[3], which is no longer configured');
+    });
+
+    test('should leave queueFile alone until resumeQueue is called', async () => {
+      fs.mkdirSync(path.dirname(queueFile), { recursive: true });
+      const saved = JSON.stringify({ replicas: { 'replicas[0]': [{ operation: 'delete', bucketName: 'claims', key: 'docs/b.txt' }] } });
+      fs.writeFileSync(queueFile, saved);
+
+      // e.g. an instance the startup check creates from the same configuration
+      createPersistentProvider({ retryDelayMs: 60000 });
+      jest.spyOn(replica, 'uploadFile').mockRejectedValue(new Error('Service unavailable'));
+      await upload();
+      await provider.processQueue();
+      await provider.close();
+
+      expect(fs.readFileSync(queueFile, 'utf8')).toBe(saved);
+      expect(console.error).toHaveBeenCalledWith('Dropping 1 queued write(s) for replicas[0] (memory)');
+    });
+
+    test('should resume the writes of the instance it replaces once that one was closed, ahead of its own', async () => {
+      const previous = createPersistentProvider({ retryDelayMs: 60000 });
+      await previous.resumeQueue();
+      jest.spyOn(replica, 'uploadFile').mockRejectedValue(new Error('Service unavailable'));
+      await upload('a.txt');
+      await previous.processQueue();
+
+      createPersistentProvider({ retryDelayMs: 60000 });
+      jest.spyOn(replica, 'uploadFile').mockRejectedValue(new Error('Service unavailable'));
+      jest.spyOn(replica, 'uploadStream').mockRejectedValue(new Error('Service unavailable'));
+      const resumed = provider.resumeQueue(previous);
+      await upload('c.txt');
+      // A request still running on the old instance
+      await previous.uploadFile('claims', Buffer.from('late'), 'docs', 'b.txt', {}, 'private');
+      await previous.close();
+      await resumed;
+      await provider.processQueue();
+      await provider.persistQueue();
+
+      expect(provider.replicas[0].pending.map(({ key }) => key)).toEqual(['docs/a.txt', 'docs/b.txt', 'docs/c.txt']);
+      expect(savedQueue().replicas['replicas[0]']).toHaveLength(3);
+    });
+  });
+
+  describe('validateConfig', () => {
+    test('should accept a valid configuration', () => {
+      expect(ReplicatedStorageProvider.validateConfig({
+        mode: 'sync',
+        primary: { provider: 'memory' },
+        replicas: [{ provider: 'local', rootDir: '/data' }]
+      })).toEqual([]);
+    });
+
+    test('should validate the backends and replication settings', () => {
+      expect(ReplicatedStorageProvider.validateConfig({
+        primary: { provider: 's3', region: 'ap-south-1' },
+        replicas: [{ provider: 'replicated' }, {}],
+        mode: 'eventual',
+        maxAttempts: 0,
+        maxQueueSize: 'lots',
+        maxQueueBytes: -5,
+        retryDelayMs: -1,
+        readTimeoutMs: 'soon',
+        queueFile: 42
+      })).toEqual([
+        'primary: accessKeyId is required for provider \'s3\'',
+        'primary: secretAccessKey is required for provider \'s3\'',
+        'primary: bucketName is required for provider \'s3\'',
+        'replicas[0] cannot itself be replicated',
+        'replicas[1].provider is required',
+        'mode must be one of: sync, async',
+        'maxAttempts must be a positive integer',
+        'maxQueueSize must be a positive integer',
+        'maxQueueBytes must be a positive integer',
+        'readTimeoutMs must be a positive integer',
+        'retryDelayMs must be a number of milliseconds',
+        'queueFile must be a file path'
+      ]);
+    });
+
+    test('should require replicas', () => {
+      expect(ReplicatedStorageProvider.validateConfig({ primary: { provider: 'memory' } }))
+        .toEqual(["replicas must list at least one provider for provider 'replicated'"]);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const {
+  hashBody,
+  hashFields,
+  buildCanonicalRequest,
+  signRequest,
+  verifySignature,
+  captureRawBody,
+  NonceCache
+} = require('../utils/requestSignature');
+
+describe('requestSignature', () => {
+  describe('hashBody', () => {
+    test('should hash missing bodies as empty', () => {
+      expect(hashBody(undefined)).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    });
+
+    test('should hash buffers', () => {
+      expect(hashBody(Buffer.from('abc'))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+  });
+
+  describe('hashFields', () => {
+    test('should hash the URI-encoded fields sorted by name', () => {
+      const expected = crypto.createHash('sha256').update('access=public&bucketName=kyc&prefix=a%2Fb%20c').digest('hex');
+
+      expect(hashFields({ prefix: 'a/b c', bucketName: 'kyc', access: 'public' })).toBe(expected);
+      expect(hashFields({})).toBe(hashBody(Buffer.alloc(0)));
+    });
+
+    test('should refuse fields that are not plain strings', () => {
+      expect(hashFields({ bucketName: ['kyc', 'other'] })).toBeNull();
+      expect(hashFields({ metadata: { owner: 'x' } })).toBeNull();
+    });
+  });
+
+  describe('buildCanonicalRequest', () => {
+    test('should join the parts with newlines and upper-case the method', () => {
+      expect(buildCanonicalRequest({
+        method: 'post',
+        path: '/api/files/upload-file',
+        timestamp: '1700000000',
+        nonce: 'abc',
+        bodyHash: 'hash'
+      })).toBe('POST\n/api/files/upload-file\n1700000000\nabc\nhash');
+    });
+
+    test('should add the fields hash as a sixth line', () => {
+      expect(buildCanonicalRequest({
+        method: 'POST',
+        path: '/api/files/upload-file',
+        timestamp: '1700000000',
+        nonce: 'abc',
+        bodyHash: 'hash',
+        fieldsHash: 'fields'
+      })).toBe('POST\n/api/files/upload-file\n1700000000\nabc\nhash\nfields');
+    });
+  });
+
+  describe('verifySignature', () => {
+    const canonical = 'POST\n/api/files/exists\n1700000000\nabc\nhash';
+
+    test('should accept a signature made with the same secret', () => {
+      expect(verifySignature('secret', canonical, signRequest('secret', canonical))).toBe(true);
+    });
+
+    test('should reject a signature made with another secret', () => {
+      expect(verifySignature('secret', canonical, signRequest('other', canonical))).toBe(false);
+    });
+
+    test('should reject malformed signatures', () => {
+      expect(verifySignature('secret', canonical, 'not-hex')).toBe(false);
+      expect(verifySignature('secret', canonical, undefined)).toBe(false);
+      expect(verifySignature(undefined, canonical, signRequest('secret', canonical))).toBe(false);
+    });
+  });
+
+  describe('captureRawBody', () => {
+    test('should store the raw body on the request', () => {
+      const req = {};
+      const buf = Buffer.from('{"a":1}');
+      captureRawBody(req, {}, buf);
+      expect(req.rawBody).toBe(buf);
+    });
+  });
+
+  describe('NonceCache', () => {
+    test('should reject a nonce seen within the TTL', () => {
+      const cache = new NonceCache(1000);
+      expect(cache.add('n1', 0)).toBe(true);
+      expect(cache.add('n1', 500)).toBe(false);
+    });
+
+    test('should forget nonces after the TTL', () => {
+      const cache = new NonceCache(1000);
+      cache.add('n1', 0);
+      cache.add('n2', 800);
+
+      expect(cache.add('n1', 1000)).toBe(true);
+      expect(cache.entries.has('n2')).toBe(true);
+    });
+  });
+});
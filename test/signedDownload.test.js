@@ -0,0 +1,34 @@
+const { signDownload, verifyDownloadSignature } = require('../utils/signedDownload');
+
+describe('signedDownload', () => {
+  const secret = 'test-secret';
+  const resource = 'kyc-docs/2024/file.pdf';
+  const now = Date.UTC(2026, 9, 18);
+  const expires = Math.floor(now / 1000) + 300;
+
+  test('should verify a signature it produced', () => {
+    const signature = signDownload(secret, resource, expires);
+
+    expect(signature).toMatch(/^[a-f0-9]{64}$/);
+    expect(verifyDownloadSignature(secret, resource, String(expires), signature, now)).toBe(true);
+  });
+
+  test('should reject expired links', () => {
+    const signature = signDownload(secret, resource, expires);
+
+    expect(verifyDownloadSignature(secret, resource, expires, signature, (expires + 1) * 1000)).toBe(false);
+  });
+
+  test('should reject a signature for another file or expiry', () => {
+    const signature = signDownload(secret, resource, expires);
+
+    expect(verifyDownloadSignature(secret, 'kyc-docs/other.pdf', expires, signature, now)).toBe(false);
+    expect(verifyDownloadSignature(secret, resource, expires + 60, signature, now)).toBe(false);
+  });
+
+  test('should reject malformed input', () => {
+    expect(verifyDownloadSignature(secret, resource, 'soon', 'a'.repeat(64), now)).toBe(false);
+    expect(verifyDownloadSignature(secret, resource, expires, 'not-hex', now)).toBe(false);
+    expect(verifyDownloadSignature(secret, resource, expires, undefined, now)).toBe(false);
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('@aws-sdk/client-s3', () => {
+  const { FakeS3Client } = require('./support/fake-s3-client');
+  return { ...jest.requireActual('@aws-sdk/client-s3'), S3Client: FakeS3Client };
+});
+jest.mock('@azure/storage-blob', () => {
+  const { FakeBlobServiceClient } = require('./support/fake-blob-service-client');
+  return { ...jest.requireActual('@azure/storage-blob'), BlobServiceClient: FakeBlobServiceClient };
+});
+
+const { migrateFiles } = require('../service/storage-migrator');
+const MemoryStorageProvider = require('../providers/memory-storage-provider');
+const AWSS3StorageProvider = require('../providers/aws-s3-provider');
+const AzureStorageProvider = require('../providers/azure-storage-provider');
+
+describe('migrateFiles', () => {
+  let source;
+  let target;
+  let dir;
+  let checkpointFile;
+
+  const seed = async () => {
+    await source.uploadFile('claims', Buffer.from('first'), '2024', 'a.pdf', { contentType: 'application/pdf', userId: 42 }, 'private');
+    await source.uploadFile('claims', Buffer.from('second'), '2024/q2', 'b.txt', { contentType: 'text/plain' }, 'public');
+    await source.uploadFile('claims', Buffer.from('other'), '2023', 'c.txt', {}, 'private');
+  };
+
+  beforeEach(async () => {
+    source = new MemoryStorageProvider();
+    target = new MemoryStorageProvider();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-migrator-'));
+    checkpointFile = path.join(dir, 'checkpoint.json');
+    await seed();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should copy every file under the prefix with metadata, access and content type', async () => {
+    const result = await migrateFiles({ source, target, bucketName: 'claims', prefix: '2024', checkpointFile });
+
+    expect(result).toMatchObject({ total: 2, copied: 2, skipped: 0, failed: [] });
+    await expect(target.listFiles('claims')).resolves.toEqual(['2024/a.pdf', '2024/q2/b.txt']);
+
+    const copied = await target.getFileMetadata(target.getFileUrl('claims', '2024/a.pdf'));
+    expect(copied.contentType).toBe('application/pdf');
+    expect(copied.metadata).toMatchObject({ userId: '42', access: 'private', provider: 'memory' });
+    expect(copied.metadata.originalUploadedAt).toEqual(expect.any(String));
+    await expect(target.generateDownloadUrl(target.getFileUrl('claims', '2024/q2/b.txt')))
+      .resolves.toMatchObject({ isPublic: true });
+  });
+
+  test('should return old URL to new URL mappings', async () => {
+    target = new MemoryStorageProvider();
+    jest.spyOn(target, 'getFileUrl').mockImplementation((bucketName, key) => `memory://${bucketName}-new/${key}`);
+
+    const { mapping } = await migrateFiles({ source, target, bucketName: 'claims', prefix: '2023' });
+
+    expect(mapping).toEqual({ 'memory://claims/2023/c.txt': 'memory://claims-new/2023/c.txt' });
+  });
+
+  test('should copy into a different target bucket', async () => {
+    await migrateFiles({ source, target, bucketName: 'claims', prefix: '2023', targetBucketName: 'archive' });
+
+    await expect(target.listFiles('archive')).resolves.toEqual(['2023/c.txt']);
+  });
+
+  test('should record failures and keep going', async () => {
+    jest.spyOn(target, 'uploadFile').mockRejectedValueOnce(new Error('Azure upload failed: AuthorizationFailure'));
+
+    const result = await migrateFiles({ source, target, bucketName: 'claims', checkpointFile });
+
+    expect(result.copied).toBe(2);
+    expect(result.failed).toEqual([{ key: '2023/c.txt', error: 'Azure upload failed: AuthorizationFailure' }]);
+    expect(JSON.parse(fs.readFileSync(checkpointFile, 'utf8')).failed).toEqual({
+      '2023/c.txt': 'Azure upload failed: AuthorizationFailure'
+    });
+  });
+
+  test('should fail files whose copy does not match the source checksum', async () => {
+    jest.spyOn(target, 'getFileContent').mockResolvedValue(Buffer.from('corrupted'));
+
+    const result = await migrateFiles({ source, target, bucketName: 'claims', prefix: '2023' });
+
+    expect(result.failed[0].error).toMatch(/^Checksum mismatch after copy \(source sha256 [a-f0-9]{64}, target sha256 [a-f0-9]{64}\)$/);
+  });
+
+  test('should resume from the checkpoint, skipping copied files and retrying failed ones', async () => {
+    jest.spyOn(target, 'uploadFile').mockRejectedValueOnce(new Error('Service unavailable'));
+    await migrateFiles({ source, target, bucketName: 'claims', checkpointFile });
+    target.uploadFile.mockClear();
+
+    const progress = [];
+    const result = await migrateFiles({
+      source,
+      target,
+      bucketName: 'claims',
+      checkpointFile,
+      onProgress: ({ key, status }) => progress.push(`${status} ${key}`)
+    });
+
+    expect(result).toMatchObject({ total: 3, copied: 1, skipped: 2, failed: [] });
+    expect(progress).toEqual(['copied 2023/c.txt', 'skipped 2024/a.pdf', 'skipped 2024/q2/b.txt']);
+    expect(target.uploadFile).toHaveBeenCalledTimes(1);
+    expect(Object.keys(result.mapping)).toHaveLength(3);
+    expect(JSON.parse(fs.readFileSync(checkpointFile, 'utf8')).failed).toEqual({});
+  });
+
+  test('should refuse a checkpoint from a different migration', async () => {
+    await migrateFiles({ source, target, bucketName: 'claims', prefix: '2023', checkpointFile });
+
+    await expect(migrateFiles({ source, target, bucketName: 'claims', prefix: '2024', checkpointFile }))
+      .rejects.toThrow(`Checkpoint ${checkpointFile} belongs to a different migration (prefix differs)`);
+  });
+
+  test('should move files from S3 to Azure', async () => {
+    source = new AWSS3StorageProvider({
+      accessKeyId: 'test-access-key',
+      secretAccessKey: 'test-secret-key',
+      region: 'ap-south-1',
+      bucketName: 'onedigital-prod'
+    });
+    target = new AzureStorageProvider({
+      connectionString: 'DefaultEndpointsProtocol=https;AccountName=onedigitaldr;AccountKey=dGVzdC1rZXk=;EndpointSuffix=core.windows.net'
+    });
+    await source.uploadFile('claims', Buffer.from('%PDF'), '2024', 'a.pdf', { contentType: 'application/pdf', userId: 42 }, 'private');
+
+    const result = await migrateFiles({ source, target, bucketName: 'claims' });
+
+    expect(result.mapping).toEqual({
+      'https://onedigital-prod.s3.ap-south-1.amazonaws.com/claims/2024/a.pdf':
+        'https://onedigitaldr.blob.core.windows.net/claims/2024/a.pdf'
+    });
+    const copied = await target.getFileMetadata('https://onedigitaldr.blob.core.windows.net/claims/2024/a.pdf');
+    expect(copied.contentType).toBe('application/pdf');
+    // S3 returns metadata keys in lower case
+    expect(copied.metadata).toMatchObject({ userid: '42', access: 'private', provider: 'azure' });
+  });
+});
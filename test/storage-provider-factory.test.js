@@ -3,9 +3,14 @@ const StorageProviderFactory = require('../providers/storage-provider-factory');
 // Mock the provider classes
 jest.mock('../providers/azure-storage-provider');
 jest.mock('../providers/aws-s3-provider');
+jest.mock('../providers/gcs-storage-provider');
 
 const AzureStorageProvider = require('../providers/azure-storage-provider');
 const AWSS3StorageProvider = require('../providers/aws-s3-provider');
+const GCSStorageProvider = require('../providers/gcs-storage-provider');
+const LocalStorageProvider = require('../providers/local-storage-provider');
+const ReplicatedStorageProvider = require('../providers/replicated-storage-provider');
+const SFTPStorageProvider = require('../providers/sftp-storage-provider');
 
 describe('StorageProviderFactory', () => {
   beforeEach(() => {
@@ -49,6 +54,49 @@ describe('StorageProviderFactory', () => {
       expect(provider).toBe(mockProvider);
     });
 
+    test('should create GCS provider for "gcs" type', () => {
+      const mockConfig = { projectId: 'test-project', bucketName: 'test-bucket' };
+      const mockProvider = { getProviderName: () => 'gcs' };
+
+      GCSStorageProvider.mockImplementation(() => mockProvider);
+
+      const provider = StorageProviderFactory.createProvider('gcs', mockConfig);
+
+      expect(GCSStorageProvider).toHaveBeenCalledWith(mockConfig);
+      expect(provider).toBe(mockProvider);
+    });
+
+    test('should create local provider for "local" type', () => {
+      const provider = StorageProviderFactory.createProvider('local', { rootDir: '/tmp/file-service' });
+
+      expect(provider).toBeInstanceOf(LocalStorageProvider);
+      expect(provider.getProviderName()).toBe('local');
+    });
+
+    test('should create SFTP provider for "sftp" type', () => {
+      const provider = StorageProviderFactory.createProvider('sftp', {
+        host: 'sftp.partner.example',
+        username: 'brokerage',
+        password: 'secret',
+        insecureSkipHostKeyCheck: true,
+        baseUrl: 'http://localhost:3000/api/stream/brokerage/uat'
+      });
+
+      expect(provider).toBeInstanceOf(SFTPStorageProvider);
+      expect(provider.getProviderName()).toBe('sftp');
+    });
+
+    test('should create replicated provider for "replicated" type', () => {
+      const provider = StorageProviderFactory.createProvider('replicated', {
+        primary: { provider: 'local', rootDir: '/tmp/primary' },
+        replicas: [{ provider: 'memory' }]
+      });
+
+      expect(provider).toBeInstanceOf(ReplicatedStorageProvider);
+      expect(provider.primary).toBeInstanceOf(LocalStorageProvider);
+      expect(provider.getProviderName()).toBe('replicated');
+    });
+
     test('should handle case-insensitive provider type', () => {
       const mockConfig = { connectionString: 'test-connection' };
       const mockProvider = { getProviderName: () => 'azure' };
@@ -69,5 +117,18 @@ describe('StorageProviderFactory', () => {
       }).toThrow('Unsupported storage provider: unsupported');
     });
   });
-});
 
+  describe('validateConfig', () => {
+    test('should delegate to the provider class', () => {
+      const mockConfig = { region: 'ap-south-1' };
+      AWSS3StorageProvider.validateConfig = jest.fn().mockReturnValue(['bucketName is required']);
+
+      expect(StorageProviderFactory.validateConfig('s3', mockConfig)).toEqual(['bucketName is required']);
+      expect(AWSS3StorageProvider.validateConfig).toHaveBeenCalledWith(mockConfig);
+    });
+
+    test('should report unsupported provider types', () => {
+      expect(StorageProviderFactory.validateConfig('ftp', {})).toEqual(['Unsupported storage provider: ftp']);
+    });
+  });
+});
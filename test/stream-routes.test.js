@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../service/multi-tenant-storage-service.js');
+
+const storageService = require('../service/multi-tenant-storage-service.js');
+const LocalStorageProvider = require('../providers/local-storage-provider');
+const { signDownload } = require('../utils/signedDownload');
+const streamRoutes = require('../routes/stream-routes.js');
+
+describe('Stream Routes', () => {
+  let app;
+  let rootDir;
+  let provider;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-routes-'));
+    provider = new LocalStorageProvider({
+      rootDir,
+      baseUrl: 'http://localhost:3000/api/stream/acme/uat',
+      signingSecret: 'test-secret'
+    });
+    storageService.withProvider.mockImplementation((platformId, environment, operation) => operation(provider));
+
+    app = express();
+    app.use('/api/stream', streamRoutes);
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  test('should serve public files without a signature', async () => {
+    await provider.uploadFile('kyc-docs', Buffer.from('hello'), 'docs', 'file.txt', { contentType: 'text/plain' }, 'public');
+
+    const response = await request(app).get('/api/stream/acme/uat/kyc-docs/docs/file.txt');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('hello');
+    expect(response.headers['content-type']).toContain('text/plain');
+    expect(storageService.withProvider).toHaveBeenCalledWith('acme', 'uat', expect.any(Function));
+  });
+
+  test('should serve private files with a signed link', async () => {
+    const url = await provider.uploadFile('kyc-docs', Buffer.from('secret'), 'docs', 'file.txt');
+    const { downloadUrl } = await provider.generateDownloadUrl(url);
+
+    const response = await request(app).get(downloadUrl.replace('http://localhost:3000', ''));
+
+    expect(response.status).toBe(200);
+    expect(response.body.toString()).toBe('secret');
+  });
+
+  test('should refuse private files without a valid signature', async () => {
+    await provider.uploadFile('kyc-docs', Buffer.from('secret'), 'docs', 'file.txt');
+
+    const response = await request(app)
+      .get('/api/stream/acme/uat/kyc-docs/docs/file.txt')
+      .query({ expires: Math.floor(Date.now() / 1000) + 60, signature: 'a'.repeat(64) });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Download link is invalid or has expired');
+  });
+
+  test('should not reveal whether an unsigned file exists', async () => {
+    const response = await request(app).get('/api/stream/acme/uat/kyc-docs/missing.txt');
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should return 404 for missing files with a valid signature', async () => {
+    const expires = Math.floor(Date.now() / 1000) + 60;
+    const signature = signDownload('test-secret', 'kyc-docs/missing.txt', expires);
+
+    const response = await request(app)
+      .get('/api/stream/acme/uat/kyc-docs/missing.txt')
+      .query({ expires, signature });
+
+    expect(response.status).toBe(404);
+  });
+
+  test('should return 404 for unknown platforms', async () => {
+    storageService.withProvider.mockRejectedValue(new Error("Platform 'unknown' not found"));
+
+    const response = await request(app).get('/api/stream/unknown/uat/kyc-docs/file.txt');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe("Platform 'unknown' not found");
+  });
+
+  test('should return 404 for providers without streaming support', async () => {
+    storageService.withProvider.mockImplementation((platformId, environment, operation) =>
+      operation({ getProviderName: () => 's3' })
+    );
+
+    const response = await request(app).get('/api/stream/acme/prod/kyc-docs/file.txt');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe("Streaming downloads are not supported by provider 's3'");
+  });
+});
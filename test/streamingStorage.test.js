@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const express = require('express');
+const multer = require('multer');
+const request = require('supertest');
+const { StreamingStorage, measureStream, hashStream, spoolToFile } = require('../utils/streamingStorage');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+describe('measureStream', () => {
+  test('should pass the bytes through and report their size and hash', async () => {
+    const source = new PassThrough();
+    const measured = measureStream(source);
+    source.end('file content');
+
+    await expect(readAll(measured.stream)).resolves.toEqual(Buffer.from('file content'));
+    await expect(measured.digest()).resolves.toEqual({ size: 12, sha256: sha256('file content') });
+  });
+
+  test('should count bytes the consumer did not read', async () => {
+    const source = new PassThrough();
+    const measured = measureStream(source);
+    source.end('file content');
+
+    await expect(measured.digest()).resolves.toEqual({ size: 12, sha256: sha256('file content') });
+  });
+
+  test('should error when the file goes over the size limit', async () => {
+    const source = new PassThrough();
+    const measured = measureStream(source);
+    source.write('partial');
+    source.emit('limit');
+
+    await expect(readAll(measured.stream)).rejects.toThrow('File exceeds the upload size limit');
+  });
+});
+
+describe('hashStream', () => {
+  test('should pass the bytes through and report their hash', async () => {
+    const source = new PassThrough();
+    const hashed = hashStream(source);
+    source.end('file content');
+
+    await expect(readAll(hashed.stream)).resolves.toEqual(Buffer.from('file content'));
+    expect(hashed.digest()).toBe(crypto.createHash('md5').update('file content').digest('hex'));
+  });
+
+  test('should forward source errors', async () => {
+    const source = new PassThrough();
+    const hashed = hashStream(source);
+    source.write('partial');
+    source.destroy(new Error('connection reset'));
+
+    await expect(readAll(hashed.stream)).rejects.toThrow('connection reset');
+  });
+});
+
+describe('spoolToFile', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaming-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should write the stream to a temporary file', async () => {
+    const source = new PassThrough();
+    source.end('file content');
+
+    const spooled = await spoolToFile(source, dir);
+
+    expect(spooled).toMatchObject({ size: 12, sha256: sha256('file content') });
+    expect(path.dirname(spooled.path)).toBe(dir);
+    expect(fs.readFileSync(spooled.path, 'utf8')).toBe('file content');
+  });
+
+  test('should remove the partial file when the size limit is hit', async () => {
+    const source = new PassThrough();
+    setImmediate(() => {
+      source.write('partial');
+      source.emit('limit');
+    });
+
+    await expect(spoolToFile(source, dir)).rejects.toThrow('File exceeds the upload size limit');
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
+
+describe('StreamingStorage', () => {
+  let stored;
+  let removed;
+  let app;
+
+  const createApp = (limits) => {
+    const storage = new StreamingStorage({
+      handleFile: async (req, file) => {
+        const content = await readAll(measureStream(file.stream).stream);
+        stored.push(file.originalname);
+        return { content: content.toString(), bucketName: req.body.bucketName };
+      },
+      removeFile: async (req, file) => {
+        removed.push(file.originalname);
+      }
+    });
+    const upload = multer({ storage, limits });
+
+    app = express();
+    app.post('/upload', upload.single('file'), (req, res) => res.json(req.file));
+    app.use((error, req, res, next) => res.status(400).json({ code: error.code, message: error.message }));
+  };
+
+  beforeEach(() => {
+    stored = [];
+    removed = [];
+    createApp({ fileSize: 16 });
+  });
+
+  test('should add what the handler resolves to req.file', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .field('bucketName', 'claims')
+      .attach('file', Buffer.from('file content'), 'a.txt');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ originalname: 'a.txt', content: 'file content', bucketName: 'claims' });
+  });
+
+  test('should fail the upload when the file goes over the size limit', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('file', Buffer.alloc(64, 'a'), 'big.txt');
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('LIMIT_FILE_SIZE');
+    expect(stored).toEqual([]);
+  });
+
+  test('should remove handled files when the request is rejected afterwards', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('file', Buffer.from('file content'), 'a.txt')
+      .attach('other', Buffer.from('other'), 'b.txt');
+
+    expect(response.body.code).toBe('LIMIT_UNEXPECTED_FILE');
+    expect(removed).toEqual(['a.txt']);
+  });
+
+  test('should pass handler errors to multer', async () => {
+    const storage = new StreamingStorage({
+      handleFile: async () => {
+        throw new Error('bucketName is required');
+      }
+    });
+    app = express();
+    app.post('/upload', multer({ storage }).single('file'), (req, res) => res.json(req.file));
+    app.use((error, req, res, next) => res.status(400).json({ message: error.message }));
+
+    const response = await request(app)
+      .post('/upload')
+      .attach('file', Buffer.from('file content'), 'a.txt');
+
+    expect(response.body).toEqual({ message: 'bucketName is required' });
+  });
+});
@@ -0,0 +1,244 @@
+// In-process stand-in for BlobServiceClient: keeps containers and blobs in memory and
+// answers the calls the Azure provider makes with the same shapes and errors as Azure
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const appendQuery = (url, query) => (query ? `${url}?${query}` : url);
+
+const restError = (statusCode, code) => {
+  return Object.assign(new Error(code), { name: 'RestError', statusCode, code });
+};
+
+class FakeBlockBlobClient {
+  constructor(container, name) {
+    this.container = container;
+    this.name = name;
+    this.url = appendQuery(`${container.baseUrl}/${name.split('/').map(encodeURIComponent).join('/')}`, container.service.sas);
+  }
+
+  async upload(data, length, { blobHTTPHeaders = {}, metadata = {} } = {}) {
+    this.container.service.checkFailure();
+    const body = Buffer.from(data);
+    this.container.blobs.set(this.name, {
+      body,
+      contentType: blobHTTPHeaders.blobContentType || 'application/octet-stream',
+      metadata: { ...metadata },
+      etag: `"0x${crypto.createHash('md5').update(body).digest('hex').slice(0, 16).toUpperCase()}"`,
+      lastModified: new Date()
+    });
+    return {};
+  }
+
+  async uploadStream(stream, bufferSize, maxConcurrency, options) {
+    // Like Azure, nothing is committed unless the whole stream was read
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(Buffer.from(chunk));
+    }
+    const body = Buffer.concat(chunks);
+    return this.upload(body, body.length, options);
+  }
+
+  async stageBlock(blockId, data, length) {
+    this.container.service.checkFailure();
+    if (!this.container.stagedBlocks.has(this.name)) {
+      this.container.stagedBlocks.set(this.name, new Map());
+    }
+    this.container.stagedBlocks.get(this.name).set(blockId, Buffer.from(data).subarray(0, length));
+    return {};
+  }
+
+  async commitBlockList(blockIds, options) {
+    this.container.service.checkFailure();
+    const staged = this.container.stagedBlocks.get(this.name) || new Map();
+    const missing = blockIds.find(blockId => !staged.has(blockId));
+    if (missing) {
+      throw restError(400, 'InvalidBlockList');
+    }
+    const body = Buffer.concat(blockIds.map(blockId => staged.get(blockId)));
+    // Committing discards the blocks that were not listed
+    this.container.stagedBlocks.delete(this.name);
+    return this.upload(body, body.length, options);
+  }
+
+  async exists() {
+    this.container.service.checkFailure();
+    return this.container.blobs.has(this.name);
+  }
+
+  async setHTTPHeaders({ blobContentType } = {}) {
+    this.getBlob().contentType = blobContentType;
+    return {};
+  }
+
+  async setMetadata(metadata = {}) {
+    // Like Azure, replaces all existing metadata
+    this.getBlob().metadata = { ...metadata };
+    return {};
+  }
+
+  getBlob() {
+    this.container.service.checkFailure();
+    const blob = this.container.blobs.get(this.name);
+    if (!blob) {
+      throw restError(404, 'BlobNotFound');
+    }
+    return blob;
+  }
+
+  async getProperties() {
+    this.container.service.checkFailure();
+    const blob = this.container.blobs.get(this.name);
+    if (!blob) {
+      throw restError(404, 'BlobNotFound');
+    }
+    return {
+      contentType: blob.contentType,
+      contentLength: blob.body.length,
+      lastModified: blob.lastModified,
+      metadata: { ...blob.metadata },
+      etag: blob.etag
+    };
+  }
+
+  async download() {
+    const blob = this.getBlob();
+    return {
+      readableStreamBody: Readable.from([Buffer.from(blob.body)]),
+      contentType: blob.contentType,
+      contentLength: blob.body.length
+    };
+  }
+
+  async downloadToBuffer() {
+    this.container.service.checkFailure();
+    const blob = this.container.blobs.get(this.name);
+    if (!blob) {
+      throw restError(404, 'BlobNotFound');
+    }
+    return Buffer.from(blob.body);
+  }
+
+  async delete() {
+    this.container.service.checkFailure();
+    if (!this.container.blobs.delete(this.name)) {
+      throw restError(404, 'BlobNotFound');
+    }
+    return {};
+  }
+}
+
+class FakeContainerClient {
+  constructor(service, name) {
+    this.service = service;
+    this.name = name;
+    this.baseUrl = `${service.baseUrl}/${name}`;
+    this.url = appendQuery(this.baseUrl, service.sas);
+    this.created = false;
+    this.publicAccess = undefined;
+    this.blobs = new Map();
+    // Blob name -> uncommitted blocks (block id -> Buffer)
+    this.stagedBlocks = new Map();
+  }
+
+  async exists() {
+    this.service.checkFailure();
+    return this.created;
+  }
+
+  async create({ access } = {}) {
+    this.service.checkFailure();
+    if (this.created) {
+      throw restError(409, 'ContainerAlreadyExists');
+    }
+    this.created = true;
+    this.publicAccess = access === 'private' ? undefined : access;
+    return {};
+  }
+
+  async setAccessPolicy(access) {
+    this.service.checkFailure();
+    this.publicAccess = access;
+    return {};
+  }
+
+  async getProperties() {
+    this.service.checkFailure();
+    if (!this.created) {
+      throw restError(404, 'ContainerNotFound');
+    }
+    return { blobPublicAccess: this.publicAccess };
+  }
+
+  async *listBlobsFlat({ prefix = '' } = {}) {
+    this.service.checkFailure();
+    if (!this.created) {
+      throw restError(404, 'ContainerNotFound');
+    }
+    for (const name of [...this.blobs.keys()].filter(blobName => blobName.startsWith(prefix)).sort()) {
+      yield { name, properties: { contentLength: this.blobs.get(name).body.length } };
+    }
+  }
+
+  getBlockBlobClient(name) {
+    return new FakeBlockBlobClient(this, name);
+  }
+}
+
+class FakeBlobServiceClient {
+  constructor(url, credential, sas = '') {
+    this.baseUrl = url.replace(/\/+$/, '');
+    // Like the real client, SAS-only clients append the account SAS to every client URL
+    this.sas = sas;
+    this.url = appendQuery(this.baseUrl, sas);
+    this.containers = new Map();
+    // Set to an Error to make the next request fail (e.g. AuthorizationFailure)
+    this.failNextRequest = null;
+  }
+
+  static fromConnectionString(connectionString) {
+    // SAS-only connection strings name the endpoint instead of the account
+    const blobEndpoint = connectionString.match(/BlobEndpoint=([^;]+)/);
+    if (blobEndpoint) {
+      const sas = connectionString.match(/SharedAccessSignature=([^;]+)/);
+      return new FakeBlobServiceClient(blobEndpoint[1], undefined, sas ? sas[1] : '');
+    }
+    const accountName = connectionString.match(/AccountName=([^;]+)/)[1];
+    return new FakeBlobServiceClient(`https://${accountName}.blob.core.windows.net`);
+  }
+
+  checkFailure() {
+    if (this.failNextRequest) {
+      const error = this.failNextRequest;
+      this.failNextRequest = null;
+      throw error;
+    }
+  }
+
+  getContainerClient(name) {
+    if (!this.containers.has(name)) {
+      this.containers.set(name, new FakeContainerClient(this, name));
+    }
+    return this.containers.get(name);
+  }
+
+  async getProperties() {
+    this.checkFailure();
+    return {};
+  }
+
+  async getUserDelegationKey(startsOn, expiresOn) {
+    this.checkFailure();
+    return {
+      signedObjectId: '00000000-0000-0000-0000-000000000001',
+      signedTenantId: '00000000-0000-0000-0000-000000000002',
+      signedStartsOn: startsOn,
+      signedExpiresOn: expiresOn,
+      signedService: 'b',
+      signedVersion: '2021-06-08',
+      value: Buffer.from('user-delegation-key').toString('base64')
+    };
+  }
+}
+
+module.exports = { FakeBlobServiceClient };
@@ -0,0 +1,146 @@
+// In-process stand-in for Storage from @google-cloud/storage: keeps objects in memory and
+// answers the bucket/file calls the GCS provider makes with the same shapes and errors as GCS
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+
+const apiError = (code, message) => Object.assign(new Error(message), { name: 'ApiError', code });
+
+class FakeFile {
+  constructor(bucket, name) {
+    this.bucket = bucket;
+    this.name = name;
+  }
+
+  getObject() {
+    const object = this.bucket.objects.get(this.name);
+    if (!object) {
+      throw apiError(404, `No such object: ${this.bucket.name}/${this.name}`);
+    }
+    return object;
+  }
+
+  async save(data, { contentType, metadata = {}, predefinedAcl } = {}) {
+    this.bucket.storage.checkFailure();
+    const body = Buffer.from(data);
+    this.bucket.objects.set(this.name, {
+      body,
+      contentType: contentType || 'application/octet-stream',
+      metadata: { ...metadata.metadata },
+      acl: predefinedAcl || 'private',
+      etag: crypto.createHash('md5').update(body).digest('base64'),
+      updated: new Date().toISOString()
+    });
+  }
+
+  createWriteStream(options = {}) {
+    const chunks = [];
+    return new Writable({
+      write: (chunk, encoding, callback) => {
+        chunks.push(Buffer.from(chunk));
+        callback();
+      },
+      final: (callback) => {
+        this.save(Buffer.concat(chunks), options).then(() => callback(), callback);
+      }
+    });
+  }
+
+  createReadStream() {
+    this.bucket.storage.checkFailure();
+    return Readable.from([Buffer.from(this.getObject().body)]);
+  }
+
+  async getMetadata() {
+    this.bucket.storage.checkFailure();
+    const object = this.getObject();
+    // GCS reports sizes as strings
+    return [{
+      name: this.name,
+      bucket: this.bucket.name,
+      contentType: object.contentType,
+      size: String(object.body.length),
+      updated: object.updated,
+      etag: object.etag,
+      metadata: { ...object.metadata }
+    }];
+  }
+
+  async exists() {
+    this.bucket.storage.checkFailure();
+    return [this.bucket.objects.has(this.name)];
+  }
+
+  async download() {
+    this.bucket.storage.checkFailure();
+    return [Buffer.from(this.getObject().body)];
+  }
+
+  async delete() {
+    this.bucket.storage.checkFailure();
+    this.getObject();
+    this.bucket.objects.delete(this.name);
+    return [{}];
+  }
+
+  async getSignedUrl({ version, action, expires }) {
+    const seconds = Math.round((new Date(expires).getTime() - Date.now()) / 1000);
+    return [`https://storage.googleapis.com/${this.bucket.name}/${this.name}?X-Goog-Algorithm=GOOG4-RSA-SHA256&X-Goog-Expires=${seconds}&X-Goog-Signature=stand-in-${version}-${action}`];
+  }
+}
+
+class FakeBucket {
+  constructor(storage, name) {
+    this.storage = storage;
+    this.name = name;
+    // object name -> { body, contentType, metadata, acl, etag, updated }
+    this.objects = new Map();
+    this.policy = { bindings: [] };
+    this.iam = {
+      getPolicy: async () => {
+        this.storage.checkFailure();
+        return [this.policy];
+      }
+    };
+  }
+
+  file(name) {
+    return new FakeFile(this, name);
+  }
+
+  async getFiles({ prefix = '' } = {}) {
+    this.storage.checkFailure();
+    const names = [...this.objects.keys()].filter(name => name.startsWith(prefix)).sort();
+    return [names.map(name => this.file(name))];
+  }
+
+  async getMetadata() {
+    this.storage.checkFailure();
+    return [{ name: this.name }];
+  }
+}
+
+class FakeStorage {
+  constructor(options = {}) {
+    this.options = options;
+    this.buckets = new Map();
+    // Set to an Error to make the next request fail (e.g. 403 Forbidden)
+    this.failNextRequest = null;
+  }
+
+  checkFailure() {
+    if (this.failNextRequest) {
+      const error = this.failNextRequest;
+      this.failNextRequest = null;
+      throw error;
+    }
+  }
+
+  bucket(name) {
+    if (!this.buckets.has(name)) {
+      this.buckets.set(name, new FakeBucket(this, name));
+    }
+    return this.buckets.get(name);
+  }
+}
+
+module.exports = { FakeStorage };
@@ -0,0 +1,200 @@
+// In-process stand-in for S3Client: keeps objects in memory and answers the commands
+// the S3 provider sends with the same shapes and errors as S3
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const ALL_USERS = 'http://acs.amazonaws.com/groups/global/AllUsers';
+
+const notFound = (name = 'NotFound') => {
+  return Object.assign(new Error(name), { name, $metadata: { httpStatusCode: 404 } });
+};
+
+class FakeS3Client {
+  constructor() {
+    // "<bucket>/<key>" -> { body, contentType, metadata, acl, etag, lastModified }
+    this.objects = new Map();
+    // UploadId -> { bucket, key, input, parts: Map<partNumber, Buffer> }
+    this.multipartUploads = new Map();
+    this.nextUploadId = 1;
+    // Set to an Error to make the next request fail (e.g. AccessDenied)
+    this.failNextRequest = null;
+    // The parts of the client configuration @aws-sdk/lib-storage reads
+    this.config = {
+      endpoint: async () => ({ protocol: 'https:', hostname: 's3.amazonaws.com', path: '/' }),
+      requestChecksumCalculation: async () => 'WHEN_REQUIRED',
+      forcePathStyle: false
+    };
+  }
+
+  putObject(bucket, key, body, input) {
+    // S3 returns user metadata keys in lower case
+    const metadata = Object.fromEntries(
+      Object.entries(input.Metadata || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    const object = {
+      body,
+      contentType: input.ContentType || 'binary/octet-stream',
+      metadata,
+      acl: input.ACL || 'private',
+      etag: `"${crypto.createHash('md5').update(body).digest('hex')}"`,
+      lastModified: new Date()
+    };
+    this.objects.set(`${bucket}/${key}`, object);
+    return object;
+  }
+
+  /**
+   * Store a browser form POST made with fakeCreatePresignedPost fields, enforcing the policy like S3
+   */
+  postObject(fields, body) {
+    const { conditions } = JSON.parse(Buffer.from(fields.Policy, 'base64').toString());
+    const violated = conditions.find(condition => {
+      if (Array.isArray(condition)) {
+        const [, min, max] = condition;
+        return body.length < min || body.length > max;
+      }
+      const [[name, value]] = Object.entries(condition);
+      return fields[name] !== value;
+    });
+    if (violated) {
+      throw Object.assign(new Error('AccessDenied'), { name: 'AccessDenied', $metadata: { httpStatusCode: 403 } });
+    }
+
+    const metadata = Object.fromEntries(Object.entries(fields)
+      .filter(([name]) => name.startsWith('x-amz-meta-'))
+      .map(([name, value]) => [name.slice('x-amz-meta-'.length), value]));
+    return this.putObject(fields.bucket, fields.key, body, { ContentType: fields['Content-Type'], ACL: fields.acl, Metadata: metadata });
+  }
+
+  getMultipartUpload(uploadId) {
+    const upload = this.multipartUploads.get(uploadId);
+    if (!upload) {
+      throw Object.assign(new Error('NoSuchUpload'), { name: 'NoSuchUpload', $metadata: { httpStatusCode: 404 } });
+    }
+    return upload;
+  }
+
+  getObject(bucket, key, errorName) {
+    const object = this.objects.get(`${bucket}/${key}`);
+    if (!object) {
+      throw notFound(errorName);
+    }
+    return object;
+  }
+
+  async send(command) {
+    if (this.failNextRequest) {
+      const error = this.failNextRequest;
+      this.failNextRequest = null;
+      throw error;
+    }
+
+    const { Bucket, Key } = command.input;
+
+    switch (command.constructor.name) {
+      case 'HeadBucketCommand':
+        return {};
+      case 'PutObjectCommand': {
+        const object = this.putObject(Bucket, Key, Buffer.from(command.input.Body), command.input);
+        return { ETag: object.etag };
+      }
+      case 'CreateMultipartUploadCommand': {
+        const uploadId = `upload-${this.nextUploadId++}`;
+        this.multipartUploads.set(uploadId, { bucket: Bucket, key: Key, input: command.input, parts: new Map() });
+        return { Bucket, Key, UploadId: uploadId };
+      }
+      case 'UploadPartCommand': {
+        const body = Buffer.from(command.input.Body);
+        this.getMultipartUpload(command.input.UploadId).parts.set(command.input.PartNumber, body);
+        return { ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"` };
+      }
+      case 'CompleteMultipartUploadCommand': {
+        const upload = this.getMultipartUpload(command.input.UploadId);
+        const body = Buffer.concat(command.input.MultipartUpload.Parts.map(({ PartNumber }) => upload.parts.get(PartNumber)));
+        const object = this.putObject(upload.bucket, upload.key, body, upload.input);
+        this.multipartUploads.delete(command.input.UploadId);
+        return { Bucket, Key, ETag: object.etag };
+      }
+      case 'AbortMultipartUploadCommand':
+        this.multipartUploads.delete(command.input.UploadId);
+        return {};
+      case 'HeadObjectCommand': {
+        const object = this.getObject(Bucket, Key);
+        return {
+          ContentType: object.contentType,
+          ContentLength: object.body.length,
+          LastModified: object.lastModified,
+          Metadata: { ...object.metadata },
+          ETag: object.etag
+        };
+      }
+      case 'GetObjectCommand': {
+        const object = this.getObject(Bucket, Key, 'NoSuchKey');
+        // The SDK's Body is a stream with helpers to collect it
+        const body = Object.assign(Readable.from([object.body]), {
+          transformToByteArray: async () => new Uint8Array(object.body)
+        });
+        return { Body: body, ContentType: object.contentType, ContentLength: object.body.length };
+      }
+      case 'ListObjectsV2Command': {
+        // Keys in lexicographic order, pages of MaxKeys (1000 by default) like S3
+        const maxKeys = command.input.MaxKeys || 1000;
+        const keys = [...this.objects.keys()]
+          .filter(name => name.startsWith(`${Bucket}/${command.input.Prefix || ''}`))
+          .map(name => name.substring(Bucket.length + 1))
+          .sort();
+        const start = command.input.ContinuationToken ? Number(command.input.ContinuationToken) : 0;
+        const page = keys.slice(start, start + maxKeys);
+        const truncated = start + maxKeys < keys.length;
+
+        return {
+          Contents: page.map(name => ({ Key: name, Size: this.objects.get(`${Bucket}/${name}`).body.length })),
+          KeyCount: page.length,
+          IsTruncated: truncated,
+          ...(truncated ? { NextContinuationToken: String(start + maxKeys) } : {})
+        };
+      }
+      case 'GetObjectAclCommand': {
+        const object = this.getObject(Bucket, Key, 'NoSuchKey');
+        return {
+          Grants: object.acl === 'public-read' ? [{ Grantee: { URI: ALL_USERS }, Permission: 'READ' }] : []
+        };
+      }
+      case 'GetBucketAclCommand':
+        return { Grants: [] };
+      case 'DeleteObjectCommand':
+        // S3 deletes are idempotent
+        this.objects.delete(`${Bucket}/${Key}`);
+        return {};
+      default:
+        throw new Error(`FakeS3Client does not support ${command.constructor.name}`);
+    }
+  }
+}
+
+/**
+ * Stand-in for getSignedUrl from @aws-sdk/s3-request-presigner
+ */
+const fakeGetSignedUrl = async (client, command, { expiresIn }) => {
+  const { Bucket, Key } = command.input;
+  return `https://${Bucket}.s3.amazonaws.com/${Key}?X-Amz-Expires=${expiresIn}&X-Amz-Signature=stand-in`;
+};
+
+/**
+ * Stand-in for createPresignedPost: the policy holds the conditions unsigned so postObject can check them
+ */
+const fakeCreatePresignedPost = async (client, { Bucket, Key, Conditions = [], Fields = {}, Expires }) => {
+  const conditions = [...Conditions, ...Object.entries({ ...Fields, key: Key }).map(([name, value]) => ({ [name]: value }))];
+  return {
+    url: `https://${Bucket}.s3.amazonaws.com/`,
+    fields: {
+      ...Fields,
+      bucket: Bucket,
+      key: Key,
+      Policy: Buffer.from(JSON.stringify({ expires: Expires, conditions })).toString('base64'),
+      'X-Amz-Signature': 'stand-in'
+    }
+  };
+};
+
+module.exports = { FakeS3Client, fakeGetSignedUrl, fakeCreatePresignedPost };
@@ -0,0 +1,173 @@
+// In-process stand-in for ssh2-sftp-client: keeps a remote file tree in memory and answers
+// the calls the SFTP provider makes with the same return values and error codes
+const crypto = require('crypto');
+const path = require('path').posix;
+const { Readable } = require('stream');
+
+const sftpError = (message, code) => Object.assign(new Error(message), { code, custom: true });
+
+class FakeSftpClient {
+  constructor(clientName, callbacks = {}) {
+    this.clientName = clientName;
+    this.callbacks = callbacks;
+    this.connected = false;
+    this.connectOptions = null;
+    // Set to an Error to make the next request fail (e.g. permission denied)
+    this.failNextRequest = null;
+
+    // Clients share the server's file tree, like separate connections to one server
+    this.server = FakeSftpClient.server;
+    FakeSftpClient.instances.push(this);
+  }
+
+  static reset() {
+    // remote path -> { data, modifyTime }; directories are a set of paths
+    FakeSftpClient.server = { files: new Map(), dirs: new Set(['/']), hostKey: FakeSftpClient.HOST_KEY };
+    FakeSftpClient.instances = [];
+  }
+
+  checkRequest() {
+    if (!this.connected) {
+      throw sftpError('No SFTP connection available', 'ERR_NOT_CONNECTED');
+    }
+    if (this.failNextRequest) {
+      const error = this.failNextRequest;
+      this.failNextRequest = null;
+      throw error;
+    }
+  }
+
+  async connect(options) {
+    this.connectOptions = options;
+    if (options.hostVerifier && !options.hostVerifier(this.server.hostKey)) {
+      throw sftpError('connect: Host denied (verification failed)', 'ERR_GENERIC_CLIENT');
+    }
+    this.connected = true;
+  }
+
+  async end() {
+    this.connected = false;
+    return true;
+  }
+
+  /**
+   * Simulate the server dropping the connection
+   */
+  disconnect() {
+    this.connected = false;
+    this.callbacks.close();
+  }
+
+  /**
+   * Simulate a connection error, e.g. a reset by the server
+   */
+  fail(error) {
+    this.connected = false;
+    this.callbacks.error(error);
+  }
+
+  async exists(remotePath) {
+    this.checkRequest();
+    if (this.server.dirs.has(remotePath)) {
+      return 'd';
+    }
+    return this.server.files.has(remotePath) ? '-' : false;
+  }
+
+  async stat(remotePath) {
+    this.checkRequest();
+    const file = this.server.files.get(remotePath);
+    if (!file) {
+      throw sftpError(`_xstat: No such file: ${remotePath}`, 'ENOENT');
+    }
+    return { size: file.data.length, modifyTime: file.modifyTime, isFile: true, isDirectory: false };
+  }
+
+  async list(remotePath) {
+    this.checkRequest();
+    if (!this.server.dirs.has(remotePath)) {
+      throw sftpError(`list: No such directory ${remotePath}`, 'ENOENT');
+    }
+
+    const dirs = [...this.server.dirs]
+      .filter(dir => dir !== remotePath && path.dirname(dir) === remotePath)
+      .map(dir => ({ type: 'd', name: path.basename(dir), size: 0 }));
+    const files = [...this.server.files.entries()]
+      .filter(([filePath]) => path.dirname(filePath) === remotePath)
+      .map(([filePath, file]) => ({ type: '-', name: path.basename(filePath), size: file.data.length, modifyTime: file.modifyTime }));
+
+    return [...dirs, ...files];
+  }
+
+  async mkdir(remotePath, recursive = false) {
+    this.checkRequest();
+    let dir = remotePath;
+    while (dir !== '/' && recursive) {
+      this.server.dirs.add(dir);
+      dir = path.dirname(dir);
+    }
+    this.server.dirs.add(remotePath);
+    return `${remotePath} directory created`;
+  }
+
+  async put(data, remotePath) {
+    this.checkRequest();
+    if (!this.server.dirs.has(path.dirname(remotePath))) {
+      throw sftpError(`put: No such file ${remotePath}`, 2);
+    }
+    let contents = data;
+    // Like ssh2-sftp-client, a readable stream is read to its end
+    if (typeof data.pipe === 'function') {
+      const chunks = [];
+      for await (const chunk of data) {
+        chunks.push(Buffer.from(chunk));
+      }
+      contents = Buffer.concat(chunks);
+    }
+    this.server.files.set(remotePath, { data: Buffer.from(contents), modifyTime: Date.now() });
+    return `Uploaded data stream to ${remotePath}`;
+  }
+
+  async get(remotePath) {
+    this.checkRequest();
+    const file = this.server.files.get(remotePath);
+    if (!file) {
+      throw sftpError(`get: No such file ${remotePath}`, 'ENOENT');
+    }
+    return Buffer.from(file.data);
+  }
+
+  async delete(remotePath, notFoundOK = false) {
+    this.checkRequest();
+    if (!this.server.files.delete(remotePath) && !notFoundOK) {
+      throw sftpError(`delete: No such file ${remotePath}`, 2);
+    }
+    return `Successfully deleted ${remotePath}`;
+  }
+
+  async rename(fromPath, toPath) {
+    this.checkRequest();
+    const file = this.server.files.get(fromPath);
+    if (!file) {
+      throw sftpError(`rename: No such file ${fromPath}`, 2);
+    }
+    if (this.server.files.has(toPath)) {
+      throw sftpError(`rename: Failure ${toPath}`, 4);
+    }
+    this.server.files.delete(fromPath);
+    this.server.files.set(toPath, file);
+    return `Successfully renamed ${fromPath} to ${toPath}`;
+  }
+
+  createReadStream(remotePath) {
+    this.checkRequest();
+    return Readable.from([this.server.files.get(remotePath).data]);
+  }
+}
+
+// The server's host key and its fingerprint as printed by ssh-keygen -l
+FakeSftpClient.HOST_KEY = Buffer.from('fake-sftp-host-key');
+FakeSftpClient.HOST_KEY_SHA256 = `SHA256:${crypto.createHash('sha256').update(FakeSftpClient.HOST_KEY).digest('base64').replace(/=+$/, '')}`;
+FakeSftpClient.reset();
+
+module.exports = FakeSftpClient;
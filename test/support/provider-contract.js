@@ -0,0 +1,246 @@
+// Behavior every AbstractStorageProvider implementation must share.
+// Usage: describeProviderContract('s3', () => createProvider(), { injectFailure, cleanup, variant })
+//   createProvider - returns a fresh provider backed by an empty store
+//   variant        - optional label when the same provider runs with different settings
+//   injectFailure  - optional (provider, error) => void making the provider's next storage call fail
+//   cleanup        - optional, runs after each test
+
+const { Readable } = require('stream');
+
+/**
+ * Lower-case metadata keys; S3 and Azure do not preserve their case
+ */
+const normalizeMetadata = (metadata = {}) => {
+  return Object.fromEntries(Object.entries(metadata).map(([name, value]) => [name.toLowerCase(), value]));
+};
+
+function describeProviderContract(name, createProvider, { injectFailure, cleanup, variant } = {}) {
+  describe(`${name}${variant ? ` (${variant})` : ''} provider contract`, () => {
+    const content = Buffer.from('contract test content');
+    let provider;
+
+    const upload = (access = 'private', bucketName = `contract-${access}`) => {
+      return provider.uploadFile(bucketName, content, 'docs/2024', 'file.txt', {
+        platformId: 'acme',
+        environment: 'uat',
+        contentType: 'text/plain',
+        userId: 42
+      }, access);
+    };
+
+    beforeEach(async () => {
+      provider = await createProvider();
+    });
+
+    afterEach(async () => {
+      if (cleanup) {
+        await cleanup();
+      }
+    });
+
+    test('uploadFile returns the permanent URL of bucket + prefix/fileName', async () => {
+      const url = await upload();
+
+      expect(url).toBe(provider.getFileUrl('contract-private', 'docs/2024/file.txt'));
+      expect(provider.parseBucketKey(url)).toEqual({ bucketName: 'contract-private', key: 'docs/2024/file.txt' });
+    });
+
+    test('permanent URLs carry no query string, so no credentials reach callers', async () => {
+      const uploaded = await upload('public');
+      const streamed = await provider.uploadStream('contract-public', Readable.from([content]), 'docs', 's.txt', {}, 'public');
+      const { downloadUrl } = await provider.generateDownloadUrl(uploaded);
+
+      [uploaded, streamed, downloadUrl, provider.getFileUrl('contract-public', 'docs/2024/file.txt')].forEach(url => {
+        expect(new URL(url).search).toBe('');
+      });
+    });
+
+    test('uploadFile without a prefix stores the file at the bucket root', async () => {
+      const url = await provider.uploadFile('contract-private', content, '', 'root.txt', {}, 'private');
+
+      expect(provider.parseBucketKey(url)).toEqual({ bucketName: 'contract-private', key: 'root.txt' });
+      await expect(provider.fileExists(url)).resolves.toBe(true);
+    });
+
+    test('uploadStream stores the streamed bytes where uploadFile would', async () => {
+      const stream = Readable.from([content.subarray(0, 8), content.subarray(8)]);
+
+      const url = await provider.uploadStream('contract-private', stream, 'docs/2024', 'streamed.txt', {
+        contentType: 'text/plain'
+      }, 'private');
+
+      expect(url).toBe(provider.getFileUrl('contract-private', 'docs/2024/streamed.txt'));
+      await expect(provider.getFileContent('contract-private', 'docs/2024/streamed.txt')).resolves.toEqual(content);
+      await expect(provider.getFileMetadata(url)).resolves.toMatchObject({ contentType: 'text/plain' });
+    });
+
+    test('multipart uploads store the parts in order where uploadFile would, or are refused', async () => {
+      if (!provider.supportsMultipartUpload()) {
+        await expect(provider.createMultipartUpload('contract-private', 'docs', 'parts.txt', {}, 'private'))
+          .rejects.toThrow('does not support multipart uploads');
+        return;
+      }
+
+      const uploadId = await provider.createMultipartUpload('contract-private', 'docs', 'parts.txt', {
+        contentType: 'text/plain',
+        userId: 42
+      }, 'private');
+      const second = await provider.uploadPart('contract-private', 'docs', 'parts.txt', uploadId, 2, content.subarray(8));
+      const first = await provider.uploadPart('contract-private', 'docs', 'parts.txt', uploadId, 1, content.subarray(0, 8));
+
+      const url = await provider.completeMultipartUpload('contract-private', 'docs', 'parts.txt', uploadId, [first, second], {
+        contentType: 'text/plain',
+        userId: 42
+      }, 'private');
+
+      expect(url).toBe(provider.getFileUrl('contract-private', 'docs/parts.txt'));
+      await expect(provider.getFileContent('contract-private', 'docs/parts.txt')).resolves.toEqual(content);
+      const metadata = await provider.getFileMetadata(url);
+      expect(metadata.contentType).toBe('text/plain');
+      expect(normalizeMetadata(metadata.metadata)).toMatchObject({ userid: '42', access: 'private' });
+
+      const abandoned = await provider.createMultipartUpload('contract-private', 'docs', 'abandoned.txt', {}, 'private');
+      await provider.uploadPart('contract-private', 'docs', 'abandoned.txt', abandoned, 1, content);
+      await provider.abortMultipartUpload('contract-private', 'docs', 'abandoned.txt', abandoned);
+      await expect(provider.fileExists(provider.getFileUrl('contract-private', 'docs/abandoned.txt'))).resolves.toBe(false);
+    });
+
+    test('fileExists is true for stored files and false for missing ones', async () => {
+      const url = await upload();
+
+      await expect(provider.fileExists(url)).resolves.toBe(true);
+      await expect(provider.fileExists(provider.getFileUrl('contract-private', 'docs/2024/missing.txt'))).resolves.toBe(false);
+    });
+
+    (injectFailure ? test : test.skip)('fileExists rejects on errors other than not found', async () => {
+      const url = await upload();
+      injectFailure(provider, Object.assign(new Error('AccessDenied'), { statusCode: 403, $metadata: { httpStatusCode: 403 } }));
+
+      await expect(provider.fileExists(url)).rejects.toThrow('AccessDenied');
+    });
+
+    test('getFileMetadata returns content type, size, etag, date and string metadata', async () => {
+      const url = await upload();
+
+      const metadata = await provider.getFileMetadata(url);
+
+      expect(metadata.contentType).toBe('text/plain');
+      expect(metadata.contentLength).toBe(content.length);
+      expect(typeof metadata.etag).toBe('string');
+      expect(Number.isNaN(new Date(metadata.lastModified).getTime())).toBe(false);
+      expect(metadata.provider).toBe(provider.getProviderName());
+      expect(normalizeMetadata(metadata.metadata)).toMatchObject({
+        platformid: 'acme',
+        environment: 'uat',
+        userid: '42',
+        access: 'private'
+      });
+    });
+
+    test('getFileMetadata rejects with "File not found" for missing files', async () => {
+      await expect(provider.getFileMetadata(provider.getFileUrl('contract-private', 'missing.txt')))
+        .rejects.toThrow('File not found');
+    });
+
+    test('generateDownloadUrl signs private files with an expiry', async () => {
+      const url = await upload('private');
+
+      const result = await provider.generateDownloadUrl(url, { expiryMinutes: 5 });
+
+      expect(result).toMatchObject({
+        isPublic: false,
+        requiresSAS: true,
+        expiresIn: 300,
+        fileName: 'file.txt'
+      });
+      expect(result.downloadUrl).not.toBe(url);
+      expect(Number.isNaN(Date.parse(result.expiresAt))).toBe(false);
+    });
+
+    test('generateDownloadUrl returns the permanent URL of public files', async () => {
+      const url = await upload('public');
+
+      await expect(provider.generateDownloadUrl(url)).resolves.toEqual({
+        downloadUrl: url,
+        isPublic: true,
+        requiresSAS: false,
+        expiresIn: null,
+        fileName: 'file.txt'
+      });
+    });
+
+    test('generateDownloadUrl rejects with "File not found" for missing files', async () => {
+      await expect(provider.generateDownloadUrl(provider.getFileUrl('contract-private', 'missing.txt')))
+        .rejects.toThrow('File not found');
+    });
+
+    test('deleteFile removes the file and rejects with "File not found" the second time', async () => {
+      const url = await upload();
+
+      await expect(provider.deleteFile(url)).resolves.toBe(true);
+      await expect(provider.fileExists(url)).resolves.toBe(false);
+      await expect(provider.deleteFile(url)).rejects.toThrow('File not found');
+    });
+
+    test('deleteFileByBucketKey removes the file uploadFile stored for the same bucket and key', async () => {
+      const url = await upload();
+      const { bucketName, key } = provider.parseBucketKey(url);
+
+      await expect(provider.deleteFileByBucketKey(bucketName, key)).resolves.toBe(true);
+      await expect(provider.fileExists(url)).resolves.toBe(false);
+      await expect(provider.deleteFileByBucketKey(bucketName, key)).rejects.toThrow('File not found');
+    });
+
+    test('listFiles returns the keys stored in a bucket, optionally under a prefix', async () => {
+      await upload();
+      await provider.uploadFile('contract-private', content, 'docs', 'other.txt', {}, 'private');
+      await provider.uploadFile('contract-private', content, 'docs-archive', 'old.txt', {}, 'private');
+      await provider.uploadFile('contract-other', content, 'docs/2024', 'file.txt', {}, 'private');
+
+      await expect(provider.listFiles('contract-private', 'docs')).resolves.toEqual(['docs/2024/file.txt', 'docs/other.txt']);
+      await expect(provider.listFiles('contract-private', '')).resolves.toEqual([
+        'docs-archive/old.txt',
+        'docs/2024/file.txt',
+        'docs/other.txt'
+      ]);
+      await expect(provider.listFiles('contract-empty', '')).resolves.toEqual([]);
+    });
+
+    test('getFileContent returns the uploaded bytes and rejects with "File not found" for missing files', async () => {
+      await upload();
+
+      await expect(provider.getFileContent('contract-private', 'docs/2024/file.txt')).resolves.toEqual(content);
+      await expect(provider.getFileContent('contract-private', 'docs/2024/missing.txt')).rejects.toThrow('File not found');
+    });
+
+    test('getFileStream streams the uploaded bytes and rejects with "File not found" for missing files', async () => {
+      await upload();
+
+      const { stream, contentType, contentLength, fileName } = await provider.getFileStream('contract-private', 'docs/2024/file.txt');
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+      }
+
+      expect(Buffer.concat(chunks)).toEqual(content);
+      expect({ contentType, contentLength, fileName }).toEqual({ contentType: 'text/plain', contentLength: content.length, fileName: 'file.txt' });
+      await expect(provider.getFileStream('contract-private', 'docs/2024/missing.txt')).rejects.toThrow('File not found');
+    });
+
+    test('isBucketPublic resolves to a boolean', async () => {
+      await upload();
+
+      await expect(provider.isBucketPublic('contract-private')).resolves.toBe(false);
+    });
+
+    test('healthCheck resolves when storage is reachable', async () => {
+      await expect(provider.healthCheck()).resolves.toBe(true);
+    });
+
+    test('getProviderName returns the provider type', () => {
+      expect(provider.getProviderName()).toBe(name);
+    });
+  });
+}
+
+module.exports = { describeProviderContract };
@@ -0,0 +1,338 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+// Cloud SDK clients are replaced by in-process stand-ins; everything else is real
+jest.mock('@aws-sdk/client-s3', () => {
+  const { FakeS3Client } = require('./support/fake-s3-client');
+  return { ...jest.requireActual('@aws-sdk/client-s3'), S3Client: FakeS3Client };
+});
+jest.mock('@azure/storage-blob', () => {
+  const { FakeBlobServiceClient } = require('./support/fake-blob-service-client');
+  return { ...jest.requireActual('@azure/storage-blob'), BlobServiceClient: FakeBlobServiceClient };
+});
+jest.mock('../middlewares/platform-auth.js');
+
+const platformAuthMiddleware = require('../middlewares/platform-auth.js');
+const storageService = require('../service/multi-tenant-storage-service.js');
+const tusUploadService = require('../service/tus-upload-service.js');
+const fileRoutes = require('../routes/file-routes.js');
+const AWSS3StorageProvider = require('../providers/aws-s3-provider');
+const AzureStorageProvider = require('../providers/azure-storage-provider');
+const MemoryStorageProvider = require('../providers/memory-storage-provider');
+
+const encode = (value) => Buffer.from(value).toString('base64');
+const content = Buffer.from('resumable upload content');
+
+describe('tus routes', () => {
+  let app;
+  let context;
+  let provider;
+  let uploadDir;
+
+  const useProvider = (instance) => {
+    provider = instance;
+    storageService.providerCache = new Map([['test-platform-uat', instance]]);
+  };
+
+  const create = (length = content.length, fields = {}) => {
+    const metadata = { filename: 'Report 2024.pdf', filetype: 'application/pdf', bucketName: 'Claims', prefix: '/docs/', ...fields };
+    return request(app)
+      .post('/api/files/tus')
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Length', String(length))
+      .set('Upload-Metadata', Object.entries(metadata).map(([key, value]) => `${key} ${encode(value)}`).join(','));
+  };
+
+  const patch = (location, offset, chunk) => request(app)
+    .patch(location)
+    .set('Tus-Resumable', '1.0.0')
+    .set('Upload-Offset', String(offset))
+    .set('Content-Type', 'application/offset+octet-stream')
+    .send(chunk);
+
+  const head = (location) => request(app).head(location).set('Tus-Resumable', '1.0.0');
+
+  /**
+   * Send content in chunks of the given size and return the last response
+   */
+  const sendInChunks = async (location, chunkSize, data = content) => {
+    let response;
+    for (let offset = 0; offset < data.length; offset += chunkSize) {
+      response = await patch(location, offset, data.subarray(offset, offset + chunkSize));
+      expect(response.status).toBe(204);
+      expect(response.headers['upload-offset']).toBe(String(Math.min(offset + chunkSize, data.length)));
+    }
+    return response;
+  };
+
+  const readStored = (fileUrl) => {
+    const { bucketName, key } = provider.parseBucketKey(fileUrl);
+    return provider.getFileContent(bucketName, key);
+  };
+
+  beforeEach(() => {
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tus-routes-'));
+    tusUploadService.directory = uploadDir;
+    tusUploadService.partSize = 8;
+    tusUploadService.expiryMs = 60 * 60 * 1000;
+    tusUploadService.locks = new Set();
+
+    context = { platformId: 'test-platform', environment: 'uat', config: {} };
+    platformAuthMiddleware.mockImplementation((req, res, next) => {
+      req.platformContext = context;
+      next();
+    });
+
+    useProvider(new MemoryStorageProvider());
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/files', fileRoutes);
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  test('should refuse requests without a supported Tus-Resumable header', async () => {
+    const response = await request(app).post('/api/files/tus').set('Upload-Length', '10');
+
+    expect(response.status).toBe(412);
+    expect(response.headers['tus-version']).toBe('1.0.0');
+    expect(response.body).toEqual({ success: false, error: 'Tus-Resumable must be 1.0.0' });
+  });
+
+  test('should create an upload and report its offset', async () => {
+    const created = await create();
+
+    expect(created.status).toBe(201);
+    expect(created.headers['tus-resumable']).toBe('1.0.0');
+    expect(created.headers.location).toMatch(/^\/api\/files\/tus\/[0-9a-f]{32}$/);
+    expect(Date.parse(created.headers['upload-expires'])).toBeGreaterThan(Date.now());
+
+    await patch(created.headers.location, 0, content.subarray(0, 10));
+    const progress = await head(created.headers.location);
+
+    expect(progress.status).toBe(200);
+    expect(progress.headers).toMatchObject({
+      'upload-offset': '10',
+      'upload-length': String(content.length),
+      'cache-control': 'no-store'
+    });
+  });
+
+  test('should store the file where /upload-file would once the last chunk arrives', async () => {
+    jest.spyOn(provider, 'uploadStream');
+    const { headers: { location } } = await create();
+
+    const last = await sendInChunks(location, 10);
+
+    const fileUrl = last.headers['x-file-url'];
+    expect(fileUrl).toMatch(/^memory:\/\/claims\/docs\/\d+-report-2024\.pdf$/);
+    await expect(readStored(fileUrl)).resolves.toEqual(content);
+    await expect(provider.getFileMetadata(fileUrl)).resolves.toMatchObject({
+      contentType: 'application/pdf',
+      metadata: { platformId: 'test-platform', environment: 'uat', access: 'private' }
+    });
+    expect(provider.uploadStream).toHaveBeenCalledTimes(1);
+    expect(fs.readdirSync(uploadDir)).toEqual([`${location.split('/').pop()}.json`]);
+
+    const status = await request(app).get(location);
+    expect(status.status).toBe(200);
+    expect(status.body.data).toMatchObject({
+      complete: true,
+      offset: content.length,
+      fileUrl,
+      bucketName: 'claims',
+      prefix: 'docs',
+      access: 'private',
+      isPublic: false,
+      fileSize: content.length,
+      platform: 'test-platform',
+      environment: 'uat',
+      provider: 'memory'
+    });
+  });
+
+  test('should send full parts to S3 as they arrive and complete the multipart upload', async () => {
+    useProvider(new AWSS3StorageProvider({
+      accessKeyId: 'test-access-key',
+      secretAccessKey: 'test-secret-key',
+      region: 'ap-south-1',
+      bucketName: 'physical-bucket'
+    }));
+    const { s3Client } = provider;
+    const { headers: { location } } = await create();
+    const [upload] = s3Client.multipartUploads.values();
+
+    await patch(location, 0, content.subarray(0, 20));
+    expect([...upload.parts.keys()]).toEqual([1, 2]);
+    expect((await head(location)).headers['upload-offset']).toBe('20');
+
+    const last = await patch(location, 20, content.subarray(20));
+
+    const fileUrl = last.headers['x-file-url'];
+    expect(fileUrl).toBe(provider.getFileUrl('claims', `docs/${fileUrl.split('/').pop()}`));
+    await expect(readStored(fileUrl)).resolves.toEqual(content);
+    expect(s3Client.multipartUploads.size).toBe(0);
+  });
+
+  test('should stage Azure blocks as they arrive and commit them in order', async () => {
+    useProvider(new AzureStorageProvider({
+      connectionString: 'DefaultEndpointsProtocol=https;AccountName=tusaccount;AccountKey=dGVzdGtleQ==;EndpointSuffix=core.windows.net'
+    }));
+    const { headers: { location } } = await create(content.length, { access: 'public' });
+
+    await sendInChunks(location, 5, content.subarray(0, 20));
+    const container = provider.blobServiceClient.getContainerClient('claims');
+    expect([...container.stagedBlocks.values()][0].size).toBe(2);
+    expect(container.blobs.size).toBe(0);
+
+    const last = await patch(location, 20, content.subarray(20));
+
+    await expect(readStored(last.headers['x-file-url'])).resolves.toEqual(content);
+    expect(container.publicAccess).toBe('blob');
+  });
+
+  test('should store empty files when the upload is created', async () => {
+    const created = await create(0);
+
+    expect(created.status).toBe(201);
+    await expect(readStored(created.headers['x-file-url'])).resolves.toEqual(Buffer.alloc(0));
+  });
+
+  test('should reject chunks at the wrong offset', async () => {
+    const { headers: { location } } = await create();
+    await patch(location, 0, content.subarray(0, 5));
+
+    const response = await patch(location, 0, content.subarray(0, 5));
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('Upload-Offset 0 does not match the current offset 5');
+  });
+
+  test('should reject chunks past the declared length without keeping them', async () => {
+    const { headers: { location } } = await create(4);
+
+    const response = await patch(location, 0, content);
+
+    expect(response.status).toBe(413);
+    expect((await head(location)).headers['upload-offset']).toBe('0');
+  });
+
+  test('should require the tus chunk content type and an offset', async () => {
+    const { headers: { location } } = await create();
+
+    const wrongType = await patch(location, 0, content).set('Content-Type', 'application/octet-stream');
+    expect(wrongType.status).toBe(415);
+
+    const noOffset = await request(app)
+      .patch(location)
+      .set('Tus-Resumable', '1.0.0')
+      .set('Content-Type', 'application/offset+octet-stream')
+      .send(content);
+    expect(noOffset.status).toBe(400);
+    expect(noOffset.body.error).toBe('Upload-Offset header is required');
+  });
+
+  test('should validate the creation headers like /upload-file validates its fields', async () => {
+    const noLength = await request(app).post('/api/files/tus').set('Tus-Resumable', '1.0.0');
+    expect(noLength.status).toBe(400);
+    expect(noLength.body.error).toBe('Upload-Length header is required');
+
+    const deferred = await create().set('Upload-Defer-Length', '1');
+    expect(deferred.body.error).toBe('Upload-Defer-Length is not supported');
+
+    const noFileName = await create().set('Upload-Metadata', `bucketName ${encode('claims')}`);
+    expect(noFileName.body.error).toBe('Upload-Metadata must include filename');
+
+    const noBucket = await create().set('Upload-Metadata', `filename ${encode('a.txt')}`);
+    expect(noBucket.status).toBe(400);
+    expect(noBucket.body.error).toBe('bucketName is required');
+
+    const badAccess = await create(10, { access: 'world' });
+    expect(badAccess.body.error).toBe('access must be either "private" or "public"');
+
+    const tooLarge = await create(tusUploadService.maxSizeMb * 1024 * 1024 + 1);
+    expect(tooLarge.status).toBe(413);
+  });
+
+  test('should keep uploads to the platform environment and locations of the key', async () => {
+    const { headers: { location } } = await create();
+
+    context = { ...context, allowedBuckets: ['other'] };
+    const forbidden = await patch(location, 0, content);
+    expect(forbidden.status).toBe(403);
+    expect(forbidden.body.error).toBe("API key is not allowed to access bucket 'claims'");
+
+    context = { platformId: 'other-platform', environment: 'uat', config: {} };
+    expect((await patch(location, 0, content)).status).toBe(404);
+    expect((await head(location)).status).toBe(404);
+    expect((await request(app).get('/api/files/tus/not-an-upload')).status).toBe(404);
+  });
+
+  test('should check signed chunks against their hash before keeping them', async () => {
+    const { headers: { location } } = await create();
+
+    context = { ...context, authMethod: 'signature', contentSha256: crypto.createHash('sha256').update('other').digest('hex') };
+    const mismatch = await patch(location, 0, content.subarray(0, 5));
+    expect(mismatch.status).toBe(400);
+    expect(mismatch.body.error).toBe('Chunk content does not match the signed X-Content-SHA256 header');
+    expect((await head(location)).headers['upload-offset']).toBe('0');
+
+    context = { ...context, contentSha256: crypto.createHash('sha256').update(content.subarray(0, 5)).digest('hex') };
+    const signed = await patch(location, 0, content.subarray(0, 5));
+    expect(signed.status).toBe(204);
+    expect(signed.headers['upload-offset']).toBe('5');
+  });
+
+  test('should terminate an upload and abort its multipart upload', async () => {
+    useProvider(new AWSS3StorageProvider({
+      accessKeyId: 'test-access-key',
+      secretAccessKey: 'test-secret-key',
+      region: 'ap-south-1',
+      bucketName: 'physical-bucket'
+    }));
+    const { headers: { location } } = await create();
+    await patch(location, 0, content.subarray(0, 12));
+
+    const terminated = await request(app).delete(location).set('Tus-Resumable', '1.0.0');
+
+    expect(terminated.status).toBe(204);
+    expect(provider.s3Client.multipartUploads.size).toBe(0);
+    expect(fs.readdirSync(uploadDir)).toEqual([]);
+    expect((await head(location)).status).toBe(404);
+  });
+
+  test('should refuse a chunk while another one is being written', async () => {
+    const { headers: { location } } = await create();
+    tusUploadService.locks.add(location.split('/').pop());
+
+    const response = await patch(location, 0, content);
+
+    expect(response.status).toBe(423);
+  });
+
+  test('should remove expired uploads when a new one is created', async () => {
+    useProvider(new AWSS3StorageProvider({
+      accessKeyId: 'test-access-key',
+      secretAccessKey: 'test-secret-key',
+      region: 'ap-south-1',
+      bucketName: 'physical-bucket'
+    }));
+    tusUploadService.expiryMs = -1000;
+    await create();
+    expect(provider.s3Client.multipartUploads.size).toBe(1);
+    tusUploadService.expiryMs = 60 * 60 * 1000;
+
+    const created = await create();
+
+    const id = created.headers.location.split('/').pop();
+    expect(fs.readdirSync(uploadDir)).toEqual([`${id}.json`]);
+    expect(provider.s3Client.multipartUploads.size).toBe(1);
+  });
+});
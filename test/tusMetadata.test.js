@@ -0,0 +1,44 @@
+const { parseUploadMetadata } = require('../utils/tusMetadata');
+
+const encode = (value) => Buffer.from(value).toString('base64');
+
+describe('parseUploadMetadata', () => {
+  test('should decode base64 values by key', () => {
+    const header = `filename ${encode('résumé.pdf')},filetype ${encode('application/pdf')}, bucketName ${encode('claims')}`;
+
+    expect(parseUploadMetadata(header)).toEqual({
+      filename: 'résumé.pdf',
+      filetype: 'application/pdf',
+      bucketName: 'claims'
+    });
+  });
+
+  test('should accept keys without a value', () => {
+    expect(parseUploadMetadata(`is_confidential,filename ${encode('a.txt')}`)).toEqual({
+      is_confidential: '',
+      filename: 'a.txt'
+    });
+  });
+
+  test('should return an empty object without a header', () => {
+    expect(parseUploadMetadata(undefined)).toEqual({});
+    expect(parseUploadMetadata('')).toEqual({});
+  });
+
+  test('should reject values that are not base64', () => {
+    expect(() => parseUploadMetadata('filename a.txt')).toThrow("Upload-Metadata value of 'filename' is not valid base64");
+    expect(() => parseUploadMetadata(`filename ${encode('a')} extra`)).toThrow('is not valid base64');
+  });
+
+  test('should reject repeated keys', () => {
+    expect(() => parseUploadMetadata(`filename ${encode('a')},filename ${encode('b')}`))
+      .toThrow("Upload-Metadata key 'filename' is repeated");
+  });
+
+  test('should not let keys reach the object prototype', () => {
+    const metadata = parseUploadMetadata(`__proto__ ${encode('x')}`);
+
+    expect(Object.getPrototypeOf(metadata)).toBe(Object.prototype);
+    expect(metadata.__proto__).toBe('x');
+  });
+});
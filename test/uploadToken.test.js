@@ -0,0 +1,33 @@
+const { signUploadToken, verifyUploadToken } = require('../utils/uploadToken');
+
+describe('uploadToken', () => {
+  const secret = 'test-secret';
+  const now = Date.UTC(2026, 9, 18);
+  const details = { bucketName: 'claims', fileName: '1-a.pdf', contentLength: 10, expires: Math.floor(now / 1000) + 300 };
+
+  test('should return the details of a token it signed', () => {
+    const token = signUploadToken(secret, details);
+
+    expect(verifyUploadToken(secret, token, now)).toEqual(details);
+  });
+
+  test('should reject expired tokens', () => {
+    const token = signUploadToken(secret, details);
+
+    expect(verifyUploadToken(secret, token, (details.expires + 1) * 1000)).toBeNull();
+  });
+
+  test('should reject tokens that were changed or signed with another secret', () => {
+    const [, signature] = signUploadToken(secret, details).split('.');
+    const changed = Buffer.from(JSON.stringify({ ...details, contentLength: 10000 })).toString('base64url');
+
+    expect(verifyUploadToken(secret, `${changed}.${signature}`, now)).toBeNull();
+    expect(verifyUploadToken('other-secret', signUploadToken(secret, details), now)).toBeNull();
+  });
+
+  test('should reject malformed tokens', () => {
+    expect(verifyUploadToken(secret, undefined, now)).toBeNull();
+    expect(verifyUploadToken(secret, 'abc', now)).toBeNull();
+    expect(verifyUploadToken(secret, `abc.${'a'.repeat(64)}.x`, now)).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadJwks, verifyJwt } = require('../utils/verifyJwt');
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signToken = (payload, privateKey, header = { alg: 'RS256', kid: 'rsa-1' }) => {
+  const data = `${base64url(header)}.${base64url(payload)}`;
+  const options = header.alg.startsWith('ES') ? { key: privateKey, dsaEncoding: 'ieee-p1363' } : privateKey;
+  const signature = crypto.sign('sha256', Buffer.from(data), options).toString('base64url');
+  return `${data}.${signature}`;
+};
+
+describe('verifyJwt', () => {
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwks = {
+    keys: [
+      { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256' },
+      { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256' }
+    ]
+  };
+  const options = { jwks, issuer: 'https://idp.example.com', audience: 'file-service' };
+  const now = () => Math.floor(Date.now() / 1000);
+  const claims = (overrides = {}) => ({
+    iss: 'https://idp.example.com',
+    aud: 'file-service',
+    sub: 'user-1',
+    exp: now() + 300,
+    ...overrides
+  });
+
+  test('should return the payload of a valid RS256 token', () => {
+    const token = signToken(claims(), rsa.privateKey);
+    expect(verifyJwt(token, options).sub).toBe('user-1');
+  });
+
+  test('should verify ES256 tokens', () => {
+    const token = signToken(claims(), ec.privateKey, { alg: 'ES256', kid: 'ec-1' });
+    expect(verifyJwt(token, options).sub).toBe('user-1');
+  });
+
+  test('should accept an audience array containing the audience', () => {
+    const token = signToken(claims({ aud: ['other', 'file-service'] }), rsa.privateKey);
+    expect(verifyJwt(token, options).sub).toBe('user-1');
+  });
+
+  test('should reject tokens signed by an unknown key', () => {
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const token = signToken(claims(), other.privateKey);
+    expect(() => verifyJwt(token, options)).toThrow('Invalid token signature');
+  });
+
+  test('should reject unsupported algorithms', () => {
+    const token = `${base64url({ alg: 'none' })}.${base64url(claims())}.`;
+    expect(() => verifyJwt(token, options)).toThrow("Unsupported token algorithm 'none'");
+  });
+
+  test('should reject expired tokens and tokens without exp', () => {
+    expect(() => verifyJwt(signToken(claims({ exp: now() - 3600 }), rsa.privateKey), options)).toThrow('Token has expired');
+    expect(() => verifyJwt(signToken(claims({ exp: undefined }), rsa.privateKey), options)).toThrow('Token has expired');
+  });
+
+  test('should reject tokens that are not yet valid', () => {
+    const token = signToken(claims({ nbf: now() + 3600 }), rsa.privateKey);
+    expect(() => verifyJwt(token, options)).toThrow('Token is not yet valid');
+  });
+
+  test('should reject the wrong issuer or audience', () => {
+    expect(() => verifyJwt(signToken(claims({ iss: 'https://evil.example.com' }), rsa.privateKey), options))
+      .toThrow('Token issuer is not trusted');
+    expect(() => verifyJwt(signToken(claims({ aud: 'other' }), rsa.privateKey), options))
+      .toThrow('Token audience is not accepted');
+  });
+
+  test('should reject malformed tokens', () => {
+    expect(() => verifyJwt('abc', options)).toThrow('Malformed token');
+    expect(() => verifyJwt('a.b.c', options)).toThrow('Malformed token');
+  });
+
+  describe('loadJwks', () => {
+    test('should read keys from a JWKS file', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+      const jwksPath = path.join(dir, 'jwks.json');
+      fs.writeFileSync(jwksPath, JSON.stringify(jwks));
+
+      expect(loadJwks(jwksPath).keys).toHaveLength(2);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should throw when the file has no keys', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+      const jwksPath = path.join(dir, 'jwks.json');
+      fs.writeFileSync(jwksPath, JSON.stringify({}));
+
+      expect(() => loadJwks(jwksPath)).toThrow('has no keys');
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
@@ -0,0 +1,17 @@
+const { withTimeout } = require('../utils/withTimeout');
+
+describe('withTimeout', () => {
+  test('should resolve with the result of a fast operation', async () => {
+    await expect(withTimeout(Promise.resolve('done'), 100)).resolves.toBe('done');
+  });
+
+  test('should pass through rejections', async () => {
+    await expect(withTimeout(Promise.reject(new Error('boom')), 100)).rejects.toThrow('boom');
+  });
+
+  test('should reject when the operation takes too long', async () => {
+    const slow = new Promise(resolve => setTimeout(resolve, 200));
+
+    await expect(withTimeout(slow, 10, 'Too slow')).rejects.toMatchObject({ message: 'Too slow', code: 'ETIMEDOUT' });
+  });
+});
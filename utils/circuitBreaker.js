@@ -0,0 +1,73 @@
+/**
+ * Tracks consecutive failures of a backend and stops calling it for a while once it looks down.
+ *
+ * closed    - calls go through; failureThreshold consecutive failures open the circuit
+ * open      - calls are skipped until resetTimeoutMs has passed
+ * half-open - one trial call is let through; success closes the circuit, failure opens it again
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may be made now. Moving from open to half-open hands out the single trial call.
+   * @returns {boolean}
+   */
+  isAvailable() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open' && this.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+
+  /**
+   * @returns {object} { state, failures, openedAt, retryAt } with ISO timestamps
+   */
+  getStatus() {
+    const open = this.openedAt !== null;
+
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: open ? new Date(this.openedAt).toISOString() : null,
+      retryAt: open ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = { CircuitBreaker };
@@ -0,0 +1,190 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { Transform } = require('stream');
+const { uploadError } = require('./uploadTarget.js');
+
+// Loopback, private, link-local (incl. the 169.254.169.254 cloud metadata endpoint), shared,
+// documentation, benchmarking, multicast and reserved ranges. IPv4-mapped IPv6 addresses
+// are checked against the IPv4 ranges.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * Whether an IP address is on the public internet
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Whether a Content-Type matches an allowlist entry ("application/pdf" or "image/*")
+ */
+const matchesContentType = (contentType, allowed) => {
+  return allowed.some(entry => entry === contentType || (entry.endsWith('/*') && contentType.startsWith(entry.slice(0, -1))));
+};
+
+/**
+ * Name of the fetched file: the Content-Disposition filename, else the last segment of the URL path
+ */
+const remoteFileName = (response, url) => {
+  const disposition = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(response.headers['content-disposition'] || '');
+  const name = disposition ? disposition[1] : url.pathname.split('/').pop();
+
+  try {
+    return decodeURIComponent(name) || 'download';
+  } catch (error) {
+    return name || 'download';
+  }
+};
+
+/**
+ * dns.lookup that only resolves to allowed addresses. The socket connects to the address
+ * checked here, so a second DNS answer cannot point it somewhere else.
+ */
+const guardedLookup = (isAllowedAddress) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (!addresses.length || addresses.some(({ address }) => !isAllowedAddress(address))) {
+      return callback(uploadError(400, { error: `${hostname} resolves to a private or reserved address` }));
+    }
+
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Open a GET request to an http(s) URL, refusing private and reserved addresses
+ * @param {Function} onRequest - receives the request as soon as it is made, so it can be aborted
+ * @returns {Promise<http.IncomingMessage>} Response
+ */
+function openRequest(url, { isAllowedAddress, headers, onRequest }) {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return Promise.reject(uploadError(400, { error: 'url must use http or https' }));
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  // IP literals never reach the lookup
+  if (net.isIP(hostname) && !isAllowedAddress(hostname)) {
+    return Promise.reject(uploadError(400, { error: `${hostname} is a private or reserved address` }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).get(url, {
+      agent: false,
+      headers,
+      lookup: guardedLookup(isAllowedAddress)
+    }, resolve);
+    request.once('error', reject);
+    onRequest(request);
+  });
+}
+
+/**
+ * Fetch a remote file for upload, following a limited number of redirects
+ * @param {string} remoteUrl - http(s) URL of the file
+ * @param {object} options
+ *   maxBytes - largest file accepted (413 above it)
+ *   timeoutMs - time limit for the whole download, body included (504 when exceeded)
+ *   maxRedirects - redirects followed before giving up (502)
+ *   allowedContentTypes - Content-Type allowlist, e.g. ["application/pdf", "image/*"] (415 otherwise)
+ *   isAllowedAddress - (address) => boolean, default: isPublicAddress
+ * @returns {Promise<object>} { stream, contentType, fileName, url } - stream errors with a 413/504 uploadError
+ *   when the body goes over maxBytes or the time limit; its `errored` property holds that error
+ * @throws 400/413/415/502/504 uploadError when the file cannot be fetched
+ */
+async function fetchRemoteFile(remoteUrl, { maxBytes, timeoutMs, maxRedirects, allowedContentTypes, isAllowedAddress = isPublicAddress }) {
+  let url;
+  try {
+    url = new URL(remoteUrl);
+  } catch (error) {
+    throw uploadError(400, { error: 'url must be a valid http or https URL' });
+  }
+
+  let request = null;
+  let body = null;
+  const timer = setTimeout(() => {
+    const error = uploadError(504, { error: `Remote server did not send the file within ${timeoutMs / 1000}s` });
+    if (body) {
+      body.destroy(error);
+    }
+    request.destroy(error);
+  }, timeoutMs);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const response = await openRequest(url, {
+        isAllowedAddress,
+        headers: { 'user-agent': 'file-upload-service' },
+        onRequest: opened => { request = opened; }
+      });
+
+      if (REDIRECT_STATUSES.has(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= maxRedirects) {
+          throw uploadError(502, { error: `Remote server redirected more than ${maxRedirects} times` });
+        }
+        url = new URL(response.headers.location, url);
+        continue;
+      }
+
+      if (response.statusCode < 200 || response.statusCode > 299) {
+        response.resume();
+        throw uploadError(502, { error: `Remote server answered ${response.statusCode}` });
+      }
+
+      const contentType = (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+      if (!matchesContentType(contentType, allowedContentTypes)) {
+        response.resume();
+        throw uploadError(415, { error: `Content type ${contentType} is not allowed` });
+      }
+
+      const tooLarge = () => uploadError(413, { error: `File exceeds the ${maxBytes / (1024 * 1024)} MB upload limit` });
+      if (Number(response.headers['content-length']) > maxBytes) {
+        response.resume();
+        throw tooLarge();
+      }
+
+      // Count the body as it streams; servers may send more than Content-Length promised
+      let size = 0;
+      body = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          callback(size > maxBytes ? tooLarge() : null, chunk);
+        }
+      });
+      response.once('error', error => body.destroy(error));
+      body.once('close', () => {
+        clearTimeout(timer);
+        // Stop downloading when the consumer gave up or the body went over the limit
+        request.destroy();
+      });
+      response.pipe(body);
+
+      return { stream: body, contentType, fileName: remoteFileName(response, url), url: url.href };
+    }
+  } catch (error) {
+    clearTimeout(timer);
+    if (request) {
+      request.destroy();
+    }
+    throw error.status ? error : uploadError(502, { error: `Could not fetch url: ${error.message}` });
+  }
+}
+
+module.exports = { fetchRemoteFile, isPublicAddress };
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/i;
+
+/**
+ * Hash an API key for storage (SHA-256, hex encoded)
+ */
+const hashApiKey = (apiKey) => {
+  return crypto.createHash('sha256').update(String(apiKey), 'utf8').digest('hex');
+};
+
+/**
+ * Verify a presented API key against a stored hash using a constant-time comparison
+ * @param {string} apiKey - API key sent by the caller
+ * @param {string} storedHash - Hex encoded SHA-256 hash from platform config
+ * @returns {boolean} True if the key matches the hash
+ */
+const verifyApiKey = (apiKey, storedHash) => {
+  if (!apiKey || typeof storedHash !== 'string' || !HASH_PATTERN.test(storedHash)) {
+    return false;
+  }
+
+  const presented = Buffer.from(hashApiKey(apiKey), 'hex');
+  const expected = Buffer.from(storedHash, 'hex');
+
+  return crypto.timingSafeEqual(presented, expected);
+};
+
+module.exports = { hashApiKey, verifyApiKey };
@@ -0,0 +1,96 @@
+const SCOPES = ['upload', 'download', 'delete', 'metadata', 'list', 'admin'];
+
+// Scope required by each file route (paths relative to /api/files)
+const ROUTE_SCOPES = {
+  'POST /upload-file': 'upload',
+  'POST /get-upload-url': 'upload',
+  'POST /confirm-upload': 'upload',
+  'POST /upload-from-url': 'upload',
+  'POST /get-download-url': 'download',
+  'POST /download-file': 'download',
+  'DELETE /delete-file': 'delete',
+  'DELETE /delete-by-bucket-key': 'delete',
+  'GET /metadata': 'metadata',
+  'GET /exists': 'metadata',
+  'POST /tus': 'upload',
+  'HEAD /tus/:id': 'upload',
+  'PATCH /tus/:id': 'upload',
+  'DELETE /tus/:id': 'upload',
+  'GET /tus/:id': 'upload'
+};
+
+/**
+ * Get the scope required to call a route
+ * @param {string} method - HTTP method
+ * @param {string} path - Route path relative to the file router
+ * @returns {string|null} Required scope, or null for routes without one
+ */
+const getRouteScope = (method, path) => {
+  if (!method || !path) {
+    return null;
+  }
+  // Resumable upload URLs carry the upload id
+  const routePath = path.replace(/^\/tus\/[^/]+$/, '/tus/:id');
+  return ROUTE_SCOPES[`${method.toUpperCase()} ${routePath}`] || null;
+};
+
+/**
+ * Check whether a key grants a scope. Keys without a scopes list are unrestricted
+ * and 'admin' grants every scope.
+ */
+const hasScope = (scopes, scope) => {
+  if (!Array.isArray(scopes)) {
+    return true;
+  }
+  return scopes.includes('admin') || scopes.includes(scope);
+};
+
+/**
+ * Check whether the key carries a bucket or prefix allowlist
+ */
+const hasLocationRestrictions = (context = {}) => {
+  return Array.isArray(context.allowedBuckets) || Array.isArray(context.allowedPrefixes);
+};
+
+const normalizePath = (value = '') => {
+  return String(value).replace(/\\/g, '/').replace(/\/+/g, '/').replace(/^\/+|\/+$/g, '');
+};
+
+/**
+ * Check an operation against the scopes and allowlists of the authenticated key
+ * @param {object} context - req.platformContext
+ * @param {string} scope - Scope the operation needs
+ * @param {string} [bucketName] - Bucket the operation targets
+ * @param {string} [key] - Object key inside the bucket (prefix + file name)
+ * @returns {object|null} Error body for a 403 response, or null when allowed
+ */
+const checkKeyAccess = (context = {}, scope, bucketName, key) => {
+  if (!hasScope(context.scopes, scope)) {
+    return {
+      error: `API key is missing required scope '${scope}'`,
+      missingScope: scope
+    };
+  }
+
+  if (Array.isArray(context.allowedBuckets)) {
+    const allowed = context.allowedBuckets.map(bucket => bucket.toLowerCase());
+    if (!bucketName || !allowed.includes(String(bucketName).toLowerCase())) {
+      return { error: `API key is not allowed to access bucket '${bucketName}'` };
+    }
+  }
+
+  if (Array.isArray(context.allowedPrefixes)) {
+    const normalizedKey = normalizePath(key);
+    const isAllowed = context.allowedPrefixes
+      .map(normalizePath)
+      .some(prefix => prefix === '' || normalizedKey.startsWith(`${prefix}/`));
+
+    if (!isAllowed) {
+      return { error: `API key is not allowed to access '${normalizedKey}'` };
+    }
+  }
+
+  return null;
+};
+
+module.exports = { SCOPES, getRouteScope, hasScope, hasLocationRestrictions, checkKeyAccess };
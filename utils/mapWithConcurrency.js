@@ -0,0 +1,30 @@
+/**
+ * Map items through an async function, running at most `limit` calls at a time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Largest number of calls in flight
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in the order of items; rejects with the first error, after
+ *   which no further items are started
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+};
+
+module.exports = { mapWithConcurrency };
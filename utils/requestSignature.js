@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+/**
+ * Hash a request body (SHA-256, hex encoded). Missing bodies hash as empty.
+ */
+const hashBody = (body) => {
+  return crypto.createHash('sha256').update(body || Buffer.alloc(0)).digest('hex');
+};
+
+/**
+ * Hash the text fields of a multipart form (SHA-256, hex encoded): "name=value" pairs with both
+ * parts URI-encoded, sorted by name and joined with "&". Fields that are not plain strings
+ * (a name sent twice, or "name[]" fields parsed into arrays and objects) give null.
+ */
+const hashFields = (fields = {}) => {
+  const names = Object.keys(fields).sort();
+
+  if (names.some(name => typeof fields[name] !== 'string')) {
+    return null;
+  }
+
+  const canonical = names.map(name => `${encodeURIComponent(name)}=${encodeURIComponent(fields[name])}`).join('&');
+  return crypto.createHash('sha256').update(canonical, 'utf8').digest('hex');
+};
+
+/**
+ * Build the string that is signed for a request
+ * @param {object} parts - { method, path, timestamp, nonce, bodyHash, fieldsHash? }
+ *   fieldsHash (multipart requests only) is added as a sixth line
+ * @returns {string} Canonical request
+ */
+const buildCanonicalRequest = ({ method, path, timestamp, nonce, bodyHash, fieldsHash }) => {
+  const parts = [String(method).toUpperCase(), path, timestamp, nonce, bodyHash];
+  return (fieldsHash === undefined ? parts : [...parts, fieldsHash]).join('\n');
+};
+
+/**
+ * Compute the HMAC-SHA256 signature (hex) of a canonical request
+ */
+const signRequest = (secret, canonicalRequest) => {
+  return crypto.createHmac('sha256', secret).update(canonicalRequest, 'utf8').digest('hex');
+};
+
+/**
+ * Verify a signature using a constant-time comparison
+ * @param {string} secret - Shared signing secret
+ * @param {string} canonicalRequest - Canonical request built by the service
+ * @param {string} signature - Hex signature sent by the caller
+ * @returns {boolean} True if the signature is valid
+ */
+const verifySignature = (secret, canonicalRequest, signature) => {
+  if (!secret || typeof signature !== 'string' || !/^[a-f0-9]{64}$/i.test(signature)) {
+    return false;
+  }
+
+  const expected = Buffer.from(signRequest(secret, canonicalRequest), 'hex');
+  const presented = Buffer.from(signature, 'hex');
+
+  return crypto.timingSafeEqual(expected, presented);
+};
+
+/**
+ * Body parser `verify` hook that keeps the raw body for signature checks
+ */
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ * Remembers nonces for the replay window so a signed request cannot be sent twice
+ */
+class NonceCache {
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * Record a nonce
+   * @returns {boolean} False if the nonce was already seen within the TTL
+   */
+  add(nonce, now = Date.now()) {
+    this.prune(now);
+
+    if (this.entries.has(nonce)) {
+      return false;
+    }
+
+    this.entries.set(nonce, now + this.ttlMs);
+    return true;
+  }
+
+  prune(now = Date.now()) {
+    // Map keeps insertion order and every entry has the same TTL, so stop at the first live one
+    for (const [nonce, expiresAt] of this.entries) {
+      if (expiresAt > now) {
+        break;
+      }
+      this.entries.delete(nonce);
+    }
+  }
+}
+
+module.exports = {
+  hashBody,
+  hashFields,
+  buildCanonicalRequest,
+  signRequest,
+  verifySignature,
+  captureRawBody,
+  NonceCache
+};
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+/**
+ * Sign a download of a stored file until the given time
+ * @param {string} secret - Provider signing secret
+ * @param {string} resource - "<bucketName>/<key>"
+ * @param {number} expires - Expiry as Unix time in seconds
+ * @returns {string} Hex encoded HMAC-SHA256 signature
+ */
+const signDownload = (secret, resource, expires) => {
+  return crypto.createHmac('sha256', secret).update(`${resource}\n${expires}`, 'utf8').digest('hex');
+};
+
+/**
+ * Check a signed download link (constant-time comparison)
+ * @returns {boolean} True if the signature is valid and has not expired
+ */
+const verifyDownloadSignature = (secret, resource, expires, signature, now = Date.now()) => {
+  const expiresAt = Number(expires);
+
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 <= now) {
+    return false;
+  }
+  if (typeof signature !== 'string' || !/^[a-f0-9]{64}$/i.test(signature)) {
+    return false;
+  }
+
+  const expected = Buffer.from(signDownload(secret, resource, expiresAt), 'hex');
+  const presented = Buffer.from(signature, 'hex');
+
+  return crypto.timingSafeEqual(expected, presented);
+};
+
+module.exports = { signDownload, verifyDownloadSignature };
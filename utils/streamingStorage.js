@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline, finished } = require('stream/promises');
+
+/**
+ * Pass a multer file stream through a byte counter and SHA-256 hash.
+ * The returned stream errors instead of ending when the file goes over multer's fileSize limit,
+ * so an upload reading from it is aborted rather than completed with a truncated file.
+ * @param {stream.Readable} source - multer file stream
+ * @returns {object} { stream, digest } - digest() resolves to { size, sha256 } once the whole file was read
+ */
+function measureStream(source) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  const overLimit = () => stream.destroy(new Error('File exceeds the upload size limit'));
+  // busboy marks the stream truncated when it hit the limit before we started listening
+  if (source.truncated) {
+    process.nextTick(overLimit);
+  } else {
+    source.once('limit', overLimit);
+  }
+  source.once('error', error => stream.destroy(error));
+  source.pipe(stream);
+
+  return {
+    stream,
+    digest: async () => {
+      // Anything the consumer left unread still counts towards the size and hash
+      stream.resume();
+      await finished(stream);
+      return { size, sha256: hash.digest('hex') };
+    }
+  };
+}
+
+/**
+ * Pass a stream through a hash, e.g. to compute a stored file's etag while it is written
+ * @param {stream.Readable} source - File contents
+ * @param {string} algorithm - Hash algorithm (default: md5)
+ * @returns {object} { stream, digest } - digest() returns the hex hash once the stream was read
+ */
+function hashStream(source, algorithm = 'md5') {
+  const hash = crypto.createHash(algorithm);
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  source.once('error', error => stream.destroy(error));
+  // The error stays on the destroyed stream for a consumer that attaches after an await
+  stream.on('error', () => {});
+  source.pipe(stream);
+
+  return { stream, digest: () => hash.digest('hex') };
+}
+
+/**
+ * Write a multer file stream to a temporary file
+ * @param {stream.Readable} source - multer file stream
+ * @param {string} directory - Where to create the file (default: OS temp directory)
+ * @returns {Promise<object>} { path, size, sha256 }; the caller deletes the file
+ */
+async function spoolToFile(source, directory = os.tmpdir()) {
+  const filePath = path.join(directory, `upload-${crypto.randomUUID()}`);
+  const measured = measureStream(source);
+
+  try {
+    await pipeline(measured.stream, fs.createWriteStream(filePath, { flags: 'wx', mode: 0o600 }));
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+
+  return { path: filePath, ...(await measured.digest()) };
+}
+
+/**
+ * multer storage engine that hands each file stream to a handler instead of buffering it
+ *   handleFile(req, file) - consumes file.stream; resolves to the fields added to req.file
+ *   removeFile(req, file) - undoes a handled file when the request fails afterwards
+ */
+class StreamingStorage {
+  constructor({ handleFile, removeFile = async () => {} }) {
+    this.handleFile = handleFile;
+    this.removeFile = removeFile;
+  }
+
+  _handleFile(req, file, cb) {
+    Promise.resolve()
+      .then(() => this.handleFile(req, file))
+      .then(info => {
+        // Drain anything the handler left unread so the rest of the form is parsed
+        file.stream.resume();
+        cb(null, info);
+      }, error => {
+        file.stream.resume();
+        cb(error);
+      });
+  }
+
+  _removeFile(req, file, cb) {
+    Promise.resolve()
+      .then(() => this.removeFile(req, file))
+      .then(() => cb(null), cb);
+  }
+}
+
+module.exports = { StreamingStorage, measureStream, hashStream, spoolToFile };
@@ -0,0 +1,29 @@
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Parse a tus Upload-Metadata header: comma separated "key base64value" pairs,
+ * where the value may be left out for keys without one
+ * @param {string} header - Upload-Metadata header value
+ * @returns {object} Decoded values (UTF-8) by key; keys without a value map to ''
+ * @throws {Error} When a pair is malformed or a key is repeated
+ */
+const parseUploadMetadata = (header = '') => {
+  const entries = new Map();
+
+  String(header).split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const [key, value = '', ...rest] = pair.split(' ');
+
+    if (rest.length > 0 || value.length % 4 !== 0 || !BASE64.test(value)) {
+      throw new Error(`Upload-Metadata value of '${key}' is not valid base64`);
+    }
+    if (entries.has(key)) {
+      throw new Error(`Upload-Metadata key '${key}' is repeated`);
+    }
+
+    entries.set(key, Buffer.from(value, 'base64').toString('utf8'));
+  });
+
+  return Object.fromEntries(entries);
+};
+
+module.exports = { parseUploadMetadata };
@@ -0,0 +1,79 @@
+const { sanitizeFileName } = require('./sanitizeFileName.js');
+const { sanitizeBucketName } = require('./sanitizeBucketName.js');
+const { checkKeyAccess } = require('./keyScopes.js');
+
+/**
+ * Error for a rejected upload, answered with its status and body
+ */
+function uploadError(status, body) {
+  return Object.assign(new Error(body.error), { status, body });
+}
+
+/**
+ * Validate the upload fields and the key's access to the destination
+ * @param {object} platformContext - req.platformContext
+ * @param {object} fields - bucketName, prefix, access, userId and metadata (object or JSON string)
+ * @param {object} file - { originalname, mimetype } of the uploaded file
+ * @returns {object} { bucketName, prefix, access, fileName, metadata } for storageService
+ * @throws 400/403 uploadError when the request is not allowed
+ */
+function resolveUploadTarget(platformContext, fields, { originalname, mimetype }) {
+  // Extract parameters from request
+  const { 
+    bucketName,           // Required: bucket/container name
+    prefix = '',          // Optional: folder prefix
+    access = 'private',   // Optional: public or private (default: private)
+    userId,               // Optional: user ID
+    metadata = {}         // Optional: additional metadata
+  } = fields;
+
+  // Validate required fields
+  if (!bucketName) {
+    throw uploadError(400, { error: 'bucketName is required' });
+  }
+
+  // Validate access parameter
+  if (!['private', 'public'].includes(access)) {
+    throw uploadError(400, { error: 'access must be either "private" or "public"' });
+  }
+
+  // Parse metadata if it's a JSON string
+  const parsedMetadata = typeof metadata === 'string' 
+    ? JSON.parse(metadata) 
+    : metadata;
+
+  const sanitizedBucketName = sanitizeBucketName(bucketName);
+  const sanitizedFileName = `${Date.now()}-${sanitizeFileName(originalname)}`;
+  // Keep provided folder structure (e.g. "/docs/pdfs/2024") while preventing accidental leading/trailing slashes or backslashes
+  const sanitizedPrefix = (prefix || '')
+    .trim()
+    .replace(/\\/g, '/')      // normalize Windows-style slashes
+    .replace(/\/+/g, '/')     // collapse duplicate slashes
+    .replace(/^\/+|\/+$/g, ''); // strip leading/trailing slashes
+
+  const accessError = checkKeyAccess(
+    platformContext,
+    'upload',
+    sanitizedBucketName,
+    sanitizedPrefix ? `${sanitizedPrefix}/${sanitizedFileName}` : sanitizedFileName
+  );
+
+  if (accessError) {
+    throw uploadError(403, accessError);
+  }
+
+  return {
+    bucketName: sanitizedBucketName,
+    prefix: sanitizedPrefix,
+    access,
+    fileName: sanitizedFileName,
+    metadata: {
+      userId,
+      originalFileName: sanitizedFileName,
+      contentType: mimetype,
+      ...parsedMetadata
+    }
+  };
+}
+
+module.exports = { uploadError, resolveUploadTarget };
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload, 'utf8').digest('hex');
+
+/**
+ * Sign the details of a direct upload so they can be handed to the client and trusted when it comes back
+ * @param {string} secret - Signing secret
+ * @param {object} details - JSON-serializable upload details; `expires` (Unix seconds) is required
+ * @returns {string} "<base64url JSON>.<hex HMAC-SHA256>"
+ */
+const signUploadToken = (secret, details) => {
+  const payload = Buffer.from(JSON.stringify(details), 'utf8').toString('base64url');
+  return `${payload}.${sign(secret, payload)}`;
+};
+
+/**
+ * Check an upload token (constant-time comparison)
+ * @returns {object|null} The signed details, or null when the token is malformed, tampered with or expired
+ */
+const verifyUploadToken = (secret, token, now = Date.now()) => {
+  const [payload, signature, ...rest] = typeof token === 'string' ? token.split('.') : [];
+
+  if (!payload || rest.length > 0 || !/^[a-f0-9]{64}$/.test(signature || '')) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(secret, payload), 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+    return null;
+  }
+
+  const details = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  return Number.isInteger(details.expires) && details.expires * 1000 > now ? details : null;
+};
+
+module.exports = { signUploadToken, verifyUploadToken };
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Supported asymmetric algorithms; 'none' and HMAC algorithms are never accepted
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+const jwksCache = new Map();
+
+/**
+ * Load a JWKS file ({ keys: [...] }), cached per path until the file changes
+ */
+const loadJwks = (jwksPath) => {
+  const { mtimeMs } = fs.statSync(jwksPath);
+  const cached = jwksCache.get(jwksPath);
+
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.jwks;
+  }
+
+  const jwks = JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+
+  if (!Array.isArray(jwks.keys)) {
+    throw new Error(`JWKS file ${jwksPath} has no keys`);
+  }
+
+  jwksCache.set(jwksPath, { mtimeMs, jwks });
+  return jwks;
+};
+
+const decodeSegment = (segment) => {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+};
+
+/**
+ * Verify a JWT signature and its registered claims
+ * @param {string} token - Compact serialized JWT
+ * @param {object} options - { jwks, issuer, audience, clockToleranceSeconds }
+ * @returns {object} Token payload
+ */
+const verifyJwt = (token, { jwks, issuer, audience, clockToleranceSeconds = 60 }) => {
+  const parts = String(token).split('.');
+
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  let header, payload;
+
+  try {
+    header = decodeSegment(encodedHeader);
+    payload = decodeSegment(encodedPayload);
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  const algorithm = ALGORITHMS[header.alg];
+
+  if (!algorithm) {
+    throw new Error(`Unsupported token algorithm '${header.alg}'`);
+  }
+
+  const candidates = jwks.keys.filter(jwk => !header.kid || jwk.kid === header.kid);
+
+  if (candidates.length === 0) {
+    throw new Error('No matching signing key');
+  }
+
+  const data = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+
+  const isValid = candidates.some(jwk => {
+    try {
+      const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      return crypto.verify(algorithm.hash, data, {
+        key,
+        ...(algorithm.padding ? { padding: algorithm.padding, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST } : {}),
+        ...(algorithm.dsaEncoding ? { dsaEncoding: algorithm.dsaEncoding } : {})
+      }, signature);
+    } catch (error) {
+      return false;
+    }
+  });
+
+  if (!isValid) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.exp !== 'number' || payload.exp + clockToleranceSeconds <= now) {
+    throw new Error('Token has expired');
+  }
+
+  if (typeof payload.nbf === 'number' && payload.nbf - clockToleranceSeconds > now) {
+    throw new Error('Token is not yet valid');
+  }
+
+  if (issuer && payload.iss !== issuer) {
+    throw new Error('Token issuer is not trusted');
+  }
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+
+  if (audience && !audiences.includes(audience)) {
+    throw new Error('Token audience is not accepted');
+  }
+
+  return payload;
+};
+
+module.exports = { loadJwks, verifyJwt };
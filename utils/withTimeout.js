@@ -0,0 +1,18 @@
+/**
+ * Reject if a promise does not settle within the given time
+ * @param {Promise} promise - Operation to wait for
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @param {string} message - Error message used on timeout
+ * @returns {Promise} Settles like the original promise; timeouts reject with code ETIMEDOUT
+ */
+const withTimeout = (promise, timeoutMs, message = `Timed out after ${timeoutMs}ms`) => {
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(message), { code: 'ETIMEDOUT' })), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+module.exports = { withTimeout };